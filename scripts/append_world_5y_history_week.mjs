@@ -2,10 +2,11 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { BigQuery } from '@google-cloud/bigquery';
 import 'dotenv/config';
 import { fipsToIso2, loadCountryNameMap } from './fips_to_iso2.js';
-import { buildRCondition } from './gdelt_bigquery.js';
+import { buildRCondition, getBigQueryClient } from './sources/index.mjs';
+import { resolveCountryConfig } from './scoring_overrides.mjs';
+import { buildHistoryWeek } from './surge_r.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -84,8 +85,6 @@ async function main() {
     // Config loading
     const scoringConfig = JSON.parse(fs.readFileSync(SCORING_PATH, 'utf-8'));
     const rDefs = JSON.parse(fs.readFileSync(RDEFS_PATH, 'utf-8'));
-    const THRESHOLDS = scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
-    const k = scoringConfig.surge_r?.smoothing_k ?? 5;
     let baselines5y = {};
     let baselinesCalmest3y = {};
     try {
@@ -101,10 +100,7 @@ async function main() {
         .replace(/\${R3_CONDITION}/g, buildRCondition(rDefs.R3))
         .replace(/\${R4_CONDITION}/g, buildRCondition(rDefs.R4));
 
-    const bigquery = new BigQuery({
-        projectId: process.env.BQ_PROJECT_ID || 'countryrisks-prod',
-        keyFilename: path.resolve(__dirname, '../credentials/gcp-service-account.json')
-    });
+    const bigquery = getBigQueryClient();
 
     const options = {
         query: sqlTemplate,
@@ -132,14 +128,16 @@ async function main() {
         if (!iso2 || iso2.length !== 2 || iso2 === 'XX') return;
         if (!newWeeklyData[iso2]) newWeeklyData[iso2] = [];
 
-        const b = {
-            R1: { median: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r1 || baselines5y[iso2]?.R1?.median || 1 },
-            R2: { median: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r2 || baselines5y[iso2]?.R2?.median || 1 },
-            R3: { median: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r3 || baselines5y[iso2]?.R3?.median || 1 },
-            R4: { median: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r4 || baselines5y[iso2]?.R4?.median || 1 }
+        const baselineMedians = {
+            R1: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r1 || baselines5y[iso2]?.R1?.median || 1,
+            R2: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r2 || baselines5y[iso2]?.R2?.median || 1,
+            R3: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r3 || baselines5y[iso2]?.R3?.median || 1,
+            R4: baselinesCalmest3y[iso2]?.gdelt?.baseline?.median_r4 || baselines5y[iso2]?.R4?.median || 1
         };
         const eventCount7 = row.event_count || 0;
-        const result = calculateWeeklyStats(row, eventCount7, b, scoringConfig, THRESHOLDS, k);
+        const counts = { R1: row.r1_security || 0, R2: row.r2_living || 0, R3: row.r3_governance || 0, R4: row.r4_fiscal || 0 };
+        const { config } = resolveCountryConfig(scoringConfig, iso2);
+        const result = buildHistoryWeek(row.iso_week, counts, eventCount7, baselineMedians, config);
         newWeeklyData[iso2].push(result);
     });
 
@@ -185,94 +183,6 @@ async function main() {
     console.log(`[DONE] Append complete for ${targetWeekStr}.`);
 }
 
-function calculateWeeklyStats(row, eventCount7, b, scoringConfig, THRESHOLDS, k) {
-    const result = {
-        week: row.iso_week,
-        ratios: {},
-        levels: {},
-        counts: { R1: row.r1_security || 0, R2: row.r2_living || 0, R3: row.r3_governance || 0, R4: row.r4_fiscal || 0 },
-        event_count: eventCount7,
-        weekly_surge_r_by_type: {}
-    };
-
-    // Helper Maps
-    const levelWeights = { 'None': 0, 'Yellow': 1, 'Orange': 2, 'Red': 3 };
-    const highVolFloor = scoringConfig.surge_r?.high_volume_floor || 5000;
-    const isHighVol = eventCount7 >= highVolFloor;
-    const rTypeConfigs = {
-        R1: scoringConfig.r1_security, R2: scoringConfig.r2_living,
-        R3: scoringConfig.r3_governance, R4: scoringConfig.r4_fiscal
-    };
-
-    let maxLvl = 'None';
-
-    ['R1', 'R2', 'R3', 'R4'].forEach(r => {
-        const baselineDaily = b[r]?.median || 1;
-        const baseline7 = baselineDaily * 7;
-        const today7 = result.counts[r];
-        const ratio7 = (today7 + k) / (baseline7 + k);
-        const share7 = today7 / Math.max(1, eventCount7);
-
-        result.ratios[r] = parseFloat(ratio7.toFixed(3));
-
-        let lvl = 'None';
-        if (ratio7 >= THRESHOLDS.red) lvl = 'Red';
-        else if (ratio7 >= THRESHOLDS.orange) lvl = 'Orange';
-        else if (ratio7 >= THRESHOLDS.yellow) lvl = 'Yellow';
-        result.levels[r] = lvl;
-
-        // Gating
-        const rGating = scoringConfig.gating?.low_abs || {};
-        const absFloor = rGating.floors?.[r] || 0;
-        const absShare = rGating.shares?.[r] || 0;
-        const dynamicAbsThreshold = Math.max(absFloor, Math.ceil(eventCount7 * absShare));
-
-        const absHit = today7 >= dynamicAbsThreshold;
-        const rConf = rTypeConfigs[r] || {};
-        const ratioThreshold = rConf.ratio_threshold || 0;
-        const shareHit = share7 >= ratioThreshold;
-        const redOverride = ratio7 >= THRESHOLDS.red;
-
-        let triggered = shareHit || (absHit && !isHighVol);
-        if (redOverride) triggered = true;
-
-        let dynamicMinBaseline = scoringConfig.surge_r?.min_baseline_median_for_surge || 3;
-        if (eventCount7 < 500) dynamicMinBaseline = 1.0;
-        else if (eventCount7 < 2000) dynamicMinBaseline = 1.5;
-
-        const isStable = baselineDaily >= dynamicMinBaseline;
-        const isActive = triggered && isStable && (ratio7 >= THRESHOLDS.yellow);
-
-        let reason = isActive ? 'active' : 'unknown';
-        if (!isActive) {
-            if (!triggered) {
-                if (absHit && isHighVol && !shareHit) reason = 'high-vol';
-                else if (absHit && !shareHit) reason = 'low-share';
-                else if (!absHit) reason = 'low-abs';
-            } else if (!isStable) reason = 'low-baseline';
-            else reason = 'below-threshold';
-        }
-
-        result.weekly_surge_r_by_type[r] = {
-            today7, baseline7: parseFloat(baseline7.toFixed(1)),
-            ratio7: result.ratios[r], share7: parseFloat(share7.toFixed(4)),
-            is_active: isActive, reason, gate_status: isStable ? 'stable' : 'unknown'
-        };
-
-        if (isActive && levelWeights[lvl] > levelWeights[maxLvl]) maxLvl = lvl;
-    });
-
-    const activeRatios = Object.values(result.weekly_surge_r_by_type).filter(v => v.is_active).map(v => v.ratio7);
-    const maxRatio = activeRatios.length > 0 ? Math.max(...activeRatios) : 0;
-    result.weekly_surge_r = {
-        level: maxLvl.toLowerCase(), max_ratio_active: parseFloat(maxRatio.toFixed(3)),
-        active_types: Object.entries(result.weekly_surge_r_by_type).filter(([_, v]) => v.is_active).map(([k]) => k),
-        thresholds: THRESHOLDS, smoothing_k: k
-    };
-    result.overall_level = maxLvl;
-    return result;
-}
-
 function refreshIndex(outDir, nameMap) {
     let indexData = {};
     if (fs.existsSync(INDEX_PATH)) {
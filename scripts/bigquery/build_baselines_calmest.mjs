@@ -1,9 +1,9 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs/promises';
 import { readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
+import { getBigQueryClient } from '../sources/index.mjs';
 import { fipsToIso2 } from '../fips_to_iso2.js';
 
 /**
@@ -106,7 +106,7 @@ async function main() {
     }
 
     // 3. Initialize BQ
-    const bq = new BigQuery();
+    const bq = getBigQueryClient();
 
     // 4. Construct Query
     const startInt = 20150218;
@@ -1,8 +1,8 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
+import { getBigQueryClient } from '../sources/index.mjs';
 import { aggregateToIso2 } from '../fips_to_iso2.js';
 
 /**
@@ -29,7 +29,7 @@ async function main() {
     const dryRunOnly = args.includes('--dry-run');
 
     // 2. Initialize BQ
-    const bq = new BigQuery();
+    const bq = getBigQueryClient();
 
     const endDate = new Date();
     const startDate = new Date();
@@ -1,9 +1,9 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
+import { getBigQueryClient } from '../sources/index.mjs';
 
 // Import FIPS to ISO2 mapping for SQL CTE generation
 import { FIPS_TO_ISO2 } from '../fips_to_iso2.js';
@@ -76,7 +76,7 @@ async function main() {
   console.log(`[WINDOW] ${startDateStr} to ${endDateStr} (~1825 days)`);
 
   // 4. Initialize BQ
-  const bq = new BigQuery();
+  const bq = getBigQueryClient();
 
   // 5. Prepare SQL Parts
   const fipsMappingSql = Object.entries(FIPS_TO_ISO2)
@@ -1,9 +1,9 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import 'dotenv/config';
+import { getBigQueryClient } from '../sources/index.mjs';
 
 // Import FIPS to ISO2 mapping
 import { fipsToIso2 } from '../fips_to_iso2.js';
@@ -113,7 +113,7 @@ async function main() {
     }
 
     // 3. Initialize BQ
-    const bq = new BigQuery();
+    const bq = getBigQueryClient();
 
     // 3. Prepare Query - Return DAILY rows (no stats in BigQuery)
     const startDateInt = parseInt(startDate.toISOString().replace(/-/g, '').slice(0, 8));
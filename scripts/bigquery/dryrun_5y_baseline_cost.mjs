@@ -1,5 +1,5 @@
-import { BigQuery } from '@google-cloud/bigquery';
 import 'dotenv/config';
+import { getBigQueryClient } from '../sources/index.mjs';
 
 /**
  * scripts/bigquery/dryrun_5y_baseline_cost.mjs
@@ -21,7 +21,7 @@ async function main() {
     const usdJpy = parseFloat(getArg('usd_jpy') || '0');
 
     // 2. Initialize BQ
-    const bq = new BigQuery();
+    const bq = getBigQueryClient();
 
     // 3. Prepare Query
     // We use @start_date and @end_date as parameters to ensure DATE types are handled correctly.
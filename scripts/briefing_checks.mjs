@@ -0,0 +1,164 @@
+/**
+ * briefing_checks.mjs - Schemas and fact checks for LLM briefings and country analyses
+ *
+ * Used with generateStructured() (llm/structured.mjs) in generate_daily.js:
+ *   - Briefings may only name countries from their candidate list (the trending
+ *     briefing may also name countries that appear in the supplied headlines).
+ *   - A level cited next to a country ("Sudan (SD) red", "orange alert",
+ *     "nivel rojo", "レッド警戒") must be that country's alert_level or
+ *     surge_r.level.
+ *   - A country analysis must not cite a level other than the one it was given.
+ * Each check returns a list of violations (strings) that goes back to the model
+ * in the repair prompt.
+ */
+
+export const LEVELS = ['red', 'orange', 'yellow', 'green'];
+
+const lines = { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', minLength: 1 } };
+
+export const BRIEFING_SCHEMA = {
+    type: 'object',
+    required: ['en', 'ja', 'es'],
+    properties: { en: lines, ja: lines, es: lines }
+};
+
+export const ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['headline', 'what_happened'],
+    properties: {
+        headline: { type: 'string', minLength: 1 },
+        what_happened: { type: 'string', minLength: 1 },
+        bundles: { type: 'array', items: { type: 'string' } },
+        watch_48h: { type: 'string' },
+        sources: { type: 'array', items: { type: 'string' } },
+        confidence: { enum: ['low', 'med', 'high'] },
+        notes: { type: ['string', 'null'] }
+    }
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isLatin = (s) => /^[\p{Script=Latin}\p{N}\s.'’,()-]+$/u.test(s);
+
+/**
+ * Country name index for mention detection.
+ * @param {Array<{iso2: string, names: string[]}>} countries
+ * @returns {{ find(text): Set<string>, name(iso2): string }}
+ */
+export function createCountryMatcher(countries) {
+    const byName = new Map();
+    const display = {};
+    for (const { iso2, names } of countries) {
+        for (const name of names || []) {
+            if (!name || byName.has(name)) continue;
+            // Short Latin names ("US", "UK") are too ambiguous in free text; ISO codes are matched as "(XX)"
+            if (isLatin(name) && name.length < 3) continue;
+            byName.set(name, iso2);
+        }
+        display[iso2] ||= names?.find(Boolean) || iso2;
+    }
+
+    // Longest first, so "Papua New Guinea" wins over "Guinea" and "インドネシア" over "インド"
+    const alternatives = [...byName.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(n => (isLatin(n) ? `(?<![\\p{L}\\p{N}])${escapeRegex(n)}(?![\\p{L}\\p{N}])` : escapeRegex(n)));
+    const nameRe = alternatives.length > 0 ? new RegExp(alternatives.join('|'), 'gu') : null;
+
+    return {
+        find(text) {
+            const found = new Set();
+            const s = String(text || '');
+            if (nameRe) for (const m of s.matchAll(nameRe)) found.add(byName.get(m[0]));
+            for (const m of s.matchAll(/\(([A-Z]{2})\)/g)) {
+                if (display[m[1]]) found.add(m[1]);
+            }
+            return found;
+        },
+        name(iso2) {
+            return display[iso2] || iso2;
+        }
+    };
+}
+
+const LEVEL_WORDS = {
+    red: 'red', orange: 'orange', yellow: 'yellow', green: 'green',
+    rojo: 'red', roja: 'red', naranja: 'orange', amarillo: 'yellow', amarilla: 'yellow', verde: 'green',
+    'レッド': 'red', '赤': 'red', 'オレンジ': 'orange', '橙': 'orange', 'イエロー': 'yellow', '黄': 'yellow', 'グリーン': 'green', '緑': 'green'
+};
+
+// Level words only count as citations in level context, so "Red Sea" or "Green Line" are not levels
+const CITATION_PATTERNS = [
+    /\(([A-Z]{2})\)\s*(red|orange|yellow|green)\b/gi,
+    /()\b(red|orange|yellow|green)\s+(?:level|alert|risk|status)\b/gi,
+    /()\b(?:level|alert|risk|status)\s*[:=]?\s*(red|orange|yellow|green)\b/gi,
+    /()(?:nivel|alerta)\s+(?:de\s+)?(rojo|roja|naranja|amarillo|amarilla|verde)\b/gi,
+    /()(レッド|オレンジ|イエロー|グリーン|赤|橙|黄|緑)(?:レベル|警戒|警報|信号)/g
+];
+
+/**
+ * @returns {Array<{iso2: string|null, level: string}>} levels cited in text (iso2 when bound as "(XX) level")
+ */
+export function citedLevels(text) {
+    const out = [];
+    for (const re of CITATION_PATTERNS) {
+        for (const m of String(text || '').matchAll(re)) {
+            out.push({ iso2: m[1] || null, level: LEVEL_WORDS[m[2].toLowerCase()] || LEVEL_WORDS[m[2]] });
+        }
+    }
+    return out;
+}
+
+const sentences = (text) => String(text || '').split(/(?<=[。！？])|(?<=[.!?;])\s+/).filter(s => s.trim());
+
+/**
+ * @param {Object} briefing - { en: [], ja: [], es: [] }
+ * @param {Array} candidates - formatted candidates ({ iso2, level, surge_level, news_headlines })
+ * @param {Object} matcher - createCountryMatcher()
+ * @param {Object} [options] - { allowHeadlineCountries } also accept countries named in the candidates' headlines
+ * @returns {string[]} violations
+ */
+export function checkBriefing(briefing, candidates, matcher, { allowHeadlineCountries = false } = {}) {
+    const byIso = Object.fromEntries(candidates.map(c => [c.iso2, c]));
+    const allowed = new Set(Object.keys(byIso));
+    if (allowHeadlineCountries) {
+        for (const c of candidates) {
+            for (const h of c.news_headlines || []) matcher.find(h).forEach(iso => allowed.add(iso));
+        }
+    }
+
+    const violations = new Set();
+    const levelsOf = (iso) => [byIso[iso]?.level, byIso[iso]?.surge_level].filter(Boolean);
+
+    for (const lang of ['en', 'ja', 'es']) {
+        for (const line of briefing[lang] || []) {
+            for (const sentence of sentences(line)) {
+                const mentioned = matcher.find(sentence);
+                for (const iso of mentioned) {
+                    if (!allowed.has(iso)) violations.add(`mentions ${matcher.name(iso)} (${iso}), which is not in the candidate list`);
+                }
+
+                const known = [...mentioned].filter(iso => byIso[iso]);
+                for (const { iso2, level } of citedLevels(sentence)) {
+                    const subjects = iso2 ? [iso2].filter(iso => byIso[iso]) : known;
+                    if (subjects.length === 0) continue;
+                    if (!subjects.some(iso => levelsOf(iso).includes(level))) {
+                        const facts = subjects.map(iso => `${matcher.name(iso)} (${iso}) is ${byIso[iso].level}` +
+                            (byIso[iso].surge_level && byIso[iso].surge_level !== byIso[iso].level ? ` (surge ${byIso[iso].surge_level})` : ''));
+                        violations.add(`cites level "${level}" but ${facts.join(', ')}`);
+                    }
+                }
+            }
+        }
+    }
+    return [...violations];
+}
+
+/**
+ * @param {Object} analysis - parsed country analysis
+ * @param {string} level - the level the analysis was given (v4Score.level)
+ * @returns {string[]} violations
+ */
+export function checkAnalysis(analysis, level) {
+    const text = [analysis.headline, analysis.what_happened, analysis.watch_48h].filter(Boolean).join(' ');
+    const wrong = [...new Set(citedLevels(text).map(c => c.level).filter(l => l !== level))];
+    return wrong.map(l => `cites level "${l}" but the risk level is ${level}; do not change the level`);
+}
@@ -0,0 +1,228 @@
+/**
+ * briefing_templates.mjs - Rule-based daily briefings in every dashboard locale
+ *
+ * Composes the ops and trending briefings from the structured daily output
+ * alone, so the text is reproducible and every figure can be traced back to
+ * the JSON:
+ *   - level counts and escalations vs the previous daily file (output.transitions)
+ *   - lit bundles per country with their baseline multiplier (surge_r_by_type)
+ *   - AIR corroboration: political social-media terms (output.air)
+ *   - regional clusters (output.aggregates.regions)
+ *   - news headlines with their outlet (trending only)
+ * All wording comes from the locale catalogs (src/locales/<code>.json, section
+ * `briefing`), so every dashboard language gets a briefing.
+ * generate_daily.js uses this by default (BRIEFING_ENGINE=template) and as the
+ * fallback when an LLM briefing fails or is rejected. With BRIEFING_ENGINE=llm
+ * the LLM writes en/ja/es only; fr/pt/ar briefings always come from here.
+ */
+
+import { LEVEL_RANK } from './transitions.mjs';
+import { LOCALES, translations, countryName } from '../src/i18n.js';
+
+// One briefing per dashboard locale
+export const BRIEFING_LANGS = LOCALES;
+
+const R_TYPES = ['R1', 'R2', 'R3', 'R4'];
+const LIT = ['red', 'orange', 'yellow'];
+
+// Briefing wording per locale: the `briefing` section of src/locales/<code>.json
+export const TEMPLATES = Object.fromEntries(BRIEFING_LANGS.map(code => [code, translations[code].briefing]));
+
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (m, key) => (vars[key] ?? m));
+
+function joinList(items, t) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(t.sep)}${t.and}${items[items.length - 1]}`;
+}
+
+const lower = (level) => (typeof level === 'string' ? level.toLowerCase() : 'green');
+const ratioStr = (r) => (Number(r) || 0).toFixed(1);
+
+/** 48h watch item for the first two lit bundles */
+export function watchHint(bundles, lang = 'en') {
+    const t = TEMPLATES[lang] || TEMPLATES.en;
+    const known = (bundles || []).filter(b => t.hints[b]).slice(0, 2);
+    if (known.length === 0) return t.hints.none;
+    return known.map(b => t.hints[b]).join(t.hintSep);
+}
+
+/** Active bundles with their multipliers, strongest first */
+function litBundles(c) {
+    const byType = c?.surge_r_by_type || {};
+    const active = c?.surge_r?.active_types || [];
+    return active
+        .map(type => ({ type, ...(byType[type] || {}) }))
+        .sort((a, b) => (b.ratio || 0) - (a.ratio || 0) || R_TYPES.indexOf(a.type) - R_TYPES.indexOf(b.type));
+}
+
+// Real headlines only: GDELT event sources carry generated "(domain) Coverage related to R1/R3" titles
+function headlinesOf(c) {
+    return (c?.sources || [])
+        .filter(s => s && s.title && s.title !== 'Source' && !s.title.startsWith(`(${s.sourceorg})`))
+        .map(s => ({ headline: s.title.split(' - ')[0].trim(), source: s.sourceorg || 'News' }));
+}
+
+/** Level counts; red and orange countries are named when there are few of them */
+function overviewParagraph(ctx, t, lang, maxNamed = 4) {
+    const byLevel = Object.fromEntries(LIT.map(l => [l, []]));
+    for (const iso2 of Object.keys(ctx.countries).sort()) {
+        const level = lower(ctx.countries[iso2].alert_level);
+        if (level in byLevel) byLevel[level].push(iso2);
+    }
+    const total = LIT.reduce((sum, l) => sum + byLevel[l].length, 0);
+    const breakdown = LIT.filter(l => byLevel[l].length > 0).map(l => {
+        const isos = byLevel[l];
+        const vars = { level: t.levels[l], n: isos.length };
+        if (l === 'yellow' || isos.length > maxNamed) return fill(t.breakdownItem, vars);
+        return fill(t.breakdownNamed, { ...vars, names: joinList(isos.map(iso => countryName(ctx.countries[iso], iso, lang)), t) });
+    }).join(t.sep);
+    let text = fill(total === 0 ? t.overviewNone : total === 1 ? t.overviewOne : t.overview, { date: ctx.date, count: total, breakdown });
+
+    const feed = ctx.transitions;
+    if (feed?.compared_to) {
+        text += feed.escalations + feed.de_escalations > 0
+            ? fill(t.changes, { prev: feed.compared_to, up: feed.escalations, down: feed.de_escalations })
+            : fill(t.noChanges, { prev: feed.compared_to });
+    }
+    return text;
+}
+
+/** Alert-level escalations first, then surge_r ones for countries not already listed */
+function escalationParagraph(ctx, t, lang, limit = 5) {
+    const feed = ctx.transitions;
+    if (!feed?.compared_to) return null;
+    const seen = new Set();
+    const picked = [];
+    for (const metric of ['alert_level', 'surge_r']) {
+        const items = (feed.items || [])
+            .filter(x => x.metric === metric && x.direction === 'escalation' && !seen.has(x.iso2))
+            .sort((a, b) => LEVEL_RANK[b.to] - LEVEL_RANK[a.to] || a.iso2.localeCompare(b.iso2));
+        for (const x of items) {
+            seen.add(x.iso2);
+            picked.push(x);
+        }
+    }
+    if (picked.length === 0) return null;
+
+    const items = picked.slice(0, limit).map(x => fill(t.escalationItem, {
+        name: countryName(ctx.countries[x.iso2], x.iso2, lang),
+        from: t.levels[x.from] || x.from,
+        to: t.levels[x.to] || x.to,
+        bundles: x.bundles?.length > 0 ? fill(t.bundlesInParens, { bundles: x.bundles.join('/') }) : ''
+    }));
+    return fill(t.escalations, { prev: feed.compared_to, items: items.join(t.sep) });
+}
+
+function countryParagraph(ctx, iso2, t, lang) {
+    const c = ctx.countries[iso2];
+    const lit = litBundles(c);
+    const vars = { name: countryName(c, iso2, lang), iso2, level: t.levels[lower(c?.alert_level)] };
+
+    let text = lit.length > 0
+        ? fill(t.country, { ...vars, bundles: joinList(lit.map(b => t.bundles[b.type] || b.type), t) })
+        : fill(t.countryQuiet, vars);
+
+    for (const b of lit.slice(0, 2)) {
+        if (b.ratio === undefined) continue;
+        text += fill(t.multiplier, { bundle: t.bundles[b.type] || b.type, ratio: ratioStr(b.ratio), today: b.today ?? 0, median: b.baseline_median ?? 0 });
+    }
+
+    const terms = ctx.air?.countries?.[iso2]?.political_terms || [];
+    if (terms.length > 0) text += fill(t.air, { terms: terms.slice(0, 3).join(t.sep) });
+
+    text += fill(t.watch, { hint: watchHint(lit.map(b => b.type), lang) });
+    return text;
+}
+
+/** Regions with at least `minLit` lit countries */
+function clusterParagraph(ctx, t, lang, minLit = 2) {
+    const regions = Object.entries(ctx.aggregates?.regions || {})
+        .filter(([, r]) => r.lit_countries >= minLit)
+        .sort(([ka, a], [kb, b]) => b.lit_countries - a.lit_countries || ka.localeCompare(kb));
+    if (regions.length === 0) return null;
+
+    const items = regions.map(([key, r]) => {
+        const litRows = (r.countries || []).filter(x => LIT.includes(x.level));
+        const newLit = r.contagion?.new_lit || [];
+        return fill(t.clusterItem, {
+            region: t.regions[key] || r.label || key,
+            lit: r.lit_countries,
+            total: r.with_data,
+            names: joinList(litRows.slice(0, 4).map(x => countryName(ctx.countries[x.iso2], x.iso2, lang)), t),
+            bundle: t.bundles[r.contagion?.dominant_bundle] || r.contagion?.dominant_bundle || '-'
+        }) + (newLit.length > 0 ? fill(t.newlyLit, { names: joinList(newLit.map(iso => countryName(ctx.countries[iso], iso, lang)), t) }) : '');
+    });
+    return fill(t.clusters, { items: items.join(t.itemSep) });
+}
+
+function composeOps(ctx, lang) {
+    const t = TEMPLATES[lang];
+    return [
+        overviewParagraph(ctx, t, lang),
+        escalationParagraph(ctx, t, lang),
+        ...ctx.candidates.slice(0, 5).map(c => countryParagraph(ctx, c.iso2, t, lang)),
+        clusterParagraph(ctx, t, lang),
+        t.disclaimerOps
+    ].filter(Boolean);
+}
+
+/** One paragraph per region (up to 4), countries in candidate order */
+function composeTrending(ctx, lang) {
+    const t = TEMPLATES[lang];
+    const byRegion = new Map();
+    for (const cand of ctx.candidates) {
+        const region = ctx.regionOf?.(cand.iso2) || 'OTHER';
+        if (!byRegion.has(region)) byRegion.set(region, []);
+        byRegion.get(region).push(cand.iso2);
+    }
+
+    const paragraphs = [...byRegion.entries()].map(([region, isos]) => {
+        // A headline with its outlet, else the strongest lit bundle; countries with neither are left out
+        const items = isos.map(iso2 => {
+            const c = ctx.countries[iso2];
+            const name = countryName(c, iso2, lang);
+            const top = headlinesOf(c)[0];
+            if (top) return fill(t.headlineItem, { name, ...top });
+            const b = litBundles(c)[0];
+            return b ? fill(t.coverageItem, { name, bundle: t.bundles[b.type] || b.type, ratio: ratioStr(b.ratio) }) : null;
+        }).filter(Boolean).slice(0, 3);
+        if (items.length === 0) return null;
+        const label = t.regions[region] || ctx.aggregates?.regions?.[region]?.label || region;
+        return fill(t.trendingRegion, { region: label, items: items.join(t.itemSep) });
+    }).filter(Boolean).slice(0, 4);
+    return [...paragraphs, t.disclaimerTrending];
+}
+
+/**
+ * @param {'ops'|'trending'} basis
+ * @param {Object} ctx - { date, candidates: [{ iso2 }], countries, transitions, aggregates, air, regionOf(iso2) }
+ * @returns {{ en: string[], ja: string[], es: string[], meta: Object }}
+ */
+export function buildTemplateBriefing(basis, ctx) {
+    const compose = basis === 'trending' ? composeTrending : composeOps;
+    const out = Object.fromEntries(BRIEFING_LANGS.map(lang => [lang, compose(ctx, lang)]));
+    return {
+        ...out,
+        meta: {
+            basis,
+            generator: 'template',
+            date: ctx.date,
+            candidates_count: ctx.candidates.length,
+            countries_used: ctx.candidates.map(c => c.iso2),
+            compared_to: ctx.transitions?.compared_to || null
+        }
+    };
+}
+
+export const BRIEFING_ENGINES = ['template', 'llm'];
+
+/**
+ * BRIEFING_ENGINE: template (default; reproducible, no model calls) or llm
+ * (the provider from config/llm.json / LLM_PROVIDER, with these templates as the fallback).
+ */
+export function briefingEngine(name = process.env.BRIEFING_ENGINE || 'template') {
+    if (!BRIEFING_ENGINES.includes(name)) {
+        throw new Error(`[BRIEFING] Unknown BRIEFING_ENGINE "${name}" (expected: ${BRIEFING_ENGINES.join(', ')})`);
+    }
+    return name;
+}
@@ -0,0 +1,64 @@
+/**
+ * check_locales.mjs - Translation catalog completeness (src/locales/<code>.json)
+ *
+ * Compares every catalog with the English reference and lists, per locale:
+ *   missing       keys English has and the locale does not (shown in English)
+ *   extra         keys English does not have (unused, usually a typo)
+ *   placeholders  strings whose {param} set differs from English
+ *
+ * Then scans src/ for catalog reads (t.compare.open, or tc.open after
+ * `const tc = t.compare;`) that English does not define; those render as
+ * undefined in every locale. Literal text in JSX is not detected: a string
+ * written straight into a component never shows up here.
+ *
+ * Exits 1 when a catalog has missing keys or placeholder mismatches, or the
+ * source reads an undefined key.
+ *
+ * Usage: node scripts/check_locales.mjs [--locale fr]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CATALOGS, DEFAULT_LOCALE, LOCALES, catalogKeys, checkCatalog, catalogRefs, unknownRefs } from '../src/i18n.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, '../src');
+
+const ARGS = process.argv.slice(2);
+const LOCALE_IDX = ARGS.indexOf('--locale');
+const ONLY = LOCALE_IDX !== -1 ? ARGS[LOCALE_IDX + 1] : null;
+
+if (ONLY && !CATALOGS[ONLY]) {
+    console.error(`[LOCALES] Unknown locale "${ONLY}" (have: ${LOCALES.join(', ')})`);
+    process.exit(1);
+}
+
+const total = catalogKeys(CATALOGS[DEFAULT_LOCALE]).length;
+let failing = 0;
+
+for (const code of LOCALES.filter(c => c !== DEFAULT_LOCALE && (!ONLY || c === ONLY))) {
+    const { missing, extra, placeholders } = checkCatalog(CATALOGS[code]);
+    const ok = missing.length === 0 && placeholders.length === 0;
+    if (!ok) failing++;
+
+    console.log(`${ok ? '✅' : '❌'} ${code} (${CATALOGS[code].meta?.name || code}): ${total - missing.length}/${total} keys`);
+    for (const [label, keys] of [['missing', missing], ['extra', extra], ['placeholders', placeholders]]) {
+        if (keys.length > 0) console.log(`   ${label}: ${keys.join(', ')}`);
+    }
+}
+
+const sourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+    entry.isDirectory() ? sourceFiles(path.join(dir, entry.name)) : /\.jsx?$/.test(entry.name) ? [path.join(dir, entry.name)] : []
+));
+
+let unknown = 0;
+for (const file of sourceFiles(SRC_DIR)) {
+    const refs = unknownRefs(catalogRefs(fs.readFileSync(file, 'utf8')));
+    if (refs.length === 0) continue;
+    unknown += refs.length;
+    console.log(`❌ ${path.relative(path.dirname(SRC_DIR), file)}: not in ${DEFAULT_LOCALE}.json: ${refs.join(', ')}`);
+}
+if (unknown === 0) console.log(`✅ src/: every catalog key read is defined in ${DEFAULT_LOCALE}.json (literal JSX text is not checked)`);
+
+process.exit(failing === 0 && unknown === 0 ? 0 : 1);
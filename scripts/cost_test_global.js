@@ -11,20 +11,14 @@ import 'dotenv/config';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { BigQuery } from '@google-cloud/bigquery';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import Parser from 'rss-parser';
 import { aggregateToIso2, logConversionStats } from './fips_to_iso2.js';
+import { getBigQueryClient } from './sources/index.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
 
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
+const bigquery = getBigQueryClient();
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
@@ -0,0 +1,426 @@
+/**
+ * country_brief.mjs - Printable country brief (HTML / PDF) from the published JSON
+ *
+ * Renders one country on one date from the files the dashboard already reads,
+ * without network access:
+ *   public/data/{date}.json               (latest_v4.json when --date is omitted)
+ *   public/data/weekly/countries/{ISO2}.json   (history/weekly_5y/{ISO2}.json as fallback)
+ *
+ * Pages:
+ *   1. Header with the SurgeR / INDEX / raw levels, R1-R4 today vs baseline,
+ *      and the generated summary (headline, what happened, watch next 48h)
+ *   2. 52-week Signal View grid (same cell rules as the country page) and
+ *      First Lit: the first week each bundle reached Yellow / Orange / Red
+ *   3. Evidence: headlines from the country's `sources`
+ * Weeks after the brief date are left out, so a past date shows the grid as
+ * it stood then.
+ *
+ * Usage:
+ *   node scripts/country_brief.mjs --iso2 VE [--date 2026-01-10] [--format html|pdf|both]
+ *     [--weeks 52] [--out briefs] [--data public/data]
+ *     [--font path/to/font.ttf]   (PDF: embed a TTF for non-Latin text)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import { R_TYPES } from './surge_r.mjs';
+import { isoWeekKey } from './sources/acled.mjs';
+import { heatmapCell, heatmapColor, heatmapSvg } from '../src/utils/exportUtils.js';
+import { levelOf } from '../src/utils/watchlists.js';
+import { ALERT_COLORS_LIGHT } from '../src/utils/mapColors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+    dataDir: path.join(ROOT, 'public/data'),
+    outDir: path.join(ROOT, 'briefs'),
+    weeks: 52,
+    format: 'both'
+};
+
+const R_LABELS = { R1: 'Security', R2: 'Basic Living Conditions', R3: 'Governance', R4: 'Fiscal Sustainability' };
+const LIT_LEVELS = ['yellow', 'orange', 'red'];
+const MAX_SOURCES = 12;
+
+// ============ INPUTS ============
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+/**
+ * Daily output and weekly history for one country.
+ * @returns {{ date: string, country: Object, history: Object[], historyFile: string|null }}
+ */
+export function loadBriefInputs({ iso2, date, dataDir = DEFAULTS.dataDir }) {
+    const dailyFile = path.join(dataDir, date ? `${date}.json` : 'latest_v4.json');
+    if (!fs.existsSync(dailyFile)) throw new Error(`[BRIEF] No daily file for ${date || 'latest'}: ${dailyFile}`);
+    const daily = readJson(dailyFile);
+    const country = daily.countries?.[iso2];
+    if (!country) throw new Error(`[BRIEF] ${iso2} is not in ${path.basename(dailyFile)}`);
+
+    const historyFile = [
+        path.join(dataDir, 'weekly/countries', `${iso2}.json`),
+        path.join(dataDir, 'history/weekly_5y', `${iso2}.json`)
+    ].find(f => fs.existsSync(f)) || null;
+    const history = historyFile ? readJson(historyFile).history || [] : [];
+
+    return { date: date || daily.date || daily.generated_at?.split('T')[0], country, history, historyFile };
+}
+
+// ============ MODEL ============
+/**
+ * First week each bundle (and the combined Bundle row) reached each level,
+ * scanning oldest to newest with the Signal View cell rules.
+ * @returns {{ [rKey: string]: { yellow: string|null, orange: string|null, red: string|null } }}
+ */
+export function firstLit(history) {
+    const out = {};
+    for (const rKey of ['bundle', ...R_TYPES]) {
+        out[rKey] = { yellow: null, orange: null, red: null };
+        for (const h of history) {
+            const rank = LIT_LEVELS.indexOf(heatmapCell(h, rKey));
+            LIT_LEVELS.forEach((lvl, i) => {
+                if (rank >= i && !out[rKey][lvl]) out[rKey][lvl] = h.week;
+            });
+        }
+    }
+    return out;
+}
+
+const sourceEntry = (s) => (typeof s === 'string'
+    ? { title: s, url: s, sourceorg: null }
+    : { title: s?.title || s?.url || '', url: s?.url || null, sourceorg: s?.sourceorg || null });
+
+/** Everything the renderers need, as plain data */
+export function buildBrief({ iso2, date, country, history, weeks = DEFAULTS.weeks }) {
+    const endWeek = date ? isoWeekKey(date) : null;
+    const grid = [...history]
+        .sort((a, b) => a.week.localeCompare(b.week))
+        .filter(h => !endWeek || h.week <= endWeek)
+        .slice(-weeks);
+
+    const seen = new Set();
+    const sources = [...(country.sources || []), ...(country.brief?.sources || [])]
+        .map(sourceEntry)
+        .filter(s => s.title && !seen.has(s.url || s.title) && seen.add(s.url || s.title))
+        .slice(0, MAX_SOURCES);
+
+    return {
+        iso2,
+        name: country.name_en || iso2,
+        date,
+        levels: {
+            surge_r: levelOf(country, 'surge_r'),
+            index: levelOf(country, 'index'),
+            raw: levelOf(country, 'raw')
+        },
+        max_ratio_active: country.surge_r?.max_ratio_active ?? null,
+        active_types: country.surge_r?.active_types || [],
+        index_score: country.index?.score ?? null,
+        ratios: R_TYPES.map(r => {
+            const e = country.surge_r_by_type?.[r] || {};
+            return {
+                type: r,
+                label: R_LABELS[r],
+                today: e.today ?? null,
+                baseline: e.baseline_median ?? null,
+                ratio: e.ratio ?? null,
+                active: !!e.is_active
+            };
+        }),
+        summary: {
+            headline: country.brief?.headline || country.headline || null,
+            what_happened: country.brief?.what_happened || country.what_happened || country.summary_en || null,
+            watch_48h: country.brief?.watch_48h || country.watch_48h || null,
+            confidence: country.brief?.confidence || null
+        },
+        grid,
+        first_lit: firstLit(grid),
+        sources
+    };
+}
+
+// ============ HTML ============
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const fmt = (v, digits = 2) => (typeof v === 'number' && Number.isFinite(v) ? v.toFixed(digits) : '-');
+const levelText = (l) => (l ? l.toUpperCase() : 'NO DATA');
+const levelColor = (l) => (l && l !== 'green' ? ALERT_COLORS_LIGHT[l] : '#9ca3af');
+const gridSpan = (brief) => (brief.grid.length > 0 ? `${brief.grid[0].week} to ${brief.grid[brief.grid.length - 1].week}` : 'No weekly data');
+
+const badge = (label, level, extra = '') => (
+    `<div class="badge"><span class="badge-label">${esc(label)}</span>` +
+    `<span class="badge-level" style="background:${levelColor(level)}">${levelText(level)}</span>${extra ? `<span class="badge-extra">${esc(extra)}</span>` : ''}</div>`
+);
+
+export function renderHtml(brief) {
+    const title = `${brief.name} (${brief.iso2}) - Country Brief ${brief.date || ''}`.trim();
+    const ratioRows = brief.ratios.map(r => `<tr class="${r.active ? 'active' : ''}">` +
+        `<td>${r.type} ${esc(r.label)}</td><td>${r.today ?? '-'}</td><td>${fmt(r.baseline, 1)}</td><td>${fmt(r.ratio)}</td><td>${r.active ? 'Active' : 'Gated'}</td></tr>`).join('');
+    const litRows = Object.entries(brief.first_lit).map(([rKey, lit]) => `<tr><td>${rKey === 'bundle' ? 'Bundle' : rKey}</td>` +
+        LIT_LEVELS.map(l => `<td>${esc(lit[l] || '-')}</td>`).join('') + '</tr>').join('');
+    const sources = brief.sources.length > 0
+        ? `<ol class="sources">${brief.sources.map(s => `<li><div class="src-title">${esc(s.title)}</div>` +
+            `<div class="src-meta">${esc(s.sourceorg || '')}${s.url ? ` <a href="${esc(s.url)}">${esc(s.url)}</a>` : ''}</div></li>`).join('')}</ol>`
+        : '<p class="muted">No source headlines for this date.</p>';
+    const grid = brief.grid.length > 0
+        ? heatmapSvg(brief.grid, { title: `${brief.iso2} - SurgeR weekly signal`, stamp: gridSpan(brief), paperMode: true })
+        : '<p class="muted">No weekly history for this country.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>
+@page { size: A4; margin: 16mm; }
+body { font-family: Inter, Arial, sans-serif; color: #111; margin: 0; font-size: 12px; }
+.page { page-break-after: always; padding: 8px 0; }
+.page:last-child { page-break-after: auto; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 14px; border-bottom: 2px solid #111; padding-bottom: 4px; margin: 24px 0 10px; }
+.muted { color: #666; }
+.badges { display: flex; gap: 12px; margin: 16px 0; }
+.badge { border: 1px solid #ddd; padding: 8px 12px; display: flex; flex-direction: column; gap: 4px; min-width: 120px; }
+.badge-label { font-size: 10px; font-weight: 700; color: #666; }
+.badge-level { font-weight: 800; padding: 2px 6px; color: #111; align-self: flex-start; }
+.badge-extra { font-size: 10px; color: #444; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #e5e5e5; padding: 6px; text-align: left; }
+th { font-size: 10px; color: #666; }
+tr.active td { font-weight: 700; }
+.headline { font-size: 15px; font-weight: 700; margin: 0 0 8px; }
+.grid svg { max-width: 100%; height: auto; }
+.sources li { margin-bottom: 10px; }
+.src-title { font-weight: 600; }
+.src-meta { font-size: 10px; color: #666; word-break: break-all; }
+</style>
+</head>
+<body>
+<section class="page">
+<h1>${esc(brief.name)} (${esc(brief.iso2)})</h1>
+<div class="muted">Country brief for ${esc(brief.date || '-')} | World Country Risks</div>
+<div class="badges">
+${badge('SURGE R', brief.levels.surge_r, `max ratio ${fmt(brief.max_ratio_active)}${brief.active_types.length ? ` | ${brief.active_types.join('+')}` : ''}`)}
+${badge('INDEX', brief.levels.index, brief.index_score !== null ? `score ${fmt(brief.index_score, 1)}` : '')}
+${badge('RAW', brief.levels.raw)}
+</div>
+<h2>R1-R4 vs baseline</h2>
+<table>
+<thead><tr><th>Bundle</th><th>Today</th><th>Baseline (median)</th><th>Ratio</th><th>SurgeR</th></tr></thead>
+<tbody>${ratioRows}</tbody>
+</table>
+<h2>Summary</h2>
+${brief.summary.headline ? `<p class="headline">${esc(brief.summary.headline)}</p>` : ''}
+<p>${esc(brief.summary.what_happened || 'No summary for this date.')}</p>
+${brief.summary.watch_48h ? `<p><strong>Watch (48h):</strong> ${esc(brief.summary.watch_48h)}</p>` : ''}
+${brief.summary.confidence ? `<p class="muted">Confidence: ${esc(brief.summary.confidence)}</p>` : ''}
+</section>
+<section class="page">
+<h2>Signal View (${brief.grid.length} weeks)</h2>
+<div class="grid">${grid}</div>
+<h2>First Lit</h2>
+<table>
+<thead><tr><th></th><th>Yellow</th><th>Orange</th><th>Red</th></tr></thead>
+<tbody>${litRows}</tbody>
+</table>
+</section>
+<section class="page">
+<h2>Evidence</h2>
+${sources}
+</section>
+</body>
+</html>
+`;
+}
+
+// ============ PDF ============
+/**
+ * Same three pages drawn with pdfkit.
+ * @param {Object} brief - buildBrief() result
+ * @param {{ font?: string }} [opts] - TTF to embed (the built-in Helvetica is Latin-1 only)
+ * @returns {Promise<Buffer>}
+ */
+export function renderPdf(brief, { font } = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 48, info: { Title: `${brief.name} (${brief.iso2}) - Country Brief ${brief.date || ''}`.trim() } });
+        const chunks = [];
+        doc.on('data', c => chunks.push(c));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const regular = font ? 'Body' : 'Helvetica';
+        const bold = font ? 'Body' : 'Helvetica-Bold';
+        if (font) doc.registerFont('Body', font);
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+
+        const heading = (text) => {
+            doc.moveDown(1).font(bold).fontSize(13).fillColor('#111111').text(text, left);
+            doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(1.5).stroke('#111111');
+            doc.moveDown(0.6);
+        };
+        const table = (headers, rows, colWidths) => {
+            const drawRow = (cells, isHeader) => {
+                const y = doc.y;
+                let x = left;
+                cells.forEach((cell, i) => {
+                    doc.font(isHeader ? bold : regular).fontSize(isHeader ? 8 : 10).fillColor(isHeader ? '#666666' : '#111111')
+                        .text(String(cell), x, y, { width: colWidths[i] - 4 });
+                    x += colWidths[i];
+                });
+                doc.y = y + (isHeader ? 14 : 18);
+                doc.moveTo(left, doc.y - 4).lineTo(left + width, doc.y - 4).lineWidth(0.5).stroke('#e5e5e5');
+            };
+            drawRow(headers, true);
+            rows.forEach(r => drawRow(r, false));
+        };
+
+        // Page 1: levels, ratios, summary
+        doc.font(bold).fontSize(22).fillColor('#111111').text(`${brief.name} (${brief.iso2})`, left);
+        doc.font(regular).fontSize(10).fillColor('#666666').text(`Country brief for ${brief.date || '-'} | World Country Risks`);
+        const badgeY = doc.y + 14;
+        [
+            ['SURGE R', brief.levels.surge_r, `max ratio ${fmt(brief.max_ratio_active)}${brief.active_types.length ? ` | ${brief.active_types.join('+')}` : ''}`],
+            ['INDEX', brief.levels.index, brief.index_score !== null ? `score ${fmt(brief.index_score, 1)}` : ''],
+            ['RAW', brief.levels.raw, '']
+        ].forEach(([label, level, extra], i) => {
+            const x = left + i * (width / 3);
+            doc.rect(x, badgeY, width / 3 - 10, 58).lineWidth(0.5).stroke('#dddddd');
+            doc.font(bold).fontSize(8).fillColor('#666666').text(label, x + 8, badgeY + 8);
+            doc.rect(x + 8, badgeY + 20, 80, 16).fill(levelColor(level));
+            doc.font(bold).fontSize(10).fillColor('#111111').text(levelText(level), x + 12, badgeY + 24);
+            if (extra) doc.font(regular).fontSize(8).fillColor('#444444').text(extra, x + 8, badgeY + 42, { width: width / 3 - 24 });
+        });
+        doc.y = badgeY + 66;
+
+        heading('R1-R4 vs baseline');
+        table(
+            ['BUNDLE', 'TODAY', 'BASELINE (MEDIAN)', 'RATIO', 'SURGER'],
+            brief.ratios.map(r => [`${r.type} ${r.label}`, r.today ?? '-', fmt(r.baseline, 1), fmt(r.ratio), r.active ? 'Active' : 'Gated']),
+            [width * 0.4, width * 0.12, width * 0.2, width * 0.12, width * 0.16]
+        );
+
+        heading('Summary');
+        if (brief.summary.headline) doc.font(bold).fontSize(13).fillColor('#111111').text(brief.summary.headline, left, doc.y, { width }).moveDown(0.5);
+        doc.font(regular).fontSize(11).fillColor('#111111').text(brief.summary.what_happened || 'No summary for this date.', left, doc.y, { width });
+        if (brief.summary.watch_48h) doc.moveDown(0.5).font(bold).text('Watch (48h): ', { continued: true }).font(regular).text(brief.summary.watch_48h);
+        if (brief.summary.confidence) doc.moveDown(0.5).fontSize(9).fillColor('#666666').text(`Confidence: ${brief.summary.confidence}`);
+
+        // Page 2: Signal View grid, First Lit
+        doc.addPage();
+        heading(`Signal View (${brief.grid.length} weeks)`);
+        if (brief.grid.length === 0) {
+            doc.font(regular).fontSize(10).fillColor('#666666').text('No weekly history for this country.');
+        } else {
+            const labelW = 50;
+            const cellW = Math.min(12, (width - labelW) / brief.grid.length);
+            const cellH = 18;
+            const top = doc.y;
+            ['bundle', ...R_TYPES].forEach((rKey, ri) => {
+                const y = top + ri * (cellH + 2);
+                doc.font(bold).fontSize(9).fillColor('#111111').text(rKey === 'bundle' ? 'Bundle' : rKey, left, y + 5, { width: labelW - 6 });
+                brief.grid.forEach((h, i) => {
+                    doc.rect(left + labelW + i * cellW, y, Math.max(0.5, cellW - 0.8), cellH).fill(heatmapColor(heatmapCell(h, rKey), true));
+                });
+            });
+            const axisY = top + 5 * (cellH + 2) + 4;
+            const labelEvery = Math.ceil(60 / cellW);
+            brief.grid.forEach((h, i) => {
+                if (i % labelEvery === 0) doc.font(regular).fontSize(7).fillColor('#666666').text(h.week, left + labelW + i * cellW, axisY, { lineBreak: false });
+            });
+            const legendY = axisY + 16;
+            [['Red', 'red'], ['Orange', 'orange'], ['Yellow', 'yellow'], ['None', 'none'], ['Gated', 'gated'], ['No data', 'nodata']].forEach(([label, cls], i) => {
+                const x = left + i * 70;
+                doc.rect(x, legendY, 9, 9).fill(heatmapColor(cls, true));
+                doc.font(regular).fontSize(8).fillColor('#111111').text(label, x + 13, legendY + 1, { lineBreak: false });
+            });
+            doc.y = legendY + 16;
+            doc.x = left;
+        }
+
+        heading('First Lit');
+        table(
+            ['', 'YELLOW', 'ORANGE', 'RED'],
+            Object.entries(brief.first_lit).map(([rKey, lit]) => [rKey === 'bundle' ? 'Bundle' : rKey, ...LIT_LEVELS.map(l => lit[l] || '-')]),
+            [width * 0.25, width * 0.25, width * 0.25, width * 0.25]
+        );
+
+        // Page 3: evidence
+        doc.addPage();
+        heading('Evidence');
+        if (brief.sources.length === 0) {
+            doc.font(regular).fontSize(10).fillColor('#666666').text('No source headlines for this date.');
+        }
+        brief.sources.forEach((s, i) => {
+            doc.font(bold).fontSize(10).fillColor('#111111').text(`${i + 1}. ${s.title}`, left, doc.y, { width });
+            const meta = [s.sourceorg, s.url].filter(Boolean).join('  ');
+            if (meta) doc.font(regular).fontSize(8).fillColor('#666666').text(meta, left + 12, doc.y, { width: width - 12, link: s.url || null });
+            doc.moveDown(0.6);
+        });
+
+        doc.end();
+    });
+}
+
+// ============ WRITE ============
+/**
+ * Loads, builds and writes the brief.
+ * @returns {Promise<string[]>} written files
+ */
+export async function writeCountryBrief({ iso2, date, format = DEFAULTS.format, weeks = DEFAULTS.weeks, dataDir = DEFAULTS.dataDir, outDir = DEFAULTS.outDir, font }) {
+    if (!['html', 'pdf', 'both'].includes(format)) throw new Error(`[BRIEF] Unknown --format "${format}" (html, pdf or both)`);
+    const inputs = loadBriefInputs({ iso2, date, dataDir });
+    if (!inputs.historyFile) console.warn(`[BRIEF] No weekly history for ${iso2}; the Signal View page will be empty`);
+    const brief = buildBrief({ iso2, date: inputs.date, country: inputs.country, history: inputs.history, weeks });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const base = path.join(outDir, `${iso2}_${inputs.date || 'latest'}`);
+    const written = [];
+    if (format !== 'pdf') {
+        fs.writeFileSync(`${base}.html`, renderHtml(brief));
+        written.push(`${base}.html`);
+    }
+    if (format !== 'html') {
+        fs.writeFileSync(`${base}.pdf`, await renderPdf(brief, { font }));
+        written.push(`${base}.pdf`);
+    }
+    console.log(`[BRIEF] ${iso2} ${inputs.date}: ${brief.grid.length} weeks, ${brief.sources.length} sources -> ${written.join(', ')}`);
+    return written;
+}
+
+// ============ CLI ============
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--')) {
+            const key = a.slice(2);
+            const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+            out[key] = val;
+        }
+    }
+    return out;
+}
+
+async function main() {
+    const args = parseArgs(process.argv);
+    const iso2 = typeof args.iso2 === 'string' ? args.iso2.toUpperCase() : null;
+    if (!iso2) throw new Error('Usage: node scripts/country_brief.mjs --iso2 VE [--date YYYY-MM-DD] [--format html|pdf|both]');
+    await writeCountryBrief({
+        iso2,
+        date: typeof args.date === 'string' ? args.date : undefined,
+        format: args.format || DEFAULTS.format,
+        weeks: Number(args.weeks) || DEFAULTS.weeks,
+        dataDir: args.data ? path.resolve(args.data) : DEFAULTS.dataDir,
+        outDir: args.out ? path.resolve(args.out) : DEFAULTS.outDir,
+        font: args.font ? path.resolve(args.font) : undefined
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(e => {
+        console.error(e.message);
+        process.exit(1);
+    });
+}
@@ -1,14 +1,7 @@
 import 'dotenv/config';
-import { BigQuery } from '@google-cloud/bigquery';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getBigQueryClient } from './sources/index.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
-const bigquery = new BigQuery({
-    projectId: process.env.BQ_PROJECT_ID || 'countryrisks-prod',
-    keyFilename: keyPath
-});
+const bigquery = getBigQueryClient();
 
 async function dryRun(query, label) {
     try {
@@ -1,8 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resolveCountryConfig } from '../scoring_overrides.mjs';
+import { computeSurgeR, R_TYPES } from '../surge_r.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCORING_PATH = path.resolve(__dirname, '../../config/scoring.json');
+
+/**
+ * Gate decision of one stored week under the current engine and config
+ * (counts and baselines from the file, as in refresh_weekly_gating.mjs).
+ * Stored reasons may predate the shared engine, so they are only compared.
+ */
+function engineWeek(h, config) {
+    const counts = {};
+    const baselineMedians = {};
+    R_TYPES.forEach(r => {
+        const sr = h.weekly_surge_r_by_type?.[r];
+        counts[r] = sr?.today7 || 0;
+        baselineMedians[r] = (sr?.baseline7 || 0) / 7;
+    });
+    return computeSurgeR(counts, baselineMedians, h.event_count || 0, config, { window: 'weekly' });
+}
 
 async function main() {
     const args = process.argv.slice(2);
@@ -25,12 +44,14 @@ async function main() {
 
     const combinedHistory = historyData ? historyData.history : (weeklyData ? weeklyData.history : []);
     const recentHistory = combinedHistory.slice(Math.max(0, combinedHistory.length - weeksLimit));
+    const { config } = resolveCountryConfig(JSON.parse(fs.readFileSync(SCORING_PATH, 'utf-8')), iso2);
 
     const stats = {
         total_weeks: recentHistory.length,
         reasons: {}, // reason -> count
         r_type_reasons: { R1: {}, R2: {}, R3: {}, R4: {} },
         raw_highlights: [], // weeks where raw_level > None but gated
+        stale: 0, // stored reason differs from the engine's
         volume: { min: Infinity, max: 0, sum: 0, count: 0 }
     };
 
@@ -41,16 +62,18 @@ async function main() {
         stats.volume.sum += evCount;
         stats.volume.count++;
 
-        let weekHasGatedColor = false;
+        const surge = engineWeek(h, config);
 
-        ['R1', 'R2', 'R3', 'R4'].forEach(r => {
+        R_TYPES.forEach(r => {
             const sr = h.weekly_surge_r_by_type?.[r];
             if (!sr) return;
 
-            const reason = sr.is_active ? 'active' : (sr.reason || 'unknown');
-            const isActive = sr.is_active;
-            const ratio7 = sr.ratio7 || 0;
-            const rawLevel = h.levels?.[r] || 'None';
+            const e = surge.by_type[r];
+            const reason = e.reason;
+            const isActive = e.is_active;
+            const ratio7 = e.ratio;
+            const rawLevel = e.intensity;
+            if ((sr.reason || 'unknown') !== reason) stats.stale++;
 
             stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
             stats.r_type_reasons[r][reason] = (stats.r_type_reasons[r][reason] || 0) + 1;
@@ -74,13 +97,14 @@ async function main() {
     console.log(`Avg Weekly Event Count: ${stats.volume.avg.toFixed(1)}`);
     console.log(`Min: ${stats.volume.min}, Max: ${stats.volume.max}`);
 
-    console.log(`\n--- GATING REASONS (OVERALL) ---`);
+    console.log(`\n--- GATING REASONS (OVERALL, CURRENT ENGINE) ---`);
+    if (stats.stale > 0) console.log(`(${stats.stale} stored reasons differ from the current engine)`);
     Object.entries(stats.reasons).sort((a, b) => b[1] - a[1]).forEach(([k, v]) => {
         console.log(`${k}: ${v}`);
     });
 
     console.log(`\n--- GATING REASONS (BY R-TYPE) ---`);
-    ['R1', 'R2', 'R3', 'R4'].forEach(r => {
+    R_TYPES.forEach(r => {
         const rStats = Object.entries(stats.r_type_reasons[r]).map(([k, v]) => `${k}:${v}`).join(', ');
         console.log(`${r}: ${rStats}`);
     });
@@ -1,7 +1,6 @@
 import fs from "fs";
 import path from "path";
-import { BigQuery } from "@google-cloud/bigquery";
-import { buildRCondition } from "./gdelt_bigquery.js";
+import { buildRCondition, getBigQueryClient } from "./sources/index.mjs";
 
 function parseArgs(argv) {
     const out = {};
@@ -53,13 +52,7 @@ async function main() {
         .replace(/\${R3_CONDITION}/g, buildRCondition(rDefs.R3))
         .replace(/\${R4_CONDITION}/g, buildRCondition(rDefs.R4));
 
-    const keyPath = path.join(process.cwd(), 'credentials', 'gcp-service-account.json');
-    const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-    const bigquery = new BigQuery({
-        projectId: BQ_PROJECT_ID,
-        keyFilename: keyPath
-    });
+    const bigquery = getBigQueryClient();
 
     const options = {
         query,
@@ -18,21 +18,13 @@ import 'dotenv/config';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { BigQuery } from '@google-cloud/bigquery';
 import { aggregateToIso2 } from './fips_to_iso2.js';
-import { scoreAllCountries, addDailySnapshot, config as scoringConfig } from './scoring.mjs';
+import { fetchSnapshotAggregates } from './sources/index.mjs';
+import { createScorer, loadScoringConfig } from './scoring.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
 const OUTPUT_DIR = path.resolve(__dirname, '../public/data/eval');
 
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
-
 // ============ CONFIG ============
 const ANCHORS = {
     IR: { code: 'IR', date: '2025-12-28', name: 'Iran' },
@@ -87,39 +79,10 @@ async function fetchEventsForDateRange(startDate, endDate) {
     const startInt = dateToInt(startDate);
     const endInt = dateToInt(addDays(endDate, 1)); // Inclusive
 
-    const query = `
-        SELECT 
-            ActionGeo_CountryCode AS iso2,
-            COUNT(*) AS event_count,
-            AVG(AvgTone) AS avg_tone,
-            COUNTIF(EventRootCode IN ('18','19','20')) AS r1_security,
-            COUNTIF(EventRootCode = '14') AS r3_governance
-        FROM \`gdelt-bq.gdeltv2.events\`
-        WHERE DATEADDED >= ${startInt} AND DATEADDED < ${endInt}
-        AND ActionGeo_CountryCode IS NOT NULL
-        GROUP BY iso2
-        HAVING event_count > 5
-        ORDER BY event_count DESC
-    `;
-
-    const [job] = await bigquery.createQueryJob({ query, location: 'US' });
-    const [rows] = await job.getQueryResults();
-
-    const [metadata] = await job.getMetadata();
-    const bytes = parseInt(metadata.statistics?.totalBytesProcessed || 0);
-    const cost = bytes / (1024 ** 4) * 5;
-    totalCost.events += cost;
-
-    const rawData = {};
-    rows.forEach(row => {
-        if (row.iso2 && row.iso2.length === 2) {
-            rawData[row.iso2] = {
-                event_count: row.event_count,
-                avg_tone: row.avg_tone,
-                r1_security: row.r1_security,
-                r3_governance: row.r3_governance
-            };
-        }
+    const rawData = await fetchSnapshotAggregates({
+        startInt,
+        endInt: endInt - 1,
+        onCost: (cost) => { totalCost.events += cost; }
     });
 
     const { data } = aggregateToIso2(rawData);
@@ -129,9 +92,9 @@ async function fetchEventsForDateRange(startDate, endDate) {
 // ============ CORE: CONTINUOUS DAILY SERIES ============
 /**
  * Generates a continuous series of daily scoring results.
- * Handles warmup automatically.
+ * Handles warmup automatically. scorer: a fresh createScorer() instance (it accumulates the history).
  */
-async function generateDailySeries(start, end) {
+async function generateDailySeries(start, end, scorer) {
     console.log(`\nGenerating Daily Series: ${start} to ${end}`);
     const results = [];
 
@@ -145,11 +108,11 @@ async function generateDailySeries(start, end) {
         if (currentDate === start) console.log(`  > Starting Target Period (${start})...`);
 
         const { data } = await fetchEventsForDateRange(currentDate, currentDate); // Daily fetch
-        addDailySnapshot(currentDate, data);
+        scorer.addSnapshot(currentDate, data);
 
         // Only store results if within target range
         if (currentDate >= start) {
-            const scoreResult = scoreAllCountries(data);
+            const scoreResult = scorer.score(data);
             results.push({
                 date: currentDate,
                 scores: scoreResult,
@@ -290,7 +253,7 @@ async function main() {
     const end = '2026-01-31'; // Future dates ok? GDELT allows.
 
     // 2. Continuous Daily Series
-    const dailySeries = await generateDailySeries(start, end);
+    const dailySeries = await generateDailySeries(start, end, createScorer({ config: loadScoringConfig() }));
 
     // 3. Generate Weekly Reports (Aggregation)
     console.log('\nAggregating Weekly Results...');
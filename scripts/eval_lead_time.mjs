@@ -0,0 +1,255 @@
+/**
+ * eval_lead_time.mjs - Early-warning lead time against a ground-truth catalogue
+ *
+ * Reads the weekly 5y history (public/data/history/weekly_5y/{ISO2}.json) and the
+ * curated events in config/ground_truth_events.json, and reports per bundle
+ * (R1-R4 and "any"):
+ *   hit rate         events with the bundle lit in the lookback window (event week - N .. end week)
+ *   lead time        weeks between the first lit week in that window and the event week
+ *   false alarm rate lit onsets (unlit -> lit) with no event in the next N weeks
+ *                    and not in the aftermath (end + grace weeks) of an event
+ * "Lit" is the gated signal (weekly_surge_r_by_type[R].is_active); --mode intensity
+ * uses the ungated levels (Yellow or above) instead.
+ *
+ * Only countries in the catalogue are scored for false alarms unless --all-countries.
+ *
+ * Usage:
+ *   node scripts/eval_lead_time.mjs [--events config/ground_truth_events.json]
+ *     [--weekly-dir public/data/history/weekly_5y] [--lookback 8] [--grace 4]
+ *     [--mode gated|intensity] [--all-countries] [--out public/data/eval/lead_time.json]
+ *     [--min-hit-rate 0.5]   (exit 1 if the "any" hit rate falls below)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { R_TYPES } from './surge_r.mjs';
+import { isoWeekKey } from './sources/acled.mjs';
+import { loadWeeklyHistory } from './sweep.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULTS = {
+    events: path.resolve(__dirname, '../config/ground_truth_events.json'),
+    weeklyDir: path.resolve(__dirname, '../public/data/history/weekly_5y'),
+    out: path.resolve(__dirname, '../public/data/eval/lead_time.json')
+};
+const BUNDLES = [...R_TYPES, 'any'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============ CATALOGUE ============
+/**
+ * Check a ground-truth catalogue.
+ * @returns {string[]} errors (empty if valid)
+ */
+export function validateGroundTruth(catalogue) {
+    const errors = [];
+    const types = Object.keys(catalogue?.event_types || {});
+    if (!Array.isArray(catalogue?.events)) return ['"events" must be an array'];
+    if (types.length === 0) errors.push('"event_types" must list at least one type');
+
+    const seen = new Set();
+    catalogue.events.forEach((ev, i) => {
+        const at = `events[${i}]`;
+        if (!/^[A-Z]{2}$/.test(ev.iso2 || '')) errors.push(`${at}: iso2 "${ev.iso2}" is not an ISO2 code`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(ev.date || '') || isNaN(Date.parse(ev.date))) errors.push(`${at}: date "${ev.date}" is not YYYY-MM-DD`);
+        if (ev.end !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(ev.end) || ev.end < ev.date)) errors.push(`${at}: end "${ev.end}" must be YYYY-MM-DD on or after date`);
+        if (types.length > 0 && !types.includes(ev.type)) errors.push(`${at}: unknown type "${ev.type}" (expected ${types.join('/')})`);
+        const key = `${ev.iso2}|${ev.date}|${ev.type}`;
+        if (seen.has(key)) errors.push(`${at}: duplicate of an earlier ${ev.iso2} ${ev.type} on ${ev.date}`);
+        seen.add(key);
+    });
+    return errors;
+}
+
+export function loadGroundTruth(file = DEFAULTS.events) {
+    const catalogue = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = validateGroundTruth(catalogue);
+    if (errors.length > 0) {
+        throw new Error(`[GROUND-TRUTH] ${path.basename(file)} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    return catalogue;
+}
+
+// ============ HELPERS ============
+/** ISO week key of dateStr shifted by whole weeks */
+function shiftWeek(dateStr, weeks) {
+    return isoWeekKey(new Date(Date.parse(`${dateStr}T00:00:00Z`) + weeks * 7 * DAY_MS).toISOString().split('T')[0]);
+}
+
+function median(arr) {
+    if (arr.length === 0) return null;
+    const sorted = [...arr].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const rate = (n, d) => (d > 0 ? parseFloat((n / d).toFixed(3)) : null);
+
+/** ISO2 -> week -> { R1..R4, any } lit flags */
+function litWeeks(weeklyHistory, mode) {
+    const out = {};
+    for (const [iso2, entries] of Object.entries(weeklyHistory)) {
+        out[iso2] = {};
+        for (const h of entries) {
+            const flags = {};
+            R_TYPES.forEach(r => {
+                flags[r] = mode === 'intensity'
+                    ? ['Yellow', 'Orange', 'Red'].includes(h.levels?.[r])
+                    : !!h.weekly_surge_r_by_type?.[r]?.is_active;
+            });
+            flags.any = R_TYPES.some(r => flags[r]);
+            out[iso2][h.week] = flags;
+        }
+    }
+    return out;
+}
+
+// ============ EVALUATION ============
+/**
+ * @param {Object} weeklyHistory - ISO2 -> [weekly 5y history entries]
+ * @param {Object[]} events - catalogue events
+ * @param {Object} [options] - { lookbackWeeks, graceWeeks, mode, allCountries }
+ */
+export function evaluateLeadTime(weeklyHistory, events, { lookbackWeeks = 8, graceWeeks = 4, mode = 'gated', allCountries = false } = {}) {
+    const lit = litWeeks(weeklyHistory, mode);
+    const stats = Object.fromEntries(BUNDLES.map(b => [b, { events: 0, hits: 0, leads: [], onsets: 0, false_alarms: 0 }]));
+    const byType = {};
+    const explained = {}; // ISO2 -> Set of weeks where an onset is attributed to an event
+    const eventRows = [];
+
+    for (const ev of events) {
+        const eventWeek = isoWeekKey(ev.date);
+        const endWeek = isoWeekKey(ev.end || ev.date);
+        const weeks = lit[ev.iso2];
+
+        // Lookback window, oldest first: lead = weeks before the event week
+        const window = [];
+        for (let k = lookbackWeeks; k >= 1; k--) window.push({ week: shiftWeek(ev.date, -k), lead: k });
+        for (let k = 0; shiftWeek(ev.date, k) <= endWeek; k++) window.push({ week: shiftWeek(ev.date, k), lead: 0 });
+
+        if (!explained[ev.iso2]) explained[ev.iso2] = new Set();
+        window.forEach(w => explained[ev.iso2].add(w.week));
+        for (let k = 1; k <= graceWeeks; k++) explained[ev.iso2].add(shiftWeek(ev.end || ev.date, k));
+
+        const evaluable = !!weeks?.[eventWeek];
+        const row = { iso2: ev.iso2, date: ev.date, type: ev.type, week: eventWeek, evaluable, lead_weeks: {} };
+        if (evaluable) {
+            if (!byType[ev.type]) byType[ev.type] = { events: 0, hits: 0, leads: [] };
+            byType[ev.type].events++;
+            for (const b of BUNDLES) {
+                const first = window.find(w => weeks[w.week]?.[b]);
+                stats[b].events++;
+                row.lead_weeks[b] = first ? first.lead : null;
+                if (first) {
+                    stats[b].hits++;
+                    stats[b].leads.push(first.lead);
+                }
+            }
+            if (row.lead_weeks.any !== null) {
+                byType[ev.type].hits++;
+                byType[ev.type].leads.push(row.lead_weeks.any);
+            }
+        }
+        eventRows.push(row);
+    }
+
+    // False alarms: onsets not explained by any event
+    const scored = allCountries ? Object.keys(lit) : [...new Set(events.map(e => e.iso2))].filter(c => lit[c]);
+    for (const iso2 of scored) {
+        const weekKeys = Object.keys(lit[iso2]).sort();
+        for (const b of BUNDLES) {
+            weekKeys.forEach((w, i) => {
+                const onset = lit[iso2][w][b] && !(i > 0 && lit[iso2][weekKeys[i - 1]][b]);
+                if (!onset) return;
+                stats[b].onsets++;
+                if (!explained[iso2]?.has(w)) stats[b].false_alarms++;
+            });
+        }
+    }
+
+    const bundles = {};
+    for (const b of BUNDLES) {
+        const s = stats[b];
+        bundles[b] = {
+            events: s.events,
+            hits: s.hits,
+            hit_rate: rate(s.hits, s.events),
+            median_lead_weeks: median(s.leads),
+            onsets: s.onsets,
+            false_alarms: s.false_alarms,
+            false_alarm_rate: rate(s.false_alarms, s.onsets)
+        };
+    }
+
+    return {
+        options: { lookback_weeks: lookbackWeeks, grace_weeks: graceWeeks, mode, all_countries: allCountries },
+        events_total: events.length,
+        events_evaluable: eventRows.filter(r => r.evaluable).length,
+        countries_scored: scored.length,
+        bundles,
+        by_type: Object.fromEntries(Object.entries(byType).map(([t, s]) => [t, {
+            events: s.events, hit_rate: rate(s.hits, s.events), median_lead_weeks: median(s.leads)
+        }])),
+        events: eventRows
+    };
+}
+
+// ============ CLI ============
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--')) {
+            const key = a.slice(2);
+            const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+            out[key] = val;
+        }
+    }
+    return out;
+}
+
+function main() {
+    const args = parseArgs(process.argv);
+    const eventsFile = path.resolve(args.events || DEFAULTS.events);
+    const catalogue = loadGroundTruth(eventsFile);
+    const weeklyHistory = loadWeeklyHistory(path.resolve(args['weekly-dir'] || DEFAULTS.weeklyDir));
+    if (Object.keys(weeklyHistory).length === 0) {
+        console.error('[LEAD-TIME] No weekly 5y history found. Run generate_world_5y_history.mjs or pass --weekly-dir.');
+        process.exit(1);
+    }
+
+    const report = evaluateLeadTime(weeklyHistory, catalogue.events, {
+        lookbackWeeks: parseInt(args.lookback || '8', 10),
+        graceWeeks: parseInt(args.grace || '4', 10),
+        mode: args.mode === 'intensity' ? 'intensity' : 'gated',
+        allCountries: !!args['all-countries']
+    });
+    const out = { generated_at: new Date().toISOString(), catalogue: path.basename(eventsFile), ...report };
+
+    const outPath = path.resolve(args.out || DEFAULTS.out);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(out, null, 2));
+
+    console.log(`[LEAD-TIME] ${report.events_evaluable}/${report.events_total} events evaluable, ${report.countries_scored} countries scored (${report.options.mode}, lookback ${report.options.lookback_weeks}w)`);
+    console.log('  Bundle  Hit rate        Median lead  False alarms');
+    for (const b of BUNDLES) {
+        const s = report.bundles[b];
+        const hit = s.hit_rate === null ? '-' : `${(s.hit_rate * 100).toFixed(0)}% (${s.hits}/${s.events})`;
+        const fa = s.false_alarm_rate === null ? '-' : `${(s.false_alarm_rate * 100).toFixed(0)}% (${s.false_alarms}/${s.onsets})`;
+        console.log(`  ${b.padEnd(6)}  ${hit.padEnd(14)}  ${String(s.median_lead_weeks ?? '-').padEnd(11)}  ${fa}`);
+    }
+    console.log(`[LEAD-TIME] Wrote ${outPath}`);
+
+    if (args['min-hit-rate'] !== undefined) {
+        const min = parseFloat(args['min-hit-rate']);
+        if ((report.bundles.any.hit_rate ?? 0) < min) {
+            console.error(`[LEAD-TIME] FAILED: hit rate ${report.bundles.any.hit_rate} < ${min}`);
+            process.exit(1);
+        }
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
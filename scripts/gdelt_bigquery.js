@@ -1,54 +1,8 @@
-import { BigQuery } from '@google-cloud/bigquery';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 import { fipsToIso2, iso2ToFips } from './fips_to_iso2.js';
+import { getEventSource, getBigQueryClient, buildRCondition, rDefs, toDateAddedInt } from './sources/index.mjs';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
-
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
-
-// ============ R DEFINITIONS (External Config) ============
-const rDefsPath = path.resolve(__dirname, '../config/r_definitions.json');
-let rDefs;
-try {
-    rDefs = JSON.parse(fs.readFileSync(rDefsPath, 'utf-8'));
-    console.log(`[R-DEFS] Loaded ${rDefsPath} (version: ${rDefs.version})`);
-} catch (err) {
-    throw new Error(`[R-DEFS] FATAL: Could not load ${rDefsPath}: ${err.message}`);
-}
-
-/**
- * Generate COUNTIF SQL condition from R definition
- * @param {Object} def - { rootCodes: [], eventCodes: [], eventCodePrefixes: [] }
- * @returns {string} - SQL condition for COUNTIF
- */
-export function buildRCondition(def) {
-    const parts = [];
-    if (def.rootCodes && def.rootCodes.length > 0) {
-        const quoted = def.rootCodes.map(c => `'${c}'`).join(', ');
-        parts.push(`EventRootCode IN (${quoted})`);
-    }
-    if (def.eventCodes && def.eventCodes.length > 0) {
-        const quoted = def.eventCodes.map(c => `'${c}'`).join(', ');
-        parts.push(`EventCode IN (${quoted})`);
-    }
-    // Support for eventCodePrefixes with CAST for type safety
-    if (def.eventCodePrefixes && def.eventCodePrefixes.length > 0) {
-        const prefixConditions = def.eventCodePrefixes.map(p => `STARTS_WITH(CAST(EventCode AS STRING), '${p}')`);
-        parts.push(`(${prefixConditions.join(' OR ')})`);
-    }
-    if (parts.length === 0) {
-        return 'FALSE'; // No conditions → no matches
-    }
-    return parts.join(' OR ');
-}
+// R definitions and the SQL condition builder live in sources/r_definitions.mjs
+export { buildRCondition };
 
 export async function fetchGkgThemeCounts() {
     // R2/R4 Signal Extraction via GKG Themes
@@ -97,7 +51,7 @@ export async function fetchGkgThemeCounts() {
 
     try {
         console.log("Executing GKG Theme Query (R2/R4)...");
-        const [job] = await bigquery.createQueryJob(options);
+        const [job] = await getBigQueryClient().createQueryJob(options);
         console.log(`Job ${job.id} started.`);
         const [rows] = await job.getQueryResults();
 
@@ -130,105 +84,27 @@ export async function fetchHotCountries() {
     // Generate YYYYMMDDHHMMSS for 48h ago relative to TARGET_DATE
     const date = process.env.TARGET_DATE ? new Date(process.env.TARGET_DATE) : new Date();
     date.setHours(date.getHours() - 48);
-    const dateInt = parseInt(date.toISOString().replace(/[-:T.]/g, '').slice(0, 14));
 
     const dateEnd = new Date(date);
     dateEnd.setHours(dateEnd.getHours() + 48); // Bound to 48h window from start
-    const dateEndInt = parseInt(dateEnd.toISOString().replace(/[-:T.]/g, '').slice(0, 14));
 
-    // SQLDATE (YYYYMMDD) for Partition Pruning (Fallback)
+    // SQLDATE (YYYYMMDD) bounds as extra safety
     const dateSql = parseInt(date.toISOString().slice(0, 10).replace(/-/g, ''));
     const dateEndSql = parseInt(dateEnd.toISOString().slice(0, 10).replace(/-/g, ''));
 
-    // PARTITION DATE (YYYY-MM-DD) for Main Pruning
-    // We scan [StartDate - 1 day] to [EndDate + 1 day] to be safe
-    const pStart = new Date(date);
-    pStart.setDate(pStart.getDate() - 1);
-    const pEnd = new Date(dateEnd);
-    pEnd.setDate(pEnd.getDate() + 1);
-    const pStartStr = pStart.toISOString().split('T')[0];
-    const pEndStr = pEnd.toISOString().split('T')[0];
-
-    const query = `
-        SELECT 
-            ActionGeo_CountryCode AS iso2,
-            COUNT(*) AS event_count,
-            AVG(AvgTone) AS avg_tone,
-            COUNTIF(${buildRCondition(rDefs.R1)}) AS r1_security,
-            COUNTIF(${buildRCondition(rDefs.R3)}) AS r3_governance,
-            COUNTIF(${buildRCondition(rDefs.R2)}) AS r2_living,
-            COUNTIF(${buildRCondition(rDefs.R4)}) AS r4_fiscal,
-            -- Domestic Event Count: events where Actor1Geo or Actor2Geo matches ActionGeo
-            -- Using ActorGeo (location-based) instead of ActorCountryCode (affiliation-based)
-            COUNTIF(
-                (Actor1Geo_CountryCode IS NOT NULL AND Actor1Geo_CountryCode = ActionGeo_CountryCode) OR
-                (Actor2Geo_CountryCode IS NOT NULL AND Actor2Geo_CountryCode = ActionGeo_CountryCode)
-            ) AS domestic_event_count,
-            -- Denominator: events where at least one ActorGeo is known
-            COUNTIF(Actor1Geo_CountryCode IS NOT NULL OR Actor2Geo_CountryCode IS NOT NULL) AS denom_actor_geo,
-            -- Domestic Ratio: fallback to 1.0 if denom < 50 (insufficient data)
-            IF(
-                COUNTIF(Actor1Geo_CountryCode IS NOT NULL OR Actor2Geo_CountryCode IS NOT NULL) >= 50,
-                SAFE_DIVIDE(
-                    COUNTIF(
-                        (Actor1Geo_CountryCode IS NOT NULL AND Actor1Geo_CountryCode = ActionGeo_CountryCode) OR
-                        (Actor2Geo_CountryCode IS NOT NULL AND Actor2Geo_CountryCode = ActionGeo_CountryCode)
-                    ),
-                    COUNTIF(Actor1Geo_CountryCode IS NOT NULL OR Actor2Geo_CountryCode IS NOT NULL)
-                ),
-                1.0
-            ) AS domestic_ratio
-        FROM \`gdelt-bq.gdeltv2.events_partitioned\`
-        WHERE _PARTITIONDATE BETWEEN '${pStartStr}' AND '${pEndStr}'
-        AND DATEADDED BETWEEN ${dateInt} AND ${dateEndInt}
-        AND SQLDATE BETWEEN ${dateSql} AND ${dateEndSql} -- Extra safety
-        AND ActionGeo_CountryCode IS NOT NULL
-        -- [P0] SPORTS EXCLUSION (Common Filter) - Strict Path Boundary
-        -- [P0] SPORTS EXCLUSION (Common Filter) - Strict Path/Subdomain Boundary
-        AND NOT REGEXP_CONTAINS(LOWER(SOURCEURL), r'(\/|\.|^)(sport|sports|football|soccer|nba|nfl|mlb|nhl|f1|ufc)(\/|\.|$)')
-        AND NOT REGEXP_CONTAINS(LOWER(SOURCEURL), r'espn\.|goal\.com|bleacherreport\.|skysports\.|marca\.com|sports\.yahoo\.')
-        GROUP BY iso2
-        HAVING event_count > 10
-        ORDER BY event_count DESC
-    `;
-
-    const options = {
-        query: query,
-        location: 'US',
-    };
-
     try {
-        console.log("Executing GDELT Events Query (R1-R4) [Strict Filter]...");
-        const [job] = await bigquery.createQueryJob(options);
-        console.log(`Job ${job.id} started.`);
-        const [rows] = await job.getQueryResults();
-
-        // COST VISIBILITY
-        const [metadata] = await job.getMetadata();
-        const bytesProcessed = parseInt(metadata.statistics?.totalBytesProcessed || 0);
-        const gbProcessed = (bytesProcessed / (1024 ** 3)).toFixed(4);
-        const estimatedCostUsd = (bytesProcessed / (1024 ** 4) * 5).toFixed(6);
-        console.log(`[COST] Events Query: ${gbProcessed} GB scanned, ~$${estimatedCostUsd} USD`);
-
-        const summary = {};
-        rows.forEach(row => {
-            if (row.iso2 && row.iso2.length === 2) {
-                summary[row.iso2] = {
-                    event_count: row.event_count,
-                    avg_tone: row.avg_tone,
-                    r1_security: row.r1_security,
-                    r2_living_count: row.r2_living,
-                    r3_governance: row.r3_governance,
-                    r4_fiscal_count: row.r4_fiscal,
-                    domestic_event_count: row.domestic_event_count,
-                    denom_actor_geo: row.denom_actor_geo,
-                    domestic_ratio: row.domestic_ratio
-                };
-            }
+        const source = getEventSource();
+        console.log(`Executing GDELT Events Query (R1-R4) [Strict Filter] via ${source.name}...`);
+        return await source.fetchCountryAggregates({
+            startInt: toDateAddedInt(date),
+            endInt: toDateAddedInt(dateEnd),
+            sqlDateStart: dateSql,
+            sqlDateEnd: dateEndSql,
+            minEvents: 10,
+            excludeSports: true
         });
-        return summary;
     } catch (err) {
-        console.error("BigQuery GDELT Fetch Error:", err);
+        console.error("GDELT Events Fetch Error:", err);
         return {};
     }
 }
@@ -314,7 +190,7 @@ export async function fetchEventUrls(isoCodes) {
 
     try {
         console.log(`[GDELT-KEY-EVENTS] Fetching Top Risk URLs for ${isoCodes.length} countries (Input ISOs)...`);
-        const [job] = await bigquery.createQueryJob(options);
+        const [job] = await getBigQueryClient().createQueryJob(options);
         const [rows] = await job.getQueryResults();
 
         const [metadata] = await job.getMetadata();
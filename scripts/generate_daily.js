@@ -3,23 +3,39 @@ import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import scoring, { scoreAllCountries, logScoringResult, addDailySnapshot, getHistoricalData, config as scoringConfig } from './scoring.mjs';
+import { createScorer, loadScoringConfig } from './scoring.mjs';
 import { aggregateToIso2, logConversionStats, loadCountryNameMap } from './fips_to_iso2.js';
 import { fetchHotCountries, fetchGkgThemeCounts, fetchEventUrls } from './gdelt_bigquery.js';
 import { fetchGkgTitles } from './gkg_titles.js';
 import { fetchGoogleTrends, classifyTrendsGemini } from './googletrends.mjs';
 import { fetchPolymarketTop10 as fetchPolymarketEvents, mapPolymarketToCountry } from './polymarket.mjs';
+import { loadReplayFixture, createFixtureRecorder } from './replay_fixture.mjs';
+import { loadAcledR1 } from './sources/acled.mjs';
+import { getLlm } from './llm/index.mjs';
+import { ledgerFile } from './llm/ledger.mjs';
+import { generateStructured } from './llm/structured.mjs';
+import { BRIEFING_SCHEMA, ANALYSIS_SCHEMA, createCountryMatcher, checkBriefing, checkAnalysis } from './briefing_checks.mjs';
+import { buildTemplateBriefing, briefingEngine, watchHint, BRIEFING_LANGS } from './briefing_templates.mjs';
+import { translations, countryName, countryNames } from '../src/i18n.js';
+import { resolveCountryConfig } from './scoring_overrides.mjs';
+import { computeSurgeR, toDailyTypeEntry, smoothedRatio, R_TYPES } from './surge_r.mjs';
+import { levelSnapshot, diffLevels, buildTransitionFeed, findPreviousDaily, appendTransitions } from './transitions.mjs';
+import { runNotifications } from './notify.mjs';
+import { loadRegions, buildRegionIndex, regionOf, buildAggregates, dailyTierMembers, litSet } from './regions.mjs';
 import Parser from 'rss-parser';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUT_FILE = path.resolve(__dirname, '../public/data/latest_v4.json');
 const HISTORY_PATH = path.resolve(__dirname, '../public/data/v4_history_30d.json');
+const TRANSITIONS_LOG = path.resolve(__dirname, '../public/data/transitions_log.jsonl');
 
 // SCORING_ENGINE toggle: v4 (default) or legacy
 const SCORING_ENGINE = process.env.SCORING_ENGINE || 'v4';
 console.log(`[CONFIG] SCORING_ENGINE=${SCORING_ENGINE}`);
 
+// Scoring config for this run (config/scoring.json); every scorer and threshold lookup below uses it
+const scoringConfig = loadScoringConfig();
+
 const parser = new Parser();
 
 // TIER CONFIGS
@@ -29,69 +45,6 @@ const TIER_S_PATH = path.resolve(__dirname, '../config/sensor_countries.json');
 const TIER_A_LIST = JSON.parse(fsSync.readFileSync(TIER_A_PATH, 'utf-8'));
 const TIER_S_LIST = JSON.parse(fsSync.readFileSync(TIER_S_PATH, 'utf-8'));
 
-const TARGET_DATE_STR = process.env.TARGET_DATE || new Date().toISOString().split('T')[0];
-const TARGET_DATE_OBJ = new Date(TARGET_DATE_STR);
-const IS_HISTORICAL = (new Date() - TARGET_DATE_OBJ) > (48 * 60 * 60 * 1000); // 48h buffer
-const ENABLE_GOOGLE_TRENDS = process.env.DISABLE_GEMINI !== '1' && !IS_HISTORICAL;
-const ENABLE_POLYMARKET = process.env.DISABLE_GEMINI !== '1' && !IS_HISTORICAL;
-const DISABLE_GKG = process.env.DISABLE_GKG === '1';
-const DISABLE_GEMINI = process.env.DISABLE_GEMINI === '1';
-
-if (IS_HISTORICAL) {
-    console.log(`[CONFIG] Historical Mode Detected (${TARGET_DATE_STR}). Disabling Live RSS/GT/PM.`);
-}
-
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const CRISIS_KEYWORDS_QUERY = '(protest OR crackdown OR coup OR strike OR clashes OR sanctions OR inflation OR blackout OR currency OR election OR violence OR unrest OR crisis OR failure OR emergency)';
-const RELAXED_KEYWORDS_QUERY = '(economy OR politics OR election OR inflation OR reform OR debate OR policy OR trade OR diplomat OR minister OR government OR parliament OR unrest OR tension OR crisis)';
-const BLACKLIST_KEYWORDS = ['travel', 'tourism', 'hotel', 'flight', 'grand prix', 'race', 'football', 'soccer', 'nba', 'nfl', 'mlb', 'nhl', 'f1', 'ufc', 'sport', 'sports', 'recipe', 'restaurant', 'casino', 'resort', 'vacation', 'holiday', 'league', 'cup', 'match', 'score', 'game', 'highlight'];
-
-// Task C: Country Aliases for Title Check
-const COUNTRY_ALIASES = {
-    'US': ['United States', 'USA', 'U.S.', 'America', 'Biden', 'Trump', 'White House'],
-    'GB': ['United Kingdom', 'UK', 'Britain', 'British', 'London', 'Sunak', 'Starmer'],
-    'RU': ['Russia', 'Russian', 'Putin', 'Moscow', 'Kremlin'],
-    'UA': ['Ukraine', 'Ukrainian', 'Kyiv', 'Zelensky'],
-    'IL': ['Israel', 'Israeli', 'Tel Aviv', 'Netanyahu', 'IDF'],
-    'PS': ['Palestine', 'Palestinian', 'Gaza', 'Hamas', 'West Bank'],
-    'CN': ['China', 'Chinese', 'Beijing', 'Xi Jinping'],
-    'FR': ['France', 'French', 'Paris', 'Macron'],
-    'DE': ['Germany', 'German', 'Berlin', 'Scholz'],
-    'KR': ['South Korea', 'Korea', 'Seoul', 'Yoon'],
-    'JP': ['Japan', 'Japanese', 'Tokyo', 'Kishida'],
-    'IR': ['Iran', 'Iranian', 'Tehran'],
-    'TR': ['Turkey', 'Türkiye', 'Turkish', 'Erdogan', 'Istanbul', 'Ankara']
-};
-
-// Helper for Rate Limit Handling (429)
-async function callGeminiWithRetry(model, prompt, retries = 5) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await model.generateContent(prompt);
-        } catch (err) {
-            const msg = err.message || '';
-            const isQuota = msg.includes('429') || msg.includes('Quota') || msg.includes('Resource has been exhausted');
-
-            // [Fix] Fail fast if Limit is 0 (Permanent exhaustion)
-            if (msg.includes('limit: 0') || msg.includes('limit:0')) {
-                console.warn(`[GEMINI] Permanent Quota Exhausted (Limit 0). Disabling Gemini for this run.`);
-                process.env.DISABLE_GEMINI = '1';
-                throw new Error("GEMINI_LIMIT_0");
-            }
-
-            if (isQuota && i < retries - 1) {
-                // Exponential backoff: 10s, 20s, 40s, 80s, ...
-                const delay = Math.pow(2, i) * 5000 + 5000 + (Math.random() * 2000);
-                console.warn(`[GEMINI] Quota hit. Retrying in ${(delay / 1000).toFixed(1)}s... (Attempt ${i + 1}/${retries})`);
-                await new Promise(r => setTimeout(r, delay));
-                continue;
-            }
-            throw err;
-        }
-    }
-}
-
 // [NEW] CLI Args
 const args = {};
 process.argv.slice(2).forEach((val, index, array) => {
@@ -104,6 +57,57 @@ process.argv.slice(2).forEach((val, index, array) => {
 const argIso2 = args.iso2 ? args.iso2.split(',').map(s => s.trim().toUpperCase()) : null;
 if (argIso2) console.log(`[CONFIG] Filtered to ISO2: ${argIso2.join(', ')}`);
 
+// REPLAY / RECORD: offline runs from recorded inputs (see replay_fixture.mjs)
+// --replay <dir> [--out <file>] reads every external input from the fixture
+// --record <dir> stores the inputs of a live run for later replay
+if (args.replay && args.record) throw new Error('--replay and --record are mutually exclusive');
+const replay = args.replay ? loadReplayFixture(path.resolve(args.replay)) : null;
+const REPLAY_OUT_FILE = path.resolve(args.out || path.resolve(__dirname, '../tmp/replay_latest_v4.json'));
+if (replay) {
+    console.log(`[REPLAY] Fixture ${replay.dir} (${replay.manifest.date}, generated_at=${replay.manifest.generated_at})`);
+    if (replay.manifest.scoring_version && replay.manifest.scoring_version !== scoringConfig.version) {
+        console.warn(`[REPLAY] Recorded with scoring ${replay.manifest.scoring_version}, running ${scoringConfig.version}. Output will differ.`);
+    }
+}
+
+const TARGET_DATE_STR = replay ? replay.manifest.date : (process.env.TARGET_DATE || new Date().toISOString().split('T')[0]);
+const TARGET_DATE_OBJ = new Date(TARGET_DATE_STR);
+// Single run clock so generated_at and every derived date can be replayed
+const RUN_TIMESTAMP = replay ? replay.manifest.generated_at : new Date().toISOString();
+const IS_HISTORICAL = !replay && (new Date() - TARGET_DATE_OBJ) > (48 * 60 * 60 * 1000); // 48h buffer
+const ENABLE_GOOGLE_TRENDS = process.env.DISABLE_GEMINI !== '1' && !IS_HISTORICAL && !replay;
+const ENABLE_POLYMARKET = process.env.DISABLE_GEMINI !== '1' && !IS_HISTORICAL && !replay;
+const DISABLE_GKG = process.env.DISABLE_GKG === '1';
+const DISABLE_GEMINI = process.env.DISABLE_GEMINI === '1' || !!replay;
+
+const recorder = args.record
+    ? createFixtureRecorder(path.resolve(args.record), { date: TARGET_DATE_STR, generatedAt: RUN_TIMESTAMP, scoringVersion: scoringConfig.version })
+    : null;
+if (recorder) console.log(`[RECORD] Recording inputs to ${recorder.dir}`);
+
+if (IS_HISTORICAL) {
+    console.log(`[CONFIG] Historical Mode Detected (${TARGET_DATE_STR}). Disabling Live RSS/GT/PM.`);
+}
+
+// LLM provider for briefs, classification and mapping (config/llm.json, LLM_PROVIDER overrides; see llm/index.mjs)
+// Repeated prompts are answered from the response cache (LLM_CACHE); every call lands in llm.ledger
+const llm = getLlm();
+if (!DISABLE_GEMINI) console.log(`[CONFIG] LLM_PROVIDER=${llm.name} model=${llm.model} cache=${llm.cache?.mode || 'off'}`);
+
+// Daily briefings: rule-based templates (default) or LLM with the templates as fallback (BRIEFING_ENGINE).
+// The LLM prompts ask for en/ja/es only; the other locales (fr/pt/ar) always get the template text.
+const BRIEFING_ENGINE = briefingEngine();
+const LLM_BRIEFINGS = BRIEFING_ENGINE === 'llm' && !DISABLE_GEMINI;
+const LLM_BRIEFING_LANGS = ['en', 'ja', 'es'];
+console.log(`[CONFIG] BRIEFING_ENGINE=${BRIEFING_ENGINE}` +
+    (LLM_BRIEFINGS ? ` (LLM: ${LLM_BRIEFING_LANGS.join('/')}; templates: ${BRIEFING_LANGS.filter(c => !LLM_BRIEFING_LANGS.includes(c)).join('/')})` : ''));
+const CRISIS_KEYWORDS_QUERY = '(protest OR crackdown OR coup OR strike OR clashes OR sanctions OR inflation OR blackout OR currency OR election OR violence OR unrest OR crisis OR failure OR emergency)';
+const RELAXED_KEYWORDS_QUERY = '(economy OR politics OR election OR inflation OR reform OR debate OR policy OR trade OR diplomat OR minister OR government OR parliament OR unrest OR tension OR crisis)';
+const BLACKLIST_KEYWORDS = ['travel', 'tourism', 'hotel', 'flight', 'grand prix', 'race', 'football', 'soccer', 'nba', 'nfl', 'mlb', 'nhl', 'f1', 'ufc', 'sport', 'sports', 'recipe', 'restaurant', 'casino', 'resort', 'vacation', 'holiday', 'league', 'cup', 'match', 'score', 'game', 'highlight'];
+
+// Task C: Country Aliases for Title Check (also used by the dashboard search)
+const COUNTRY_ALIASES = JSON.parse(fsSync.readFileSync(path.resolve(__dirname, '../config/country_aliases.json'), 'utf-8'));
+
 async function fetchNews(countryCode, countryName, isRelaxed = false) {
     // [P0] Historical Skip: Do not fetch live RSS for past dates (avoids future leak)
     if (IS_HISTORICAL) return [];
@@ -184,6 +188,11 @@ async function analyzeCountry(countryCode, countryName, articles, v4Score, signa
         return analyzeWithHeuristics(countryCode, countryName, [], v4Score, signalStatus);
     }
 
+    // Replay: recorded Gemini analysis, else the heuristic fallback the live run used
+    if (replay) {
+        return replay.getEntry('analyses', countryCode) || analyzeWithHeuristics(countryCode, countryName, articles, v4Score, signalStatus);
+    }
+
     const prompt = `
     Analyze the following recent news for ${countryName} (${countryCode}).
     Risk Level: ${v4Score?.level || 'Unknown'} (Do not change this level)
@@ -212,10 +221,11 @@ async function analyzeCountry(countryCode, countryName, articles, v4Score, signa
     `;
 
     try {
-        const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-        const result = await callGeminiWithRetry(model, prompt);
-        const text = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        const json = JSON.parse(text);
+        const { value: json } = await generateStructured(llm, prompt, {
+            stage: 'country_analysis',
+            schema: ANALYSIS_SCHEMA,
+            check: (value) => checkAnalysis(value, v4Score.level)
+        });
 
         // [P0 Fix] Safety Post-Processing
         // 1. Ensure sources is an array
@@ -256,15 +266,17 @@ async function analyzeCountry(countryCode, countryName, articles, v4Score, signa
             json.sources = hydrated;
         }
 
-        return {
+        const analysis = {
             ...json,
             alert_level: v4Score?.level || 'green',
             summary_en: json.what_happened,
             summary_ja: json.what_happened,
             brief: json
         };
+        recorder?.setEntry('analyses', countryCode, analysis);
+        return analysis;
     } catch (err) {
-        console.error(`Gemini failed for ${countryCode}:`, err.message);
+        console.error(`LLM analysis failed for ${countryCode}:`, err.message);
         return analyzeWithHeuristics(countryCode, countryName, articles, v4Score, signalStatus);
     }
 }
@@ -327,14 +339,9 @@ function analyzeWithHeuristics(code, name, articles, v4Score, signalStatus = [])
 }
 
 /* ============ REGIONAL DIVERSITY ============ */
-const REGION_MAP = {
-    JP: 'ASIA', CN: 'ASIA', KR: 'ASIA', IN: 'ASIA', PK: 'ASIA', ID: 'ASIA',
-    SA: 'MENA', IR: 'MENA', SY: 'MENA', IL: 'MENA', PS: 'MENA',
-    NG: 'AFRICA', ZA: 'AFRICA', SD: 'AFRICA',
-    BR: 'LATAM', MX: 'LATAM', AR: 'LATAM', VE: 'LATAM',
-    UA: 'EUROPE', RU: 'EUROPE', GB: 'EUROPE', FR: 'EUROPE', DE: 'EUROPE',
-    US: 'NAMERICA', CA: 'NAMERICA'
-};
+// Region definitions: config/regions.json (see regions.mjs)
+const REGIONS_CONFIG = loadRegions();
+const REGION_INDEX = buildRegionIndex(REGIONS_CONFIG);
 
 function applyRegionalDiversity(hotCountries, minPerRegion = 2) {
     const regionCounts = {};
@@ -342,7 +349,7 @@ function applyRegionalDiversity(hotCountries, minPerRegion = 2) {
     const sorted = Object.entries(hotCountries).sort((a, b) => b[1].event_count - a[1].event_count);
 
     for (const [code] of sorted) {
-        const region = REGION_MAP[code] || 'OTHER';
+        const region = regionOf(REGION_INDEX, code);
         if ((regionCounts[region] || 0) < minPerRegion) {
             selected.add(code);
             regionCounts[region] = (regionCounts[region] || 0) + 1;
@@ -377,7 +384,7 @@ function classifyTermsDictionary(terms) {
     });
 }
 
-async function classifyGenericBatchGemini(model, type, itemsPool) {
+async function classifyGenericBatchGemini(type, itemsPool) {
     // itemsPool: [{ key, terms: [{term, rank}] }]
     if (itemsPool.length === 0) return {};
 
@@ -398,8 +405,7 @@ ${itemsPool.map(c => `[${c.key}]\n${c.terms.map(t => `${t.term}${t.description ?
 Output JSON only.`;
 
     try {
-        const result = await callGeminiWithRetry(model, prompt);
-        let text = result.response.text();
+        let text = await llm.generate(prompt, { stage: `${type.toLowerCase()}_classify` });
 
         // [Fix] Attempt to extract from markdown block first
         const mdMatch = text.match(/```json\s*(\{[\s\S]*?\})\s*```/);
@@ -409,7 +415,7 @@ Output JSON only.`;
 
         const jsonMatch = text.match(/\{[\s\S]*\}/);
         if (!jsonMatch) {
-            console.warn(`[${type}] No JSON found in Gemini output.`);
+            console.warn(`[${type}] No JSON found in LLM output.`);
             // console.warn("Raw:", text.substring(0, 200) + "..."); 
             throw new Error("No JSON object found");
         }
@@ -450,12 +456,12 @@ Output JSON only.`;
         }
         return output;
     } catch (err) {
-        console.warn(`[${type}] Batch Gemini classification failed: ${err.message}`);
+        console.warn(`[${type}] Batch LLM classification failed: ${err.message}`);
         return null;
     }
 }
 
-async function transliterateNonLatin(model, terms) {
+async function transliterateNonLatin(terms) {
     const nonLatin = Array.from(new Set(terms.filter(t => /[^\x00-\x7F]/.test(t))));
     if (nonLatin.length === 0) return {};
 
@@ -471,8 +477,7 @@ Output JSON only.`;
 
     try {
         console.log(`[Translit] Requesting for ${nonLatin.length} terms: ${nonLatin.slice(0, 3).join(', ')}...`);
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
+        const text = await llm.generate(prompt, { stage: 'transliteration' });
         // console.log("[Translit] Raw response:", text.substring(0, 200)); 
         const jsonMatch = text.match(/\{[\s\S]*\}/);
         if (!jsonMatch) {
@@ -638,15 +643,10 @@ async function getHistoricalPS(iso2, currentToday) {
     return avg;
 }
 
-/* ============ MAIN ============ */
-async function main() {
-    console.log("Starting Daily Update...");
-    const today = process.env.TARGET_DATE || new Date().toISOString().split('T')[0];
-
-    // 0. Load Baselines
+/* ============ BASELINES ============ */
+// Volume baselines + R1-R4 medians for SurgeR (public/data/baselines)
+async function loadBaselines(baselineEngine) {
     let baselines = {};
-    const baselineEngine = process.env.BASELINE_ENGINE === 'calmest3y' ? 'calmest3y' : 'recent5y';
-    console.log(`[CONFIG] BASELINE_ENGINE: ${baselineEngine}`);
 
     try {
         const filename = baselineEngine === 'calmest3y' ? 'gdelt_calmest3y_baselines.json' : 'gdelt_r_baselines_5y.json';
@@ -704,9 +704,48 @@ async function main() {
         }
     }
 
+    return { baselines, rBaselines };
+}
+
+/* ============ MAIN ============ */
+async function main() {
+    console.log("Starting Daily Update...");
+    const today = TARGET_DATE_STR;
+
+    // 0. Load Baselines
+    const baselineEngine = process.env.BASELINE_ENGINE === 'calmest3y' ? 'calmest3y' : 'recent5y';
+    console.log(`[CONFIG] BASELINE_ENGINE: ${baselineEngine}`);
+
+    let baselines, rBaselines;
+    if (replay) {
+        baselines = replay.get('baselines');
+        rBaselines = replay.get('r_baselines');
+        console.log(`[REPLAY] Baselines for ${Object.keys(baselines).length} countries, R-baselines for ${Object.keys(rBaselines).length}.`);
+    } else {
+        ({ baselines, rBaselines } = await loadBaselines(baselineEngine));
+    }
+    recorder?.set('baselines', baselines);
+    recorder?.set('r_baselines', rBaselines);
+
+    // 0.2 ACLED R1 (optional second R1 source from a local export: --acled <csv> or ACLED_CSV)
+    const acledPath = typeof args.acled === 'string' ? args.acled : process.env.ACLED_CSV;
+    let acledR1 = null;
+    if (replay) {
+        acledR1 = replay.get('acled', null);
+    } else if (acledPath && scoringConfig.r1_acled?.enabled !== false) {
+        try {
+            acledR1 = loadAcledR1(path.resolve(acledPath), today, scoringConfig.r1_acled);
+            console.log(`[ACLED] R1 counts for ${Object.keys(acledR1).length} countries`);
+        } catch (e) {
+            console.warn(`[ACLED] Failed to load ${acledPath}: ${e.message}`);
+        }
+    }
+    recorder?.set('acled', acledR1);
+
     // 1. Fetch Events
     console.log("Fetching global GDELT events...");
-    const gdeltData = await fetchHotCountries();
+    const gdeltData = replay ? replay.get('gdelt_events') : await fetchHotCountries();
+    recorder?.set('gdelt_events', gdeltData);
 
     // AUDIT LOG START
     const totalEvents = Object.values(gdeltData).reduce((sum, c) => sum + (c.event_count || 0), 0);
@@ -735,30 +774,37 @@ async function main() {
         logConversionStats(stats);
 
         // [P0] Load History for Vol Jump / Jump Gate
-        try {
-            if (fsSync.existsSync(HISTORY_PATH)) {
-                const hist = JSON.parse(fsSync.readFileSync(HISTORY_PATH, 'utf-8'));
-                scoring.loadHistoricalData(hist);
-                console.log(`[HISTORY] Loaded history from ${HISTORY_PATH} (${Object.keys(hist).length} days)`);
+        let hist = {};
+        if (replay) {
+            hist = replay.get('history_30d');
+            console.log(`[REPLAY] Loaded history (${Object.keys(hist).length} days)`);
+        } else {
+            try {
+                if (fsSync.existsSync(HISTORY_PATH)) {
+                    hist = JSON.parse(fsSync.readFileSync(HISTORY_PATH, 'utf-8'));
+                    console.log(`[HISTORY] Loaded history from ${HISTORY_PATH} (${Object.keys(hist).length} days)`);
+                }
+            } catch (e) {
+                console.warn(`[HISTORY] Failed to load history: ${e.message}`);
             }
-        } catch (e) {
-            console.warn(`[HISTORY] Failed to load history: ${e.message}`);
         }
+        const scorer = createScorer({ config: scoringConfig, history: hist });
+        recorder?.set('history_30d', scorer.getHistory());
 
-        addDailySnapshot(today, iso2Data);
+        // Adds today to the rolling history, then scores it
+        v4ScoringResult = scorer.score(iso2Data, today, { baselines, acled: acledR1 });
+        scorer.log(v4ScoringResult, today);
 
-        // [P0] Save Updated History (30d)
-        try {
-            const updatedHist = getHistoricalData(); // Requires export in scoring.mjs
-            fsSync.writeFileSync(HISTORY_PATH, JSON.stringify(updatedHist, null, 2));
-            console.log(`[HISTORY] Saved updated history to ${HISTORY_PATH}`);
-        } catch (e) {
-            console.warn(`[HISTORY] Failed to save history: ${e.message}`);
+        // [P0] Save Updated History (30d) - replay never touches public/data
+        if (!replay) {
+            try {
+                fsSync.writeFileSync(HISTORY_PATH, JSON.stringify(scorer.getHistory(), null, 2));
+                console.log(`[HISTORY] Saved updated history to ${HISTORY_PATH}`);
+            } catch (e) {
+                console.warn(`[HISTORY] Failed to save history: ${e.message}`);
+            }
         }
 
-        v4ScoringResult = scoreAllCountries(iso2Data, { baselines });
-        logScoringResult(v4ScoringResult, today);
-
         // Identify Yellow+ for GKG Targeting
         Object.entries(v4ScoringResult.results).forEach(([code, res]) => {
             if (res.level !== 'green' && res.reason !== 'low_volume') {
@@ -769,16 +815,19 @@ async function main() {
     }
 
     // 3. Load Name Map from Helper (Consolidated source)
-    const iso2NameMap = loadCountryNameMap();
+    const iso2NameMap = replay ? replay.get('country_names') : loadCountryNameMap();
+    recorder?.set('country_names', iso2NameMap);
 
     // Map for list of objects (processed below)
     const countriesList = Object.entries(iso2NameMap).map(([code, name]) => ({ code, name }));
 
     // [P0] PRE-CALCULATE R-INDEX FOR GKG SELECTION & RSS RELAXATION
     const rIndexScoresMap = {};
-    const minBaselineForSurgeSel = scoringConfig.surge_r?.min_baseline_median_for_surge || 3;
 
     Object.entries(v4ScoringResult.results).forEach(([iso, val]) => {
+        const selCfg = resolveCountryConfig(scoringConfig, iso).config;
+        const minBaselineForSurgeSel = selCfg.surge_r?.min_baseline_median_for_surge || 3;
+        const selThresholds = selCfg.surge_r?.thresholds || { yellow: 1.75, orange: 2.75 };
         const counts = { R1: val.r1_security, R2: val.r2_living_count, R3: val.r3_governance, R4: val.r4_fiscal_count };
         let maxRat = 0;
 
@@ -795,8 +844,8 @@ async function main() {
             const b = getB(t);
             const r = counts[t] / Math.max(1, b);
             // Active check
-            let th = 1.75;
-            if (val.flags?.external_pressure_noise && (t === 'R1' || t === 'R3')) th = 2.75;
+            let th = selThresholds.yellow;
+            if (val.flags?.external_pressure_noise && (t === 'R1' || t === 'R3')) th = selThresholds.orange;
             if (b >= minBaselineForSurgeSel && r >= th) {
                 if (r > maxRat) maxRat = r;
             }
@@ -833,7 +882,8 @@ async function main() {
 
     for (const c of processList) {
         // Serial fetch to respect rate limits
-        let articles = await fetchNews(c.code, c.name, false);
+        let articles = replay ? replay.getEntry('rss', c.code, []) : await fetchNews(c.code, c.name, false);
+        recorder?.setEntry('rss', c.code, articles);
 
         // [P0] Relaxed Fallback for R-Index High Priority OR Active Risk
         // Fix: Always fetch relaxed for Risk/Surge countries and MERGE results.
@@ -843,7 +893,10 @@ async function main() {
 
         if (hasSurge || isRisk) {
             // console.log(`[RSS-RELAXED] Merging relaxed fetch for ${c.code}...`);
-            const relaxedArticles = await fetchNews(c.code, c.name, true); // true = Relaxed (Broad)
+            const relaxedArticles = replay
+                ? replay.getEntry('rss', `${c.code}:relaxed`, [])
+                : await fetchNews(c.code, c.name, true); // true = Relaxed (Broad)
+            recorder?.setEntry('rss', `${c.code}:relaxed`, relaxedArticles);
             if (relaxedArticles.length > 0) {
                 const existingUrls = new Set(articles.map(a => a.url));
                 for (const ra of relaxedArticles) {
@@ -875,7 +928,7 @@ async function main() {
         if (countryData.length % 10 === 0) process.stdout.write('.');
 
         // Rate Limit Protection (Reduce to 200ms for production speed)
-        await new Promise(r => setTimeout(r, 200));
+        if (!replay) await new Promise(r => setTimeout(r, 200));
     }
     console.log("\nRSS Fetch complete.");
 
@@ -938,11 +991,14 @@ async function main() {
 
     // 5. Fetch GKG (Pass 2) - Batch
     let gkgResults = {};
-    if (DISABLE_GKG) {
+    if (replay) {
+        gkgResults = replay.get('gkg_titles');
+    } else if (DISABLE_GKG) {
         console.log(`[GKG] Skipped (DISABLE_GKG=1)`);
     } else {
         gkgResults = await fetchGkgTitles(gkgTargetArray, 5);
     }
+    recorder?.set('gkg_titles', gkgResults);
 
     // 5b. Fetch GetDayTrends (Phase E4 - SNS Political Surge)
     const ENABLE_GETDAYTRENDS = (process.env.ENABLE_GETDAYTRENDS ?? 'true') === 'true';
@@ -954,7 +1010,10 @@ async function main() {
         sns_top10: []
     };
 
-    if (ENABLE_GETDAYTRENDS && !DISABLE_GEMINI) {
+    if (replay) {
+        airData = replay.get('air');
+        console.log(`[REPLAY] AIR: ${Object.keys(airData.countries || {}).length} countries, sns_top10=${airData.sns_top10?.length || 0}`);
+    } else if (ENABLE_GETDAYTRENDS && !DISABLE_GEMINI) {
         // [Phase E4] targeting ONLY Yellow+
         const getDayTrendsTargets = Array.from(v4YellowPlus);
         console.log(`[AIR] Yellow+ targets: count=${getDayTrendsTargets.length}`);
@@ -975,11 +1034,10 @@ async function main() {
 
                 console.log(`[AIR] Classifying ${pool.length} countries in batches...`);
                 const allClassifications = {};
-                const modelClassification = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
                 for (let i = 0; i < pool.length; i += 8) {
                     const chunk = pool.slice(i, i + 8);
-                    const batchResult = await classifyGenericBatchGemini(modelClassification, "SNS", chunk.map(c => ({ key: c.iso2, terms: c.terms })));
+                    const batchResult = await classifyGenericBatchGemini("SNS", chunk.map(c => ({ key: c.iso2, terms: c.terms })));
                     if (batchResult) {
                         Object.assign(allClassifications, batchResult);
                     } else {
@@ -999,7 +1057,7 @@ async function main() {
 
                     // 2. Post-process transliteration
                     const rawPoliticalTerms = termsWithClassification.filter(t => t.is_political).map(t => t.term);
-                    const translitMapRaw = await transliterateNonLatin(modelClassification, rawPoliticalTerms);
+                    const translitMapRaw = await transliterateNonLatin(rawPoliticalTerms);
                     const translitMap = {};
                     for (const [k, v] of Object.entries(translitMapRaw)) translitMap[k.toLowerCase().trim()] = v;
 
@@ -1060,12 +1118,13 @@ async function main() {
     } else {
         console.log("[AIR] Skipped");
     }
+    recorder?.set('air', airData);
 
     // 6. Analysis (Pass 3)
     console.log("Analyzing countries...");
     const output = {
         date: today,
-        generated_at: new Date().toISOString(),
+        generated_at: RUN_TIMESTAMP,
         countries: {},
         google_trends: [],
         polymarket: [],
@@ -1095,8 +1154,7 @@ async function main() {
                 items: rawGTItems
             };
 
-            const modelGT = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-            const classifiedGT = await classifyTrendsGemini(modelGT, gtData.items);
+            const classifiedGT = await classifyTrendsGemini(llm, gtData.items);
             if (classifiedGT) {
                 // Filter only political
                 const politicalGT = classifiedGT.filter(t => t.is_political);
@@ -1116,12 +1174,11 @@ async function main() {
             console.log(`[PM] Raw events: ${pmEvents?.length}`);
 
             // Map to ISO2
-            const modelPM = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
             console.log(`[PM] Consolidating ${pmEvents.length} events logic...`);
 
             const pmWithIso = [];
             for (const ev of pmEvents) {
-                const mappedIso = await mapPolymarketToCountry(modelPM, ev.title);
+                const mappedIso = await mapPolymarketToCountry(llm, ev.title);
                 if (mappedIso) {
                     pmWithIso.push({ ...ev, country: mappedIso });
                 }
@@ -1172,7 +1229,7 @@ async function main() {
     }
 
     let eventFallbackData = {};
-    if (missingDataIsos.length > 0) {
+    if (missingDataIsos.length > 0 && !replay) { // Not read below, so replay skips the query
         console.log(`[ASSEMBLY] Fetching GDELT Event Fallbacks for ${missingDataIsos.length} countries...`);
         eventFallbackData = await fetchEventUrls(missingDataIsos);
     }
@@ -1251,7 +1308,7 @@ async function main() {
                         title: `(${domain}) Coverage related to ${driver}/${secondary}`, // Generic title
                         sourceorg: domain,
                         url: evt.url,
-                        pubDate: parseGdeltDate(evt.dateInt) || new Date().toISOString(),
+                        pubDate: parseGdeltDate(evt.dateInt) || RUN_TIMESTAMP,
                         r_types: evt.r_types || []
                     });
                 });
@@ -1285,11 +1342,9 @@ async function main() {
         }
 
         let cName = iso2NameMap[iso2] || iso2;
-        let isAliased = false;
         // [P0] Use canonical name from aliases (Fixes US -> United States)
         if (COUNTRY_ALIASES[iso2] && COUNTRY_ALIASES[iso2].length > 0) {
             cName = COUNTRY_ALIASES[iso2][0];
-            isAliased = true;
         }
 
         // Perform analysis (Gemini or Heuristics)
@@ -1496,77 +1551,58 @@ async function main() {
         };
 
         // ====== SURGE_R CALCULATION (test3d baseline comparison) ======
-        // surge_ratio = (today + k) / (max(1, baseline_median) + k) [smoothed]
-        // + abs/share gates from v4 scoring to prevent high-volume false positives
-        const surgeRByType = {};
-        const surgeRActiveTypes = [];
-        let maxRatioActive = 0;
-        const minBaselineForSurge = scoringConfig.surge_r?.min_baseline_median_for_surge || 3;
-        const smoothingK = scoringConfig.surge_r?.smoothing_k ?? 5;
-        const highVolFloor = scoringConfig.surge_r?.high_volume_floor ?? scoringConfig.volume?.threshold ?? 5000;
-        const surgeRThresholds = scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
-
-        // Event count for share calculation
-        const eventCount = v4Score.event_count || 0;
-        const highVol = eventCount >= highVolFloor;
-
-        // R-type config map for abs/share gates
-        const rTypeConfigs = {
-            R1: scoringConfig.r1_security || { absolute_threshold: 300, ratio_threshold: 0.06 },
-            R2: scoringConfig.r2_living || { absolute_threshold: 180, ratio_threshold: 0.035 },
-            R3: scoringConfig.r3_governance || { absolute_threshold: 150, ratio_threshold: 0.045 },
-            R4: scoringConfig.r4_fiscal || { absolute_threshold: 200, ratio_threshold: 0.04 }
-        };
-
-        for (const t of ['R1', 'R2', 'R3', 'R4']) {
-            const today = rTodayCounts[t];
-            const baseMed = rBaselineMedian[t];
-
-            // (a) Smoothed ratio calculation
-            const ratio = (today + smoothingK) / (Math.max(1, baseMed) + smoothingK);
-
-            // (b) Abs/Share Gates (v4-style)
-            const rConf = rTypeConfigs[t];
-            const absThreshold = rConf.absolute_threshold || 0;
-            const ratioThreshold = rConf.ratio_threshold || 0;
-            const share = today / Math.max(1, eventCount);
-
-            const absHit = today >= absThreshold;
-            const shareHit = share >= ratioThreshold;
-            // High-volume countries: absHit alone not enough (prevents DK/ES false positives)
-            const triggered = shareHit || (absHit && !highVol);
-
-            // (c) Per-type Active Threshold: yellow default, orange for R1/R3 if external_pressure_noise
-            let activeThreshold = surgeRThresholds.yellow;
-            if (externalPressureNoise && (t === 'R1' || t === 'R3')) {
-                activeThreshold = surgeRThresholds.orange;
-            }
-
-            // Stability Rule: baseline_median must be >= min to be active
-            const isStableInput = baseMed >= minBaselineForSurge;
-            const isActive = triggered && isStableInput && (ratio >= activeThreshold);
-
-            if (isActive) {
-                surgeRActiveTypes.push(t);
-                if (ratio > maxRatioActive) maxRatioActive = ratio;
-            }
+        // Shared engine (surge_r.mjs): smoothed ratio vs baseline median + abs/share gates
+        // Thresholds after tier/region/country overrides (config/scoring.json)
+        const { config: countryCfg, applied: countryOverrides } = resolveCountryConfig(scoringConfig, iso2);
+        const surgeR = computeSurgeR(rTodayCounts, rBaselineMedian, v4Score.event_count || 0, countryCfg, {
+            window: 'daily',
+            externalPressureNoise
+        });
+        const {
+            smoothing_k: smoothingK,
+            high_volume_floor: highVolFloor,
+            min_baseline_median_for_surge: minBaselineForSurge,
+            thresholds: surgeRThresholds
+        } = surgeR.settings;
 
-            // (d) Audit metadata for debugging
-            surgeRByType[t] = {
-                today: today,
-                baseline_median: baseMed,
-                ratio: parseFloat(ratio.toFixed(3)),
-                is_active: isActive,
-                is_stable_input: isStableInput,
-                threshold: activeThreshold,
-                // Audit fields
-                share: parseFloat(share.toFixed(4)),
-                abs_hit: absHit,
-                share_hit: shareHit,
-                triggered: triggered,
-                high_vol: highVol,
+        const surgeRByType = {};
+        for (const t of R_TYPES) surgeRByType[t] = toDailyTypeEntry(surgeR.by_type[t], surgeR.settings);
+        const surgeRActiveTypes = [...surgeR.active_types];
+        let maxRatioActive = surgeR.max_ratio_active;
+
+        // (d2) R1 second source: ACLED incidents against their own rolling baseline.
+        // Same smoothed ratio, stability rule and thresholds; no share gate (not media-based).
+        // The stronger active source fills the R1 row; `source` says which one drove it.
+        if (acledR1) {
+            const gdeltR1 = surgeRByType.R1;
+            const acledCounts = acledR1[iso2] || { today: 0, fatalities: 0, baseline_median: 0 };
+            const acledRatio = smoothedRatio(acledCounts.today, acledCounts.baseline_median, smoothingK);
+            const acledAbsHit = acledCounts.today >= (countryCfg.r1_acled?.absolute_threshold ?? 10);
+            const acledStable = acledCounts.baseline_median >= minBaselineForSurge;
+            const acledActive = acledAbsHit && acledStable && acledRatio >= surgeRThresholds.yellow;
+            const acledEntry = {
+                today: acledCounts.today,
+                baseline_median: acledCounts.baseline_median,
+                ratio: parseFloat(acledRatio.toFixed(3)),
+                is_active: acledActive,
+                is_stable_input: acledStable,
+                threshold: surgeRThresholds.yellow,
+                abs_hit: acledAbsHit,
+                triggered: acledAbsHit,
+                fatalities: acledCounts.fatalities,
                 smoothing_k: smoothingK
             };
+            const acledDrives = acledActive && (!gdeltR1.is_active || acledEntry.ratio > gdeltR1.ratio);
+
+            surgeRByType.R1 = {
+                ...(acledDrives ? acledEntry : gdeltR1),
+                source: gdeltR1.is_active && acledActive ? 'both' : (acledActive ? 'acled' : (gdeltR1.is_active ? 'gdelt' : null)),
+                sources: { gdelt: gdeltR1, acled: acledEntry }
+            };
+            if (acledActive) {
+                if (!surgeRActiveTypes.includes('R1')) surgeRActiveTypes.unshift('R1');
+                if (acledRatio > maxRatioActive) maxRatioActive = acledRatio;
+            }
         }
 
         // (Old bundle logic removed)
@@ -1621,9 +1657,8 @@ async function main() {
                 external_pressure_noise: externalPressureNoise
             },
             source_type: 'rss',
-            name_en: cName,
-            name_ja: (isAliased || !iso2NameMap[iso2]) ? cName : iso2NameMap[iso2],
-            name_es: (isAliased || !iso2NameMap[iso2]) ? cName : iso2NameMap[iso2],
+            // name_en plus name_<locale> for every UI locale
+            ...countryNames(iso2, cName),
             // SURGING data (uses surgeScore_active for level, r_scores unchanged)
             surge: {
                 score: parseFloat(surgeScoreActive.toFixed(1)),
@@ -1673,7 +1708,8 @@ async function main() {
                     red: surgeRThresholds.red,
                     min_baseline_median_for_surge: minBaselineForSurge,
                     smoothing_k: smoothingK,
-                    high_volume_floor: highVolFloor
+                    high_volume_floor: highVolFloor,
+                    overrides: countryOverrides
                 }
             },
             surge_r_by_type: surgeRByType,
@@ -1720,7 +1756,8 @@ async function main() {
 
         // [P0] 4-WEEK TREND CALCULATION
         // [P0] 4-WEEK TREND CALCULATION (Aligned with ISO Weeks + 5y Baseline from Weekly Cache)
-        const weeklyCache = loadWeeklyCountryCache(iso2);
+        const weeklyCache = replay ? replay.getEntry('weekly_cache', iso2) : loadWeeklyCountryCache(iso2);
+        recorder?.setEntry('weekly_cache', iso2, weeklyCache);
         const weeklyHistory = {
             weeks: [],
             pattern: { r1: 'stable', r2: 'stable', r3: 'stable', r4: 'stable', overall: 'stable' }
@@ -1743,7 +1780,7 @@ async function main() {
                 ['r1', 'r2', 'r3', 'r4'].forEach(rKey => {
                     const rType = rKey.toUpperCase();
                     const wData = w.weekly_surge_r_by_type?.[rType] || {};
-                    const th = w.weekly_surge_r?.thresholds || scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
+                    const th = w.weekly_surge_r?.thresholds || countryCfg.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
 
                     // Instructions: "ratio は weekly の ratio7 を表示"
                     const r7 = wData.ratio7 || 0;
@@ -1815,6 +1852,33 @@ async function main() {
     const surgeRGreen = surgeRData.filter(x => x.level === 'Green').length;
     console.log(`[SURGER] Distribution: Red=${surgeRRed}, Orange=${surgeROrange}, Yellow=${surgeRYellow}, Green=${surgeRGreen}`);
 
+    // Transitions vs the previous daily file (alert_level / surge_r / index)
+    let previousDay = null;
+    if (replay) {
+        previousDay = replay.get('previous_day', null);
+    } else {
+        const prev = findPreviousDaily(path.resolve(__dirname, '../public/data'), today);
+        if (prev) {
+            try {
+                previousDay = levelSnapshot(JSON.parse(fsSync.readFileSync(prev.file, 'utf-8')), prev.date);
+            } catch (e) {
+                console.warn(`[TRANSITIONS] Failed to read ${prev.file}: ${e.message}`);
+            }
+        }
+    }
+    recorder?.set('previous_day', previousDay);
+    const transitions = diffLevels(previousDay, levelSnapshot(output, today), today);
+    output.transitions = buildTransitionFeed(transitions, previousDay?.date);
+    console.log(previousDay
+        ? `[TRANSITIONS] vs ${previousDay.date}: ${output.transitions.escalations} escalations, ${output.transitions.de_escalations} de-escalations`
+        : '[TRANSITIONS] No previous daily file; nothing to compare');
+
+    // Region / tier aggregates (new_lit compares with the same previous day)
+    output.aggregates = buildAggregates(output.countries, REGIONS_CONFIG, dailyTierMembers(output.countries),
+        previousDay ? litSet(previousDay.countries) : null);
+    const litRegions = Object.entries(output.aggregates.regions).filter(([, r]) => r.lit_countries > 0);
+    console.log(`[REGIONS] Lit: ${litRegions.map(([key, r]) => `${key}=${r.lit_countries}/${r.with_data}`).join(', ') || 'none'}`);
+
     // [P0] BRIEFING SELECTION LOGIC (Dual Mode + Capsules)
     const allIso2Briefing = Object.keys(output.countries);
 
@@ -1861,10 +1925,6 @@ async function main() {
     // Helper to format candidate object with CAPSULE
     const formatCandidate = (iso, mode) => {
         const c = output.countries[iso];
-        // Generate Capsules
-        const capsuleEn = generateSignalCapsule(iso, c, 'en');
-        const capsuleJa = generateSignalCapsule(iso, c, 'ja');
-        const capsuleEs = generateSignalCapsule(iso, c, 'es');
 
         // Generate Headlines (Top 3)
         let newsHeadlines = (c.sources || []).slice(0, 3).map(s => s.title);
@@ -1887,7 +1947,7 @@ async function main() {
             sources: (c.sources || []).slice(0, 2).map(s => s.sourceorg || 'News'), // Keep for Ops
             news_headlines: newsHeadlines.slice(0, 3), // [P0] Add Headlines for Trending
             // Capsules
-            signal_capsule: { en: capsuleEn, ja: capsuleJa, es: capsuleEs }
+            signal_capsule: Object.fromEntries(BRIEFING_LANGS.map(lang => [lang, generateSignalCapsule(iso, c, lang)]))
         };
     };
 
@@ -1896,24 +1956,53 @@ async function main() {
 
     console.log(`[BRIEFING] Generating Dual Briefings: Trending (${candidatesTrending.length}), Ops (${candidatesOps.length})`);
 
+    // Every country the output knows, for the "only candidates" check on generated briefings
+    const countryMatcher = createCountryMatcher(Object.entries(output.countries).map(([iso, c]) => ({
+        iso2: iso,
+        names: [...BRIEFING_LANGS.map(lang => c[`name_${lang}`]), COUNTRY_ALIASES[iso]?.[0]]
+    })));
+
+    // Template input: everything the rule-based briefing cites comes from the output itself
+    const templateContext = (candidates) => ({
+        date: today,
+        candidates,
+        countries: output.countries,
+        transitions: output.transitions,
+        aggregates: output.aggregates,
+        air: output.air,
+        regionOf: (iso2) => regionOf(REGION_INDEX, iso2)
+    });
+
     // Generate Trending
     let briefingTrending = null;
-    if (!DISABLE_GEMINI) {
-        briefingTrending = await generateDailyBriefingTrending(genAI.getGenerativeModel({ model: "gemini-2.0-flash" }), candidatesTrending);
+    if (replay) {
+        briefingTrending = replay.getEntry('briefings', 'trending');
+    } else if (LLM_BRIEFINGS) {
+        briefingTrending = await generateDailyBriefingTrending(candidatesTrending, countryMatcher);
     }
+    recorder?.setEntry('briefings', 'trending', briefingTrending);
     if (!briefingTrending) {
-        if (!DISABLE_GEMINI) console.warn("[BRIEFING] Trending Fallback triggered");
-        briefingTrending = getFallbackBriefingTrending(candidatesTrending);
+        if (LLM_BRIEFINGS) console.warn("[BRIEFING] Trending: LLM briefing unavailable, using templates");
+        briefingTrending = buildTemplateBriefing('trending', templateContext(candidatesTrending));
+    } else {
+        // LLM briefings cover LLM_BRIEFING_LANGS; the other locales keep the template text
+        briefingTrending = { ...buildTemplateBriefing('trending', templateContext(candidatesTrending)), ...briefingTrending };
     }
 
     // Generate Ops
     let briefingOps = null;
-    if (!DISABLE_GEMINI) {
-        briefingOps = await generateDailyBriefingOps(genAI.getGenerativeModel({ model: "gemini-2.0-flash" }), candidatesOps);
+    if (replay) {
+        briefingOps = replay.getEntry('briefings', 'ops');
+    } else if (LLM_BRIEFINGS) {
+        briefingOps = await generateDailyBriefingOps(candidatesOps, countryMatcher);
     }
+    recorder?.setEntry('briefings', 'ops', briefingOps);
     if (!briefingOps) {
-        if (!DISABLE_GEMINI) console.warn("[BRIEFING] Ops Fallback triggered");
-        briefingOps = getFallbackBriefingOps(candidatesOps);
+        if (LLM_BRIEFINGS) console.warn("[BRIEFING] Ops: LLM briefing unavailable, using templates");
+        briefingOps = buildTemplateBriefing('ops', templateContext(candidatesOps));
+    } else {
+        // LLM briefings cover LLM_BRIEFING_LANGS; the other locales keep the template text
+        briefingOps = { ...buildTemplateBriefing('ops', templateContext(candidatesOps)), ...briefingOps };
     }
 
     output.daily_briefing_trending = briefingTrending;
@@ -1947,8 +2036,7 @@ async function main() {
                 items: rawGTItems
             };
 
-            const modelGT = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-            const classifiedGT = await classifyTrendsGemini(modelGT, gtData.items);
+            const classifiedGT = await classifyTrendsGemini(llm, gtData.items);
             if (classifiedGT) {
                 // Filter only political
                 let politicalGT = classifiedGT.filter(t => t.is_political);
@@ -1974,12 +2062,11 @@ async function main() {
             console.log(`[PM] Raw events: ${pmEvents?.length}`);
 
             // Map to ISO2
-            const modelPM = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
             console.log(`[PM] Consolidating ${pmEvents.length} events logic...`);
 
             const pmWithIso = [];
             for (const ev of pmEvents) {
-                const mappedIso = await mapPolymarketToCountry(modelPM, ev.title);
+                const mappedIso = await mapPolymarketToCountry(llm, ev.title);
                 if (mappedIso) {
                     pmWithIso.push({ ...ev, country: mappedIso, iso2: mappedIso });
                 }
@@ -1989,6 +2076,13 @@ async function main() {
         } catch (e) { console.warn("[PM] Main flow failed", e); }
     }
 
+    if (replay) {
+        output.google_trends = replay.get('google_trends');
+        output.polymarket = replay.get('polymarket');
+    }
+    recorder?.set('google_trends', output.google_trends);
+    recorder?.set('polymarket', output.polymarket);
+
     // AUDIT LOG
     const outCount = Object.keys(output.countries).length;
     const baselineCount = Object.keys(baselines).length;
@@ -2003,9 +2097,18 @@ async function main() {
     const surgeMed = surgeScores.length > 0 ? surgeScores[Math.floor(surgeScores.length / 2)] : 0;
     console.log(`[AUDIT] Surge Score Stats: Max=${surgeMax.toFixed(1)}, Median=${surgeMed.toFixed(1)}`);
 
+    // LLM calls, cache hits, tokens and latency per stage (replay makes no calls)
+    if (!replay) {
+        output.llm_ledger = { provider: llm.name, model: llm.model, cache: llm.cache?.mode || 'off', ...llm.ledger.summary() };
+        const l = output.llm_ledger;
+        console.log(`[LLM] ${l.calls} calls (${l.cache_hits} cached, ${l.errors} errors), ${l.prompt_tokens}+${l.completion_tokens} tokens, ~$${l.cost_usd} USD`);
+    }
+
     // SAFETY CHECK
     if (outCount < 200 && !argIso2) {
         console.error(`[CRITICAL] Output country count (${outCount}) is below safety threshold (200). Aborting update.`);
+        if (replay) process.exit(1);
+        recorder?.save(output);
         // Save Debug File
         const debugPath = path.resolve(__dirname, `../public/data/${today}_FAILED.json`);
         await fs.writeFile(debugPath, JSON.stringify(output, null, 2));
@@ -2032,6 +2135,15 @@ async function main() {
     });
 
     // Write Files
+    // 0. Replay writes a single file and leaves public/data untouched
+    if (replay) {
+        await fs.mkdir(path.dirname(REPLAY_OUT_FILE), { recursive: true });
+        await fs.writeFile(REPLAY_OUT_FILE, JSON.stringify(output, null, 2));
+        console.log(`[REPLAY] Output written to ${REPLAY_OUT_FILE}`);
+        return;
+    }
+    recorder?.save(output);
+
     // 1. Daily Archive
     const dailyPath = path.resolve(__dirname, `../public/data/${today}.json`);
     await fs.writeFile(dailyPath, JSON.stringify(output, null, 2));
@@ -2041,7 +2153,23 @@ async function main() {
     await fs.writeFile(OUT_FILE, JSON.stringify(output, null, 2));
     console.log(`Latest data updated at ${OUT_FILE}`);
 
-    // 3. Update Date Manifest (available_dates.json)
+    // 3. LLM ledger (append-only, one line per call)
+    try {
+        const n = llm.ledger.appendTo(ledgerFile(), RUN_TIMESTAMP);
+        if (n > 0) console.log(`[LLM] Ledger: ${n} entries appended to ${ledgerFile()}`);
+    } catch (e) {
+        console.warn(`[LLM] Ledger write failed: ${e.message}`);
+    }
+
+    // 3b. Transition Log (append-only)
+    try {
+        const appended = appendTransitions(TRANSITIONS_LOG, today, output.transitions.items);
+        console.log(`[TRANSITIONS] Appended ${appended} transitions to ${TRANSITIONS_LOG}`);
+    } catch (err) {
+        console.warn("[WARN] Failed to append transitions log:", err);
+    }
+
+    // 4. Update Date Manifest (available_dates.json)
     try {
         const manifestPath = path.resolve(__dirname, '../public/data/available_dates.json');
         let dates = [];
@@ -2063,35 +2191,27 @@ async function main() {
     } catch (err) {
         console.warn("[WARN] Failed to update date manifest:", err);
     }
+
+    // 5. Escalation Notifications (config/notifications.json; --no-notify to skip)
+    // Partial --iso2 runs would clear the dedupe state of every other country
+    if (args['no-notify'] || argIso2) {
+        console.log('[NOTIFY] Skipped');
+    } else {
+        try {
+            await runNotifications(output);
+        } catch (err) {
+            console.warn(`[NOTIFY] Notification stage failed: ${err.message}`);
+        }
+    }
 }
 
 /* ============ BRIEFING GENERATION ============ */
 /* ============ BRIEFING GENERATION (DUAL + CAPSULES) ============ */
 
 // [P0] CAPSULE GENERATION (Determinisitic)
-function generateWatchHint(activeBundles) {
-    if (!activeBundles || activeBundles.length === 0) return "General stability watch"; // Fallback
-
-    // Map R1-R4 to specific hints
-    const hints = activeBundles.map(b => {
-        if (b === 'R1') return { en: "clashes/arrests/protests follow-ups", ja: "衝突/拘束/デモの続報", es: "choques/detenciones/protestas" };
-        if (b === 'R2') return { en: "prices/supply/power-water updates", ja: "物価/供給/停電・水の続報", es: "precios/abasto/cortes" };
-        if (b === 'R3') return { en: "official moves/policy/legal-corruption updates", ja: "政府発表/制度変更/司法・汚職の続報", es: "anuncios/medidas/justicia-corrupción" };
-        if (b === 'R4') return { en: "FX/rates/CPI/capital controls updates", ja: "為替/金利/CPI/資本規制の続報", es: "tipo de cambio/tasas/CPI/controles" };
-        return { en: "risk updates", ja: "リスク続報", es: "actualizaciones de riesgo" };
-    });
-
-    // Combine top 2
-    const top2 = hints.slice(0, 2);
-    return {
-        en: top2.map(h => h.en).join(' / '),
-        ja: top2.map(h => h.ja).join('・'),
-        es: top2.map(h => h.es).join(' / ')
-    };
-}
-
 function generateSignalCapsule(iso2, c, lang) {
-    const name = lang === 'ja' ? (c.name_ja || c.name_en) : c.name_en; // Use simple names
+    const t = translations[lang].capsule;
+    const name = countryName(c, iso2, lang);
 
     // [FIX] Constitution Compliance: Fact (alert_level) is absolute for 'level'.
     // Surge is an annotation only.
@@ -2107,32 +2227,25 @@ function generateSignalCapsule(iso2, c, lang) {
     }
 
     const bundles = c.surge_r?.active_types || [];
-    const bStr = bundles.slice(0, 2).join('/') || 'General';
+    const bStr = bundles.slice(0, 2).join('/') || t.general;
 
     const evt = c.gdelt?.event_count || 0;
     const rIndex = parseFloat((c.surge_r?.max_ratio_active || 0).toFixed(1));
     const tone = parseFloat((c.gdelt?.avg_tone || 0).toFixed(1));
     const toneStr = tone > 0 ? `+${tone}` : `${tone}`;
 
-    const hintObj = generateWatchHint(bundles);
-    const hint = hintObj[lang] || hintObj['en'];
+    const hint = watchHint(bundles, lang);
 
-    if (lang === 'ja') {
-        const rStr = rIndex > 0 ? `R-INDEX${rIndex}` : '';
-        return `${name}(${iso2}) ${level}: ${bStr}。件数${evt}${rStr ? '、' + rStr : ''}、トーン${toneStr}。48h:${hint}。`;
-    } else if (lang === 'es') {
-        const rStr = rIndex > 0 ? `, R-INDEX=${rIndex}` : '';
-        return `${name}(${iso2}) ${level}: ${bStr}. Eventos=${evt}${rStr}, Tono=${toneStr}. Vigilar48h: ${hint}.`;
-    } else {
-        const rStr = rIndex > 0 ? `, R-INDEX=${rIndex}` : '';
-        return `${name} (${iso2}) ${level}: ${bStr}. Events=${evt}${rStr}, Tone=${toneStr}. Watch48h: ${hint}.`;
-    }
+    // Wording from the locale catalog (section `capsule`); level stays the raw fact value
+    const vars = { name, iso2, level, bundles: bStr, events: evt, tone: toneStr, hint };
+    vars.rIndex = rIndex > 0 ? t.rIndex.replace('{r}', rIndex) : '';
+    return t.text.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
 }
 
 
 // [P0] DUAL GENERATORS
 
-async function generateDailyBriefingTrending(model, candidates) {
+async function generateDailyBriefingTrending(candidates, matcher) {
     if (!candidates || candidates.length === 0) return null;
 
     const headlinesData = candidates.map(c => ({
@@ -2174,30 +2287,31 @@ async function generateDailyBriefingTrending(model, candidates) {
     5. Content:
        - Length: 600-900 characters per language in total.
        - Do not invent facts or numbers not in the input.
+       - Only mention countries from the input. If you cite a risk level, use the surge_level given for that country.
        - Mention at least 3-5 major countries by name.
        - If no URL/Source for a country, use "details unverified" or "information reported".
        - Do not use markdown (no bold, no bullets).
     `;
 
     try {
-        const result = await model.generateContent(prompt);
-        let text = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        const json = JSON.parse(text);
-
-        // Validation
-        if (!json.en || !Array.isArray(json.en)) throw new Error("Invalid structure");
+        // Schema + fact checks (countries from the candidates or their headlines, levels as given), one repair round
+        const { value: json, attempts } = await generateStructured(llm, prompt, {
+            stage: 'briefing_trending',
+            schema: BRIEFING_SCHEMA,
+            check: (value) => checkBriefing(value, candidates, matcher, { allowHeadlineCountries: true })
+        });
 
         return {
             en: json.en.slice(0, 10), ja: json.ja.slice(0, 10), es: json.es.slice(0, 10),
-            meta: { basis: "trending", generator: "gemini", date: new Date().toISOString().split('T')[0], candidates_count: candidates.length, countries_used: candidates.map(c => c.iso2) }
+            meta: { basis: "trending", generator: llm.name, date: RUN_TIMESTAMP.split('T')[0], candidates_count: candidates.length, countries_used: candidates.map(c => c.iso2), attempts }
         };
     } catch (e) {
-        console.warn("Gemini Trending Briefing failed:", e.message);
+        console.warn("LLM Trending Briefing failed:", e.message);
         return null; // Trigger fallback
     }
 }
 
-async function generateDailyBriefingOps(model, candidates) {
+async function generateDailyBriefingOps(candidates, matcher) {
     if (!candidates || candidates.length === 0) return null;
 
     const capsules = candidates.map(c => c.signal_capsule);
@@ -2215,86 +2329,25 @@ async function generateDailyBriefingOps(model, candidates) {
     4. Format: "Country: (RiskTypes) Summary. 48h: Watch item."
     5. MUST include numeric data from capsule (R-INDEX or Events).
     6. NO invented facts.
+    7. Only mention countries from the capsules, and only with the level given in their capsule.
     `;
 
     try {
-        const result = await model.generateContent(prompt);
-        let text = result.response.text().replace(/```json/g, '').replace(/```/g, '').trim();
-        const json = JSON.parse(text);
-
-        // Validation
-        if (!json.en || !Array.isArray(json.en)) throw new Error("Invalid structure");
+        // Schema + fact checks (candidate countries only, levels as in the capsules), one repair round
+        const { value: json, attempts } = await generateStructured(llm, prompt, {
+            stage: 'briefing_ops',
+            schema: BRIEFING_SCHEMA,
+            check: (value) => checkBriefing(value, candidates, matcher)
+        });
 
         return {
             en: json.en.slice(0, 5), ja: json.ja.slice(0, 5), es: json.es.slice(0, 5),
-            meta: { basis: "ops", generator: "gemini", date: new Date().toISOString().split('T')[0], candidates_count: candidates.length, countries_used: candidates.map(c => c.iso2) }
+            meta: { basis: "ops", generator: llm.name, date: RUN_TIMESTAMP.split('T')[0], candidates_count: candidates.length, countries_used: candidates.map(c => c.iso2), attempts }
         };
     } catch (e) {
-        console.warn("Gemini Ops Briefing failed:", e.message);
+        console.warn("LLM Ops Briefing failed:", e.message);
         return null; // Trigger fallback
     }
 }
 
-// [P0] FALLBACKS (Capsule-based, Concrete)
-
-function getFallbackBriefingTrending(candidates) {
-    // Select top 4 for specific fallback (Headline based)
-    const top = candidates.slice(0, 4);
-
-    // Helper to make a sentence from headlines
-    const makeSentences = (lang) => {
-        return top.map(c => {
-            const headline = (c.news_headlines && c.news_headlines.length > 0) ? c.news_headlines[0] : (lang === 'ja' ? '詳細情報なし' : 'No specific details');
-            const name = lang === 'ja' ? (c.name_ja || c.name) : c.name;
-            // Clean headline (remove source suffix if present)
-            const cleanHeadline = headline.split(' - ')[0];
-            if (lang === 'ja') return `${name}: ${cleanHeadline}`;
-            if (lang === 'es') return `${name}: ${cleanHeadline}`;
-            return `${name}: ${cleanHeadline}`;
-        });
-    };
-
-    const enLines = makeSentences('en');
-    const jaLines = makeSentences('ja');
-    const esLines = makeSentences('es');
-
-    const en = [
-        "Global Trending: Headlines from top surge regions.",
-        ...enLines,
-        "Monitoring detailed impact."
-    ].slice(0, 5);
-
-    const ja = [
-        "世界的トレンド: 急上昇地域の主要ニュース。",
-        ...jaLines,
-        "詳細な影響を監視中。"
-    ].slice(0, 5);
-
-    const es = [
-        "Tendencia Global: Titulares principales de regiones en alza.",
-        ...esLines,
-        "Monitoreando impacto detallado."
-    ].slice(0, 5);
-
-    return {
-        en, ja, es,
-        meta: { basis: "trending", generator: "fallback", date: new Date().toISOString().split('T')[0], candidates_count: candidates.length }
-    };
-}
-
-function getFallbackBriefingOps(candidates) {
-    // Select top 5
-    const top = candidates.slice(0, 5);
-
-    // Create direct fallback from capsules
-    const en = top.map(c => c.signal_capsule.en.slice(0, 140));
-    const ja = top.map(c => c.signal_capsule.ja.slice(0, 140));
-    const es = top.map(c => c.signal_capsule.es.slice(0, 140));
-
-    return {
-        en, ja, es,
-        meta: { basis: "ops", generator: "fallback", date: new Date().toISOString().split('T')[0], candidates_count: candidates.length }
-    };
-}
-
 main().catch(console.error);
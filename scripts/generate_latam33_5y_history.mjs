@@ -1,10 +1,11 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { BigQuery } from '@google-cloud/bigquery';
 import 'dotenv/config';
 import { fipsToIso2, loadCountryNameMap } from './fips_to_iso2.js';
-import { buildRCondition } from './gdelt_bigquery.js';
+import { buildRCondition, getBigQueryClient } from './sources/index.mjs';
+import { resolveCountryConfig } from './scoring_overrides.mjs';
+import { buildHistoryWeek } from './surge_r.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -36,8 +37,6 @@ async function main() {
     // Load Scoring & R-Defs
     const scoringConfig = JSON.parse(fs.readFileSync(SCORING_PATH, 'utf-8'));
     const rDefs = JSON.parse(fs.readFileSync(RDEFS_PATH, 'utf-8'));
-    const THRESHOLDS = scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
-    const k = scoringConfig.surge_r?.smoothing_k ?? 5;
 
     // Load Baselines
     const baselines5y = JSON.parse(fs.readFileSync(BASELINES_5Y_PATH, 'utf-8')).countries || {};
@@ -52,10 +51,7 @@ async function main() {
         .replace(/\${R4_CONDITION}/g, buildRCondition(rDefs.R4));
 
     // BigQuery Setup
-    const bigquery = new BigQuery({
-        projectId: process.env.BQ_PROJECT_ID || 'countryrisks-prod',
-        keyFilename: path.resolve(__dirname, '../credentials/gcp-service-account.json')
-    });
+    const bigquery = getBigQueryClient();
 
     const weeksCount = 260; // 5 years
     const endInput = new Date().toISOString().split('T')[0];
@@ -102,128 +98,24 @@ async function main() {
         // Baseline Logic (Consistent with generate_weekly_backfill)
         const b5y = baselines5y[iso2] || {};
         const bCalm = baselinesCalmest3y[iso2]?.gdelt?.baseline || {};
-        const b = {
-            R1: { median: bCalm.median_r1 || b5y.R1?.median || 1 },
-            R2: { median: bCalm.median_r2 || b5y.R2?.median || 1 },
-            R3: { median: bCalm.median_r3 || b5y.R3?.median || 1 },
-            R4: { median: bCalm.median_r4 || b5y.R4?.median || 1 }
+        const baselineMedians = {
+            R1: bCalm.median_r1 || b5y.R1?.median || 1,
+            R2: bCalm.median_r2 || b5y.R2?.median || 1,
+            R3: bCalm.median_r3 || b5y.R3?.median || 1,
+            R4: bCalm.median_r4 || b5y.R4?.median || 1
         };
 
         const eventCount7 = row.event_count || 0;
-        const result = {
-            week: row.iso_week,
-            ratios: {},
-            levels: {},
-            counts: {
-                R1: row.r1_security || 0,
-                R2: row.r2_living || 0,
-                R3: row.r3_governance || 0,
-                R4: row.r4_fiscal || 0
-            },
-            event_count: eventCount7,
-            weekly_surge_r_by_type: {}
-        };
-
-        let maxLvl = 'None';
-        const levelWeights = { 'None': 0, 'Yellow': 1, 'Orange': 2, 'Red': 3 };
-        const minBaseline = scoringConfig.surge_r?.min_baseline_median_for_surge || 3;
-        const highVolFloor = scoringConfig.surge_r?.high_volume_floor || 5000;
-        const isHighVolCountry = eventCount7 >= highVolFloor;
-
-        const rTypeConfigs = {
-            R1: scoringConfig.r1_security || { absolute_threshold: 300, ratio_threshold: 0.06 },
-            R2: scoringConfig.r2_living || { absolute_threshold: 180, ratio_threshold: 0.035 },
-            R3: scoringConfig.r3_governance || { absolute_threshold: 150, ratio_threshold: 0.045 },
-            R4: scoringConfig.r4_fiscal || { absolute_threshold: 200, ratio_threshold: 0.04 }
-        };
-
-        ['R1', 'R2', 'R3', 'R4'].forEach(r => {
-            const baselineDaily = b[r]?.median || 1;
-            const baseline7 = baselineDaily * 7;
-            const today7 = result.counts[r];
-            const ratio7 = (today7 + k) / (baseline7 + k);
-            const share7 = today7 / Math.max(1, eventCount7);
-
-            result.ratios[r] = parseFloat(ratio7.toFixed(3));
-
-            let lvl = 'None';
-            if (ratio7 >= THRESHOLDS.red) lvl = 'Red';
-            else if (ratio7 >= THRESHOLDS.orange) lvl = 'Orange';
-            else if (ratio7 >= THRESHOLDS.yellow) lvl = 'Yellow';
-
-            result.levels[r] = lvl;
-
-            // Full Gating Logic (Mirroring generate_weekly_latest.mjs)
-            const rGating = scoringConfig.gating?.low_abs || {};
-            const absFloor = rGating.floors?.[r] || 0;
-            const absShare = rGating.shares?.[r] || 0;
-            const dynamicAbsThreshold = Math.max(absFloor, Math.ceil(eventCount7 * absShare));
-
-            const rConf = rTypeConfigs[r];
-            const ratioThreshold = rConf.ratio_threshold || 0;
-
-            const absHit = today7 >= dynamicAbsThreshold;
-            const shareHit = share7 >= ratioThreshold;
-            const redOverride = ratio7 >= THRESHOLDS.red;
-
-            let triggered = shareHit || (absHit && !isHighVolCountry);
-            if (redOverride) triggered = true;
-
-            // Tiered Baseline Floor (New)
-            let dynamicMinBaseline = scoringConfig.surge_r?.min_baseline_median_for_surge || 3;
-            if (eventCount7 < 500) dynamicMinBaseline = 1.0;
-            else if (eventCount7 < 2000) dynamicMinBaseline = 1.5;
-
-            const isStable = b[r]?.median !== undefined && b[r]?.median >= dynamicMinBaseline;
-            const activeThreshold = THRESHOLDS.yellow;
-            const isActive = triggered && isStable && (ratio7 >= activeThreshold);
-
-            let reason = isActive ? "active" : "unknown";
-            if (!isActive) {
-                if (!triggered) {
-                    if (absHit && isHighVolCountry && !shareHit) reason = "high-vol";
-                    else if (absHit && !shareHit) reason = "low-share";
-                    else if (!absHit) reason = "low-abs";
-                } else if (!isStable) {
-                    reason = "low-baseline";
-                } else if (ratio7 < activeThreshold) {
-                    reason = "below-threshold";
-                }
-            }
-
-            result.weekly_surge_r_by_type[r] = {
-                today7,
-                baseline7: parseFloat(baseline7.toFixed(1)),
-                ratio7: result.ratios[r],
-                share7: parseFloat(share7.toFixed(4)),
-                is_active: isActive,
-                reason: reason,
-                gate_status: isStable ? "stable" : "unknown"
-            };
-
-            if (isActive && levelWeights[lvl] > levelWeights[maxLvl]) {
-                maxLvl = lvl;
-            }
-        });
-
-        // Add top-level weekly_surge_r for bundle consistency
-        const activeRatios = Object.values(result.weekly_surge_r_by_type)
-            .filter(r => r.is_active)
-            .map(r => r.ratio7);
-        const maxRatioActive = activeRatios.length > 0 ? Math.max(...activeRatios) : 0;
-        const activeTypes = Object.entries(result.weekly_surge_r_by_type)
-            .filter(([_, v]) => v.is_active)
-            .map(([k, _]) => k);
-
-        result.weekly_surge_r = {
-            level: maxLvl.toLowerCase(),
-            max_ratio_active: parseFloat(maxRatioActive.toFixed(3)),
-            active_types: activeTypes,
-            thresholds: THRESHOLDS,
-            smoothing_k: k
+        const counts = {
+            R1: row.r1_security || 0,
+            R2: row.r2_living || 0,
+            R3: row.r3_governance || 0,
+            R4: row.r4_fiscal || 0
         };
 
-        result.overall_level = maxLvl;
+        // Same SurgeR gating as generate_weekly_latest.mjs (shared engine)
+        const { config } = resolveCountryConfig(scoringConfig, iso2);
+        const result = buildHistoryWeek(row.iso_week, counts, eventCount7, baselineMedians, config);
         countriesHistory[iso2].push(result);
     });
 
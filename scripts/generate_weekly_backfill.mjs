@@ -1,10 +1,11 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { BigQuery } from '@google-cloud/bigquery';
 import 'dotenv/config';
 import { fipsToIso2, loadCountryNameMap } from './fips_to_iso2.js';
-import { buildRCondition } from './gdelt_bigquery.js';
+import { buildRCondition, getBigQueryClient } from './sources/index.mjs';
+import { resolveCountryConfig, summarizeThresholds } from './scoring_overrides.mjs';
+import { computeSurgeR, toWeeklyTypeEntry, R_TYPES } from './surge_r.mjs';
 import { execSync } from 'child_process';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -23,7 +24,6 @@ const SQL_PATH = path.resolve(__dirname, 'weekly_query.sql');
 const scoringConfig = JSON.parse(fs.readFileSync(SCORING_PATH, 'utf-8'));
 const rDefs = JSON.parse(fs.readFileSync(RDEFS_PATH, 'utf-8'));
 
-const THRESHOLDS = scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
 const DEBUG_DIR = path.resolve(__dirname, '../weekly_debug');
 
 function parseArgs(argv) {
@@ -97,12 +97,7 @@ async function main() {
         .replace(/\${R4_CONDITION}/g, buildRCondition(rDefs.R4));
 
     // Init BigQuery
-    const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-    const bigquery = new BigQuery({
-        projectId: BQ_PROJECT_ID,
-        keyFilename: path.resolve(__dirname, '../credentials/gcp-service-account.json')
-    });
+    const bigquery = getBigQueryClient();
 
     console.log("[BIGQUERY] Fetching 52-week data...");
     const nameMap = loadCountryNameMap();
@@ -141,15 +136,18 @@ async function main() {
         if (!weeksData[week]) weeksData[week] = {};
         if (!countriesData[iso2]) countriesData[iso2] = {};
 
+        // Thresholds after tier/region/country overrides
+        const { config: cfg, applied: overrides } = resolveCountryConfig(scoringConfig, iso2);
+
         // Prefer calmest3y baseline for ratio7 calculation (pre-crisis, lower values)
         const b5y = baselines5y[iso2] || {};
         const bCalm = baselinesCalmest3y[iso2]?.gdelt?.baseline || {};
         // Use calmest3y if available, else fall back to 5y
-        const b = {
-            R1: { median: bCalm.median_r1 || b5y.R1?.median || 1 },
-            R2: { median: bCalm.median_r2 || b5y.R2?.median || 1 },
-            R3: { median: bCalm.median_r3 || b5y.R3?.median || 1 },
-            R4: { median: bCalm.median_r4 || b5y.R4?.median || 1 }
+        const baselineMedians = {
+            R1: bCalm.median_r1 || b5y.R1?.median || 1,
+            R2: bCalm.median_r2 || b5y.R2?.median || 1,
+            R3: bCalm.median_r3 || b5y.R3?.median || 1,
+            R4: bCalm.median_r4 || b5y.R4?.median || 1
         };
         const eventCount7 = row.event_count || 0; // Total events for the week (NOT sum of R1-R4)
         const sums = {
@@ -159,153 +157,32 @@ async function main() {
             R4: row.r4_fiscal || 0
         };
 
-        // Unified ratios for Intensity view (same formula as Signal ratio7)
-        const k = scoringConfig.surge_r?.smoothing_k ?? 5;
+        // SurgeR (shared engine, weekly window): gated Signal view + ungated Intensity levels
+        const surge = computeSurgeR(sums, baselineMedians, eventCount7, cfg, { window: 'weekly' });
+        const k = surge.settings.smoothing_k;
+        const minBaseline = surge.settings.min_baseline_median_for_surge;
+
         const unifiedRatios = {};
         const unifiedLevels = {};
-        let unifiedBundleParts = [];
+        const unifiedBundleParts = [];
         let unifiedMaxLvl = 'None';
         const levelWeights = { 'None': 0, 'Yellow': 1, 'Orange': 2, 'Red': 3 };
-
-        // Track baseline mode for each R-type
         const baselineModes = {};
-
-        ['R1', 'R2', 'R3', 'R4'].forEach(r => {
-            const baselineDaily = b[r]?.median || 1;
-            const baseline7 = baselineDaily * 7; // Full week baseline
-            const today7 = sums[r];
-            // Unified formula: same as Signal ratio7
-            const ratio7 = (today7 + k) / (baseline7 + k);
-            unifiedRatios[r] = parseFloat(ratio7.toFixed(3));
-
-            // Track baseline source
-            const bCalm = baselinesCalmest3y[iso2]?.gdelt?.baseline || {};
-            const calmestKey = `median_${r.toLowerCase()}`;
-            baselineModes[r] = bCalm[calmestKey] ? 'calmest3y' : 'fallback_5y';
-
-            let lvl = 'None';
-            if (ratio7 >= THRESHOLDS.red) lvl = 'Red';
-            else if (ratio7 >= THRESHOLDS.orange) lvl = 'Orange';
-            else if (ratio7 >= THRESHOLDS.yellow) lvl = 'Yellow';
-
-            unifiedLevels[r] = lvl;
-            if (lvl !== 'None') {
-                unifiedBundleParts.push(r);
-                if (levelWeights[lvl] > levelWeights[unifiedMaxLvl]) unifiedMaxLvl = lvl;
-            }
-        });
-
-        // ========== GATE LOGIC (Signal view) ==========
-        const highVol = eventCount7 >= scoringConfig.surge_r?.high_volume_floor || eventCount7 >= 5000;
-        const minBaseline = scoringConfig.surge_r?.min_baseline_median_for_surge ?? 3;
-
         const weeklySurgeRByType = {};
-        const activeTypes = [];
-        let maxRatioActive = 0;
-
-        // R-type config map for abs/share gates
-        const rTypeConfigs = {
-            R1: scoringConfig.r1_security || { absolute_threshold: 300, ratio_threshold: 0.06 },
-            R2: scoringConfig.r2_living || { absolute_threshold: 180, ratio_threshold: 0.035 },
-            R3: scoringConfig.r3_governance || { absolute_threshold: 150, ratio_threshold: 0.045 },
-            R4: scoringConfig.r4_fiscal || { absolute_threshold: 200, ratio_threshold: 0.04 }
-        };
-
-        ['R1', 'R2', 'R3', 'R4'].forEach(r => {
-            const today7 = sums[r];
-            const baselineDaily = b[r]?.median || 1;
-            const baseline7 = baselineDaily * 7; // Full week baseline
 
-            // Smoothed ratio (Gate-based calculation)
-            const ratio7 = (today7 + k) / (baseline7 + k);
-
-            // Share calculation (uses total event count, NOT R-type sum)
-            const share7 = today7 / Math.max(1, eventCount7);
-
-            // Abs/Share Gates
-            const rConf = rTypeConfigs[r];
-            const absThreshold = rConf.absolute_threshold || 0;
-            const ratioThreshold = rConf.ratio_threshold || 0;
-
-            const absHit = today7 >= absThreshold;
-            const shareHitFixed = share7 >= ratioThreshold;
-
-            // Dynamic Share Threshold (Option 1)
-            const hvFloor = scoringConfig.surge_r?.high_volume_floor ?? 5000;
-            let shareThrUsed = ratioThreshold;
-            let shareGateMode = "fixed";
-
-            if (highVol && eventCount7 > hvFloor) {
-                const minShareFloor = 0.010; // 1%
-                shareThrUsed = Math.max(minShareFloor, ratioThreshold * Math.sqrt(hvFloor / eventCount7));
-                shareGateMode = "dynamic";
-            }
-
-            const shareHit = share7 >= shareThrUsed;
-
-            // Red-Level Override (Option 2)
-            const redThreshold = THRESHOLDS.red;
-            const redOverrideUsed = ratio7 >= redThreshold;
-
-            // High-volume suppression: absHit alone not enough, but Red Override bypasses all
-            let triggered = shareHit || (absHit && !highVol);
-            if (redOverrideUsed) {
-                triggered = true;
-            }
-
-            // Stability check
-            const isStable = baselineDaily >= minBaseline;
-            const activeThreshold = scoringConfig.surge_r?.thresholds?.yellow ?? 1.75;
-            const isActive = triggered && isStable && (ratio7 >= activeThreshold);
-
-            // Reason (for UI display)
-            let reason = 'active';
-            if (isActive) {
-                reason = 'active';
-                if (shareGateMode === "dynamic" && !shareHitFixed && shareHit) {
-                    reason = 'dynamic_share_pass';
-                }
-            } else {
-                // Priority-based gating reason
-                if (eventCount7 === 0) {
-                    reason = 'eventCount_missing';
-                } else if (!isStable) {
-                    reason = 'unstable_baseline';
-                } else if (!triggered) {
-                    // triggered = shareHit || (absHit && !highVol) || redOverride
-                    if (absHit && highVol && !shareHit) {
-                        reason = 'highvol_abs_suppressed';
-                    } else {
-                        reason = 'not_triggered';
-                    }
-                } else if (ratio7 < activeThreshold) {
-                    reason = 'below_threshold';
-                } else {
-                    reason = 'other';
-                }
+        R_TYPES.forEach(r => {
+            const e = surge.by_type[r];
+            unifiedRatios[r] = parseFloat(e.ratio.toFixed(3));
+            unifiedLevels[r] = e.intensity;
+            if (e.intensity !== 'None') {
+                unifiedBundleParts.push(r);
+                if (levelWeights[e.intensity] > levelWeights[unifiedMaxLvl]) unifiedMaxLvl = e.intensity;
             }
 
-            if (isActive) {
-                activeTypes.push(r);
-                if (ratio7 > maxRatioActive) maxRatioActive = ratio7;
-            }
+            // Track baseline source
+            baselineModes[r] = bCalm[`median_${r.toLowerCase()}`] ? 'calmest3y' : 'fallback_5y';
 
-            weeklySurgeRByType[r] = {
-                today7,
-                baseline7: parseFloat(baseline7.toFixed(1)),
-                ratio7: parseFloat(ratio7.toFixed(3)),
-                share7: parseFloat(share7.toFixed(4)),
-                abs_hit: absHit,
-                share_hit: shareHit,
-                share_thr_used: parseFloat(shareThrUsed.toFixed(4)),
-                share_gate_mode: shareGateMode,
-                red_override_used: redOverrideUsed,
-                high_vol: highVol,
-                triggered,
-                is_stable: isStable,
-                is_active: isActive,
-                reason
-            };
+            weeklySurgeRByType[r] = toWeeklyTypeEntry(e);
 
             // Debug storage
             if (debugIso2s.includes(iso2)) {
@@ -313,38 +190,19 @@ async function main() {
                 debugStore[iso2].push({
                     week,
                     r,
-                    today7,
-                    baseline7: parseFloat(baseline7.toFixed(1)),
-                    ratio7: parseFloat(ratio7.toFixed(3)),
-                    share7: parseFloat(share7.toFixed(4)),
                     eventCount7,
-                    absHit,
-                    shareHit,
-                    shareThrUsed: parseFloat(shareThrUsed.toFixed(4)),
-                    shareGateMode,
-                    redOverrideUsed,
-                    highVol,
-                    triggered,
-                    isStable,
-                    isActive,
-                    reason,
+                    ...weeklySurgeRByType[r],
                     thresholds: {
-                        abs: absThreshold,
-                        share: ratioThreshold,
-                        active: activeThreshold,
-                        highVolFloor: scoringConfig.surge_r?.high_volume_floor ?? 5000
+                        abs: e.abs_threshold,
+                        share: e.share_threshold,
+                        active: e.threshold,
+                        min_baseline: e.min_baseline,
+                        highVolFloor: surge.settings.high_volume_floor
                     }
                 });
             }
         });
 
-        // Overall weekly_surge_r level
-        let weeklySurgeRLevel = 'green';
-        const surgeThresholds = scoringConfig.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
-        if (maxRatioActive >= surgeThresholds.red) weeklySurgeRLevel = 'red';
-        else if (maxRatioActive >= surgeThresholds.orange) weeklySurgeRLevel = 'orange';
-        else if (maxRatioActive >= surgeThresholds.yellow) weeklySurgeRLevel = 'yellow';
-
         const result = {
             name_en: nameMap[iso2] || iso2,
             // Unified fields (shared by Intensity view - same formula as Signal)
@@ -352,22 +210,23 @@ async function main() {
             event_count: eventCount7,
             ratios: unifiedRatios,
             levels: unifiedLevels,
-            thresholds: THRESHOLDS,
+            thresholds: surge.settings.thresholds,
             bundle: unifiedBundleParts.join('+'),
             overall_level: unifiedMaxLvl,
             baseline_modes: baselineModes,
             smoothing_k: k,
             // Gate fields (Signal view)
             weekly_surge_r: {
-                level: weeklySurgeRLevel,
-                max_ratio_active: parseFloat(maxRatioActive.toFixed(3)),
-                active_types: activeTypes,
-                thresholds: surgeThresholds,
+                level: surge.level,
+                max_ratio_active: parseFloat(surge.max_ratio_active.toFixed(3)),
+                active_types: surge.active_types,
+                thresholds: surge.settings.thresholds,
                 smoothing_k: k,
-                high_volume_floor: scoringConfig.surge_r?.high_volume_floor ?? 5000,
+                high_volume_floor: surge.settings.high_volume_floor,
                 min_baseline_median_for_surge: minBaseline
             },
-            weekly_surge_r_by_type: weeklySurgeRByType
+            weekly_surge_r_by_type: weeklySurgeRByType,
+            effective_thresholds: summarizeThresholds(cfg, overrides)
         };
 
         weeksData[week][iso2] = result;
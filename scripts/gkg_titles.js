@@ -7,20 +7,14 @@
  */
 
 import 'dotenv/config';
-import { BigQuery } from '@google-cloud/bigquery';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { fipsToIso2, iso2ToFips } from './fips_to_iso2.js';
+import { getBigQueryClient } from './sources/index.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
 
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
+const bigquery = getBigQueryClient();
 
 // Media Basket (Top 35 Global News Domains)
 const MEDIA_BASKET = [
@@ -148,32 +148,11 @@ const IGNORE_KEYWORDS = [
     ' vs ', 'score', 'highlight', 'prediction', 'fantasy', 'warriors', 'knicks', 'lakers', 'nba', 'nfl', 'football', 'soccer', 'cricket', 'game', 'movie', 'trailer', 'review'
 ];
 
-async function callGeminiWithRetry(model, prompt, retries = 5) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await model.generateContent(prompt);
-        } catch (err) {
-            const msg = err.message || '';
-            const isQuota = msg.includes('429') || msg.includes('Quota') || msg.includes('Resource has been exhausted');
-            if (isQuota && i < retries - 1) {
-                if (msg.includes('limit: 0') || msg.includes('limit:0')) {
-                    console.warn("[GT] Gemini API Limit is 0. Failing fast.");
-                    throw err; // Stop retrying
-                }
-                const delay = Math.pow(2, i) * 5000 + 5000 + (Math.random() * 2000);
-                console.warn(`[GT] Gemini Quota hit. Retrying in ${(delay / 1000).toFixed(1)}s...`);
-                await new Promise(r => setTimeout(r, delay));
-                continue;
-            }
-            throw err;
-        }
-    }
-}
-
 /**
- * Classify trends using Gemini (Strict Political Filter) with Heuristic Fallback
+ * Classify trends using the LLM (Strict Political Filter) with Heuristic Fallback
+ * @param {Object} llm - client from llm/index.mjs getLlm()
  */
-export async function classifyTrendsGemini(model, trends) {
+export async function classifyTrendsGemini(llm, trends) {
     if (trends.length === 0) return [];
 
     // Heuristic Classification (always run as baseline or fallback)
@@ -222,8 +201,7 @@ ${trends.map(t => t.title).join('\n')}
 Output JSON only.`;
 
     try {
-        const result = await callGeminiWithRetry(model, prompt);
-        let text = result.response.text();
+        let text = await llm.generate(prompt, { stage: 'trends_classify' });
 
         // [Fix] Extract JSON from Markdown block if present
         const mdMatch = text.match(/```json\s*(\[[\s\S]*?\])\s*```/);
@@ -236,11 +214,11 @@ Output JSON only.`;
         try {
             classification = JSON.parse(jsonMatch[0]);
         } catch (je) {
-            console.warn("[GT] JSON Syntax Error in Gemini output. Falling back to heuristic.");
+            console.warn("[GT] JSON Syntax Error in LLM output. Falling back to heuristic.");
             return runHeuristic();
         }
 
-        console.log(`[GT] Gemini classified ${classification.length} items. Political count: ${classification.filter(c => c.is_political).length}`);
+        console.log(`[GT] LLM classified ${classification.length} items. Political count: ${classification.filter(c => c.is_political).length}`);
 
         return trends.map(t => {
             const match = classification.find(c => c.title === t.title);
@@ -250,7 +228,7 @@ Output JSON only.`;
             };
         });
     } catch (err) {
-        console.warn("[GT] Gemini classification failed:", err.message);
+        console.warn("[GT] LLM classification failed:", err.message);
         console.log("[GT] Falling back to keyword heuristics...");
         return runHeuristic();
     }
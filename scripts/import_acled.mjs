@@ -0,0 +1,66 @@
+/**
+ * import_acled.mjs - Aggregate an ACLED-format CSV export into R1 counts
+ *
+ * Writes per-country daily and ISO-week counts of the R1 event types
+ * (config/scoring.json -> r1_acled.event_types), plus the SurgeR comparison
+ * generate_daily.js would use for --date. Works offline from a local file.
+ *
+ * Usage:
+ *   node scripts/import_acled.mjs <export.csv> [--out public/data/acled] [--date YYYY-MM-DD]
+ *
+ * Daily runs read the CSV directly: node scripts/generate_daily.js --acled <export.csv>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadScoringConfig } from './scoring.mjs';
+import { DEFAULT_ACLED_R1_CONFIG, loadAcledEvents, aggregateAcledDaily, aggregateAcledWeekly, computeAcledR1 } from './sources/acled.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ARGS = process.argv.slice(2);
+const argValue = (flag) => {
+    const idx = ARGS.indexOf(flag);
+    return idx !== -1 ? ARGS[idx + 1] : null;
+};
+
+const INPUT = ARGS.find((a, i) => !a.startsWith('--') && !ARGS[i - 1]?.startsWith('--'));
+const OUT_DIR = path.resolve(argValue('--out') || path.join(__dirname, '../public/data/acled'));
+
+if (!INPUT) {
+    console.error('Usage: node scripts/import_acled.mjs <export.csv> [--out <dir>] [--date YYYY-MM-DD]');
+    process.exit(1);
+}
+
+const cfg = { ...DEFAULT_ACLED_R1_CONFIG, ...loadScoringConfig().r1_acled };
+const { events, stats } = loadAcledEvents(path.resolve(INPUT), { eventTypes: cfg.event_types });
+console.log(`[ACLED] ${stats.rows} rows, ${stats.kept} R1 events (${stats.min_date}..${stats.max_date})`);
+console.log(`[ACLED] Skipped: other types=${stats.other_types}, unmapped iso=${stats.unmapped_iso}, bad dates=${stats.bad_date}`);
+
+const daily = aggregateAcledDaily(events);
+const weekly = aggregateAcledWeekly(events);
+const targetDate = argValue('--date') || stats.max_date;
+
+const meta = {
+    source: path.basename(INPUT),
+    generated_at: new Date().toISOString(),
+    event_types: cfg.event_types,
+    coverage: { start: stats.min_date, end: stats.max_date },
+    stats
+};
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+fs.writeFileSync(path.join(OUT_DIR, 'acled_r1_daily.json'), JSON.stringify({ meta, days: daily }, null, 2));
+fs.writeFileSync(path.join(OUT_DIR, 'acled_r1_weekly.json'), JSON.stringify({ meta, weeks: weekly }, null, 2));
+
+if (targetDate) {
+    const r1 = computeAcledR1(daily, targetDate, { ...cfg, coverageStart: stats.min_date });
+    fs.writeFileSync(path.join(OUT_DIR, 'acled_r1_latest.json'), JSON.stringify({ meta: { ...meta, date: targetDate, window_days: cfg.window_days, baseline_days: cfg.baseline_days }, countries: r1 }, null, 2));
+
+    const top = Object.entries(r1).sort((a, b) => b[1].today - a[1].today).slice(0, 10);
+    console.log(`[ACLED] Top R1 for ${targetDate} (${cfg.window_days}d window vs ${cfg.baseline_days}d median):`);
+    top.forEach(([iso2, c]) => console.log(`  > ${iso2}: ${c.today} events (median ${c.baseline_median}), ${c.fatalities} fatalities`));
+}
+
+console.log(`[ACLED] Wrote ${Object.keys(daily).length} days / ${Object.keys(weekly).length} weeks to ${OUT_DIR}`);
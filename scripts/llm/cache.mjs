@@ -0,0 +1,70 @@
+/**
+ * cache.mjs - Content-addressed response cache for LLM calls
+ *
+ * Key = sha256 of provider, model and prompt; one JSON file per entry under
+ * LLM_CACHE_DIR (default .cache/llm), sharded by the first two hex digits.
+ *   LLM_CACHE            on (default) | off | only
+ *                        only = answer from the cache and never call the model
+ *                        (misses fail, callers fall back to their heuristics),
+ *                        so a cached run can be reproduced offline
+ *   LLM_CACHE_TTL_HOURS  entries older than this are ignored (default 168); `only` ignores the TTL
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.resolve(__dirname, '../../.cache/llm');
+
+export const CACHE_MODES = ['on', 'off', 'only'];
+
+export function cacheKey(provider, model, prompt) {
+    return crypto.createHash('sha256').update(JSON.stringify([provider, model, prompt])).digest('hex');
+}
+
+/**
+ * @param {Object} [options] - { dir, mode, ttlHours, now }
+ * @returns {{ mode, dir, get(key): Object|null, set(key, entry): void }} null when mode is off
+ */
+export function createResponseCache({
+    dir = process.env.LLM_CACHE_DIR || DEFAULT_DIR,
+    mode = process.env.LLM_CACHE || 'on',
+    ttlHours = Number(process.env.LLM_CACHE_TTL_HOURS || 168),
+    now = () => Date.now()
+} = {}) {
+    if (!CACHE_MODES.includes(mode)) {
+        throw new Error(`[LLM] Unknown LLM_CACHE "${mode}" (expected: ${CACHE_MODES.join(', ')})`);
+    }
+    if (mode === 'off') return null;
+
+    const fileFor = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+    return {
+        mode,
+        dir,
+
+        get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf-8'));
+            } catch {
+                return null;
+            }
+            const ageHours = (now() - Date.parse(entry.created_at)) / 3600000;
+            if (mode !== 'only' && !(ageHours <= ttlHours)) return null;
+            return entry;
+        },
+
+        // Written via a temp file so a crashed run never leaves half an entry
+        set(key, entry) {
+            if (mode === 'only') return;
+            const file = fileFor(key);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({ key, created_at: new Date(now()).toISOString(), ...entry }, null, 2));
+            fs.renameSync(tmp, file);
+        }
+    };
+}
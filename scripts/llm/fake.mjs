@@ -0,0 +1,44 @@
+/**
+ * fake.mjs - Deterministic provider for tests and offline runs
+ *
+ * Replies come from rules checked in order; the first rule whose `match`
+ * (substring or RegExp) occurs in the prompt wins:
+ *   { match, reply }   reply text, or (prompt) => text
+ *   { match, error }   throw an Error with this message (rate limits, outages)
+ *   { match, times }   only the first `times` matching calls use this rule
+ * Without a matching rule the reply is `fallback` ("null" by default, which every
+ * caller treats as "no usable answer" and falls back to its heuristics).
+ *
+ *   LLM_FAKE_FILE    JSON file with { "rules": [{ "match": "...", "reply": "..." }], "fallback": "..." }
+ *                    (string matches only) for offline runs of generate_daily.js
+ *
+ * Every prompt is kept in `calls` for assertions. Token usage is reported as
+ * characters / 4, so ledgers of fake runs have plausible numbers.
+ */
+
+import fs from 'fs';
+
+export function createFakeProvider({ rules, fallback, file = process.env.LLM_FAKE_FILE } = {}) {
+    const fromFile = !rules && file ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+    const active = (rules || fromFile.rules || []).map(rule => ({ ...rule, used: 0 }));
+    const defaultReply = fallback ?? fromFile.fallback ?? 'null';
+    const calls = [];
+
+    const matches = (rule, prompt) => (rule.match instanceof RegExp ? rule.match.test(prompt) : prompt.includes(rule.match));
+
+    return {
+        name: 'fake',
+        model: 'fake',
+        calls,
+
+        async generate(prompt, { onUsage } = {}) {
+            calls.push(prompt);
+            const rule = active.find(r => matches(r, prompt) && (r.times === undefined || r.used < r.times));
+            if (rule) rule.used++;
+            if (rule?.error) throw new Error(rule.error);
+            const text = !rule ? defaultReply : typeof rule.reply === 'function' ? rule.reply(prompt) : rule.reply;
+            onUsage?.({ prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(text.length / 4) });
+            return text;
+        }
+    };
+}
@@ -0,0 +1,28 @@
+/**
+ * gemini.mjs - Google Gemini provider
+ *
+ *   GEMINI_API_KEY   API key
+ *   LLM_MODEL        model (default gemini-2.0-flash)
+ *
+ * The SDK client is created on the first call, so runs that never reach the
+ * LLM (replay, DISABLE_GEMINI) do not need a key.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY, model = process.env.LLM_MODEL || 'gemini-2.0-flash' } = {}) {
+    let generativeModel = null;
+
+    return {
+        name: 'gemini',
+        model,
+
+        async generate(prompt, { onUsage } = {}) {
+            if (!generativeModel) generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+            const result = await generativeModel.generateContent(prompt);
+            const usage = result.response.usageMetadata;
+            if (usage) onUsage?.({ prompt_tokens: usage.promptTokenCount || 0, completion_tokens: usage.candidatesTokenCount || 0 });
+            return result.response.text();
+        }
+    };
+}
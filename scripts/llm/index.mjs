@@ -0,0 +1,158 @@
+/**
+ * llm/index.mjs - LLM provider adapters behind the narrative / classification calls
+ *
+ * config/llm.json ("provider") selects where prompts go; the LLM_PROVIDER
+ * environment variable overrides it:
+ *   gemini   Google Gemini API (GEMINI_API_KEY; default)
+ *   openai   any OpenAI-compatible /chat/completions endpoint, e.g. a local
+ *            llama.cpp or Ollama server (LLM_BASE_URL, LLM_API_KEY optional)
+ *   fake     deterministic canned replies for tests and offline runs (LLM_FAKE_FILE)
+ * LLM_MODEL overrides the provider's default model.
+ *
+ * Each adapter implements generate(prompt) -> text. Callers get a client from
+ * getLlm(), which adds the shared rate-limit handling: exponential backoff on
+ * 429 / quota / 503 replies, and a fail-fast switch-off for the rest of the run
+ * when the quota is exhausted for good ("limit: 0"). DISABLE_GEMINI=1 still
+ * turns every LLM call off in generate_daily.js, whatever the provider.
+ *
+ * The client also answers repeated prompts from the response cache (cache.mjs,
+ * LLM_CACHE) and records every call in a ledger (ledger.mjs): pass
+ * generate(prompt, { stage }) so the ledger can total calls per run stage.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createGeminiProvider } from './gemini.mjs';
+import { createOpenAiProvider } from './openai.mjs';
+import { createFakeProvider } from './fake.mjs';
+import { createResponseCache, cacheKey } from './cache.mjs';
+import { createLedger } from './ledger.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = path.resolve(__dirname, '../../config/llm.json');
+const DEFAULT_PROVIDER = 'gemini';
+
+export const LLM_PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    fake: createFakeProvider
+};
+
+const sleepMs = (ms) => new Promise(r => setTimeout(r, ms));
+
+const isRateLimited = (err) => {
+    const msg = err?.message || '';
+    return err?.status === 429 || err?.status === 503 ||
+        msg.includes('429') || msg.includes('Quota') || msg.includes('Resource has been exhausted') || msg.includes('503');
+};
+
+const isQuotaGone = (err) => /limit: ?0\b/.test(err?.message || '');
+
+/**
+ * Wrap a provider with the response cache, the ledger and retry / rate-limit handling.
+ * @param {Object} provider - { name, model, generate(prompt, { onUsage }) }
+ * @param {Object} [options] - { retries = 5, baseDelayMs = 5000, sleep, cache = null, ledger }
+ * @returns {{ name, model, disabled: boolean, cache, ledger, generate(prompt, { stage }): Promise<string> }}
+ */
+export function createLlmClient(provider, { retries = 5, baseDelayMs = 5000, sleep = sleepMs, cache = null, ledger = createLedger() } = {}) {
+    const record = (stage, fields) => ledger.record({ stage, provider: provider.name, model: provider.model, cached: false, ...fields });
+
+    const client = {
+        name: provider.name,
+        model: provider.model,
+        disabled: false,
+        cache,
+        ledger,
+
+        async generate(prompt, { stage = 'other' } = {}) {
+            const key = cache ? cacheKey(provider.name, provider.model, prompt) : null;
+            const hit = cache ? cache.get(key) : null;
+            if (hit) {
+                record(stage, { cached: true });
+                return hit.response;
+            }
+            if (cache?.mode === 'only') {
+                record(stage, { error: 'cache_miss' });
+                throw new Error('LLM_CACHE_MISS');
+            }
+            if (client.disabled) {
+                record(stage, { error: 'disabled' });
+                throw new Error('LLM_DISABLED');
+            }
+
+            const started = Date.now();
+            let usage = {};
+            try {
+                const response = await callWithRetry(prompt, { onUsage: (u) => { usage = u; } });
+                record(stage, { ...usage, latency_ms: Date.now() - started });
+                cache?.set(key, { provider: provider.name, model: provider.model, stage, prompt_chars: prompt.length, ...usage, response });
+                return response;
+            } catch (err) {
+                record(stage, { ...usage, latency_ms: Date.now() - started, error: err.message.slice(0, 120) });
+                throw err;
+            }
+        }
+    };
+
+    async function callWithRetry(prompt, options) {
+        for (let i = 0; i < retries; i++) {
+            try {
+                return await provider.generate(prompt, options);
+            } catch (err) {
+                if (isQuotaGone(err)) {
+                    console.warn(`[LLM] ${provider.name}: quota exhausted (limit 0). Disabling LLM calls for this run.`);
+                    client.disabled = true;
+                    throw new Error('LLM_LIMIT_0');
+                }
+                if (isRateLimited(err) && i < retries - 1) {
+                    // Exponential backoff: 10s, 15s, 25s, 45s, ... (plus jitter)
+                    const delay = Math.pow(2, i) * baseDelayMs + baseDelayMs + (Math.random() * 2000);
+                    console.warn(`[LLM] ${provider.name}: rate limited. Retrying in ${(delay / 1000).toFixed(1)}s... (Attempt ${i + 1}/${retries})`);
+                    await sleep(delay);
+                    continue;
+                }
+                throw err;
+            }
+        }
+    }
+
+    return client;
+}
+
+/**
+ * Provider name: LLM_PROVIDER if set, else "provider" in config/llm.json, else gemini.
+ * @param {Object} [options] - { env = process.env, configPath = config/llm.json }
+ */
+export function resolveProviderName({ env = process.env, configPath = CONFIG_PATH } = {}) {
+    if (env.LLM_PROVIDER) return env.LLM_PROVIDER;
+    if (!fs.existsSync(configPath)) return DEFAULT_PROVIDER;
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8')).provider || DEFAULT_PROVIDER;
+    } catch (e) {
+        console.warn(`[LLM] ${path.basename(configPath)} could not be read (${e.message}), using ${DEFAULT_PROVIDER}`);
+        return DEFAULT_PROVIDER;
+    }
+}
+
+const clients = {};
+
+/**
+ * @param {string} [name] - provider name (default: resolveProviderName())
+ * @param {Object} [options] - provider options (see each adapter) plus client options;
+ *   without options the client uses the env-configured response cache
+ */
+export function getLlm(name = resolveProviderName(), options) {
+    const factory = LLM_PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`[LLM] Unknown LLM_PROVIDER "${name}" (expected: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+    }
+    if (options) return createLlmClient(factory(options), options);
+    if (!clients[name]) clients[name] = createLlmClient(factory(), { cache: createResponseCache() });
+    return clients[name];
+}
+
+/** Strip ```json fences that models like to wrap JSON in */
+export function stripCodeFences(text) {
+    return String(text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+}
@@ -0,0 +1,84 @@
+/**
+ * ledger.mjs - Per-run record of LLM calls
+ *
+ * One entry per generate() call: stage, cache hit or live call, tokens,
+ * latency and errors. summary() is what generate_daily.js stores as
+ * `llm_ledger` in the daily JSON; entries are appended to LLM_LEDGER_FILE
+ * (default logs/llm_ledger.jsonl), one line per call.
+ *
+ * Cost is estimated from list prices per million tokens (PRICES) or from
+ * LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD per 1M tokens); local models cost 0.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ledgerFile = () => path.resolve(process.env.LLM_LEDGER_FILE || path.resolve(__dirname, '../../logs/llm_ledger.jsonl'));
+
+// USD per 1M tokens
+export const PRICES = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 }
+};
+
+function priceFor(model) {
+    if (process.env.LLM_PRICE_INPUT || process.env.LLM_PRICE_OUTPUT) {
+        return { input: Number(process.env.LLM_PRICE_INPUT || 0), output: Number(process.env.LLM_PRICE_OUTPUT || 0) };
+    }
+    return PRICES[model] || { input: 0, output: 0 };
+}
+
+const emptyTotals = () => ({ calls: 0, cache_hits: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, latency_ms: 0, cost_usd: 0 });
+
+function addTo(totals, e) {
+    totals.calls++;
+    if (e.cached) totals.cache_hits++;
+    if (e.error) totals.errors++;
+    totals.prompt_tokens += e.prompt_tokens || 0;
+    totals.completion_tokens += e.completion_tokens || 0;
+    totals.latency_ms += e.latency_ms || 0;
+    totals.cost_usd += e.cost_usd || 0;
+}
+
+const rounded = (totals) => ({ ...totals, latency_ms: Math.round(totals.latency_ms), cost_usd: parseFloat(totals.cost_usd.toFixed(6)) });
+
+export function createLedger() {
+    const entries = [];
+
+    return {
+        entries,
+
+        /**
+         * @param {Object} e - { stage, provider, model, cached, prompt_tokens, completion_tokens, latency_ms, error }
+         */
+        record(e) {
+            const price = priceFor(e.model);
+            const cost = e.cached ? 0 : ((e.prompt_tokens || 0) * price.input + (e.completion_tokens || 0) * price.output) / 1e6;
+            entries.push({ stage: e.stage || 'other', ...e, cost_usd: cost });
+        },
+
+        /** Totals for the run and per stage (stages sorted by name) */
+        summary() {
+            const total = emptyTotals();
+            const stages = {};
+            for (const e of entries) {
+                addTo(total, e);
+                addTo(stages[e.stage] ||= emptyTotals(), e);
+            }
+            const byStage = Object.fromEntries(Object.keys(stages).sort().map(s => [s, rounded(stages[s])]));
+            return { ...rounded(total), stages: byStage };
+        },
+
+        /** Append this run's entries to a JSONL file, tagged with the run id */
+        appendTo(file = ledgerFile(), runId) {
+            if (entries.length === 0) return 0;
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, entries.map(e => JSON.stringify({ run: runId, ...e })).join('\n') + '\n');
+            return entries.length;
+        }
+    };
+}
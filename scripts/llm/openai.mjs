@@ -0,0 +1,49 @@
+/**
+ * openai.mjs - Provider for OpenAI-compatible chat completion endpoints
+ *
+ * Works against api.openai.com and against local servers that speak the same
+ * protocol (llama.cpp `llama-server`, Ollama, vLLM), which is what air-gapped
+ * deployments use:
+ *   LLM_BASE_URL     endpoint root (default http://localhost:8080/v1; Ollama: http://localhost:11434/v1)
+ *   LLM_API_KEY      bearer token, if the server wants one
+ *   LLM_MODEL        model name (local servers with one model ignore it)
+ *   LLM_TIMEOUT_MS   request timeout (default 120000; local models are slow)
+ */
+
+export function createOpenAiProvider({
+    baseUrl = process.env.LLM_BASE_URL || 'http://localhost:8080/v1',
+    apiKey = process.env.LLM_API_KEY,
+    model = process.env.LLM_MODEL || 'local',
+    timeoutMs = Number(process.env.LLM_TIMEOUT_MS || 120000),
+    temperature = 0.2,
+    fetchImpl = fetch
+} = {}) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        model,
+
+        async generate(prompt, { onUsage } = {}) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            const res = await fetchImpl(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ model, temperature, messages: [{ role: 'user', content: prompt }] }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!res.ok) {
+                const body = await res.text().catch(() => '');
+                const err = new Error(`HTTP ${res.status} from ${url}: ${body.slice(0, 200)}`);
+                err.status = res.status;
+                throw err;
+            }
+            const json = await res.json();
+            const text = json?.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') throw new Error(`No message content in reply from ${url}`);
+            if (json.usage) onUsage?.({ prompt_tokens: json.usage.prompt_tokens || 0, completion_tokens: json.usage.completion_tokens || 0 });
+            return text;
+        }
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * structured.mjs - JSON-schema-checked LLM replies with a repair round
+ *
+ * generateStructured() sends the prompt, parses the reply as JSON, validates it
+ * against a schema and an optional `check(value)` (semantic rules, e.g. "only
+ * countries from the input"), and when anything is wrong sends the model its
+ * own reply plus the list of violations and asks for a corrected version
+ * (ledger stage `<stage>_repair`). If the last attempt is still invalid it
+ * throws an Error with `violations`, and callers fall back as before.
+ *
+ * The validator covers the subset of JSON Schema the prompts use: type, enum,
+ * required, properties, additionalProperties: false, items, min/maxItems,
+ * min/maxLength.
+ */
+
+import { stripCodeFences } from './index.mjs';
+
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+
+const typeMatches = (type, v) => {
+    const actual = typeOf(v);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * @returns {string[]} violations as "$.path: message"; empty when valid
+ */
+export function validateSchema(schema, value, at = '$') {
+    const errors = [];
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => typeMatches(t, value))) {
+            return [`${at}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+    } else if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at}.${key}: missing`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validateSchema(sub, value[key], `${at}.${key}`));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties?.[key]) errors.push(`${at}.${key}: not allowed`);
+            }
+        }
+    }
+    return errors;
+}
+
+function parseAndCheck(text, schema, check) {
+    let value;
+    try {
+        value = JSON.parse(stripCodeFences(text));
+    } catch (err) {
+        return { value: null, violations: [`reply is not valid JSON (${err.message})`] };
+    }
+    const violations = validateSchema(schema, value);
+    if (violations.length === 0 && check) violations.push(...check(value));
+    return { value, violations };
+}
+
+const repairPrompt = (prompt, reply, violations) => `${prompt}
+
+    Your previous reply was:
+    ${String(reply).slice(0, 4000)}
+
+    It was rejected for these reasons:
+    ${violations.map(v => `- ${v}`).join('\n    ')}
+
+    Return the corrected JSON only, following every rule above.
+    `;
+
+/**
+ * @param {Object} llm - client from getLlm()
+ * @param {string} prompt
+ * @param {Object} options - { stage, schema, check(value) -> string[], repairs = 1 }
+ * @returns {Promise<{ value: any, attempts: number }>}
+ */
+export async function generateStructured(llm, prompt, { stage = 'other', schema = {}, check = null, repairs = 1 } = {}) {
+    let reply = await llm.generate(prompt, { stage });
+    let { value, violations } = parseAndCheck(reply, schema, check);
+    let attempts = 1;
+
+    while (violations.length > 0 && attempts <= repairs) {
+        console.warn(`[LLM] ${stage}: ${violations.length} violation(s), asking for a repair: ${violations.slice(0, 3).join('; ')}`);
+        reply = await llm.generate(repairPrompt(prompt, reply, violations), { stage: `${stage}_repair` });
+        ({ value, violations } = parseAndCheck(reply, schema, check));
+        attempts++;
+    }
+
+    if (violations.length > 0) {
+        const err = new Error(`${stage}: reply rejected after ${attempts} attempt(s): ${violations.slice(0, 3).join('; ')}`);
+        err.violations = violations;
+        throw err;
+    }
+    return { value, attempts };
+}
@@ -0,0 +1,345 @@
+/**
+ * notify.mjs - Escalation notifications for the daily output
+ *
+ * Rules in config/notifications.json select countries by ISO2 list, tier
+ * (output `tiers`: A / S / B) and R bundles, with a minimum SurgeR level:
+ *   { "name": "latam-orange", "tiers": ["A"], "bundles": ["R1"], "min_level": "orange", "channels": ["slack"] }
+ * A rule fires for a country when
+ *   - its SurgeR level is min_level or above and higher than the level last
+ *     notified for that rule (first crossing, or a further escalation), or
+ *   - an R bundle in the rule (any R1-R4 if none are listed) became active
+ *     while the country is at min_level or above.
+ * What was notified is kept in state_file per rule, country and channel
+ * ("rule|ISO2|channel"), so a country sitting at Red does not alert again;
+ * dropping below min_level clears it. A channel that failed keeps its previous
+ * state and gets the alert again on the next run; the channels that delivered
+ * do not. A skipped channel (not configured) counts as not subscribed: its state
+ * advances like a delivered one, so it never holds the alert back.
+ *
+ * Channels (one message per channel per run, listing every alert):
+ *   webhook  format slack ({ text }), teams (MessageCard) or json ({ text, alerts })
+ *   smtp     plain-text mail via nodemailer
+ *   file     appends alerts as JSON lines (local testing)
+ *   stdout   prints the message
+ * Values can come from the environment: "url_env": "NOTIFY_SLACK_WEBHOOK_URL"
+ * stands in for "url". A channel missing a required value is skipped.
+ * Webhooks give up after "timeout_ms" (default 10000).
+ *
+ * Usage (generate_daily.js runs this after writing the daily files):
+ *   node scripts/notify.mjs [--input public/data/latest_v4.json] [--config config/notifications.json]
+ *     [--dry-run]   (stdout only, state not updated)
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { R_TYPES } from './surge_r.mjs';
+import { LEVEL_RANK } from './transitions.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+    config: path.join(ROOT, 'config/notifications.json'),
+    input: path.join(ROOT, 'public/data/latest_v4.json'),
+    stateFile: 'tmp/notify_state.json',
+    webhookTimeoutMs: 10000
+};
+const CHANNEL_TYPES = ['webhook', 'smtp', 'file', 'stdout'];
+const LEVEL_ICON = { yellow: '🟡', orange: '🟠', red: '🔴' };
+
+// ============ CONFIG ============
+/**
+ * Check a notifications config.
+ * @returns {string[]} errors (empty if valid)
+ */
+export function validateNotificationConfig(cfg) {
+    const errors = [];
+    const channels = cfg?.channels || {};
+    for (const [name, ch] of Object.entries(channels)) {
+        if (!CHANNEL_TYPES.includes(ch.type)) errors.push(`channels.${name}: unknown type "${ch.type}" (expected ${CHANNEL_TYPES.join('/')})`);
+    }
+    if (!Array.isArray(cfg?.rules)) return [...errors, '"rules" must be an array'];
+    cfg.rules.forEach((rule, i) => {
+        const at = `rules[${i}]${rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule.name) errors.push(`${at}: needs a name`);
+        if (!(rule.min_level in LEVEL_RANK) || rule.min_level === 'green') errors.push(`${at}: min_level must be yellow/orange/red`);
+        (rule.bundles || []).forEach(b => { if (!R_TYPES.includes(b)) errors.push(`${at}: unknown bundle "${b}"`); });
+        if (!Array.isArray(rule.channels) || rule.channels.length === 0) errors.push(`${at}: needs at least one channel`);
+        (rule.channels || []).forEach(c => { if (!channels[c]) errors.push(`${at}: unknown channel "${c}"`); });
+    });
+    return errors;
+}
+
+export function loadNotificationConfig(file = DEFAULTS.config) {
+    const cfg = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const errors = validateNotificationConfig(cfg);
+    if (errors.length > 0) {
+        throw new Error(`[NOTIFY] ${path.basename(file)} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    return cfg;
+}
+
+/** Channel value, or the environment variable named by `${key}_env` */
+function channelValue(channel, key, env = process.env) {
+    if (channel[key] !== undefined) return channel[key];
+    const envName = channel[`${key}_env`];
+    return envName ? env[envName] : undefined;
+}
+
+// ============ RULES ============
+function ruleMatches(rule, iso2, country) {
+    if (rule.countries?.length && !rule.countries.includes(iso2)) return false;
+    if (rule.tiers?.length && !rule.tiers.some(t => (country.tiers || []).includes(t))) return false;
+    return true;
+}
+
+/**
+ * Evaluate rules against one daily output.
+ * @param {Object} output - daily output (latest_v4.json)
+ * @param {Object} cfg - notifications config
+ * @param {Object} state - previous state { "<rule>|<ISO2>|<channel>": { level, bundles, since } }
+ * @returns {{ alerts: Object[], state: Object }} alerts to send and the new state
+ */
+export function evaluateRules(output, cfg, state = {}) {
+    const alerts = [];
+    const next = {};
+    const date = output.date;
+
+    for (const rule of cfg.rules) {
+        const minRank = LEVEL_RANK[rule.min_level];
+        const watched = rule.bundles?.length ? rule.bundles : R_TYPES;
+
+        for (const iso2 of Object.keys(output.countries || {}).sort()) {
+            const c = output.countries[iso2];
+            if (!ruleMatches(rule, iso2, c)) continue;
+            const level = (c.surge_r?.level || 'green').toLowerCase();
+            if ((LEVEL_RANK[level] ?? 0) < minRank) continue; // below the rule: state is cleared
+
+            const active = (c.surge_r?.active_types || []).filter(t => watched.includes(t));
+
+            // One alert per distinct previous state; usually every channel shares it
+            const pending = new Map();
+            for (const channel of rule.channels) {
+                const key = `${rule.name}|${iso2}|${channel}`;
+                const prev = state[key] || state[`${rule.name}|${iso2}`]; // per-rule entries of older state files
+                const newBundles = prev ? active.filter(t => !prev.bundles.includes(t)) : [];
+                const escalated = !prev || LEVEL_RANK[level] > (LEVEL_RANK[prev.level] ?? 0);
+                next[key] = { level, bundles: active, since: prev?.since || date };
+
+                // A bundle-filtered rule only fires on its own bundles
+                if (rule.bundles?.length && active.length === 0) continue;
+                if (!escalated && newBundles.length === 0) continue;
+
+                const group = JSON.stringify([prev?.level || null, newBundles, escalated]);
+                if (!pending.has(group)) pending.set(group, { prev, newBundles, escalated, channels: [] });
+                pending.get(group).channels.push(channel);
+            }
+
+            for (const { prev, newBundles, escalated, channels } of pending.values()) {
+                alerts.push({
+                    rule: rule.name,
+                    channels,
+                    iso2,
+                    name: c.name_en || iso2,
+                    date,
+                    level,
+                    previous_level: prev?.level || null,
+                    active_bundles: active,
+                    new_bundles: newBundles,
+                    reasons: [
+                        ...(escalated ? [prev ? `escalated from ${prev.level}` : `reached ${rule.min_level}+`] : []),
+                        ...(newBundles.length > 0 ? [`new bundle ${newBundles.join('+')}`] : [])
+                    ]
+                });
+            }
+        }
+    }
+    return { alerts, state: next };
+}
+
+// ============ MESSAGES ============
+export function formatAlertLine(a) {
+    const bundles = a.active_bundles.length > 0 ? ` [${a.active_bundles.join('+')}]` : '';
+    return `${LEVEL_ICON[a.level] || ''} ${a.name} (${a.iso2}) SurgeR ${a.level.toUpperCase()}${bundles}: ${a.reasons.join(', ')} - rule ${a.rule}`.trim();
+}
+
+export function formatMessage(alerts, date) {
+    const title = `World Country Risks: ${alerts.length} escalation alert${alerts.length === 1 ? '' : 's'} for ${date}`;
+    return { title, text: [title, ...alerts.map(a => `• ${formatAlertLine(a)}`)].join('\n') };
+}
+
+/** Request body for a webhook channel */
+export function webhookPayload(format, alerts, date) {
+    const { title, text } = formatMessage(alerts, date);
+    if (format === 'slack') return { text };
+    if (format === 'teams') {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: title,
+            title,
+            text: alerts.map(a => formatAlertLine(a)).join('\n\n')
+        };
+    }
+    return { text, alerts };
+}
+
+// ============ DELIVERY ============
+async function sendWebhook(channel, alerts, date) {
+    const url = channelValue(channel, 'url');
+    if (!url) return { skipped: 'no url' };
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(webhookPayload(channel.format || 'json', alerts, date)),
+        signal: AbortSignal.timeout(channel.timeout_ms || DEFAULTS.webhookTimeoutMs)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    return { sent: alerts.length };
+}
+
+async function sendSmtp(channel, alerts, date) {
+    const host = channelValue(channel, 'host');
+    const to = channelValue(channel, 'to');
+    const from = channelValue(channel, 'from');
+    if (!host || !to || !from) return { skipped: 'no host/from/to' };
+    const { default: nodemailer } = await import('nodemailer');
+    const user = channelValue(channel, 'user');
+    const port = Number(channelValue(channel, 'port') || 587);
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure: channel.secure ?? port === 465,
+        auth: user ? { user, pass: channelValue(channel, 'pass') } : undefined
+    });
+    const { title, text } = formatMessage(alerts, date);
+    await transport.sendMail({ from, to, subject: title, text });
+    return { sent: alerts.length };
+}
+
+function writeFileSink(channel, alerts) {
+    const file = path.resolve(ROOT, channelValue(channel, 'path') || 'tmp/notifications.jsonl');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, alerts.map(a => JSON.stringify(a)).join('\n') + '\n');
+    return { sent: alerts.length, file };
+}
+
+/**
+ * Send alerts, grouped per channel. Failures are reported, not thrown.
+ * @returns {Object} channel name -> { sent } | { skipped } | { error }
+ */
+export async function deliver(alerts, cfg, date, { dryRun = false } = {}) {
+    const results = {};
+    const byChannel = {};
+    for (const a of alerts) {
+        for (const name of a.channels) (byChannel[name] = byChannel[name] || []).push(a);
+    }
+    if (dryRun) {
+        if (alerts.length > 0) console.log(formatMessage(alerts, date).text);
+        return { stdout: { sent: alerts.length, dry_run: true } };
+    }
+
+    for (const [name, list] of Object.entries(byChannel)) {
+        const channel = cfg.channels[name];
+        try {
+            if (channel.type === 'webhook') results[name] = await sendWebhook(channel, list, date);
+            else if (channel.type === 'smtp') results[name] = await sendSmtp(channel, list, date);
+            else if (channel.type === 'file') results[name] = writeFileSink(channel, list);
+            else {
+                console.log(formatMessage(list, date).text);
+                results[name] = { sent: list.length };
+            }
+        } catch (e) {
+            results[name] = { error: e.message };
+        }
+    }
+    return results;
+}
+
+// ============ STAGE ============
+function readState(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * State to save after delivery: the evaluated state, except that channels whose
+ * delivery failed (or did not run) keep their previous entry (or none), so only
+ * they get the alert again. Sent and skipped channels advance.
+ * @param {Object} previous - state before evaluateRules
+ * @param {Object} next - state from evaluateRules
+ * @param {Object[]} alerts - alerts from evaluateRules
+ * @param {Object} results - channel name -> deliver() result
+ */
+export function settleState(previous, next, alerts, results) {
+    const settled = { ...next };
+    for (const a of alerts) {
+        for (const name of a.channels) {
+            if (results[name] && !results[name].error) continue;
+            const key = `${a.rule}|${a.iso2}|${name}`;
+            if (previous[key]) settled[key] = previous[key];
+            else delete settled[key];
+        }
+    }
+    return settled;
+}
+
+/**
+ * Notification stage: evaluate rules, deliver, save state.
+ * @returns {Promise<{ alerts: Object[], results: Object }>}
+ */
+export async function runNotifications(output, { configPath = DEFAULTS.config, dryRun = false } = {}) {
+    const cfg = loadNotificationConfig(configPath);
+    const stateFile = path.resolve(ROOT, cfg.state_file || DEFAULTS.stateFile);
+    const previous = readState(stateFile);
+    const { alerts, state } = evaluateRules(output, cfg, previous);
+    console.log(`[NOTIFY] ${alerts.length} alerts from ${cfg.rules.length} rules`);
+
+    const results = alerts.length > 0 ? await deliver(alerts, cfg, output.date, { dryRun }) : {};
+    for (const [name, r] of Object.entries(results)) {
+        if (r.error) console.warn(`[NOTIFY] ${name}: failed (${r.error})`);
+        else if (r.skipped) console.warn(`[NOTIFY] ${name}: skipped (${r.skipped}; treated as not subscribed)`);
+        else console.log(`[NOTIFY] ${name}: sent ${r.sent}`);
+    }
+
+    if (!dryRun) {
+        fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+        fs.writeFileSync(stateFile, JSON.stringify(settleState(previous, state, alerts, results), null, 2));
+    }
+    return { alerts, results };
+}
+
+// ============ CLI ============
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--')) {
+            const key = a.slice(2);
+            const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+            out[key] = val;
+        }
+    }
+    return out;
+}
+
+async function main() {
+    const args = parseArgs(process.argv);
+    const output = JSON.parse(fs.readFileSync(path.resolve(args.input || DEFAULTS.input), 'utf-8'));
+    await runNotifications(output, {
+        configPath: path.resolve(args.config || DEFAULTS.config),
+        dryRun: !!args['dry-run']
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(e => {
+        console.error(e.message);
+        process.exit(1);
+    });
+}
@@ -128,32 +128,11 @@ export async function fetchPolymarketTop10({ limit = 10 } = {}) {
     }
 }
 
-async function callGeminiWithRetry(model, prompt, retries = 5) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await model.generateContent(prompt);
-        } catch (err) {
-            const msg = err.message || '';
-            const isQuota = msg.includes('429') || msg.includes('Quota') || msg.includes('Resource has been exhausted');
-            if (isQuota && i < retries - 1) {
-                if (msg.includes('limit: 0') || msg.includes('limit:0')) {
-                    console.warn("[PM] Gemini API Limit is 0. Failing fast.");
-                    throw err; // Stop retrying
-                }
-                const delay = Math.pow(2, i) * 5000 + 5000 + (Math.random() * 2000);
-                console.warn(`[PM] Gemini Quota hit. Retrying in ${(delay / 1000).toFixed(1)}s...`);
-                await new Promise(r => setTimeout(r, delay));
-                continue;
-            }
-            throw err;
-        }
-    }
-}
-
 /**
- * Map Polymarket Question to ISO2 using Gemini and Heuristics
+ * Map Polymarket Question to ISO2 using the LLM and Heuristics
+ * @param {Object} llm - client from llm/index.mjs getLlm()
  */
-export async function mapPolymarketToCountry(model, title) {
+export async function mapPolymarketToCountry(llm, title) {
     if (!title) return null;
     const t = title.toUpperCase();
 
@@ -164,7 +143,7 @@ export async function mapPolymarketToCountry(model, title) {
     if (t.includes('PUTIN') || t.includes('RUSSIA')) return 'RU';
     if (t.includes('UKRAINE')) return 'UA';
 
-    // 2. Gemini mapping
+    // 2. LLM mapping
     const prompt = `Identify the primary target country ISO2 code for this Polymarket question.
 - For persons (Trump, Biden, Harris, Ron Paul, Elon Musk) -> US
 - For institutions (Fed, SEC, ECB, BoJ) -> US, EU, JP etc.
@@ -177,12 +156,11 @@ Question: ${title}
 ISO2:`;
 
     try {
-        const result = await callGeminiWithRetry(model, prompt);
-        const text = result.response.text().trim().toUpperCase();
+        const text = (await llm.generate(prompt, { stage: 'polymarket_map' })).trim().toUpperCase();
         if (text === 'NULL' || text.length > 5) return null;
         return text;
     } catch (err) {
-        console.warn("[PM] Gemini mapping failed:", err.message);
+        console.warn("[PM] LLM mapping failed:", err.message);
         return null;
     }
 }
@@ -0,0 +1,298 @@
+/**
+ * regions.mjs - Region / tier definitions and aggregate views
+ *
+ * Regions come from config/regions.json; every country in
+ * config/countries_all.json belongs to exactly one region (codes outside that
+ * list fall into OTHER). Tiers are A = LATAM33, S = sensor countries and
+ * B = world top-N (daily: the country's `tiers` field; weekly: countries with
+ * a Tier B series in public/data/weekly/countries/).
+ *
+ * Per group, from SurgeR:
+ *   lit_countries   members at Yellow or above
+ *   lit_by_bundle   members with each R-type active
+ *   mean_surge_r    mean max_ratio_active over members with data
+ *   contagion       breadth   = lit / members with data
+ *                   dominant  = bundle lit in the most members
+ *                   new_lit   = lit now, not lit in the previous period
+ *
+ * generate_daily.js puts the daily aggregates into the output as `aggregates`;
+ * generate_weekly_latest.mjs rebuilds the weekly trend file
+ * (public/data/weekly/regions.json) from the Tier A weekly files.
+ *
+ * Usage:
+ *   node scripts/regions.mjs [--config config/regions.json]   (validate, list regions)
+ *   node scripts/regions.mjs --weekly [--weeks 52]             (rebuild weekly/regions.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { R_TYPES } from './surge_r.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+const DEFAULTS = {
+    regions: path.join(ROOT, 'config/regions.json'),
+    countries: path.join(ROOT, 'config/countries_all.json'),
+    tierA: path.join(ROOT, 'config/latam33.json'),
+    tierS: path.join(ROOT, 'config/sensor_countries.json'),
+    weeklyDir: path.join(ROOT, 'public/data/weekly')
+};
+
+export const OTHER_REGION = 'OTHER';
+export const TIER_LABELS = { A: 'Tier A (LATAM33)', S: 'Tier S (Sensors)', B: 'Tier B (World top-N)' };
+
+const LIT_LEVELS = ['yellow', 'orange', 'red'];
+
+// ============ CONFIG ============
+/**
+ * Check a regions config against the full country list.
+ * @param {Object} cfg - { regions: { KEY: { label, countries: [] } } }
+ * @param {string[]} allCodes - ISO2 codes from countries_all.json
+ * @returns {string[]} errors (empty if valid)
+ */
+export function validateRegions(cfg, allCodes) {
+    const errors = [];
+    const regions = cfg?.regions;
+    if (!regions || typeof regions !== 'object') return ['"regions" must be an object'];
+
+    const owner = {};
+    for (const [key, region] of Object.entries(regions)) {
+        if (key === OTHER_REGION) errors.push(`regions.${OTHER_REGION}: reserved for codes outside countries_all.json`);
+        if (!region.label) errors.push(`regions.${key}: needs a label`);
+        if (!Array.isArray(region.countries) || region.countries.length === 0) {
+            errors.push(`regions.${key}: needs a non-empty "countries" list`);
+            continue;
+        }
+        for (const iso2 of region.countries) {
+            if (owner[iso2]) errors.push(`${iso2}: in both ${owner[iso2]} and ${key}`);
+            else owner[iso2] = key;
+        }
+    }
+
+    const known = new Set(allCodes);
+    const unknown = Object.keys(owner).filter(iso2 => !known.has(iso2));
+    if (unknown.length > 0) errors.push(`not in countries_all.json: ${unknown.join(', ')}`);
+    const missing = allCodes.filter(iso2 => !owner[iso2]);
+    if (missing.length > 0) errors.push(`no region for: ${missing.join(', ')}`);
+    return errors;
+}
+
+export function loadRegions(file = DEFAULTS.regions, countriesFile = DEFAULTS.countries) {
+    const cfg = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const allCodes = JSON.parse(fs.readFileSync(countriesFile, 'utf-8')).map(c => c.iso2);
+    const errors = validateRegions(cfg, allCodes);
+    if (errors.length > 0) {
+        throw new Error(`[REGIONS] ${path.basename(file)} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    return cfg;
+}
+
+/** ISO2 -> region key */
+export function buildRegionIndex(cfg) {
+    const index = {};
+    for (const [key, region] of Object.entries(cfg.regions)) {
+        region.countries.forEach(iso2 => { index[iso2] = key; });
+    }
+    return index;
+}
+
+export const regionOf = (index, iso2) => index[iso2] || OTHER_REGION;
+
+// ============ AGGREGATION ============
+const normalizeLevel = (level) => (typeof level === 'string' ? level.toLowerCase() : 'green');
+
+/**
+ * SurgeR fields of one country, from a daily (surge_r) or weekly
+ * (weekly_surge_r) entry.
+ */
+function surgeOf(c) {
+    const sr = c.surge_r || c.weekly_surge_r || {};
+    return {
+        level: normalizeLevel(sr.level),
+        max_ratio_active: sr.max_ratio_active || 0,
+        active_types: sr.active_types || []
+    };
+}
+
+/**
+ * Aggregate one group of countries.
+ * @param {Object} countries - ISO2 -> daily or weekly country entry
+ * @param {string[]} members - ISO2 codes in the group
+ * @param {Set<string>} [previousLit] - codes lit in the previous period (omit if unknown)
+ */
+export function aggregateGroup(countries, members, previousLit = null) {
+    const rows = members
+        .filter(iso2 => countries[iso2])
+        .map(iso2 => ({ iso2, name: countries[iso2].name_en || iso2, ...surgeOf(countries[iso2]) }))
+        .sort((a, b) => b.max_ratio_active - a.max_ratio_active || a.iso2.localeCompare(b.iso2));
+
+    const lit = rows.filter(r => LIT_LEVELS.includes(r.level));
+    const litByBundle = Object.fromEntries(R_TYPES.map(r => [r, rows.filter(x => x.active_types.includes(r)).length]));
+    const dominant = R_TYPES.reduce((best, r) => (litByBundle[r] > (litByBundle[best] || 0) ? r : best), null);
+    const meanSurgeR = rows.length > 0 ? rows.reduce((sum, r) => sum + r.max_ratio_active, 0) / rows.length : 0;
+
+    return {
+        members: members.length,
+        with_data: rows.length,
+        lit_countries: lit.length,
+        levels: Object.fromEntries(LIT_LEVELS.map(l => [l, rows.filter(r => r.level === l).length])),
+        lit_by_bundle: litByBundle,
+        mean_surge_r: parseFloat(meanSurgeR.toFixed(3)),
+        max_surge_r: rows.length > 0 ? rows[0].max_ratio_active : 0,
+        contagion: {
+            breadth: rows.length > 0 ? parseFloat((lit.length / rows.length).toFixed(3)) : 0,
+            dominant_bundle: dominant,
+            dominant_count: dominant ? litByBundle[dominant] : 0,
+            new_lit: previousLit ? lit.filter(r => !previousLit.has(r.iso2)).map(r => r.iso2) : null
+        },
+        countries: rows
+    };
+}
+
+/** Codes at Yellow or above in a daily/weekly file or a transitions level snapshot */
+export function litSet(countries) {
+    const out = new Set();
+    for (const [iso2, c] of Object.entries(countries || {})) {
+        const level = c.surge_r?.level ?? c.weekly_surge_r?.level;
+        if (LIT_LEVELS.includes(normalizeLevel(level))) out.add(iso2);
+    }
+    return out;
+}
+
+/**
+ * Region and tier aggregates.
+ * @param {Object} countries - ISO2 -> country entry
+ * @param {Object} regionsCfg - config/regions.json
+ * @param {Object} tierMembers - { A: [], S: [], B: [] }
+ * @param {Set<string>} [previousLit]
+ * @returns {{ regions: Object, tiers: Object }}
+ */
+export function buildAggregates(countries, regionsCfg, tierMembers, previousLit = null) {
+    const index = buildRegionIndex(regionsCfg);
+    const regions = {};
+    for (const [key, region] of Object.entries(regionsCfg.regions)) {
+        regions[key] = { label: region.label, ...aggregateGroup(countries, region.countries, previousLit) };
+    }
+    const others = Object.keys(countries).filter(iso2 => regionOf(index, iso2) === OTHER_REGION).sort();
+    if (others.length > 0) regions[OTHER_REGION] = { label: 'Other', ...aggregateGroup(countries, others, previousLit) };
+
+    const tiers = {};
+    for (const [tier, members] of Object.entries(tierMembers)) {
+        tiers[tier] = { label: TIER_LABELS[tier] || tier, ...aggregateGroup(countries, members, previousLit) };
+    }
+    return { regions, tiers };
+}
+
+/** Daily tier membership from each country's `tiers` field */
+export function dailyTierMembers(countries) {
+    const tiers = { A: [], S: [], B: [] };
+    for (const [iso2, c] of Object.entries(countries || {})) {
+        (c.tiers || []).forEach(t => tiers[t]?.push(iso2));
+    }
+    return tiers;
+}
+
+// ============ WEEKLY TREND ============
+/** Trend point: the aggregate without its member rows */
+const trendPoint = (week, agg) => ({
+    week,
+    lit_countries: agg.lit_countries,
+    levels: agg.levels,
+    lit_by_bundle: agg.lit_by_bundle,
+    mean_surge_r: agg.mean_surge_r,
+    breadth: agg.contagion.breadth,
+    new_lit: agg.contagion.new_lit ? agg.contagion.new_lit.length : null
+});
+
+/**
+ * Per-group weekly history from the Tier A weekly files.
+ * @param {Object[]} weeklyFiles - [{ week, countries }], any order
+ * @returns {{ weeks: string[], groups: Object }}
+ */
+export function buildWeeklyTrend(weeklyFiles, regionsCfg, tierMembers) {
+    const sorted = [...weeklyFiles].sort((a, b) => a.week.localeCompare(b.week));
+    const groups = {};
+    let previousLit = null;
+    for (const file of sorted) {
+        const agg = buildAggregates(file.countries || {}, regionsCfg, tierMembers, previousLit);
+        for (const [kind, byKey] of Object.entries({ region: agg.regions, tier: agg.tiers })) {
+            for (const [key, a] of Object.entries(byKey)) {
+                const id = kind === 'tier' ? `TIER_${key}` : key;
+                groups[id] ||= { kind, key, label: a.label, history: [] };
+                groups[id].history.push(trendPoint(file.week, a));
+            }
+        }
+        previousLit = litSet(file.countries);
+    }
+    return { weeks: sorted.map(f => f.week), groups };
+}
+
+const readJson = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Rebuild weekly/regions.json from weekly/index.json and the week files.
+ * @returns {string} written path
+ */
+export function writeWeeklyTrend({ weeklyDir = DEFAULTS.weeklyDir, regionsPath = DEFAULTS.regions, weeks = 52 } = {}) {
+    const regionsCfg = loadRegions(regionsPath);
+    const index = readJson(path.join(weeklyDir, 'index.json'), { weeks: [] });
+    const files = (index.weeks || []).slice(-weeks)
+        .map(week => readJson(path.join(weeklyDir, `${week}.json`), null))
+        .filter(f => f?.week);
+    const tierMembers = {
+        A: readJson(DEFAULTS.tierA, []),
+        S: readJson(DEFAULTS.tierS, []),
+        B: Object.keys(readJson(path.join(weeklyDir, 'countries/index.json'), {}).countries || {})
+    };
+
+    const trend = buildWeeklyTrend(files, regionsCfg, tierMembers);
+    const outPath = path.join(weeklyDir, 'regions.json');
+    fs.writeFileSync(outPath, JSON.stringify({ generated_at: new Date().toISOString(), ...trend }, null, 2));
+    console.log(`[REGIONS] Weekly trend for ${trend.weeks.length} weeks, ${Object.keys(trend.groups).length} groups -> ${outPath}`);
+    return outPath;
+}
+
+// ============ CLI ============
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--')) {
+            const key = a.slice(2);
+            const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+            out[key] = val;
+        }
+    }
+    return out;
+}
+
+function main() {
+    const args = parseArgs(process.argv);
+    const regionsPath = path.resolve(args.config || DEFAULTS.regions);
+    if (args.weekly) {
+        writeWeeklyTrend({ regionsPath, weeks: Number(args.weeks) || 52 });
+        return;
+    }
+    const cfg = loadRegions(regionsPath);
+    for (const [key, region] of Object.entries(cfg.regions)) {
+        console.log(`[REGIONS] ${key.padEnd(9)} ${String(region.countries.length).padStart(3)}  ${region.label}`);
+    }
+    console.log('[REGIONS] OK');
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    try {
+        main();
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
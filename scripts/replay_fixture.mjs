@@ -0,0 +1,121 @@
+/**
+ * replay_fixture.mjs - Recorded inputs for offline generate_daily.js runs
+ *
+ * `--record <dir>` stores every external input of a live run (GDELT aggregates,
+ * GKG titles, RSS, AIR/GT/PM, baselines, scoring history, weekly cache and the
+ * Gemini results that made it into the output). `--replay <dir>` feeds them back
+ * through the same pipeline without BigQuery, RSS or Gemini access.
+ *
+ * Fixture layout (one JSON file per input):
+ *   <dir>/manifest.json            { date, generated_at, scoring_version, inputs }
+ *   <dir>/<input>.json             recorded value (see FIXTURE_INPUTS)
+ *   <dir>/expected_latest_v4.json  output of the recorded run (record mode only)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const EXPECTED_OUTPUT_FILE = 'expected_latest_v4.json';
+
+// Input name -> description. Keyed inputs are objects of { key: value }.
+export const FIXTURE_INPUTS = {
+    country_names: 'ISO2 -> name map (public/geo/countries.geojson)',
+    baselines: 'Volume baselines (BASELINE_ENGINE)',
+    r_baselines: 'R1-R4 baseline medians for SurgeR',
+    acled: 'ACLED R1 counts keyed by ISO2 (null without an ACLED export)',
+    history_30d: 'Scoring history before today\'s snapshot',
+    previous_day: 'levelSnapshot() of the previous daily file for transitions (null = none)',
+    gdelt_events: 'fetchHotCountries() result (FIPS keyed)',
+    rss: 'fetchNews() articles keyed by "ISO2" / "ISO2:relaxed"',
+    gkg_titles: 'fetchGkgTitles() result',
+    air: 'AIR block (GetDayTrends + classification)',
+    weekly_cache: 'loadWeeklyCountryCache() keyed by ISO2',
+    analyses: 'Gemini analyzeCountry() results keyed by ISO2',
+    briefings: 'Gemini briefings keyed by "trending" / "ops" (null = fallback)',
+    google_trends: 'Final output.google_trends',
+    polymarket: 'Final output.polymarket'
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Load a recorded fixture directory.
+ * get() throws for a missing input unless a fallback is given; getEntry()
+ * returns the fallback for a missing key. Both return copies, since the
+ * pipeline mutates article arrays in place.
+ */
+export function loadReplayFixture(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`[REPLAY] No ${MANIFEST_FILE} in ${dir}`);
+    }
+    const manifest = readJson(manifestPath);
+    if (!manifest.date || !manifest.generated_at) {
+        throw new Error(`[REPLAY] ${MANIFEST_FILE} must define date and generated_at`);
+    }
+
+    const cache = {};
+    const load = (name) => {
+        if (!(name in FIXTURE_INPUTS)) throw new Error(`[REPLAY] Unknown input "${name}"`);
+        if (!(name in cache)) {
+            const filePath = path.join(dir, `${name}.json`);
+            cache[name] = fs.existsSync(filePath) ? readJson(filePath) : undefined;
+        }
+        return cache[name];
+    };
+
+    return {
+        dir,
+        manifest,
+        get(name, fallback) {
+            const value = load(name);
+            if (value !== undefined) return clone(value);
+            if (fallback !== undefined) return fallback;
+            throw new Error(`[REPLAY] Missing input "${name}" in ${dir}`);
+        },
+        getEntry(name, key, fallback = null) {
+            const value = load(name);
+            if (!value || value[key] === undefined) return fallback;
+            return clone(value[key]);
+        }
+    };
+}
+
+/**
+ * Collect inputs during a live run and write them out with save().
+ * Values are copied at set() time so later in-place edits are not recorded.
+ */
+export function createFixtureRecorder(dir, { date, generatedAt, scoringVersion }) {
+    const inputs = {};
+
+    return {
+        dir,
+        set(name, value) {
+            if (!(name in FIXTURE_INPUTS)) throw new Error(`[RECORD] Unknown input "${name}"`);
+            inputs[name] = clone(value);
+        },
+        setEntry(name, key, value) {
+            if (!(name in FIXTURE_INPUTS)) throw new Error(`[RECORD] Unknown input "${name}"`);
+            if (!inputs[name]) inputs[name] = {};
+            inputs[name][key] = value === undefined ? null : clone(value);
+        },
+        save(output) {
+            fs.mkdirSync(dir, { recursive: true });
+            const names = Object.keys(inputs).sort();
+            for (const name of names) {
+                fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(inputs[name], null, 2));
+            }
+            const manifest = { date, generated_at: generatedAt, scoring_version: scoringVersion, inputs: names };
+            fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            if (output) {
+                fs.writeFileSync(path.join(dir, EXPECTED_OUTPUT_FILE), JSON.stringify(output, null, 2));
+            }
+            console.log(`[RECORD] Saved ${names.length} inputs to ${dir}`);
+        }
+    };
+}
@@ -5,6 +5,11 @@
  * - Volume Jump Signal (replacing absolute volume threshold)
  * - R1/R3 Baseline Jump Gate (Optional, suppresses constant orange)
  * - D2 Refined: High Volume (Abs > Threshold) countries MUST pass Jump Gate.
+ *
+ * Stateless: createScorer({ config, history }) returns an instance holding its
+ * own config and rolling history; score(countryDataMap, date) scores one day.
+ * Importing this module reads nothing: callers pass a config (loadScoringConfig),
+ * and config/scoring.json is only read when one is omitted.
  * 
  * Environment: SCORING_ENGINE=v4|legacy (default: v4)
  */
@@ -12,17 +17,36 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resolveCountryConfig, summarizeThresholds, validateOverrides } from './scoring_overrides.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ============ CONFIG ============
-let config;
-try {
-    const configPath = path.resolve(__dirname, '../config/scoring.json');
-    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-} catch (e) {
-    console.warn('[SCORING] Config load failed, using defaults');
-    config = getDefaultConfig();
+const CONFIG_PATH = path.resolve(__dirname, '../config/scoring.json');
+const HISTORY_DAYS = 30;
+
+/**
+ * Read a scoring config (default: config/scoring.json), falling back to the
+ * built-in defaults if it cannot be read.
+ */
+export function loadScoringConfig(configPath = CONFIG_PATH) {
+    let cfg;
+    try {
+        cfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+        console.warn('[SCORING] Config load failed, using defaults');
+        cfg = getDefaultConfig();
+    }
+    validateOverrides(cfg).forEach(w => console.warn(`[SCORING] Override ignored or suspicious: ${w}`));
+    return cfg;
+}
+
+let shippedConfig = null;
+
+/** config/scoring.json, read on first use (createScorer() / scoreCountry() without a config) */
+export function getShippedConfig() {
+    shippedConfig ||= loadScoringConfig();
+    return shippedConfig;
 }
 
 function getDefaultConfig() {
@@ -63,43 +87,35 @@ function median(arr) {
 }
 
 // ============ HISTORICAL DATA ============
-// In-memory cache for rolling calculations
-let historicalData = {};
-
-export function loadHistoricalData(data) {
-    historicalData = data || {};
-}
+// history = { 'YYYY-MM-DD': { ISO2: countryData } }, owned by a scorer instance
 
-export function addDailySnapshot(date, countryData) {
-    historicalData[date] = countryData;
-
-    // Keep only last 30 days
-    const dates = Object.keys(historicalData).sort();
-    while (dates.length > 30) {
-        delete historicalData[dates.shift()];
+function pruneHistory(history, maxDays) {
+    const dates = Object.keys(history).sort();
+    while (dates.length > maxDays) {
+        delete history[dates.shift()];
     }
 }
 
-function getRollingP95(windowDays = 7) {
-    const dates = Object.keys(historicalData).sort().slice(-windowDays);
-    if (dates.length === 0) return config.high_volume_suppression?.fallback_threshold || 50000;
+function getRollingP95(history, cfg, windowDays = 7) {
+    const dates = Object.keys(history).sort().slice(-windowDays);
+    if (dates.length === 0) return cfg.high_volume_suppression?.fallback_threshold || 50000;
 
     const allCounts = [];
     for (const date of dates) {
-        for (const country of Object.values(historicalData[date] || {})) {
+        for (const country of Object.values(history[date] || {})) {
             if (country.event_count) allCounts.push(country.event_count);
         }
     }
 
-    return allCounts.length > 0 ? percentile(allCounts, 95) : (config.high_volume_suppression?.fallback_threshold || 50000);
+    return allCounts.length > 0 ? percentile(allCounts, 95) : (cfg.high_volume_suppression?.fallback_threshold || 50000);
 }
 
-function getCountryRollingMedian(code, windowDays = 14, metric = 'event_count') {
-    const dates = Object.keys(historicalData).sort().slice(-windowDays);
+function getCountryRollingMedian(history, code, windowDays = 14, metric = 'event_count') {
+    const dates = Object.keys(history).sort().slice(-windowDays);
     const counts = [];
 
     for (const date of dates) {
-        const country = historicalData[date]?.[code];
+        const country = history[date]?.[code];
         if (country && typeof country[metric] === 'number') counts.push(country[metric]);
     }
 
@@ -143,9 +159,11 @@ function applyBaselineAdjust(raw, weight, mode, k = 1.0, floor = 50, epsilon = 1
 }
 
 // ============ SCORING ============
-export function scoreCountry(countryData, context = {}) {
+function scoreCountryWith(baseConfig, history, countryData, context = {}) {
     const { event_count, avg_tone, r1_security, r2_living_count, r3_governance, r4_fiscal_count, baselineData, domestic_ratio } = countryData;
     const code = countryData.code || context.code;
+    const audit = context.audit !== false;
+    const { config: cfg, applied: overridesApplied } = resolveCountryConfig(baseConfig, code);
 
     // External Pressure Noise Detection (Greenland/etc)
     // If domestic_ratio <= 0.20, suppress R1 and R3 bundles
@@ -155,7 +173,7 @@ export function scoreCountry(countryData, context = {}) {
     const r4_raw = r4_fiscal_count || 0;
 
     // --- Baseline Adjustment Calculation ---
-    const adjCfg = config.baseline_adjustment || { enabled: false, mode: 'none' };
+    const adjCfg = cfg.baseline_adjustment || { enabled: false, mode: 'none' };
     const weight = baselineData?.gdelt?.GDELTweight || 0;
 
     // We adjust R1-R4 using rough share of baseline weight
@@ -166,15 +184,15 @@ export function scoreCountry(countryData, context = {}) {
     const adjR4 = applyBaselineAdjust(r4_raw, (weight * 0.03), adjCfg.mode, adjCfg.k, adjCfg.floor * 0.03, adjCfg.epsilon || 1);
 
     // AUDIT LOG START
-    const isTrace = code === 'IR';
+    const isTrace = audit && code === 'IR';
     if (isTrace) {
         console.log(`[AUDIT-TRACE] Scoring IR: Events=${event_count}`);
     }
     // AUDIT LOG END
 
     // Event floor
-    if (event_count < config.event_count_floor) {
-        return { level: 'green', bundles: 0, score: 0, reason: 'low_volume', signals: [] };
+    if (event_count < cfg.event_count_floor) {
+        return { level: 'green', bundles: 0, score: 0, reason: 'low_volume', signals: [], effective_thresholds: summarizeThresholds(cfg, overridesApplied) };
     }
 
     let bundles = 0;
@@ -187,7 +205,7 @@ export function scoreCountry(countryData, context = {}) {
     let r1_median = 0;
     let r1_skip_reason = null;
 
-    const r1Config = config.r1_security;
+    const r1Config = cfg.r1_security;
     const r1_ratio = r1_security / event_count;
 
     // Check Trigger Conditions
@@ -201,7 +219,7 @@ export function scoreCountry(countryData, context = {}) {
 
         if (r1Config.use_jump_gate && r1_abs_hit) {
             // Absolute Hit -> Must Jump
-            const roll = getCountryRollingMedian(code, 14, 'r1_security');
+            const roll = getCountryRollingMedian(history, code, 14, 'r1_security');
             r1_median = roll.median;
             if (roll.historyDays < (r1Config.min_history_days || 10)) {
                 // Low history -> Fail Safe (Bundle)
@@ -237,10 +255,38 @@ export function scoreCountry(countryData, context = {}) {
         r1_skip_reason = 'external_pressure_suppressed';
     }
 
+    // --- R1 second source: ACLED (optional) ---
+    // Incident-coded, so neither the media jump gate nor external pressure applies.
+    // A hit bundles R1 on its own; r1_source records which source(s) fired.
+    const acledR1 = countryData.acled_r1 || null;
+    const acledConfig = cfg.r1_acled || {};
+    const r1_gdelt_bundled = r1_bundled;
+    let r1_acled_hit = false;
+    let r1_acled_jump = 0;
+    let r1_acled_skip_reason = null;
+
+    if (acledR1 && acledConfig.enabled !== false) {
+        const acledMedian = acledR1.baseline_median || 0;
+        if (acledR1.today < (acledConfig.absolute_threshold ?? 10)) {
+            r1_acled_skip_reason = 'below_abs';
+        } else if (acledMedian >= (acledConfig.min_median_floor ?? 5)) {
+            r1_acled_jump = acledR1.today / acledMedian;
+            r1_acled_hit = r1_acled_jump >= (acledConfig.jump_threshold ?? 1.5);
+            if (!r1_acled_hit) r1_acled_skip_reason = 'gate_suppressed';
+        } else {
+            // Baseline below the floor -> no jump to check, so no hit
+            r1_acled_skip_reason = 'low_median';
+        }
+    }
+    if (r1_acled_hit) r1_bundled = true;
+    const r1_source = r1_gdelt_bundled && r1_acled_hit ? 'both' : (r1_acled_hit ? 'acled' : (r1_gdelt_bundled ? 'gdelt' : null));
+
     if (r1_bundled) {
         bundles++;
         score += r1_security;
-        signals.push({ type: 'R1', value: r1_security, ratio: r1_ratio, jump: r1_jump.toFixed(2), median: r1_median });
+        const r1Signal = { type: 'R1', value: r1_security, ratio: r1_ratio, jump: r1_jump.toFixed(2), median: r1_median };
+        if (acledR1) r1Signal.source = r1_source;
+        signals.push(r1Signal);
     }
 
     // --- R2 Living Signal (with Jump Gate) ---
@@ -248,7 +294,7 @@ export function scoreCountry(countryData, context = {}) {
     let r2_jump = 0;
     let r2_median = 0;
     let r2_skip_reason = null;
-    const r2Config = config.r2_living || { absolute_threshold: 180, ratio_threshold: 0.03, use_jump_gate: true };
+    const r2Config = cfg.r2_living || { absolute_threshold: 180, ratio_threshold: 0.03, use_jump_gate: true };
     const r2_ratio = r2_raw / event_count;
 
     const r2_abs_hit = r2_raw > r2Config.absolute_threshold;
@@ -256,7 +302,7 @@ export function scoreCountry(countryData, context = {}) {
 
     if (r2_abs_hit || r2_ratio_hit) {
         // Hybrid Jump Gate Logic (same as R1/R3)
-        const roll = getCountryRollingMedian(code, 14, 'r2_living_count');
+        const roll = getCountryRollingMedian(history, code, 14, 'r2_living_count');
         r2_median = roll.median;
         const minHistoryDays = r2Config.min_history_days || 10;
         const absThreshold = r2Config.absolute_threshold || 180;
@@ -294,7 +340,7 @@ export function scoreCountry(countryData, context = {}) {
     let r3_median = 0;
     let r3_skip_reason = null;
 
-    const r3Config = config.r3_governance;
+    const r3Config = cfg.r3_governance;
     const r3_ratio = r3_governance / event_count;
 
     const r3_abs_hit = r3_governance > r3Config.absolute_threshold;
@@ -302,7 +348,7 @@ export function scoreCountry(countryData, context = {}) {
 
     if (r3_abs_hit || r3_ratio_hit) {
         if (r3Config.use_jump_gate && r3_abs_hit) {
-            const roll = getCountryRollingMedian(code, 14, 'r3_governance');
+            const roll = getCountryRollingMedian(history, code, 14, 'r3_governance');
             r3_median = roll.median;
             if (roll.historyDays < (r3Config.min_history_days || 10)) {
                 r3_bundled = true;
@@ -343,7 +389,7 @@ export function scoreCountry(countryData, context = {}) {
     let r4_jump = 0;
     let r4_median = 0;
     let r4_skip_reason = null;
-    const r4Config = config.r4_fiscal || { absolute_threshold: 200, ratio_threshold: 0.03, use_jump_gate: true };
+    const r4Config = cfg.r4_fiscal || { absolute_threshold: 200, ratio_threshold: 0.03, use_jump_gate: true };
     const r4_ratio = r4_raw / event_count;
 
     const r4_abs_hit = r4_raw > r4Config.absolute_threshold;
@@ -351,7 +397,7 @@ export function scoreCountry(countryData, context = {}) {
 
     if (r4_abs_hit || r4_ratio_hit) {
         // Hybrid Jump Gate Logic (same as R2)
-        const roll = getCountryRollingMedian(code, 14, 'r4_fiscal_count');
+        const roll = getCountryRollingMedian(history, code, 14, 'r4_fiscal_count');
         r4_median = roll.median;
         const minHistoryDays = r4Config.min_history_days || 10;
         const absThreshold = r4Config.absolute_threshold || 200;
@@ -390,11 +436,11 @@ export function scoreCountry(countryData, context = {}) {
     let median14d = 0;
     let vol_skip_reason = null;
 
-    const absVolThreshold = (config.volume?.threshold || 5000);
+    const absVolThreshold = (cfg.volume?.threshold || 5000);
 
-    if (config.vol_jump?.enabled && code) {
-        const vjConfig = config.vol_jump;
-        const roll = getCountryRollingMedian(code, vjConfig.window_days, 'event_count');
+    if (cfg.vol_jump?.enabled && code) {
+        const vjConfig = cfg.vol_jump;
+        const roll = getCountryRollingMedian(history, code, vjConfig.window_days, 'event_count');
         median14d = roll.median;
         const historyDays = roll.historyDays;
 
@@ -421,7 +467,7 @@ export function scoreCountry(countryData, context = {}) {
                 vol_signal = true;
             }
         }
-    } else if (!config.vol_jump?.enabled && config.volume?.threshold) {
+    } else if (!cfg.vol_jump?.enabled && cfg.volume?.threshold) {
         // ... (omitted unchanged parts)
 
         console.log(`[AUDIT-DEEP] Top 10 by Event Count Trace:`);
@@ -441,7 +487,7 @@ export function scoreCountry(countryData, context = {}) {
         // Wait, I need to modify scoreCountry to return historyDays in vol_jump_data FIRST.
 
         // Fallback to absolute threshold if Jump disabled
-        if (event_count > config.volume.threshold) {
+        if (event_count > cfg.volume.threshold) {
             vol_signal = true;
         }
     }
@@ -453,15 +499,15 @@ export function scoreCountry(countryData, context = {}) {
     }
 
     // Tone modifier
-    const toneModifier = avg_tone < config.tone.bad_threshold ? 1 :
-        (avg_tone < config.tone.mild_threshold ? 0.5 : 0);
+    const toneModifier = avg_tone < cfg.tone.bad_threshold ? 1 :
+        (avg_tone < cfg.tone.mild_threshold ? 0.5 : 0);
     score += toneModifier * 100;
 
     // Alert level determination (Standard Rules)
     let level = 'green';
     let reason = 'no_signals';
 
-    const alertConfig = config.alert_levels;
+    const alertConfig = cfg.alert_levels;
 
     if (bundles >= alertConfig.red_bundles) {
         level = 'red';
@@ -475,11 +521,13 @@ export function scoreCountry(countryData, context = {}) {
     }
 
     // AUDIT LOG START
-    if (isTrace || code === 'IR' || code === 'US' || code === 'GB') {
+    if (audit && (isTrace || code === 'IR' || code === 'US' || code === 'GB')) {
         if (code === 'IR') {
             console.log(`[AUDIT-IR] Scoring Detail for ${code}:`);
             console.log(`  > Events: Total=${event_count}`);
+            if (overridesApplied.length > 0) console.log(`  > Overrides: ${overridesApplied.join(', ')}`);
             console.log(`  > R1 (Security): Raw=${r1_security}, Median=${r1_median}, Bundled=${r1_bundled}, Skip=${r1_skip_reason}`);
+            if (acledR1) console.log(`  > R1 (ACLED): Today=${acledR1.today}, Median=${acledR1.baseline_median}, Hit=${r1_acled_hit}, Skip=${r1_acled_skip_reason}, Source=${r1_source}`);
             console.log(`  > R2 (Living): Raw=${r2_raw}, Bundled=${r2_bundled}`);
             console.log(`  > R3 (Governance): Raw=${r3_governance}, Median=${r3_median}, Bundled=${r3_bundled}, Skip=${r3_skip_reason}`);
             console.log(`  > R4 (Fiscal): Raw=${r4_raw}, Bundled=${r4_bundled}`);
@@ -505,11 +553,23 @@ export function scoreCountry(countryData, context = {}) {
         vol_jump_data: {
             jump: vol_jump,
             median: median14d,
-            historyDays: code && config.vol_jump?.enabled ? getCountryRollingMedian(code, config.vol_jump.window_days, 'event_count').historyDays : 0,
+            historyDays: code && cfg.vol_jump?.enabled ? getCountryRollingMedian(history, code, cfg.vol_jump.window_days, 'event_count').historyDays : 0,
             skipped: vol_skip_reason
         },
         r1_security: r1_security,
         r1_jump_data: { jump: r1_jump, median: r1_median, skipped: r1_skip_reason },
+        // ACLED fields only appear when an ACLED export was supplied
+        ...(acledR1 ? {
+            r1_source,
+            r1_acled_data: {
+                today: acledR1.today,
+                fatalities: acledR1.fatalities ?? 0,
+                baseline_median: acledR1.baseline_median ?? 0,
+                jump: r1_acled_jump,
+                hit: r1_acled_hit,
+                skipped: r1_acled_skip_reason
+            }
+        } : {}),
         r2_living_count: r2_raw,
         r2_jump_data: { jump: r2_jump, median: r2_median, skipped: r2_skip_reason },
         r3_governance: r3_governance,
@@ -518,53 +578,54 @@ export function scoreCountry(countryData, context = {}) {
         r4_jump_data: { jump: r4_jump, median: r4_median, skipped: r4_skip_reason },
         external_pressure_noise: externalPressureNoise,
         domestic_ratio: domestic_ratio ?? 1.0,
+        effective_thresholds: summarizeThresholds(cfg, overridesApplied),
 
 
         // Validated Normalized Scores (0-10) for UI/Index - ADJUSTED (surge)
         r_scores_adj: {
-            R1: Math.min(10, adjR1.adj * (5.0 / (config.r1_security?.absolute_threshold || 300))).toFixed(1),
-            R2: Math.min(10, adjR2.adj * (5.0 / (config.r2_living?.absolute_threshold || 150))).toFixed(1),
-            R3: Math.min(10, adjR3.adj * (5.0 / (config.r3_governance?.absolute_threshold || 150))).toFixed(1),
-            R4: Math.min(10, adjR4.adj * (5.0 / (config.r4_fiscal?.absolute_threshold || 150))).toFixed(1)
+            R1: Math.min(10, adjR1.adj * (5.0 / (cfg.r1_security?.absolute_threshold || 300))).toFixed(1),
+            R2: Math.min(10, adjR2.adj * (5.0 / (cfg.r2_living?.absolute_threshold || 150))).toFixed(1),
+            R3: Math.min(10, adjR3.adj * (5.0 / (cfg.r3_governance?.absolute_threshold || 150))).toFixed(1),
+            R4: Math.min(10, adjR4.adj * (5.0 / (cfg.r4_fiscal?.absolute_threshold || 150))).toFixed(1)
         },
 
         // RAW Absolute Level Scores (0-10) - for RAW display mode
         // Uses raw counts normalized by absolute_threshold (not baseline-adjusted)
         r_scores_raw: {
-            R1: Math.min(10, (r1_security / (config.r1_security?.absolute_threshold || 300)) * 10).toFixed(1),
-            R2: Math.min(10, (r2_raw / (config.r2_living?.absolute_threshold || 180)) * 10).toFixed(1),
-            R3: Math.min(10, (r3_governance / (config.r3_governance?.absolute_threshold || 150)) * 10).toFixed(1),
-            R4: Math.min(10, (r4_raw / (config.r4_fiscal?.absolute_threshold || 200)) * 10).toFixed(1)
+            R1: Math.min(10, (r1_security / (cfg.r1_security?.absolute_threshold || 300)) * 10).toFixed(1),
+            R2: Math.min(10, (r2_raw / (cfg.r2_living?.absolute_threshold || 180)) * 10).toFixed(1),
+            R3: Math.min(10, (r3_governance / (cfg.r3_governance?.absolute_threshold || 150)) * 10).toFixed(1),
+            R4: Math.min(10, (r4_raw / (cfg.r4_fiscal?.absolute_threshold || 200)) * 10).toFixed(1)
         },
 
         // RAW Absolute with sqrt-scale (prevents saturation for large countries)
         // absScore = clamp(10 * sqrt(rawCount / (abs_threshold * 16)), 0, 10)
         r_scores_raw_abs: {
-            R1: Math.min(10, 10 * Math.sqrt(r1_security / ((config.r1_security?.absolute_threshold || 300) * 16))).toFixed(2),
-            R2: Math.min(10, 10 * Math.sqrt(r2_raw / ((config.r2_living?.absolute_threshold || 180) * 16))).toFixed(2),
-            R3: Math.min(10, 10 * Math.sqrt(r3_governance / ((config.r3_governance?.absolute_threshold || 150) * 16))).toFixed(2),
-            R4: Math.min(10, 10 * Math.sqrt(r4_raw / ((config.r4_fiscal?.absolute_threshold || 200) * 16))).toFixed(2)
+            R1: Math.min(10, 10 * Math.sqrt(r1_security / ((cfg.r1_security?.absolute_threshold || 300) * 16))).toFixed(2),
+            R2: Math.min(10, 10 * Math.sqrt(r2_raw / ((cfg.r2_living?.absolute_threshold || 180) * 16))).toFixed(2),
+            R3: Math.min(10, 10 * Math.sqrt(r3_governance / ((cfg.r3_governance?.absolute_threshold || 150) * 16))).toFixed(2),
+            R4: Math.min(10, 10 * Math.sqrt(r4_raw / ((cfg.r4_fiscal?.absolute_threshold || 200) * 16))).toFixed(2)
         },
 
         // RAW Ratio-based (intensity within country)
         // ratioScore = clamp(10 * (ratio / ratio_threshold), 0, 10)
         r_scores_raw_ratio: {
-            R1: Math.min(10, 10 * (r1_ratio / (config.r1_security?.ratio_threshold || 0.05))).toFixed(2),
-            R2: Math.min(10, 10 * (r2_ratio / (config.r2_living?.ratio_threshold || 0.03))).toFixed(2),
-            R3: Math.min(10, 10 * (r3_ratio / (config.r3_governance?.ratio_threshold || 0.035))).toFixed(2),
-            R4: Math.min(10, 10 * (r4_ratio / (config.r4_fiscal?.ratio_threshold || 0.03))).toFixed(2)
+            R1: Math.min(10, 10 * (r1_ratio / (cfg.r1_security?.ratio_threshold || 0.05))).toFixed(2),
+            R2: Math.min(10, 10 * (r2_ratio / (cfg.r2_living?.ratio_threshold || 0.03))).toFixed(2),
+            R3: Math.min(10, 10 * (r3_ratio / (cfg.r3_governance?.ratio_threshold || 0.035))).toFixed(2),
+            R4: Math.min(10, 10 * (r4_ratio / (cfg.r4_fiscal?.ratio_threshold || 0.03))).toFixed(2)
         },
 
         // Raw multipliers for UI/debug
         raw_multipliers: {
-            R1_abs_mult: (r1_security / (config.r1_security?.absolute_threshold || 300)).toFixed(2),
-            R1_ratio_mult: (r1_ratio / (config.r1_security?.ratio_threshold || 0.05)).toFixed(2),
-            R2_abs_mult: (r2_raw / (config.r2_living?.absolute_threshold || 180)).toFixed(2),
-            R2_ratio_mult: (r2_ratio / (config.r2_living?.ratio_threshold || 0.03)).toFixed(2),
-            R3_abs_mult: (r3_governance / (config.r3_governance?.absolute_threshold || 150)).toFixed(2),
-            R3_ratio_mult: (r3_ratio / (config.r3_governance?.ratio_threshold || 0.035)).toFixed(2),
-            R4_abs_mult: (r4_raw / (config.r4_fiscal?.absolute_threshold || 200)).toFixed(2),
-            R4_ratio_mult: (r4_ratio / (config.r4_fiscal?.ratio_threshold || 0.03)).toFixed(2)
+            R1_abs_mult: (r1_security / (cfg.r1_security?.absolute_threshold || 300)).toFixed(2),
+            R1_ratio_mult: (r1_ratio / (cfg.r1_security?.ratio_threshold || 0.05)).toFixed(2),
+            R2_abs_mult: (r2_raw / (cfg.r2_living?.absolute_threshold || 180)).toFixed(2),
+            R2_ratio_mult: (r2_ratio / (cfg.r2_living?.ratio_threshold || 0.03)).toFixed(2),
+            R3_abs_mult: (r3_governance / (cfg.r3_governance?.absolute_threshold || 150)).toFixed(2),
+            R3_ratio_mult: (r3_ratio / (cfg.r3_governance?.ratio_threshold || 0.035)).toFixed(2),
+            R4_abs_mult: (r4_raw / (cfg.r4_fiscal?.absolute_threshold || 200)).toFixed(2),
+            R4_ratio_mult: (r4_ratio / (cfg.r4_fiscal?.ratio_threshold || 0.03)).toFixed(2)
         },
 
         // Baseline & Adjusted values for display/debug
@@ -592,7 +653,7 @@ export function scoreCountry(countryData, context = {}) {
 }
 
 // ============ BATCH SCORING ============
-export function scoreAllCountries(countryDataMap, options = {}) {
+function scoreAllWith(baseConfig, history, countryDataMap, options = {}) {
     const results = {};
     const distribution = { red: [], orange: [], yellow: [], green: 0, skipped: 0 };
     const volJumpCountries = [];
@@ -600,7 +661,8 @@ export function scoreAllCountries(countryDataMap, options = {}) {
 
     for (const [code, data] of Object.entries(countryDataMap)) {
         const baselineData = options.baselines?.[code] || null;
-        const result = scoreCountry({ ...data, code, baselineData });
+        const acled_r1 = options.acled?.[code] || null;
+        const result = scoreCountryWith(baseConfig, history, { ...data, code, baselineData, acled_r1 }, { audit: options.audit });
         result.event_count = data.event_count; // Pass-through for logging
         results[code] = result;
 
@@ -669,15 +731,15 @@ export function scoreAllCountries(countryDataMap, options = {}) {
             us_gb: ['US', 'GB'].map(c => ({ code: c, ...results[c]?.vol_jump_data, current: results[c]?.signals?.find(s => s.type === 'VOL')?.value }))
         },
         config: {
-            version: config.version,
-            vol_jump_threshold: config.vol_jump?.threshold
+            version: baseConfig.version,
+            vol_jump_threshold: baseConfig.vol_jump?.threshold
         }
     };
 }
 
 // ============ LOGGING ============
-export function logScoringResult(result, date = new Date().toISOString().split('T')[0]) {
-    console.log(`\n[SCORING] ${date} (${config.version})`);
+function logScoringResultWith(baseConfig, result, date = new Date().toISOString().split('T')[0]) {
+    console.log(`\n[SCORING] ${date} (${baseConfig.version})`);
     console.log(`  Distribution: Red=${result.distribution.red}, Orange=${result.distribution.orange}, Yellow=${result.distribution.yellow}, Green=${result.distribution.green}`);
     console.log(`  Yellow+ Total: ${result.distribution.total_yellow_plus}`);
 
@@ -701,24 +763,74 @@ export function logScoringResult(result, date = new Date().toISOString().split('
         const s = r.signals?.map(s => s.type).join(',') || 'none';
         const v = r.vol_jump_data || {};
         const vStatus = v.skipped ? `Skip(${v.skipped})` : `Jump=${v.jump?.toFixed(2)}`;
-        console.log(`  > ${code}: Evt=${r.event_count}, Lvl=${r.level}, B=${r.bundles}(${s}), VOL[En:${!!config.vol_jump?.enabled}, ${vStatus}, Med=${v.median}, Hist=${v.historyDays}]`);
+        console.log(`  > ${code}: Evt=${r.event_count}, Lvl=${r.level}, B=${r.bundles}(${s}), VOL[En:${!!baseConfig.vol_jump?.enabled}, ${vStatus}, Med=${v.median}, Hist=${v.historyDays}]`);
     });
     // AUDIT LOG END
 
 }
 
-export function getHistoricalData() {
-    return historicalData;
+// ============ SCORER ============
+/**
+ * Create an independent scorer. Each instance owns its config and rolling
+ * history, so backfills, parameter sweeps and tests can run several side by side.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - scoring config (default: getShippedConfig())
+ * @param {Object} [options.history] - { 'YYYY-MM-DD': { ISO2: countryData } }, copied
+ * @param {number} [options.historyDays] - days of history kept (default 30)
+ * @param {boolean} [options.audit] - per-country [AUDIT-*] console trace (default true)
+ */
+export function createScorer({ config: scorerConfig = getShippedConfig(), history = {}, historyDays = HISTORY_DAYS, audit = true } = {}) {
+    const state = { ...(history || {}) };
+    pruneHistory(state, historyDays);
+
+    const addSnapshot = (date, countryData) => {
+        state[date] = countryData;
+        pruneHistory(state, historyDays);
+    };
+
+    return {
+        config: scorerConfig,
+
+        /**
+         * Score a day. With a date, countryDataMap is first added to the history
+         * (so the day counts towards its own rolling medians, as in the daily run).
+         * options: { baselines, acled } keyed by ISO2
+         */
+        score(countryDataMap, date = null, options = {}) {
+            if (date) addSnapshot(date, countryDataMap);
+            return scoreAllWith(scorerConfig, state, countryDataMap, { audit, ...options });
+        },
+
+        scoreCountry(countryData, context = {}) {
+            return scoreCountryWith(scorerConfig, state, countryData, { audit, ...context });
+        },
+
+        addSnapshot,
+
+        getHistory() {
+            return state;
+        },
+
+        getRollingP95(windowDays = 7) {
+            return getRollingP95(state, scorerConfig, windowDays);
+        },
+
+        log(result, date) {
+            logScoringResultWith(scorerConfig, result, date);
+        }
+    };
+}
+
+/** Score one country with no rolling history (context.config, default: the shipped config). */
+export function scoreCountry(countryData, { config = getShippedConfig(), ...context } = {}) {
+    return scoreCountryWith(config, {}, countryData, context);
 }
 
 // ============ EXPORTS ============
-export { config };
 export default {
-    scoreCountry,
-    scoreAllCountries,
-    loadHistoricalData,
-    getHistoricalData,
-    addDailySnapshot,
-    logScoringResult,
-    config
+    createScorer,
+    loadScoringConfig,
+    getShippedConfig,
+    scoreCountry
 };
@@ -0,0 +1,156 @@
+/**
+ * scoring_overrides.mjs - Tier / region / country threshold overrides for scoring.json
+ *
+ * On top of the global blocks, config/scoring.json may carry:
+ *   "tier_overrides":    { "A": {...}, "S": {...} }
+ *   "region_overrides":  { "CARIBBEAN": { "countries": ["JM", "HT"], ... } }
+ *   "country_overrides": { "US": { "r1_security": { "absolute_threshold": 900 } } }
+ *
+ * Each override is a partial copy of the global config: objects merge key by
+ * key, anything else replaces. Layers apply global -> tier -> region -> country,
+ * so the most specific one wins. Tier A = config/latam33.json, Tier S =
+ * config/sensor_countries.json (Tier B is picked per run and has no overrides).
+ *
+ * Used by scoreCountry (scoring.mjs) and by every caller of the SurgeR engine
+ * (surge_r.mjs): generate_daily.js, the weekly and 5y history generators.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TIER_LISTS = {
+    A: path.resolve(__dirname, '../config/latam33.json'),
+    S: path.resolve(__dirname, '../config/sensor_countries.json')
+};
+
+const OVERRIDE_KEYS = ['tier_overrides', 'region_overrides', 'country_overrides'];
+
+let tierMembers = null;
+
+function loadTierMembers() {
+    if (!tierMembers) {
+        tierMembers = {};
+        for (const [tier, file] of Object.entries(TIER_LISTS)) {
+            tierMembers[tier] = new Set(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        }
+    }
+    return tierMembers;
+}
+
+/** Fixed tiers a country belongs to, e.g. ['S'] */
+export function getCountryTiers(code) {
+    const members = loadTierMembers();
+    return Object.keys(members).filter(tier => members[tier].has(code));
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** Deep-merge a partial config: objects merge key by key, anything else replaces. */
+export function mergeConfig(base, patch) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(patch)) {
+        out[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeConfig(base[key], value) : value;
+    }
+    return out;
+}
+
+function stripOverrideKeys(cfg) {
+    const out = { ...cfg };
+    OVERRIDE_KEYS.forEach(k => delete out[k]);
+    return out;
+}
+
+const resolved = new WeakMap();
+
+/**
+ * Effective config for one country.
+ * @param {Object} baseConfig - parsed config/scoring.json
+ * @param {string} code - ISO2
+ * @returns {{ config: Object, applied: string[] }} applied = layers used, e.g. ['tier:S', 'country:US']
+ */
+export function resolveCountryConfig(baseConfig, code) {
+    let cache = resolved.get(baseConfig);
+    if (!cache) {
+        cache = new Map();
+        resolved.set(baseConfig, cache);
+    }
+    if (cache.has(code)) return cache.get(code);
+
+    const layers = [];
+    if (code) {
+        for (const tier of getCountryTiers(code)) {
+            const patch = baseConfig.tier_overrides?.[tier];
+            if (patch) layers.push([`tier:${tier}`, patch]);
+        }
+        for (const [region, patch] of Object.entries(baseConfig.region_overrides || {})) {
+            if (!patch.countries?.includes(code)) continue;
+            const { countries: _members, ...rest } = patch;
+            layers.push([`region:${region}`, rest]);
+        }
+        const countryPatch = baseConfig.country_overrides?.[code];
+        if (countryPatch) layers.push([`country:${code}`, countryPatch]);
+    }
+
+    let config = stripOverrideKeys(baseConfig);
+    for (const [, patch] of layers) config = mergeConfig(config, patch);
+
+    const result = { config, applied: layers.map(([name]) => name) };
+    cache.set(code, result);
+    return result;
+}
+
+/**
+ * Compact record of the thresholds a country was scored with, for audit output.
+ */
+export function summarizeThresholds(config, applied = []) {
+    const pick = (c = {}) => ({
+        absolute_threshold: c.absolute_threshold,
+        ratio_threshold: c.ratio_threshold,
+        ...(c.use_jump_gate ? { jump_threshold: c.jump_threshold, min_median_floor: c.min_median_floor } : {})
+    });
+    return {
+        overrides: applied,
+        event_count_floor: config.event_count_floor,
+        R1: pick(config.r1_security),
+        R2: pick(config.r2_living),
+        R3: pick(config.r3_governance),
+        R4: pick(config.r4_fiscal),
+        surge_r: config.surge_r?.thresholds
+    };
+}
+
+/**
+ * Warn about override entries that cannot take effect (typos in tier names,
+ * region blocks without members, keys the global config does not have).
+ * @returns {string[]} warnings
+ */
+export function validateOverrides(baseConfig) {
+    const warnings = [];
+    const knownTiers = Object.keys(TIER_LISTS);
+    const checkKeys = (label, patch) => {
+        for (const key of Object.keys(patch)) {
+            if (key !== 'countries' && !(key in baseConfig)) warnings.push(`${label}: unknown key "${key}"`);
+        }
+    };
+
+    for (const [tier, patch] of Object.entries(baseConfig.tier_overrides || {})) {
+        if (!knownTiers.includes(tier)) warnings.push(`tier_overrides.${tier}: unknown tier (expected ${knownTiers.join('/')})`);
+        checkKeys(`tier_overrides.${tier}`, patch);
+    }
+    for (const [region, patch] of Object.entries(baseConfig.region_overrides || {})) {
+        if (!Array.isArray(patch.countries) || patch.countries.length === 0) {
+            warnings.push(`region_overrides.${region}: needs a non-empty "countries" list`);
+        }
+        checkKeys(`region_overrides.${region}`, patch);
+    }
+    for (const [code, patch] of Object.entries(baseConfig.country_overrides || {})) {
+        if (!/^[A-Z]{2}$/.test(code)) warnings.push(`country_overrides.${code}: expected an ISO2 code`);
+        checkKeys(`country_overrides.${code}`, patch);
+    }
+    return warnings;
+}
@@ -0,0 +1,244 @@
+/**
+ * acled.mjs - ACLED-format conflict event CSVs as a second R1 (Security) source
+ *
+ * GDELT R1 counts CAMEO root codes 18/19/20 in news coverage, so it moves with
+ * media volume. ACLED events are coded per incident, which makes them a useful
+ * cross-check. Everything here reads a local export; nothing touches the network.
+ *
+ * Required columns (header names, case-insensitive):
+ *   event_date   YYYY-MM-DD or "10 January 2026"
+ *   iso          ISO 3166-1 numeric (as exported by ACLED) or alpha-2
+ *   event_type   e.g. Battles, Explosions/Remote violence
+ *   fatalities   integer
+ * An `iso3` column is used when `iso` does not map.
+ *
+ * Config: config/scoring.json -> r1_acled
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const isoCodes = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../config/iso3166_codes.json'), 'utf-8'));
+
+export const DEFAULT_ACLED_R1_CONFIG = {
+    event_types: ['Battles', 'Explosions/Remote violence', 'Violence against civilians'],
+    absolute_threshold: 10,
+    window_days: 2,
+    baseline_days: 365
+};
+
+const REQUIRED_COLUMNS = ['event_date', 'iso', 'event_type', 'fatalities'];
+const DAY_MS = 86400000;
+
+// ============ CSV ============
+/**
+ * Minimal RFC 4180 parser (quoted fields, doubled quotes, CRLF).
+ * @returns {Array<Object>} rows keyed by lower-cased header
+ */
+export function parseCsv(text) {
+    const records = [];
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            record.push(field); field = '';
+            if (record.some(v => v !== '')) records.push(record);
+            record = [];
+        } else {
+            field += ch;
+        }
+    }
+    record.push(field);
+    if (record.some(v => v !== '')) records.push(record);
+
+    if (records.length === 0) return [];
+    const header = records[0].map(h => h.trim().toLowerCase().replace(/^\uFEFF/, ''));
+    return records.slice(1).map(values => {
+        const row = {};
+        header.forEach((h, i) => { row[h] = (values[i] ?? '').trim(); });
+        return row;
+    });
+}
+
+// ============ NORMALIZATION ============
+export function acledIsoToIso2(iso, iso3) {
+    const raw = String(iso ?? '').trim();
+    if (/^\d+$/.test(raw) && isoCodes.numeric[String(parseInt(raw, 10))]) {
+        return isoCodes.numeric[String(parseInt(raw, 10))];
+    }
+    if (/^[A-Za-z]{2}$/.test(raw)) return raw.toUpperCase();
+    const a3 = String(iso3 ?? '').trim().toUpperCase();
+    return isoCodes.alpha3[a3] || null;
+}
+
+/** "2026-01-10" | "10 January 2026" | "2026/01/10" -> "2026-01-10" (UTC) */
+export function normalizeAcledDate(value) {
+    const s = String(value ?? '').trim();
+    const m = s.match(/^(\d{4})[-/](\d{2})[-/](\d{2})/);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    const t = Date.parse(`${s} UTC`);
+    return Number.isNaN(t) ? null : new Date(t).toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+    return new Date(Date.parse(dateStr) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** ISO 8601 week key in UTC, same format as BigQuery '%G-W%V' */
+export function isoWeekKey(dateStr) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ============ LOAD ============
+/**
+ * Parse an ACLED export and keep the R1 event types.
+ * @returns {{ events: Array<{date, iso2, event_type, fatalities}>, stats: Object }}
+ */
+export function loadAcledEvents(filePath, { eventTypes = DEFAULT_ACLED_R1_CONFIG.event_types } = {}) {
+    const rows = parseCsv(fs.readFileSync(filePath, 'utf-8'));
+    if (rows.length > 0) {
+        const missing = REQUIRED_COLUMNS.filter(c => !(c in rows[0]));
+        if (missing.length > 0) {
+            throw new Error(`[ACLED] ${filePath} is missing column(s): ${missing.join(', ')}`);
+        }
+    }
+
+    const wanted = new Set(eventTypes.map(t => t.toLowerCase()));
+    const stats = { rows: rows.length, kept: 0, other_types: 0, unmapped_iso: 0, bad_date: 0, min_date: null, max_date: null };
+    const events = [];
+
+    for (const row of rows) {
+        const date = normalizeAcledDate(row.event_date);
+        if (!date) { stats.bad_date++; continue; }
+        // Coverage is tracked over every row so quiet days still count as zero
+        if (!stats.min_date || date < stats.min_date) stats.min_date = date;
+        if (!stats.max_date || date > stats.max_date) stats.max_date = date;
+
+        if (!wanted.has(row.event_type.toLowerCase())) { stats.other_types++; continue; }
+        const iso2 = acledIsoToIso2(row.iso, row.iso3);
+        if (!iso2) { stats.unmapped_iso++; continue; }
+
+        events.push({ date, iso2, event_type: row.event_type, fatalities: parseInt(row.fatalities, 10) || 0 });
+        stats.kept++;
+    }
+    return { events, stats };
+}
+
+// ============ AGGREGATION ============
+function aggregateBy(events, keyOf) {
+    const out = {};
+    for (const e of events) {
+        const key = keyOf(e.date);
+        if (!out[key]) out[key] = {};
+        const c = out[key][e.iso2] || (out[key][e.iso2] = { events: 0, fatalities: 0 });
+        c.events++;
+        c.fatalities += e.fatalities;
+    }
+    return out;
+}
+
+/** { 'YYYY-MM-DD': { ISO2: { events, fatalities } } } */
+export function aggregateAcledDaily(events) {
+    return aggregateBy(events, d => d);
+}
+
+/** { 'YYYY-Www': { ISO2: { events, fatalities } } } */
+export function aggregateAcledWeekly(events) {
+    return aggregateBy(events, isoWeekKey);
+}
+
+/**
+ * Per-country R1 counts for the daily pipeline.
+ * today = events in the `window_days` days ending on targetDate (matches the
+ * 48h GDELT window with the default of 2). baseline_median = median of the same
+ * rolling window over the preceding `baseline_days`, counting quiet days as 0
+ * and never reaching back before the export's first date.
+ *
+ * @param {Object} daily - aggregateAcledDaily() output
+ * @param {string} targetDate - YYYY-MM-DD
+ * @param {Object} [options] - { window_days, baseline_days, coverageStart }
+ * @returns {Object} { ISO2: { today, fatalities, baseline_median, baseline_days } }
+ */
+export function computeAcledR1(daily, targetDate, options = {}) {
+    const windowDays = options.window_days ?? DEFAULT_ACLED_R1_CONFIG.window_days;
+    const baselineDays = options.baseline_days ?? DEFAULT_ACLED_R1_CONFIG.baseline_days;
+    const coverageStart = options.coverageStart || Object.keys(daily).sort()[0] || targetDate;
+
+    const windowSum = (iso2, endDate) => {
+        let events = 0;
+        let fatalities = 0;
+        for (let i = 0; i < windowDays; i++) {
+            const c = daily[addDays(endDate, -i)]?.[iso2];
+            if (c) { events += c.events; fatalities += c.fatalities; }
+        }
+        return { events, fatalities };
+    };
+
+    // Baseline windows end before the current window starts and begin inside coverage
+    const baselineEnds = [];
+    const firstEnd = addDays(coverageStart, windowDays - 1);
+    for (let i = 1; i <= baselineDays; i++) {
+        const end = addDays(targetDate, -windowDays - i + 1);
+        if (end < firstEnd) break;
+        baselineEnds.push(end);
+    }
+
+    const firstBaselineDay = addDays(targetDate, -windowDays - baselineDays - windowDays + 2);
+    const countries = new Set();
+    for (const [date, byCountry] of Object.entries(daily)) {
+        if (date >= firstBaselineDay && date <= targetDate) Object.keys(byCountry).forEach(c => countries.add(c));
+    }
+
+    const result = {};
+    for (const iso2 of [...countries].sort()) {
+        const current = windowSum(iso2, targetDate);
+        result[iso2] = {
+            today: current.events,
+            fatalities: current.fatalities,
+            baseline_median: median(baselineEnds.map(end => windowSum(iso2, end).events)),
+            baseline_days: baselineEnds.length
+        };
+    }
+    return result;
+}
+
+/**
+ * Load an ACLED export and return computeAcledR1() for targetDate.
+ * @param {string} filePath
+ * @param {string} targetDate - YYYY-MM-DD
+ * @param {Object} [cfg] - scoring.json r1_acled block
+ */
+export function loadAcledR1(filePath, targetDate, cfg = {}) {
+    const options = { ...DEFAULT_ACLED_R1_CONFIG, ...cfg };
+    const { events, stats } = loadAcledEvents(filePath, { eventTypes: options.event_types });
+    console.log(`[ACLED] ${path.basename(filePath)}: ${stats.kept}/${stats.rows} R1 rows (${stats.min_date}..${stats.max_date}), unmapped iso=${stats.unmapped_iso}, bad dates=${stats.bad_date}`);
+    if (stats.max_date && stats.max_date < targetDate) {
+        console.warn(`[ACLED] Export ends ${stats.max_date}, before ${targetDate}; recent days count as zero.`);
+    }
+    return computeAcledR1(aggregateAcledDaily(events), targetDate, { ...options, coverageStart: stats.min_date });
+}
@@ -0,0 +1,87 @@
+/**
+ * aggregate.mjs - Per-country event aggregates shared by all event sources
+ *
+ * Every source returns the shape fetchHotCountries() has always returned:
+ *   { [gdeltCountryCode]: { event_count, avg_tone, r1_security, r2_living_count,
+ *     r3_governance, r4_fiscal_count, domestic_event_count, denom_actor_geo,
+ *     domestic_ratio } }
+ * Keys are GDELT ActionGeo codes (FIPS 10-4); aggregateToIso2() converts them.
+ */
+
+import { matchesRDefinition, isSportsUrl } from './r_definitions.mjs';
+
+// Domestic Ratio: fallback to 1.0 if denom < 50 (insufficient data)
+export const MIN_DENOM_FOR_DOMESTIC_RATIO = 50;
+
+const num = (v) => (v === null || v === undefined ? v : Number(v));
+
+export function domesticRatio(domestic, denom) {
+    return denom >= MIN_DENOM_FOR_DOMESTIC_RATIO ? domestic / denom : 1.0;
+}
+
+/**
+ * Convert SQL result rows (aliases of the events query) to the summary shape.
+ * Numbers are coerced so BigInt-returning drivers (DuckDB) match BigQuery.
+ */
+export function summarizeRows(rows) {
+    const summary = {};
+    rows.forEach(row => {
+        if (row.iso2 && row.iso2.length === 2) {
+            const domestic = num(row.domestic_event_count);
+            const denom = num(row.denom_actor_geo);
+            summary[row.iso2] = {
+                event_count: num(row.event_count),
+                avg_tone: num(row.avg_tone),
+                r1_security: num(row.r1_security),
+                r2_living_count: num(row.r2_living),
+                r3_governance: num(row.r3_governance),
+                r4_fiscal_count: num(row.r4_fiscal),
+                domestic_event_count: domestic,
+                denom_actor_geo: denom,
+                domestic_ratio: row.domestic_ratio !== undefined ? num(row.domestic_ratio) : domesticRatio(domestic, denom)
+            };
+        }
+    });
+    return summary;
+}
+
+/**
+ * In-memory equivalent of the events GROUP BY for file-based sources.
+ * @param {Iterable<Object>} events - parsed rows with GDELT column names
+ * @param {Object} window - see fetchCountryAggregates() in sources/index.mjs
+ * @returns {Array<Object>} rows with the SQL aliases, ordered by event_count DESC
+ */
+export function aggregateEventRows(events, window) {
+    const { startInt, endInt, sqlDateStart, sqlDateEnd, minEvents, excludeSports, rDefinitions } = window;
+    const groups = new Map();
+
+    for (const e of events) {
+        const geo = e.ActionGeo_CountryCode;
+        if (!geo) continue;
+        if (e.DATEADDED < startInt || e.DATEADDED > endInt) continue;
+        if (sqlDateStart !== undefined && (e.SQLDATE < sqlDateStart || e.SQLDATE > sqlDateEnd)) continue;
+        if (excludeSports && isSportsUrl(e.SOURCEURL)) continue;
+
+        let g = groups.get(geo);
+        if (!g) {
+            g = { iso2: geo, event_count: 0, tone_sum: 0, r1_security: 0, r2_living: 0, r3_governance: 0, r4_fiscal: 0, domestic_event_count: 0, denom_actor_geo: 0 };
+            groups.set(geo, g);
+        }
+        g.event_count++;
+        g.tone_sum += e.AvgTone || 0;
+        if (matchesRDefinition(rDefinitions.R1, e)) g.r1_security++;
+        if (matchesRDefinition(rDefinitions.R2, e)) g.r2_living++;
+        if (matchesRDefinition(rDefinitions.R3, e)) g.r3_governance++;
+        if (matchesRDefinition(rDefinitions.R4, e)) g.r4_fiscal++;
+
+        const a1 = e.Actor1Geo_CountryCode;
+        const a2 = e.Actor2Geo_CountryCode;
+        if ((a1 && a1 === geo) || (a2 && a2 === geo)) g.domestic_event_count++;
+        if (a1 || a2) g.denom_actor_geo++;
+    }
+
+    return Array.from(groups.values())
+        .filter(g => g.event_count > minEvents)
+        .map(({ tone_sum, ...g }) => ({ ...g, avg_tone: tone_sum / g.event_count }))
+        .sort((a, b) => (b.event_count - a.event_count) || a.iso2.localeCompare(b.iso2));
+}
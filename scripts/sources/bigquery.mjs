@@ -0,0 +1,105 @@
+/**
+ * bigquery.mjs - BigQuery event source + the one shared BigQuery client
+ *
+ * Every script that talks to BigQuery gets its client from getBigQueryClient(),
+ * so credentials and billing project are configured in one place:
+ *   BQ_PROJECT_ID / GOOGLE_CLOUD_PROJECT  (default countryrisks-prod)
+ *   credentials/gcp-service-account.json  (falls back to ADC when absent)
+ *   GDELT_EVENTS_TABLE                    (default gdelt-bq.gdeltv2.events_partitioned)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BigQuery } from '@google-cloud/bigquery';
+import { buildRCondition, SPORTS_PATH_PATTERN, SPORTS_DOMAIN_PATTERN } from './r_definitions.mjs';
+import { summarizeRows } from './aggregate.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const keyPath = path.resolve(__dirname, '../../credentials/gcp-service-account.json');
+
+let client = null;
+
+// Env is read on first use, so callers may import dotenv/config after this module
+export function getBigQueryClient() {
+    if (!client) {
+        const options = { projectId: process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod' };
+        if (fs.existsSync(keyPath)) options.keyFilename = keyPath;
+        client = new BigQuery(options);
+    }
+    return client;
+}
+
+// YYYYMMDDHHMMSS -> YYYY-MM-DD shifted by `days` (partition bounds)
+function intToDateStr(dateInt, days) {
+    const s = String(dateInt);
+    const d = new Date(`${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+export function createBigQuerySource({ table = process.env.GDELT_EVENTS_TABLE || 'gdelt-bq.gdeltv2.events_partitioned' } = {}) {
+    const partitioned = table.endsWith('_partitioned');
+
+    return {
+        name: 'bigquery',
+
+        async fetchCountryAggregates(window) {
+            const { startInt, endInt, sqlDateStart, sqlDateEnd, minEvents, excludeSports, rDefinitions } = window;
+
+            // We scan [StartDate - 1 day] to [EndDate + 1 day] to be safe
+            const filters = [];
+            if (partitioned) {
+                filters.push(`_PARTITIONDATE BETWEEN '${intToDateStr(startInt, -1)}' AND '${intToDateStr(endInt, 1)}'`);
+            }
+            filters.push(`DATEADDED BETWEEN ${startInt} AND ${endInt}`);
+            if (sqlDateStart !== undefined) {
+                filters.push(`SQLDATE BETWEEN ${sqlDateStart} AND ${sqlDateEnd} -- Extra safety`);
+            }
+            filters.push('ActionGeo_CountryCode IS NOT NULL');
+            if (excludeSports) {
+                filters.push(`NOT REGEXP_CONTAINS(LOWER(SOURCEURL), r'${SPORTS_PATH_PATTERN}')`);
+                filters.push(`NOT REGEXP_CONTAINS(LOWER(SOURCEURL), r'${SPORTS_DOMAIN_PATTERN}')`);
+            }
+
+            const query = `
+        SELECT
+            ActionGeo_CountryCode AS iso2,
+            COUNT(*) AS event_count,
+            AVG(AvgTone) AS avg_tone,
+            COUNTIF(${buildRCondition(rDefinitions.R1)}) AS r1_security,
+            COUNTIF(${buildRCondition(rDefinitions.R3)}) AS r3_governance,
+            COUNTIF(${buildRCondition(rDefinitions.R2)}) AS r2_living,
+            COUNTIF(${buildRCondition(rDefinitions.R4)}) AS r4_fiscal,
+            -- Domestic Event Count: events where Actor1Geo or Actor2Geo matches ActionGeo
+            -- Using ActorGeo (location-based) instead of ActorCountryCode (affiliation-based)
+            COUNTIF(
+                (Actor1Geo_CountryCode IS NOT NULL AND Actor1Geo_CountryCode = ActionGeo_CountryCode) OR
+                (Actor2Geo_CountryCode IS NOT NULL AND Actor2Geo_CountryCode = ActionGeo_CountryCode)
+            ) AS domestic_event_count,
+            -- Denominator: events where at least one ActorGeo is known
+            COUNTIF(Actor1Geo_CountryCode IS NOT NULL OR Actor2Geo_CountryCode IS NOT NULL) AS denom_actor_geo
+        FROM \`${table}\`
+        WHERE ${filters.join('\n        AND ')}
+        GROUP BY iso2
+        HAVING event_count > ${minEvents}
+        ORDER BY event_count DESC
+    `;
+
+            const bigquery = getBigQueryClient();
+            const [job] = await bigquery.createQueryJob({ query, location: 'US' });
+            console.log(`Job ${job.id} started.`);
+            const [rows] = await job.getQueryResults();
+
+            // COST VISIBILITY
+            const [metadata] = await job.getMetadata();
+            const bytesProcessed = parseInt(metadata.statistics?.totalBytesProcessed || 0);
+            const gbProcessed = (bytesProcessed / (1024 ** 3)).toFixed(4);
+            const estimatedCostUsd = (bytesProcessed / (1024 ** 4) * 5).toFixed(6);
+            console.log(`[COST] Events Query: ${gbProcessed} GB scanned, ~$${estimatedCostUsd} USD`);
+            if (window.onCost) window.onCost(bytesProcessed / (1024 ** 4) * 5);
+
+            return summarizeRows(rows);
+        }
+    };
+}
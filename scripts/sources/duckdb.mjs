@@ -0,0 +1,92 @@
+/**
+ * duckdb.mjs - Event source over a DuckDB database or Parquet mirror of GDELT events
+ *
+ *   GDELT_DUCKDB_PATH   database file (default :memory:)
+ *   GDELT_PARQUET_GLOB  Parquet files with GDELT column names, e.g. /mirror/events/*.parquet
+ *   GDELT_DUCKDB_TABLE  table/view inside the database (default events; ignored with a glob)
+ *
+ * Needs the optional `@duckdb/node-api` package (npm install @duckdb/node-api).
+ */
+
+import { buildRCondition, SPORTS_PATH_PATTERN, SPORTS_DOMAIN_PATTERN } from './r_definitions.mjs';
+import { summarizeRows } from './aggregate.mjs';
+
+async function loadDuckDb() {
+    try {
+        return await import('@duckdb/node-api');
+    } catch (err) {
+        throw new Error(`[SOURCE] duckdb needs the @duckdb/node-api package (npm install @duckdb/node-api): ${err.message}`);
+    }
+}
+
+export function createDuckDbSource({
+    dbPath = process.env.GDELT_DUCKDB_PATH || ':memory:',
+    parquetGlob = process.env.GDELT_PARQUET_GLOB,
+    table = process.env.GDELT_DUCKDB_TABLE || 'events'
+} = {}) {
+    const relation = parquetGlob ? `read_parquet('${parquetGlob.replace(/'/g, "''")}')` : table;
+    let connection = null;
+
+    const connect = async () => {
+        if (!connection) {
+            const { DuckDBInstance } = await loadDuckDb();
+            const instance = await DuckDBInstance.create(dbPath);
+            connection = await instance.connect();
+        }
+        return connection;
+    };
+
+    return {
+        name: 'duckdb',
+
+        async fetchCountryAggregates(window) {
+            const { startInt, endInt, sqlDateStart, sqlDateEnd, minEvents, excludeSports, rDefinitions } = window;
+
+            const filters = [
+                `DATEADDED BETWEEN ${startInt} AND ${endInt}`,
+                'ActionGeo_CountryCode IS NOT NULL'
+            ];
+            if (sqlDateStart !== undefined) filters.push(`SQLDATE BETWEEN ${sqlDateStart} AND ${sqlDateEnd}`);
+            if (excludeSports) {
+                filters.push(`NOT regexp_matches(lower(SOURCEURL), '${SPORTS_PATH_PATTERN}')`);
+                filters.push(`NOT regexp_matches(lower(SOURCEURL), '${SPORTS_DOMAIN_PATTERN}')`);
+            }
+
+            // Mirrors store codes as integers or strings and blanks as '' or NULL;
+            // normalize so buildRCondition() behaves as it does on BigQuery.
+            const query = `
+        SELECT
+            ActionGeo_CountryCode AS iso2,
+            COUNT(*) AS event_count,
+            AVG(AvgTone) AS avg_tone,
+            COUNT(*) FILTER (WHERE ${buildRCondition(rDefinitions.R1)}) AS r1_security,
+            COUNT(*) FILTER (WHERE ${buildRCondition(rDefinitions.R3)}) AS r3_governance,
+            COUNT(*) FILTER (WHERE ${buildRCondition(rDefinitions.R2)}) AS r2_living,
+            COUNT(*) FILTER (WHERE ${buildRCondition(rDefinitions.R4)}) AS r4_fiscal,
+            COUNT(*) FILTER (WHERE
+                (Actor1Geo_CountryCode IS NOT NULL AND Actor1Geo_CountryCode = ActionGeo_CountryCode) OR
+                (Actor2Geo_CountryCode IS NOT NULL AND Actor2Geo_CountryCode = ActionGeo_CountryCode)
+            ) AS domestic_event_count,
+            COUNT(*) FILTER (WHERE Actor1Geo_CountryCode IS NOT NULL OR Actor2Geo_CountryCode IS NOT NULL) AS denom_actor_geo
+        FROM (
+            SELECT * REPLACE (
+                CAST(EventRootCode AS VARCHAR) AS EventRootCode,
+                CAST(EventCode AS VARCHAR) AS EventCode,
+                NULLIF(CAST(ActionGeo_CountryCode AS VARCHAR), '') AS ActionGeo_CountryCode,
+                NULLIF(CAST(Actor1Geo_CountryCode AS VARCHAR), '') AS Actor1Geo_CountryCode,
+                NULLIF(CAST(Actor2Geo_CountryCode AS VARCHAR), '') AS Actor2Geo_CountryCode
+            )
+            FROM ${relation}
+        )
+        WHERE ${filters.join('\n        AND ')}
+        GROUP BY iso2
+        HAVING COUNT(*) > ${minEvents}
+        ORDER BY event_count DESC, iso2
+    `;
+
+            const conn = await connect();
+            const reader = await conn.runAndReadAll(query);
+            return summarizeRows(reader.getRowObjects());
+        }
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * gdelt_csv.mjs - Event source over a local mirror of GDELT 2.0 export files
+ *
+ * Reads `YYYYMMDDHHMMSS.export.CSV` / `.export.CSV.zip` (and the
+ * `.translation.export.` variants) from GDELT_CSV_DIR, the 15-minute dumps
+ * published at data.gdeltproject.org/gdeltv2/. Only files whose batch
+ * timestamp falls inside the requested DATEADDED window are opened.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { aggregateEventRows, summarizeRows } from './aggregate.mjs';
+
+const EXPORT_FILE_RE = /^(\d{14})\.(translation\.)?export\.CSV(\.zip)?$/i;
+
+// GDELT 2.0 Events export: 61 tab-separated columns, no header
+const COLUMNS = {
+    SQLDATE: 1,
+    EventCode: 26,
+    EventRootCode: 28,
+    AvgTone: 34,
+    Actor1Geo_CountryCode: 37,
+    Actor2Geo_CountryCode: 45,
+    ActionGeo_CountryCode: 53,
+    DATEADDED: 59,
+    SOURCEURL: 60
+};
+
+/**
+ * Extract every entry of a zip archive (stored or deflated).
+ * GDELT zips hold a single CSV; the central directory gives reliable sizes.
+ */
+export function readZipEntries(buf) {
+    const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd < 0) throw new Error('Not a zip archive (no end of central directory)');
+    const count = buf.readUInt16LE(eocd + 10);
+    let p = buf.readUInt32LE(eocd + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+        const method = buf.readUInt16LE(p + 10);
+        const compressedSize = buf.readUInt32LE(p + 20);
+        const nameLen = buf.readUInt16LE(p + 28);
+        const extraLen = buf.readUInt16LE(p + 30);
+        const commentLen = buf.readUInt16LE(p + 32);
+        const localOffset = buf.readUInt32LE(p + 42);
+        const name = buf.toString('utf-8', p + 46, p + 46 + nameLen);
+
+        const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) entries.push({ name, content: data });
+        else if (method === 8) entries.push({ name, content: zlib.inflateRawSync(data) });
+        else throw new Error(`Unsupported zip compression method ${method} (${name})`);
+
+        p += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+}
+
+function readExportText(filePath) {
+    const buf = fs.readFileSync(filePath);
+    if (!filePath.toLowerCase().endsWith('.zip')) return buf.toString('utf-8');
+    return readZipEntries(buf).map(e => e.content.toString('utf-8')).join('\n');
+}
+
+function* parseExportRows(text) {
+    for (const line of text.split('\n')) {
+        if (!line) continue;
+        const f = line.replace(/\r$/, '').split('\t');
+        if (f.length <= COLUMNS.SOURCEURL) continue;
+        yield {
+            SQLDATE: parseInt(f[COLUMNS.SQLDATE], 10),
+            EventCode: f[COLUMNS.EventCode],
+            EventRootCode: f[COLUMNS.EventRootCode],
+            AvgTone: parseFloat(f[COLUMNS.AvgTone]) || 0,
+            Actor1Geo_CountryCode: f[COLUMNS.Actor1Geo_CountryCode] || null,
+            Actor2Geo_CountryCode: f[COLUMNS.Actor2Geo_CountryCode] || null,
+            ActionGeo_CountryCode: f[COLUMNS.ActionGeo_CountryCode] || null,
+            DATEADDED: parseInt(f[COLUMNS.DATEADDED], 10),
+            SOURCEURL: f[COLUMNS.SOURCEURL]
+        };
+    }
+}
+
+export function listExportFiles(dir, startInt, endInt) {
+    return fs.readdirSync(dir)
+        .map(name => ({ name, m: name.match(EXPORT_FILE_RE) }))
+        .filter(({ m }) => m && Number(m[1]) >= startInt && Number(m[1]) <= endInt)
+        .map(({ name }) => path.join(dir, name))
+        .sort();
+}
+
+export function createGdeltCsvSource({ dir = process.env.GDELT_CSV_DIR } = {}) {
+    if (!dir) throw new Error('[SOURCE] gdelt_csv needs GDELT_CSV_DIR (directory of GDELT 2.0 export files)');
+
+    return {
+        name: 'gdelt_csv',
+
+        async fetchCountryAggregates(window) {
+            const files = listExportFiles(dir, window.startInt, window.endInt);
+            console.log(`[SOURCE] gdelt_csv: ${files.length} export files in ${dir}`);
+
+            function* allRows() {
+                for (const file of files) yield* parseExportRows(readExportText(file));
+            }
+
+            const rows = aggregateEventRows(allRows(), window);
+            return summarizeRows(rows);
+        }
+    };
+}
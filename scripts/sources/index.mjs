@@ -0,0 +1,105 @@
+/**
+ * sources/index.mjs - Event source adapters behind fetchHotCountries()
+ *
+ * EVENT_SOURCE selects where per-country GDELT event aggregates come from:
+ *   bigquery   gdelt-bq.gdeltv2.events_partitioned (default)
+ *   gdelt_csv  local GDELT 2.0 export CSV/zip files (GDELT_CSV_DIR)
+ *   duckdb     DuckDB database or Parquet mirror (GDELT_DUCKDB_PATH / GDELT_PARQUET_GLOB)
+ *
+ * Each adapter implements fetchCountryAggregates(window) and returns the shape
+ * documented in aggregate.mjs. Scripts that need BigQuery-specific SQL (weekly,
+ * baselines, GKG) use getBigQueryClient() instead of building their own client.
+ */
+
+import { rDefs } from './r_definitions.mjs';
+import { createBigQuerySource, getBigQueryClient } from './bigquery.mjs';
+import { createGdeltCsvSource } from './gdelt_csv.mjs';
+import { createDuckDbSource } from './duckdb.mjs';
+
+export { getBigQueryClient };
+export { buildRCondition, rDefs } from './r_definitions.mjs';
+
+export const EVENT_SOURCES = {
+    bigquery: createBigQuerySource,
+    gdelt_csv: createGdeltCsvSource,
+    duckdb: createDuckDbSource
+};
+
+// R1/R3 root codes used by the snapshot, eval and diagnostic scripts
+// (predates config/r_definitions.json; kept so their fixtures stay comparable)
+export const SNAPSHOT_EVENTS_PROFILE = {
+    rDefinitions: {
+        R1: { rootCodes: ['18', '19', '20'] },
+        R3: { rootCodes: ['14'] }
+    },
+    minEvents: 5,
+    excludeSports: false
+};
+
+/**
+ * Daily R1/R3 counts under SNAPSHOT_EVENTS_PROFILE, trimmed to the fields
+ * those scripts have always stored: { [fips]: { event_count, avg_tone, r1_security, r3_governance } }
+ * @param {Object} window - { startInt, endInt } inclusive DATEADDED bounds (+ optional onCost)
+ */
+export async function fetchSnapshotAggregates(window, source = getEventSource()) {
+    const summary = await source.fetchCountryAggregates({ ...SNAPSHOT_EVENTS_PROFILE, ...window });
+    const rawData = {};
+    for (const [code, row] of Object.entries(summary)) {
+        rawData[code] = {
+            event_count: row.event_count,
+            avg_tone: row.avg_tone,
+            r1_security: row.r1_security,
+            r3_governance: row.r3_governance
+        };
+    }
+    return rawData;
+}
+
+/** Date -> GDELT DATEADDED integer (YYYYMMDDHHMMSS, UTC) */
+export function toDateAddedInt(date) {
+    return parseInt(date.toISOString().replace(/[-:T.]/g, '').slice(0, 14));
+}
+
+/** YYYY-MM-DD -> DATEADDED integer at 00:00:00 */
+export function dateStrToInt(dateStr) {
+    return parseInt(dateStr.replace(/-/g, '') + '000000');
+}
+
+const sources = {};
+
+/**
+ * @param {string} [name] - adapter name (default: EVENT_SOURCE env or 'bigquery')
+ * @param {Object} [options] - adapter options (see each adapter)
+ */
+export function getEventSource(name = process.env.EVENT_SOURCE || 'bigquery', options) {
+    const factory = EVENT_SOURCES[name];
+    if (!factory) {
+        throw new Error(`[SOURCE] Unknown EVENT_SOURCE "${name}" (expected: ${Object.keys(EVENT_SOURCES).join(', ')})`);
+    }
+    if (options) return withDefaults(factory(options));
+    if (!sources[name]) sources[name] = withDefaults(factory());
+    return sources[name];
+}
+
+/**
+ * Window fields (inclusive DATEADDED bounds, like the SQL BETWEEN):
+ *   startInt, endInt             YYYYMMDDHHMMSS
+ *   sqlDateStart, sqlDateEnd     optional YYYYMMDD bounds on SQLDATE
+ *   minEvents                    HAVING event_count > minEvents (default 10)
+ *   excludeSports                sports URL exclusion (default true)
+ *   rDefinitions                 R1-R4 definitions (default config/r_definitions.json)
+ *   onCost                       optional (usd) => void, called by billed sources
+ */
+function withDefaults(source) {
+    return {
+        name: source.name,
+        fetchCountryAggregates(window) {
+            return source.fetchCountryAggregates({
+                ...window,
+                minEvents: window.minEvents ?? 10,
+                excludeSports: window.excludeSports ?? true,
+                rDefinitions: window.rDefinitions ?? rDefs
+            });
+        }
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * r_definitions.mjs - R1-R4 event definitions shared by every event source
+ *
+ * SQL sources build COUNTIF conditions with buildRCondition(); file sources
+ * match rows in JS with matchesRDefinition(). Both read config/r_definitions.json
+ * and apply the same sports exclusion, so adapters stay interchangeable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rDefsPath = path.resolve(__dirname, '../../config/r_definitions.json');
+
+export const R_TYPES = ['R1', 'R2', 'R3', 'R4'];
+
+export let rDefs;
+try {
+    rDefs = JSON.parse(fs.readFileSync(rDefsPath, 'utf-8'));
+    console.log(`[R-DEFS] Loaded ${rDefsPath} (version: ${rDefs.version})`);
+} catch (err) {
+    throw new Error(`[R-DEFS] FATAL: Could not load ${rDefsPath}: ${err.message}`);
+}
+
+/**
+ * Generate COUNTIF SQL condition from R definition
+ * @param {Object} def - { rootCodes: [], eventCodes: [], eventCodePrefixes: [] }
+ * @returns {string} - SQL condition for COUNTIF
+ */
+export function buildRCondition(def) {
+    if (!def) return 'FALSE';
+    const parts = [];
+    if (def.rootCodes && def.rootCodes.length > 0) {
+        const quoted = def.rootCodes.map(c => `'${c}'`).join(', ');
+        parts.push(`EventRootCode IN (${quoted})`);
+    }
+    if (def.eventCodes && def.eventCodes.length > 0) {
+        const quoted = def.eventCodes.map(c => `'${c}'`).join(', ');
+        parts.push(`EventCode IN (${quoted})`);
+    }
+    // Support for eventCodePrefixes with CAST for type safety
+    if (def.eventCodePrefixes && def.eventCodePrefixes.length > 0) {
+        const prefixConditions = def.eventCodePrefixes.map(p => `STARTS_WITH(CAST(EventCode AS STRING), '${p}')`);
+        parts.push(`(${prefixConditions.join(' OR ')})`);
+    }
+    if (parts.length === 0) {
+        return 'FALSE'; // No conditions → no matches
+    }
+    return parts.join(' OR ');
+}
+
+/**
+ * JS equivalent of buildRCondition() for a parsed event row.
+ * @param {Object} def - R definition (undefined → never matches)
+ * @param {{EventRootCode: string, EventCode: string}} row
+ */
+export function matchesRDefinition(def, row) {
+    if (!def) return false;
+    const root = String(row.EventRootCode ?? '');
+    const code = String(row.EventCode ?? '');
+    if (def.rootCodes?.includes(root)) return true;
+    if (def.eventCodes?.includes(code)) return true;
+    return (def.eventCodePrefixes || []).some(p => code.startsWith(p));
+}
+
+// ============ SPORTS EXCLUSION ============
+// Strict Path/Subdomain Boundary + known sports outlets (matched on LOWER(SOURCEURL)).
+// These are the patterns BigQuery has actually been receiving: the old template
+// literals dropped the backslashes, so '.' is a wildcard here (weekly_query.sql
+// sends the escaped form). Kept as-is so daily R counts do not move.
+export const SPORTS_PATH_PATTERN = '(/|.|^)(sport|sports|football|soccer|nba|nfl|mlb|nhl|f1|ufc)(/|.|$)';
+export const SPORTS_DOMAIN_PATTERN = 'espn.|goal.com|bleacherreport.|skysports.|marca.com|sports.yahoo.';
+
+const SPORTS_PATH_RE = new RegExp(SPORTS_PATH_PATTERN);
+const SPORTS_DOMAIN_RE = new RegExp(SPORTS_DOMAIN_PATTERN);
+
+export function isSportsUrl(url) {
+    const u = String(url || '').toLowerCase();
+    return SPORTS_PATH_RE.test(u) || SPORTS_DOMAIN_RE.test(u);
+}
@@ -0,0 +1,277 @@
+/**
+ * surge_r.mjs - SurgeR engine shared by the daily, weekly and 5y history generators
+ *
+ * Per R-type (R1-R4), against the country's daily baseline median:
+ *   ratio     = (today + k) / (max(1, baseline_median) * window_days + k)
+ *   triggered = share gate || (abs gate && !high volume)   [|| ratio >= red, weekly]
+ *   stable    = baseline_median >= min baseline
+ *   active    = triggered && stable && ratio >= yellow    [orange for R1/R3 under external pressure]
+ * Level = thresholds applied to the highest active ratio.
+ *
+ * `config` is scoring.json, or the per-country config from resolveCountryConfig().
+ * The daily and weekly windows differ only in the rules listed in WINDOW_RULES.
+ */
+
+export const R_TYPES = ['R1', 'R2', 'R3', 'R4'];
+
+const R_CONFIG_KEYS = { R1: 'r1_security', R2: 'r2_living', R3: 'r3_governance', R4: 'r4_fiscal' };
+const R_CONFIG_DEFAULTS = {
+    R1: { absolute_threshold: 300, ratio_threshold: 0.06 },
+    R2: { absolute_threshold: 180, ratio_threshold: 0.035 },
+    R3: { absolute_threshold: 150, ratio_threshold: 0.045 },
+    R4: { absolute_threshold: 200, ratio_threshold: 0.04 }
+};
+const DEFAULT_THRESHOLDS = { yellow: 1.75, orange: 2.75, red: 3.75 };
+const MIN_DYNAMIC_SHARE = 0.010; // 1%
+
+/**
+ * daily:  fixed absolute_threshold per R-type, fixed min baseline.
+ * weekly: gating.low_abs (max(floor, share * events)), share threshold relaxed
+ *         with sqrt(high_volume_floor / events) above the high-volume floor,
+ *         a Red-level ratio bypasses the gates, and the min baseline is
+ *         lowered for small weekly volumes.
+ */
+export const WINDOW_RULES = {
+    daily: {
+        window_days: 1,
+        abs_gate: 'fixed',
+        dynamic_share: false,
+        red_override: false,
+        min_baseline_tiers: []
+    },
+    weekly: {
+        window_days: 7,
+        abs_gate: 'share_with_floor',
+        dynamic_share: true,
+        red_override: true,
+        min_baseline_tiers: [{ below_events: 500, min_baseline: 1.0 }, { below_events: 2000, min_baseline: 1.5 }]
+    }
+};
+
+// ============ HELPERS ============
+export function smoothedRatio(today, baselineMedian, k, windowDays = 1) {
+    return (today + k) / (Math.max(1, baselineMedian || 0) * windowDays + k);
+}
+
+/** Ungated intensity level: 'None' | 'Yellow' | 'Orange' | 'Red' */
+export function intensityLevel(ratio, thresholds = DEFAULT_THRESHOLDS) {
+    if (ratio >= thresholds.red) return 'Red';
+    if (ratio >= thresholds.orange) return 'Orange';
+    if (ratio >= thresholds.yellow) return 'Yellow';
+    return 'None';
+}
+
+/** Settings computeSurgeR reads from a scoring config */
+export function getSurgeRSettings(config = {}) {
+    const surge = config.surge_r || {};
+    return {
+        thresholds: surge.thresholds || DEFAULT_THRESHOLDS,
+        smoothing_k: surge.smoothing_k ?? 5,
+        min_baseline_median_for_surge: surge.min_baseline_median_for_surge || 3,
+        high_volume_floor: surge.high_volume_floor ?? config.volume?.threshold ?? 5000
+    };
+}
+
+function minBaselineFor(eventCount, settings, rules) {
+    const tier = rules.min_baseline_tiers.find(t => eventCount < t.below_events);
+    return tier ? tier.min_baseline : settings.min_baseline_median_for_surge;
+}
+
+// ============ ENGINE ============
+/**
+ * Compute SurgeR for one country and one window.
+ *
+ * @param {Object} todayCounts - { R1..R4 } counts in the window (1 day or 7 days)
+ * @param {Object} baselineMedians - { R1..R4 } daily baseline medians
+ * @param {number} eventCount - total events in the same window (share denominator)
+ * @param {Object} config - scoring.json (optionally per-country resolved)
+ * @param {Object} [options] - { window: 'daily'|'weekly', externalPressureNoise: boolean }
+ * @returns {{ by_type: Object, active_types: string[], max_ratio_active: number, level: string, settings: Object }}
+ */
+export function computeSurgeR(todayCounts, baselineMedians, eventCount, config = {}, options = {}) {
+    const rules = WINDOW_RULES[options.window || 'daily'];
+    if (!rules) throw new Error(`[SURGE_R] Unknown window "${options.window}" (expected ${Object.keys(WINDOW_RULES).join('/')})`);
+
+    const settings = getSurgeRSettings(config);
+    const { thresholds, smoothing_k: k, high_volume_floor: hvFloor } = settings;
+    const events = eventCount || 0;
+    const highVol = events >= hvFloor;
+    const minBaseline = minBaselineFor(events, settings, rules);
+    const lowAbs = config.gating?.low_abs || {};
+
+    const byType = {};
+    const activeTypes = [];
+    let maxRatioActive = 0;
+
+    for (const t of R_TYPES) {
+        const today = todayCounts?.[t] || 0;
+        const baselineMedian = baselineMedians?.[t] || 0;
+        const rConf = config[R_CONFIG_KEYS[t]] || R_CONFIG_DEFAULTS[t];
+
+        const ratio = smoothedRatio(today, baselineMedian, k, rules.window_days);
+        const share = today / Math.max(1, events);
+
+        // Abs gate
+        const absThreshold = rules.abs_gate === 'share_with_floor'
+            ? Math.max(lowAbs.floors?.[t] || 0, Math.ceil(events * (lowAbs.shares?.[t] || 0)))
+            : (rConf.absolute_threshold || 0);
+        const absHit = today >= absThreshold;
+
+        // Share gate (relaxed for very high volume, weekly)
+        const shareThresholdFixed = rConf.ratio_threshold || 0;
+        let shareThreshold = shareThresholdFixed;
+        let shareGateMode = 'fixed';
+        if (rules.dynamic_share && highVol && events > hvFloor) {
+            shareThreshold = Math.max(MIN_DYNAMIC_SHARE, shareThresholdFixed * Math.sqrt(hvFloor / events));
+            shareGateMode = 'dynamic';
+        }
+        const shareHit = share >= shareThreshold;
+
+        // High-volume countries: absHit alone is not enough (prevents DK/ES false positives)
+        const redOverride = rules.red_override && ratio >= thresholds.red;
+        const triggered = shareHit || (absHit && !highVol) || redOverride;
+
+        const isStable = baselineMedian >= minBaseline;
+        const activeThreshold = options.externalPressureNoise && (t === 'R1' || t === 'R3')
+            ? thresholds.orange
+            : thresholds.yellow;
+        const isActive = triggered && isStable && ratio >= activeThreshold;
+
+        let reason;
+        if (isActive) reason = shareGateMode === 'dynamic' && share < shareThresholdFixed && shareHit ? 'dynamic_share_pass' : 'active';
+        else if (!triggered) reason = absHit && highVol ? 'highvol_abs_suppressed' : (absHit ? 'low-share' : 'low-abs');
+        else if (!isStable) reason = 'low-baseline';
+        else reason = 'below-threshold';
+
+        if (isActive) {
+            activeTypes.push(t);
+            if (ratio > maxRatioActive) maxRatioActive = ratio;
+        }
+
+        byType[t] = {
+            today,
+            baseline_median: baselineMedian,
+            baseline: Math.max(1, baselineMedian) * rules.window_days,
+            ratio,
+            share,
+            abs_threshold: absThreshold,
+            abs_hit: absHit,
+            share_threshold: shareThreshold,
+            share_gate_mode: shareGateMode,
+            share_hit: shareHit,
+            red_override_used: redOverride,
+            high_vol: highVol,
+            triggered,
+            min_baseline: minBaseline,
+            is_stable: isStable,
+            threshold: activeThreshold,
+            is_active: isActive,
+            reason,
+            intensity: intensityLevel(ratio, thresholds)
+        };
+    }
+
+    const level = intensityLevel(maxRatioActive, thresholds);
+    return {
+        by_type: byType,
+        active_types: activeTypes,
+        max_ratio_active: maxRatioActive,
+        level: level === 'None' ? 'green' : level.toLowerCase(),
+        settings
+    };
+}
+
+// ============ OUTPUT SHAPES ============
+// Field names each generator has always written, so the UI keeps working.
+
+/** generate_daily.js surge_r_by_type entry */
+export function toDailyTypeEntry(e, settings) {
+    return {
+        today: e.today,
+        baseline_median: e.baseline_median,
+        ratio: parseFloat(e.ratio.toFixed(3)),
+        is_active: e.is_active,
+        is_stable_input: e.is_stable,
+        threshold: e.threshold,
+        share: parseFloat(e.share.toFixed(4)),
+        abs_hit: e.abs_hit,
+        share_hit: e.share_hit,
+        triggered: e.triggered,
+        high_vol: e.high_vol,
+        reason: e.reason,
+        smoothing_k: settings.smoothing_k
+    };
+}
+
+/** weekly/countries + weekly/{week}.json weekly_surge_r_by_type entry */
+export function toWeeklyTypeEntry(e) {
+    return {
+        today7: e.today,
+        baseline7: parseFloat(e.baseline.toFixed(1)),
+        ratio7: parseFloat(e.ratio.toFixed(3)),
+        share7: parseFloat(e.share.toFixed(4)),
+        abs_hit: e.abs_hit,
+        share_hit: e.share_hit,
+        share_thr_used: parseFloat(e.share_threshold.toFixed(4)),
+        share_gate_mode: e.share_gate_mode,
+        red_override_used: e.red_override_used,
+        high_vol: e.high_vol,
+        triggered: e.triggered,
+        is_stable: e.is_stable,
+        is_active: e.is_active,
+        reason: e.reason
+    };
+}
+
+/** history/weekly_5y entry (compact) */
+export function toHistoryTypeEntry(e) {
+    return {
+        today7: e.today,
+        baseline7: parseFloat(e.baseline.toFixed(1)),
+        ratio7: parseFloat(e.ratio.toFixed(3)),
+        share7: parseFloat(e.share.toFixed(4)),
+        is_active: e.is_active,
+        reason: e.reason,
+        gate_status: e.is_stable ? 'stable' : 'unknown'
+    };
+}
+
+/**
+ * One week of a 5y history file (generate_world_5y_history, append_world_5y_history_week,
+ * generate_latam33_5y_history).
+ * @param {string} week - ISO week id
+ * @param {Object} counts - { R1..R4 } weekly counts
+ * @param {number} eventCount7 - weekly event total
+ * @param {Object} baselineMedians - { R1..R4 } daily medians
+ * @param {Object} config - scoring config
+ */
+export function buildHistoryWeek(week, counts, eventCount7, baselineMedians, config) {
+    const surge = computeSurgeR(counts, baselineMedians, eventCount7, config, { window: 'weekly' });
+    const ratios = {};
+    const levels = {};
+    const byType = {};
+    for (const t of R_TYPES) {
+        const e = surge.by_type[t];
+        ratios[t] = parseFloat(e.ratio.toFixed(3));
+        levels[t] = e.intensity;
+        byType[t] = toHistoryTypeEntry(e);
+    }
+    const overall = surge.level === 'green' ? 'None' : surge.level[0].toUpperCase() + surge.level.slice(1);
+
+    return {
+        week,
+        ratios,
+        levels,
+        counts,
+        event_count: eventCount7,
+        weekly_surge_r_by_type: byType,
+        weekly_surge_r: {
+            level: overall.toLowerCase(),
+            max_ratio_active: parseFloat(surge.max_ratio_active.toFixed(3)),
+            active_types: surge.active_types,
+            thresholds: surge.settings.thresholds,
+            smoothing_k: surge.settings.smoothing_k
+        },
+        overall_level: overall
+    };
+}
@@ -0,0 +1,466 @@
+/**
+ * sweep.mjs - Threshold parameter sweep / backtest over stored history
+ *
+ * Each variant is config/scoring.json plus a patch. Every variant is replayed over
+ *   - the stored 30-day daily history (public/data/v4_history_30d.json) with createScorer()
+ *   - the weekly 5y history (public/data/history/weekly_5y/*.json) with the SurgeR engine
+ * and compared on alert distribution, lit days/weeks per country, flip-flop rate
+ * and, with --labels, agreement with a labelled event list.
+ *
+ * Grid file (see config/sweep_grid.json):
+ *   { "grid": { "surge_r.thresholds.yellow": [1.5, 1.75, 2.0] },   -> one variant per combination
+ *     "variants": [{ "name": "strict-r1", "patch": { "r1_security": { "ratio_threshold": 0.08 } } }] }
+ * A "baseline" variant (the config as is) always comes first.
+ *
+ * Labels file: { "events": [{ "iso2": "VE", "date": "2026-01-03", "end": "2026-01-05", "type": "coup" }] }
+ * (config/ground_truth_events.json has this shape.) An event agrees with a variant
+ * if the country is lit between (date - lead) and end.
+ *
+ * Usage:
+ *   node scripts/sweep.mjs --grid config/sweep_grid.json [--labels <events.json>]
+ *     [--history <v4_history_30d.json>] [--weekly-dir <dir>] [--weeks 52]
+ *     [--baselines <baselines.json>] [--warmup 0] [--lead-days 7] [--lead-weeks 4]
+ *     [--out public/data/eval]
+ * Writes sweep_results.json and sweep_results.html to --out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createScorer, loadScoringConfig } from './scoring.mjs';
+import { mergeConfig, resolveCountryConfig } from './scoring_overrides.mjs';
+import { buildHistoryWeek, R_TYPES } from './surge_r.mjs';
+import { isoWeekKey } from './sources/acled.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = path.resolve(__dirname, '../public/data');
+const DEFAULTS = {
+    history: path.join(DATA_DIR, 'v4_history_30d.json'),
+    weeklyDir: path.join(DATA_DIR, 'history/weekly_5y'),
+    out: path.join(DATA_DIR, 'eval')
+};
+const MAX_VARIANTS = 100;
+const OVERRIDE_KEYS = ['tier_overrides', 'region_overrides', 'country_overrides'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============ VARIANTS ============
+function patchFromPath(dotPath, value) {
+    const patch = {};
+    const keys = dotPath.split('.');
+    let node = patch;
+    keys.slice(0, -1).forEach(k => { node = node[k] = {}; });
+    node[keys[keys.length - 1]] = value;
+    return patch;
+}
+
+function checkPath(baseConfig, dotPath) {
+    const [top] = dotPath.split('.');
+    if (!(top in baseConfig) && !OVERRIDE_KEYS.includes(top)) {
+        throw new Error(`[SWEEP] Unknown config key "${top}" in grid path "${dotPath}"`);
+    }
+}
+
+/**
+ * Expand a grid file into variants.
+ * @param {Object} spec - grid file
+ * @param {Object} baseConfig - scoring config the variants patch (the baseline variant)
+ * @returns {{ name: string, patch: Object, config: Object }[]}
+ */
+export function expandGrid(spec, baseConfig) {
+    const variants = [{ name: 'baseline', patch: {}, config: baseConfig }];
+
+    const axes = Object.entries(spec.grid || {});
+    axes.forEach(([dotPath, values]) => {
+        checkPath(baseConfig, dotPath);
+        if (!Array.isArray(values) || values.length === 0) throw new Error(`[SWEEP] Grid "${dotPath}" needs a non-empty list of values`);
+    });
+
+    let combos = axes.length > 0 ? [[]] : [];
+    for (const [dotPath, values] of axes) {
+        combos = combos.flatMap(combo => values.map(v => [...combo, [dotPath, v]]));
+    }
+    for (const combo of combos) {
+        const patch = combo.reduce((acc, [dotPath, v]) => mergeConfig(acc, patchFromPath(dotPath, v)), {});
+        variants.push({ name: combo.map(([p, v]) => `${p}=${v}`).join(','), patch, config: mergeConfig(baseConfig, patch) });
+    }
+
+    for (const v of spec.variants || []) {
+        if (!v.name || !v.patch) throw new Error('[SWEEP] Each entry in "variants" needs a name and a patch');
+        Object.keys(v.patch).forEach(k => checkPath(baseConfig, k));
+        variants.push({ name: v.name, patch: v.patch, config: mergeConfig(baseConfig, v.patch) });
+    }
+
+    if (variants.length > MAX_VARIANTS) {
+        throw new Error(`[SWEEP] ${variants.length} variants exceeds the limit of ${MAX_VARIANTS}; narrow the grid`);
+    }
+    const names = new Set();
+    variants.forEach(v => {
+        if (names.has(v.name)) throw new Error(`[SWEEP] Duplicate variant name "${v.name}"`);
+        names.add(v.name);
+    });
+    return variants;
+}
+
+// ============ METRICS ============
+/**
+ * Lit-state changes per country over an ordered series of { period, lit }.
+ * A flip-flop is a change that is reversed in the next period (on-off-on, off-on-off).
+ */
+function flipFlopStats(seriesByCountry) {
+    let transitions = 0;
+    let flipFlops = 0;
+    for (const series of Object.values(seriesByCountry)) {
+        for (let i = 1; i < series.length; i++) {
+            if (series[i].lit === series[i - 1].lit) continue;
+            transitions++;
+            if (i + 1 < series.length && series[i + 1].lit === series[i - 1].lit) flipFlops++;
+        }
+    }
+    return { transitions, flip_flops: flipFlops, flip_flop_rate: transitions > 0 ? parseFloat((flipFlops / transitions).toFixed(3)) : 0 };
+}
+
+function addDays(dateStr, days) {
+    return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function dateRange(start, end) {
+    const out = [];
+    for (let d = start; d <= end; d = addDays(d, 1)) out.push(d);
+    return out;
+}
+
+/**
+ * Agreement of lit periods with labelled events.
+ * @param {Object} seriesByCountry - ISO2 -> [{ period, lit }]
+ * @param {Object[]} events - labelled events
+ * @param {Function} windowFor - event -> Set of periods that count as a hit
+ */
+function labelAgreement(seriesByCountry, events, windowFor) {
+    const periods = new Set(Object.values(seriesByCountry).flatMap(s => s.map(p => p.period)));
+    const windows = {}; // ISO2 -> Set of periods inside any event window
+    let evaluated = 0;
+    let hits = 0;
+    const missed = [];
+
+    for (const ev of events) {
+        const win = windowFor(ev);
+        if (![...win].some(p => periods.has(p))) continue; // outside the replayed range
+        evaluated++;
+        if (!windows[ev.iso2]) windows[ev.iso2] = new Set();
+        win.forEach(p => windows[ev.iso2].add(p));
+        const lit = (seriesByCountry[ev.iso2] || []).some(p => p.lit && win.has(p.period));
+        if (lit) hits++;
+        else missed.push(`${ev.iso2}@${ev.date}`);
+    }
+
+    let litTotal = 0;
+    let litInWindow = 0;
+    for (const [iso2, series] of Object.entries(seriesByCountry)) {
+        for (const p of series) {
+            if (!p.lit) continue;
+            litTotal++;
+            if (windows[iso2]?.has(p.period)) litInWindow++;
+        }
+    }
+
+    return {
+        events_evaluated: evaluated,
+        hits,
+        recall: evaluated > 0 ? parseFloat((hits / evaluated).toFixed(3)) : null,
+        precision: litTotal > 0 ? parseFloat((litInWindow / litTotal).toFixed(3)) : null,
+        missed
+    };
+}
+
+function average(arr) {
+    return arr.length > 0 ? parseFloat((arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(2)) : 0;
+}
+
+// ============ REPLAY ============
+/**
+ * Re-score the stored daily history with one config. Day N is added to the
+ * rolling history and then scored, so it counts towards its own medians, as in
+ * generate_daily.js (scorer.score(map, date)); sweep results match daily runs.
+ */
+export function replayDaily(config, history, { baselines = null, warmupDays = 0, labels = [], leadDays = 7 } = {}) {
+    const scorer = createScorer({ config, audit: false });
+    const dates = Object.keys(history).sort();
+    const perDay = [];
+    const series = {};
+
+    dates.forEach((date, i) => {
+        const result = scorer.score(history[date], date, { baselines });
+        if (i < warmupDays) return;
+        perDay.push({ date, ...result.distribution });
+        for (const [code, r] of Object.entries(result.results)) {
+            if (!series[code]) series[code] = [];
+            series[code].push({ period: date, lit: r.level !== 'green' && r.reason !== 'low_volume' });
+        }
+    });
+
+    const litDays = {};
+    for (const [code, s] of Object.entries(series)) {
+        const n = s.filter(p => p.lit).length;
+        if (n > 0) litDays[code] = n;
+    }
+
+    return {
+        days: perDay.length,
+        range: perDay.length > 0 ? [perDay[0].date, perDay[perDay.length - 1].date] : null,
+        distribution_avg: Object.fromEntries(['red', 'orange', 'yellow', 'green', 'skipped'].map(k => [k, average(perDay.map(d => d[k]))])),
+        lit_country_days: Object.values(litDays).reduce((a, b) => a + b, 0),
+        lit_days_by_country: litDays,
+        ...flipFlopStats(series),
+        labels: labels.length > 0
+            ? labelAgreement(series, labels, ev => new Set(dateRange(addDays(ev.date, -leadDays), ev.end || ev.date)))
+            : null,
+        per_day: perDay
+    };
+}
+
+/**
+ * Re-evaluate the weekly 5y history with one config (counts and baselines from the files).
+ * @param {Object} weeklyHistory - ISO2 -> [history week entries]
+ */
+export function replayWeekly(config, weeklyHistory, { weeks = null, labels = [], leadWeeks = 4 } = {}) {
+    const allWeeks = [...new Set(Object.values(weeklyHistory).flatMap(h => h.map(w => w.week)))].sort();
+    const keep = new Set(weeks ? allWeeks.slice(-weeks) : allWeeks);
+    const levelCounts = {}; // week -> { red, orange, yellow, none }
+    const series = {};
+
+    for (const [iso2, entries] of Object.entries(weeklyHistory)) {
+        const { config: cfg } = resolveCountryConfig(config, iso2);
+        for (const h of entries) {
+            if (!keep.has(h.week) || !h.counts) continue;
+            const medians = Object.fromEntries(R_TYPES.map(r => [r, (h.weekly_surge_r_by_type?.[r]?.baseline7 || 0) / 7]));
+            const week = buildHistoryWeek(h.week, h.counts, h.event_count || 0, medians, cfg);
+            const level = week.weekly_surge_r.level;
+
+            if (!levelCounts[h.week]) levelCounts[h.week] = { red: 0, orange: 0, yellow: 0, none: 0 };
+            levelCounts[h.week][level]++;
+            if (!series[iso2]) series[iso2] = [];
+            series[iso2].push({ period: h.week, lit: level !== 'none' });
+        }
+    }
+    Object.values(series).forEach(s => s.sort((a, b) => a.period.localeCompare(b.period)));
+
+    const litWeeks = {};
+    for (const [code, s] of Object.entries(series)) {
+        const n = s.filter(p => p.lit).length;
+        if (n > 0) litWeeks[code] = n;
+    }
+    const perWeek = Object.values(levelCounts);
+
+    return {
+        weeks: perWeek.length,
+        range: perWeek.length > 0 ? [Object.keys(levelCounts).sort()[0], Object.keys(levelCounts).sort().pop()] : null,
+        distribution_avg: Object.fromEntries(['red', 'orange', 'yellow', 'none'].map(k => [k, average(perWeek.map(w => w[k]))])),
+        lit_country_weeks: Object.values(litWeeks).reduce((a, b) => a + b, 0),
+        lit_weeks_by_country: litWeeks,
+        ...flipFlopStats(series),
+        labels: labels.length > 0
+            ? labelAgreement(series, labels, ev => new Set(dateRange(addDays(ev.date, -7 * leadWeeks), ev.end || ev.date).map(isoWeekKey)))
+            : null
+    };
+}
+
+// ============ INPUTS ============
+export function loadWeeklyHistory(dir) {
+    const out = {};
+    if (!dir || !fs.existsSync(dir)) return out;
+    for (const f of fs.readdirSync(dir).filter(f => /^[A-Z]{2}\.json$/.test(f))) {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+        if (Array.isArray(data.history)) out[data.iso2 || path.basename(f, '.json')] = data.history;
+    }
+    return out;
+}
+
+function readJson(file, label) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`[SWEEP] Cannot read ${label} ${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Run every variant over the given inputs.
+ * @returns {Object} JSON report (see renderSweepHtml)
+ */
+export function runSweep({ variants, history = {}, weeklyHistory = {}, labels = [], baselines = null, options = {} }) {
+    const results = variants.map(v => {
+        console.log(`[SWEEP] ${v.name}`);
+        return {
+            name: v.name,
+            patch: v.patch,
+            daily: Object.keys(history).length > 0
+                ? replayDaily(v.config, history, { baselines, labels, warmupDays: options.warmupDays, leadDays: options.leadDays })
+                : null,
+            weekly: Object.keys(weeklyHistory).length > 0
+                ? replayWeekly(v.config, weeklyHistory, { labels, weeks: options.weeks, leadWeeks: options.leadWeeks })
+                : null
+        };
+    });
+
+    return {
+        generated_at: new Date().toISOString(),
+        base_version: variants[0]?.config.version,
+        inputs: {
+            daily_days: Object.keys(history).length,
+            weekly_countries: Object.keys(weeklyHistory).length,
+            labelled_events: labels.length
+        },
+        options,
+        variants: results
+    };
+}
+
+// ============ HTML ============
+const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const pct = (v) => (v === null || v === undefined ? '–' : `${(v * 100).toFixed(1)}%`);
+
+export function renderSweepHtml(report, { topCountries = 20 } = {}) {
+    const base = report.variants[0];
+    const delta = (v, b) => (b === undefined || v === b ? '' : ` <small>(${v > b ? '+' : ''}${parseFloat((v - b).toFixed(2))})</small>`);
+
+    const rows = report.variants.map(v => {
+        const d = v.daily;
+        const w = v.weekly;
+        const cells = [
+            `<th>${esc(v.name)}</th>`,
+            ...(d ? [
+                `<td>${d.distribution_avg.red}${delta(d.distribution_avg.red, base.daily?.distribution_avg.red)}</td>`,
+                `<td>${d.distribution_avg.orange}${delta(d.distribution_avg.orange, base.daily?.distribution_avg.orange)}</td>`,
+                `<td>${d.distribution_avg.yellow}${delta(d.distribution_avg.yellow, base.daily?.distribution_avg.yellow)}</td>`,
+                `<td>${d.lit_country_days}${delta(d.lit_country_days, base.daily?.lit_country_days)}</td>`,
+                `<td>${pct(d.flip_flop_rate)}</td>`,
+                `<td>${pct(d.labels?.recall)}</td>`,
+                `<td>${pct(d.labels?.precision)}</td>`
+            ] : Array(7).fill('<td>–</td>')),
+            ...(w ? [
+                `<td>${w.distribution_avg.red}${delta(w.distribution_avg.red, base.weekly?.distribution_avg.red)}</td>`,
+                `<td>${w.distribution_avg.orange}${delta(w.distribution_avg.orange, base.weekly?.distribution_avg.orange)}</td>`,
+                `<td>${w.distribution_avg.yellow}${delta(w.distribution_avg.yellow, base.weekly?.distribution_avg.yellow)}</td>`,
+                `<td>${w.lit_country_weeks}${delta(w.lit_country_weeks, base.weekly?.lit_country_weeks)}</td>`,
+                `<td>${pct(w.flip_flop_rate)}</td>`,
+                `<td>${pct(w.labels?.recall)}</td>`,
+                `<td>${pct(w.labels?.precision)}</td>`
+            ] : Array(7).fill('<td>–</td>'))
+        ];
+        return `<tr>${cells.join('')}</tr>`;
+    }).join('\n');
+
+    // Lit weeks (or days) per country, most-lit countries under the baseline
+    const byCountry = (v) => v.weekly?.lit_weeks_by_country || v.daily?.lit_days_by_country || {};
+    const unit = base.weekly ? 'weeks' : 'days';
+    const countries = Object.entries(byCountry(base)).sort((a, b) => b[1] - a[1]).slice(0, topCountries).map(([c]) => c);
+    const countryRows = countries.map(c =>
+        `<tr><th>${esc(c)}</th>${report.variants.map(v => `<td>${byCountry(v)[c] || 0}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Threshold sweep ${esc(report.generated_at)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 32px; font-size: 13px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+th:first-child, tbody th { text-align: left; }
+thead th { background: #f3f3f3; }
+small { color: #888; }
+</style>
+</head>
+<body>
+<h1>Threshold sweep</h1>
+<p>Base config ${esc(report.base_version)} &middot; ${report.inputs.daily_days} days &middot; ${report.inputs.weekly_countries} countries (weekly) &middot; ${report.inputs.labelled_events} labelled events &middot; generated ${esc(report.generated_at)}</p>
+<h2>Variants</h2>
+<table>
+<thead>
+<tr><th rowspan="2">Variant</th><th colspan="7">Daily (alert level, avg countries/day)</th><th colspan="7">Weekly SurgeR (avg countries/week)</th></tr>
+<tr><th>Red</th><th>Orange</th><th>Yellow</th><th>Lit country-days</th><th>Flip-flop</th><th>Recall</th><th>Precision</th>
+<th>Red</th><th>Orange</th><th>Yellow</th><th>Lit country-weeks</th><th>Flip-flop</th><th>Recall</th><th>Precision</th></tr>
+</thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<h2>Lit ${unit} per country (top ${countries.length} under baseline)</h2>
+<table>
+<thead><tr><th>Country</th>${report.variants.map(v => `<th>${esc(v.name)}</th>`).join('')}</tr></thead>
+<tbody>
+${countryRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// ============ CLI ============
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i];
+        if (a.startsWith('--')) {
+            const key = a.slice(2);
+            const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+            out[key] = val;
+        }
+    }
+    return out;
+}
+
+function main() {
+    const args = parseArgs(process.argv);
+    if (!args.grid) {
+        console.error('Usage: node scripts/sweep.mjs --grid <grid.json> [--labels <events.json>] [--history <file>] [--weekly-dir <dir>] [--weeks N] [--out <dir>]');
+        process.exit(1);
+    }
+
+    const variants = expandGrid(readJson(path.resolve(args.grid), 'grid'), loadScoringConfig());
+    const historyPath = path.resolve(args.history || DEFAULTS.history);
+    const history = fs.existsSync(historyPath) ? readJson(historyPath, 'history') : {};
+    const weeklyHistory = loadWeeklyHistory(path.resolve(args['weekly-dir'] || DEFAULTS.weeklyDir));
+    const labels = args.labels ? (readJson(path.resolve(args.labels), 'labels').events || []) : [];
+    const baselinesJson = args.baselines ? readJson(path.resolve(args.baselines), 'baselines') : null;
+    const baselines = baselinesJson ? (baselinesJson.baselines || baselinesJson.countries || {}) : null;
+
+    console.log(`[SWEEP] ${variants.length} variants, ${Object.keys(history).length} days, ${Object.keys(weeklyHistory).length} weekly countries, ${labels.length} labelled events`);
+    if (Object.keys(history).length === 0 && Object.keys(weeklyHistory).length === 0) {
+        console.error('[SWEEP] No daily or weekly history found. Pass --history and/or --weekly-dir.');
+        process.exit(1);
+    }
+
+    const report = runSweep({
+        variants,
+        history,
+        weeklyHistory,
+        labels,
+        baselines,
+        options: {
+            warmupDays: parseInt(args.warmup || '0', 10),
+            weeks: args.weeks ? parseInt(args.weeks, 10) : null,
+            leadDays: parseInt(args['lead-days'] || '7', 10),
+            leadWeeks: parseInt(args['lead-weeks'] || '4', 10)
+        }
+    });
+
+    const outDir = path.resolve(args.out || DEFAULTS.out);
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'sweep_results.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outDir, 'sweep_results.html'), renderSweepHtml(report));
+
+    report.variants.forEach(v => {
+        const d = v.daily;
+        const w = v.weekly;
+        console.log(`  > ${v.name.padEnd(40)} daily lit=${d?.lit_country_days ?? '-'} ff=${d?.flip_flop_rate ?? '-'} | weekly lit=${w?.lit_country_weeks ?? '-'} ff=${w?.flip_flop_rate ?? '-'}${w?.labels ? ` recall=${w.labels.recall}` : ''}`);
+    });
+    console.log(`[SWEEP] Wrote ${path.join(outDir, 'sweep_results.json')} and sweep_results.html`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,131 @@
+/**
+ * transitions.mjs - Day-over-day level transitions for the daily pipeline
+ *
+ * generate_daily.js compares today's output with the previous daily file
+ * (public/data/{date}.json) and reports every change of
+ *   alert_level     v4 bundle level (bundles = v4_scoring signal types)
+ *   surge_r         surge_r.level   (bundles = surge_r.active_types)
+ *   index           index.level     (bundles = surge_r.active_types)
+ * as { iso2, metric, from, to, direction, date, prev_date, bundles }.
+ * Countries missing from either day are not compared.
+ *
+ * Today's feed goes into the daily output as `transitions`; every run also
+ * appends it to public/data/transitions_log.jsonl (one transition per line).
+ * The log is append-only: a date that is already logged is not written again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const LEVEL_RANK = { green: 0, yellow: 1, orange: 2, red: 3 };
+
+export const TRANSITION_METRICS = ['alert_level', 'surge_r', 'index'];
+
+const normalizeLevel = (level) => (typeof level === 'string' ? level.toLowerCase() : null);
+const unique = (arr) => [...new Set(arr)];
+
+/**
+ * Reduce a daily output to what the transition diff needs (this is also what
+ * --record stores as previous_day, instead of the whole file).
+ * @returns {{ date: string|null, countries: Object }}
+ */
+export function levelSnapshot(output, date = null) {
+    const countries = {};
+    for (const [iso2, c] of Object.entries(output?.countries || {})) {
+        const surgeTypes = c.surge_r?.active_types || [];
+        countries[iso2] = {
+            alert_level: { level: normalizeLevel(c.alert_level), bundles: unique((c.v4_scoring?.signals || []).map(s => s.type)) },
+            surge_r: { level: normalizeLevel(c.surge_r?.level), bundles: surgeTypes },
+            index: { level: normalizeLevel(c.index?.level), bundles: surgeTypes }
+        };
+    }
+    return { date: date || output?.date || null, countries };
+}
+
+/**
+ * Transitions between two level snapshots (see levelSnapshot).
+ * Sorted by country, then metric in TRANSITION_METRICS order.
+ */
+export function diffLevels(prev, today, date) {
+    const out = [];
+    if (!prev) return out;
+    for (const iso2 of Object.keys(today.countries).sort()) {
+        const before = prev.countries[iso2];
+        if (!before) continue;
+        for (const metric of TRANSITION_METRICS) {
+            const from = before[metric]?.level;
+            const to = today.countries[iso2][metric]?.level;
+            if (!(from in LEVEL_RANK) || !(to in LEVEL_RANK) || from === to) continue;
+            out.push({
+                iso2,
+                metric,
+                from,
+                to,
+                direction: LEVEL_RANK[to] > LEVEL_RANK[from] ? 'escalation' : 'de-escalation',
+                date,
+                prev_date: prev.date,
+                bundles: today.countries[iso2][metric].bundles
+            });
+        }
+    }
+    return out;
+}
+
+/** Feed block for the daily output */
+export function buildTransitionFeed(transitions, prevDate) {
+    return {
+        compared_to: prevDate || null,
+        escalations: transitions.filter(t => t.direction === 'escalation').length,
+        de_escalations: transitions.filter(t => t.direction === 'de-escalation').length,
+        items: transitions
+    };
+}
+
+/**
+ * Most recent daily file before `date` in dataDir: available_dates.json first,
+ * then the day before. Returns null when there is none.
+ * @returns {{ date: string, file: string }|null}
+ */
+export function findPreviousDaily(dataDir, date) {
+    let dates = [];
+    try {
+        dates = JSON.parse(fs.readFileSync(path.join(dataDir, 'available_dates.json'), 'utf-8'));
+    } catch {
+        // No manifest yet
+    }
+    const yesterday = new Date(Date.parse(`${date}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const candidates = [...dates.filter(d => d < date).sort().reverse(), yesterday];
+    for (const d of candidates) {
+        const file = path.join(dataDir, `${d}.json`);
+        if (fs.existsSync(file)) return { date: d, file };
+    }
+    return null;
+}
+
+/**
+ * Append one date's transitions to the JSONL log.
+ * @returns {number} lines written (0 if the date is already logged)
+ */
+export function appendTransitions(logPath, date, transitions) {
+    if (readTransitions(logPath).some(t => t.date === date)) {
+        console.warn(`[TRANSITIONS] ${date} is already in ${path.basename(logPath)}; not appending again.`);
+        return 0;
+    }
+    if (transitions.length === 0) return 0;
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.appendFileSync(logPath, transitions.map(t => JSON.stringify(t)).join('\n') + '\n');
+    return transitions.length;
+}
+
+/**
+ * Read the JSONL log, optionally filtered.
+ * @param {Object} [filter] - { since, iso2, direction }
+ */
+export function readTransitions(logPath, { since = null, iso2 = null, direction = null } = {}) {
+    if (!fs.existsSync(logPath)) return [];
+    return fs.readFileSync(logPath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(t => (!since || t.date >= since) && (!iso2 || t.iso2 === iso2) && (!direction || t.direction === direction));
+}
@@ -1,92 +1,167 @@
 import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
-import { HashRouter, Routes, Route } from 'react-router-dom';
+import { HashRouter, Routes, Route, useSearchParams } from 'react-router-dom';
 import MapView from './components/MapView';
 import GlobalPanel from './components/GlobalPanel';
 import CountryModal from './components/CountryModal';
 import Header from './components/Header';
 import CountryDetailView from './components/CountryDetailView';
-import { translations, languages } from './i18n';
+import CompareView from './components/CompareView';
+import RegionsView from './components/RegionsView';
+import WatchlistStrip from './components/WatchlistStrip';
+import TimelineScrubber from './components/TimelineScrubber';
+import SearchBox from './components/SearchBox';
+import { translations, languages, matchLocale, isRtl } from './i18n';
+import { parseDashboardParams, buildDashboardParams, resolveSignal } from './utils/urlState';
+import { mapSvg, exportFileName, downloadFile, svgToPng } from './utils/exportUtils';
+import { fillTemplate } from './utils/explainSignal';
+import {
+    loadWatchlists, saveWatchlists, activeCodes, buildStripRows, loadSeen, saveSeen, buildSeenSnapshot, dateDaysBefore
+} from './utils/watchlists';
 import './Styles.css';
 
+// Surge ranks and index fallback for a daily output (ranks are relative to that day)
+function enrichRiskData(riskData, regressionReport) {
+    if (!riskData?.countries) return riskData;
+
+    const countriesArr = Object.entries(riskData.countries).map(([iso2, data]) => {
+        const scores = data.r_scores_adj || data.r_scores || {};
+        const surgeScore = Math.max(
+            parseFloat(scores.R1 || 0),
+            parseFloat(scores.R2 || 0),
+            parseFloat(scores.R3 || 0),
+            parseFloat(scores.R4 || 0)
+        );
+
+        // Fetch anomalies from regression report
+        const anomalies = regressionReport?.countries?.[iso2]?.anomalies || [];
+
+        return {
+            iso2,
+            ...data,
+            surgeScore,
+            anomalies
+        };
+    });
+
+    countriesArr.sort((a, b) => {
+        if (b.surgeScore !== a.surgeScore) return b.surgeScore - a.surgeScore;
+        return a.iso2.localeCompare(b.iso2);
+    });
+
+    const newCountries = { ...riskData.countries };
+    countriesArr.forEach((c, idx) => {
+        newCountries[c.iso2] = {
+            ...newCountries[c.iso2],
+            surge: {
+                score: c.surgeScore,
+                rank: idx + 1
+            }
+        };
+
+        if (!newCountries[c.iso2].index) {
+            const bundleCount = newCountries[c.iso2].v4_scoring?.bundles || 0;
+            const rawScore = Math.min(10, bundleCount * 2.5);
+            const indexScore = (rawScore * c.surgeScore) / 10;
+            let level = 'Green';
+            if (indexScore >= 8) level = 'Red';
+            else if (indexScore >= 4) level = 'Orange';
+            else if (indexScore >= 2) level = 'Yellow';
+
+            newCountries[c.iso2].index = {
+                score: parseFloat(indexScore.toFixed(1)),
+                level,
+                rawScore: parseFloat(rawScore.toFixed(1)),
+                surgeScore: parseFloat(c.surgeScore.toFixed(1)),
+                bundle_count: bundleCount
+            };
+        }
+    });
+
+    return { ...riskData, countries: newCountries };
+}
+
 // Reusable Dashboard Component
 function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
     const [riskData, setRiskData] = useState(null);
-    const [selectedCountry, setSelectedCountry] = useState(null);
     const [hoveredCountry, setHoveredCountry] = useState(null);
-    const [selectedSignal, setSelectedSignal] = useState(null);
     const [hoveredSignal, setHoveredSignal] = useState(null);
-    const [loading, setLoading] = useState(true);
+    // Key of the last finished fetch; the dashboard is loading until it matches dateKey
+    const [loadedKey, setLoadedKey] = useState(null);
     const [error, setError] = useState(null);
     const [popupSide, setPopupSide] = useState('left');
     const [availableDates, setAvailableDates] = useState([]);
-    const [viewMode, setViewMode] = useState(() => localStorage.getItem('rw_view_mode') || 'surge_r');
+    const [datesLoaded, setDatesLoaded] = useState(false);
     const [historyIndex, setHistoryIndex] = useState({});
     const [regressionReport, setRegressionReport] = useState(null);
+    const [showTimeline, setShowTimeline] = useState(false);
+    const [timelineFrame, setTimelineFrame] = useState(null);
+    const [watchlists, setWatchlists] = useState(() => loadWatchlists(localStorage));
+    // Levels from the previous visit, read once so highlights last for the session
+    const [seenBefore] = useState(() => loadSeen(localStorage));
+    const [weekAgo, setWeekAgo] = useState({ date: null, data: null });
+    const mapContainerRef = useRef(null);
+
+    // Shareable view state lives in the URL (see utils/urlState.js).
+    // Date changes push a history entry so back/forward steps through dates;
+    // everything else replaces the current entry.
+    const [searchParams, setSearchParams] = useSearchParams();
+    const urlState = useMemo(() => parseDashboardParams(searchParams), [searchParams]);
+    const updateUrl = useCallback((patch, { push = false } = {}) => {
+        setSearchParams(prev => buildDashboardParams({ ...parseDashboardParams(prev), ...patch }), { replace: !push });
+    }, [setSearchParams]);
+
+    const viewMode = urlState.view || localStorage.getItem('rw_view_mode') || 'surge_r';
+    const selectedCountry = urlState.country;
+    const selectedSignal = useMemo(() => resolveSignal(riskData, urlState.signal), [riskData, urlState.signal]);
+    const dateKey = urlState.date || (datesLoaded ? (availableDates[0] || 'latest_v4') : null);
+
+    const setViewMode = useCallback((mode) => updateUrl({ view: mode }), [updateUrl]);
+    const setSelectedCountry = useCallback((iso2) => updateUrl({ country: iso2 }), [updateUrl]);
+    const handleViewportChange = useCallback((viewport) => updateUrl({ map: viewport }), [updateUrl]);
 
     useEffect(() => {
         localStorage.setItem('rw_view_mode', viewMode);
     }, [viewMode]);
 
-    // Compute surge ranks and index fallback whenever riskData changes
-    const enrichedRiskData = useMemo(() => {
-        if (!riskData?.countries) return riskData;
-
-        const countriesArr = Object.entries(riskData.countries).map(([iso2, data]) => {
-            const scores = data.r_scores_adj || data.r_scores || {};
-            const surgeScore = Math.max(
-                parseFloat(scores.R1 || 0),
-                parseFloat(scores.R2 || 0),
-                parseFloat(scores.R3 || 0),
-                parseFloat(scores.R4 || 0)
-            );
-
-            // Fetch anomalies from regression report
-            const anomalies = regressionReport?.countries?.[iso2]?.anomalies || [];
-
-            return {
-                iso2,
-                ...data,
-                surgeScore,
-                anomalies
-            };
-        });
-
-        countriesArr.sort((a, b) => {
-            if (b.surgeScore !== a.surgeScore) return b.surgeScore - a.surgeScore;
-            return a.iso2.localeCompare(b.iso2);
-        });
-
-        const newCountries = { ...riskData.countries };
-        countriesArr.forEach((c, idx) => {
-            newCountries[c.iso2] = {
-                ...newCountries[c.iso2],
-                surge: {
-                    score: c.surgeScore,
-                    rank: idx + 1
-                }
-            };
+    // While the timeline is open, the map and country list draw its current frame
+    const displayData = timelineFrame?.data || riskData;
+
+    // Compute surge ranks and index fallback whenever the displayed data changes
+    const enrichedRiskData = useMemo(() => enrichRiskData(displayData, regressionReport), [displayData, regressionReport]);
+
+    // Watchlists (see utils/watchlists.js): strip rows, optional map / sidebar filter
+    const watchedCodes = activeCodes(watchlists);
+    const weekAgoDate = watchedCodes ? dateDaysBefore(availableDates, riskData?.date, 7) : null;
+    const weekAgoData = useMemo(() => (weekAgo.date === weekAgoDate ? enrichRiskData(weekAgo.data, null) : null), [weekAgo, weekAgoDate]);
+    const stripRows = useMemo(() => (watchedCodes ? buildStripRows(watchedCodes, enrichedRiskData, weekAgoData, seenBefore, viewMode) : []),
+        [watchedCodes, enrichedRiskData, weekAgoData, seenBefore, viewMode]);
+    const focusCountries = useMemo(() => (watchlists.filter && watchedCodes ? new Set(watchedCodes) : null), [watchlists.filter, watchedCodes]);
+    const viewData = useMemo(() => {
+        if (!focusCountries || !enrichedRiskData?.countries) return enrichedRiskData;
+        const countries = Object.fromEntries(Object.entries(enrichedRiskData.countries).filter(([iso2]) => focusCountries.has(iso2)));
+        return { ...enrichedRiskData, countries };
+    }, [enrichedRiskData, focusCountries]);
 
-            if (!newCountries[c.iso2].index) {
-                const bundleCount = newCountries[c.iso2].v4_scoring?.bundles || 0;
-                const rawScore = Math.min(10, bundleCount * 2.5);
-                const indexScore = (rawScore * c.surgeScore) / 10;
-                let level = 'Green';
-                if (indexScore >= 8) level = 'Red';
-                else if (indexScore >= 4) level = 'Orange';
-                else if (indexScore >= 2) level = 'Yellow';
-
-                newCountries[c.iso2].index = {
-                    score: parseFloat(indexScore.toFixed(1)),
-                    level,
-                    rawScore: parseFloat(rawScore.toFixed(1)),
-                    surgeScore: parseFloat(c.surgeScore.toFixed(1)),
-                    bundle_count: bundleCount
-                };
-            }
-        });
+    useEffect(() => {
+        saveWatchlists(localStorage, watchlists);
+    }, [watchlists]);
 
-        return { ...riskData, countries: newCountries };
-    }, [riskData, regressionReport]);
+    useEffect(() => {
+        if (!weekAgoDate) return;
+        let cancelled = false;
+        fetch(`./data/${weekAgoDate}.json`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => { if (!cancelled) setWeekAgo({ date: weekAgoDate, data }); })
+            .catch(err => console.warn("Watchlist 7-day comparison unavailable:", err));
+        return () => { cancelled = true; };
+    }, [weekAgoDate]);
+
+    // Only the latest day counts as "seen"; browsing older dates does not move the baseline
+    useEffect(() => {
+        if (!riskData?.date || riskData.date !== availableDates[0]) return;
+        const codes = [...new Set(Object.values(watchlists.lists).flat())];
+        saveSeen(localStorage, buildSeenSnapshot(codes, enrichRiskData(riskData, null), riskData.date));
+    }, [riskData, availableDates, watchlists.lists]);
 
 
     useEffect(() => {
@@ -94,10 +169,9 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
             .then(res => res.json())
             .then(dates => {
                 setAvailableDates(dates);
-                if (dates.length > 0) fetchData(dates[0]);
-                else fetchData('latest_v4');
+                setDatesLoaded(true);
             })
-            .catch(() => fetchData('latest_v4'));
+            .catch(() => setDatesLoaded(true));
 
         // Load history index once for visibility checks (Tier B country series)
         fetch('./data/weekly/countries/index.json')
@@ -118,57 +192,101 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
             .catch(err => console.warn("Regression Report Load Error (Data quality badges disabled):", err));
     }, []);
 
-    const fetchData = (dateKey) => {
-        setLoading(true);
-        const fileName = dateKey.includes('-') ? `${dateKey}.json` : `${dateKey}.json`;
-        fetch(`./data/${fileName}`)
+    const loading = !dateKey || dateKey !== loadedKey;
+
+    useEffect(() => {
+        if (!dateKey) return;
+        let cancelled = false;
+        fetch(`./data/${dateKey}.json`)
             .then(res => {
                 if (!res.ok) throw new Error("Data load failed");
                 return res.json();
             })
             .then(data => {
+                if (cancelled) return;
                 setRiskData(data);
-                setLoading(false);
+                setError(null);
+                setLoadedKey(dateKey);
             })
             .catch(err => {
+                if (cancelled) return;
                 console.error("Fetch Error:", err);
                 setError(err.message);
-                setLoading(false);
+                setLoadedKey(dateKey);
             });
-    };
+        return () => { cancelled = true; };
+    }, [dateKey]);
+
+    // Pin the latest date into the URL so a copied link keeps showing this day
+    useEffect(() => {
+        if (!urlState.date && riskData?.date && availableDates.includes(riskData.date)) {
+            updateUrl({ date: riskData.date });
+        }
+    }, [urlState.date, riskData, availableDates, updateUrl]);
 
     const handleCountrySelect = useCallback((iso2, meta) => {
-        setSelectedCountry(iso2);
-        setSelectedSignal(null);
+        updateUrl({ country: iso2, signal: null });
         if (meta?.side) setPopupSide(meta.side);
-    }, []);
+    }, [updateUrl]);
 
     const handleCountryHover = useCallback((iso2, meta) => {
-        setSelectedCountry(prev => {
-            if (prev) return prev; // If pinned, do nothing to hovered state
-            setHoveredCountry(iso2);
-            if (meta?.side) setPopupSide(meta.side);
-            return prev;
-        });
-    }, []);
+        if (selectedCountry) return; // If pinned, do nothing to hovered state
+        setHoveredCountry(iso2);
+        if (meta?.side) setPopupSide(meta.side);
+    }, [selectedCountry]);
 
     const handleCountryLeave = useCallback(() => {
         setHoveredCountry(null);
     }, []);
 
     const handleSignalSelect = useCallback((signal) => {
-        setSelectedSignal(signal);
-        setSelectedCountry(null);
-    }, []);
+        updateUrl({ signal: signal ? { type: signal.type, index: signal.index } : null, country: null });
+    }, [updateUrl]);
 
     const handleCloseModal = useCallback(() => {
         setSelectedCountry(null);
         setHoveredCountry(null);
-    }, []);
+    }, [setSelectedCountry]);
 
     const handleDateChange = useCallback((newDate) => {
-        fetchData(newDate);
-    }, []);
+        // The signal index belongs to the day's list, so it does not carry over
+        updateUrl({ date: newDate, signal: null }, { push: true });
+    }, [updateUrl]);
+
+    // Search results from other days switch the date as well, like a date change
+    const handleSearchSelect = useCallback((iso2, date) => {
+        setPopupSide('left');
+        const otherDay = date && date !== riskData?.date;
+        updateUrl({ country: iso2, signal: null, ...(otherDay ? { date } : {}) }, { push: otherDay });
+    }, [riskData, updateUrl]);
+
+    const handleTimelineClose = useCallback((lastDate) => {
+        setShowTimeline(false);
+        setTimelineFrame(null);
+        // Closing on a daily frame keeps that day on screen
+        if (lastDate && lastDate !== riskData?.date) handleDateChange(lastDate);
+    }, [riskData, handleDateChange]);
+
+    // Map as SVG / PNG with legend and date stamp (country layer only, no signal markers)
+    const handleMapExport = (format) => {
+        const container = mapContainerRef.current;
+        const overlay = container?.querySelector('.leaflet-overlay-pane svg');
+        if (!overlay) return;
+        const date = timelineFrame?.key || riskData?.date || riskData?.week;
+        const svg = mapSvg(overlay, {
+            width: container.clientWidth,
+            height: container.clientHeight,
+            title: `${t.title} - ${t.viewMode[viewMode] || viewMode}`,
+            stamp: fillTemplate(focusCountries ? t.export.mapStampWatchlist : t.export.mapStamp, {
+                date, name: watchlists.active, exported: new Date().toISOString().slice(0, 16).replace('T', ' ')
+            }),
+            viewMode,
+            theme
+        });
+        const fileName = exportFileName(['map', viewMode, date], format);
+        if (format === 'svg') downloadFile(fileName, svg, 'image/svg+xml');
+        else svgToPng(svg).then(blob => downloadFile(fileName, blob)).catch(err => console.error("Map export failed:", err));
+    };
 
     const getAlertCounts = () => {
         if (!enrichedRiskData?.countries) return { red: 0, orange: 0, yellow: 0 };
@@ -224,7 +342,7 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
             <Header
                 t={t}
                 alertCounts={alertCounts}
-                date={riskData?.date || riskData?.week}
+                date={timelineFrame?.key || riskData?.date || riskData?.week}
                 availableDates={availableDates}
                 languages={languages}
                 currentLang={lang}
@@ -234,12 +352,33 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
                 onViewModeChange={setViewMode}
                 theme={theme}
                 toggleTheme={toggleTheme}
+            >
+                <SearchBox
+                    t={t}
+                    lang={lang}
+                    data={riskData}
+                    date={riskData?.date}
+                    availableDates={availableDates}
+                    onSelect={handleSearchSelect}
+                />
+            </Header>
+
+            <WatchlistStrip
+                t={t}
+                watchlists={watchlists}
+                onChange={setWatchlists}
+                rows={stripRows}
+                selectedCountry={selectedCountry}
+                onCountrySelect={(c) => { setPopupSide('left'); setSelectedCountry(c); }}
+                seenDate={seenBefore?.date}
+                weekAgoDate={weekAgoDate}
             />
 
             <div className="app-main">
-                <div className="map-container">
+                <div className="map-container" ref={mapContainerRef}>
                     <MapView
-                        riskData={enrichedRiskData}
+                        riskData={viewData}
+                        focusCountries={focusCountries}
                         onCountrySelect={handleCountrySelect}
                         onCountryHover={handleCountryHover}
                         onCountryLeave={handleCountryLeave}
@@ -251,7 +390,26 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
                         displayMode={viewMode === 'surge' ? 'bento' : viewMode}
                         viewMode={viewMode}
                         theme={theme}
+                        viewport={urlState.map}
+                        onViewportChange={handleViewportChange}
                     />
+                    <div className="map-export">
+                        <button className="export-btn" onClick={() => handleMapExport('png')} title={t.export.mapPng}>PNG</button>
+                        <button className="export-btn" onClick={() => handleMapExport('svg')} title={t.export.mapSvg}>SVG</button>
+                    </div>
+                    {showTimeline ? (
+                        <TimelineScrubber
+                            t={t}
+                            availableDates={availableDates}
+                            currentDate={riskData?.date}
+                            onFrame={setTimelineFrame}
+                            onClose={handleTimelineClose}
+                        />
+                    ) : (
+                        <button className="timeline-toggle" onClick={() => setShowTimeline(true)} disabled={availableDates.length < 2}>
+                            ▶ {t.timeline.title}
+                        </button>
+                    )}
                     <div className="legend">
                         <div className="legend-item"><span className="legend-color legend-color--red"></span><span>Critical</span></div>
                         <div className="legend-item"><span className="legend-color legend-color--orange"></span><span>Warning</span></div>
@@ -262,7 +420,7 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
 
                 <aside className="sidebar" style={{ flexShrink: 0 }}>
                     <GlobalPanel
-                        riskData={enrichedRiskData}
+                        riskData={viewData}
                         onCountrySelect={(c) => { setPopupSide('left'); setSelectedCountry(c); }}
                         selectedCountry={selectedCountry}
                         onSignalSelect={handleSignalSelect}
@@ -287,6 +445,7 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
                     side={popupSide}
                     viewMode={viewMode}
                     theme={theme}
+                    date={displayData?.date}
                     signals={{
                         gt: enrichedRiskData?.air?.countries?.[selectedData.iso2]?.top20_terms || [],
                         pm: (enrichedRiskData?.polymarket || []).filter(s => s.iso2 === selectedData.iso2),
@@ -302,11 +461,9 @@ function Dashboard({ lang, setLang, t, theme, toggleTheme }) {
 function App() {
     const [lang, setLang] = useState(() => {
         const saved = localStorage.getItem('rw_lang');
-        if (saved) return saved;
+        if (saved && translations[saved]) return saved;
         if (typeof navigator !== 'undefined') {
-            const browserLang = navigator.language || navigator.userLanguage || 'en';
-            if (browserLang.startsWith('ja')) return 'ja';
-            if (browserLang.startsWith('es')) return 'es';
+            return matchLocale(navigator.language || navigator.userLanguage);
         }
         return 'en';
     });
@@ -328,6 +485,8 @@ function App() {
 
     useEffect(() => {
         localStorage.setItem('rw_lang', lang);
+        document.documentElement.lang = lang;
+        document.documentElement.dir = isRtl(lang) ? 'rtl' : 'ltr';
     }, [lang]);
 
     const t = translations[lang];
@@ -337,6 +496,8 @@ function App() {
             <Routes>
                 <Route path="/" element={<Dashboard lang={lang} setLang={setLang} t={t} theme={theme} toggleTheme={toggleTheme} />} />
                 <Route path="/country/:iso2" element={<CountryDetailView lang={lang} t={t} theme={theme} />} />
+                <Route path="/compare/:codes?" element={<CompareView t={t} lang={lang} theme={theme} />} />
+                <Route path="/regions/:group?" element={<RegionsView t={t} lang={lang} theme={theme} />} />
             </Routes>
         </HashRouter>
     );
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import { getIsoWeek, getWeeksFromEnum } from '../utils/dateUtils';
+import { parseCompareCodes, alignHistories, buildTodayRows, MAX_COMPARE } from '../utils/compareUtils';
+import { fillTemplate } from '../utils/explainSignal';
+import { countryName } from '../i18n';
+import { SignalView, StateView, IntensityView } from './CountryDetailView';
+
+const LEVEL_COLORS = { red: '#ff3b3b', orange: '#ff8c00', yellow: '#ffd700', green: '#3d4654' };
+const RANGES = ['12w', '26w', '52w', '3y', '5y'];
+const VIEWS = ['signal', 'state', 'intensity'];
+
+// Same files as CountryDetailView: 5y history for long ranges, weekly cache otherwise
+async function fetchWeeklyHistory(iso2, range) {
+    const paths = range > 52
+        ? [`./data/history/weekly_5y/${iso2}.json`, `./data/weekly/countries/${iso2}.json`]
+        : [`./data/weekly/countries/${iso2}.json`, `./data/history/weekly_5y/${iso2}.json`];
+    for (const path of paths) {
+        try {
+            const res = await fetch(path);
+            if (res.ok) return await res.json();
+        } catch (e) { console.error(`Failed to fetch ${path}`, e); }
+    }
+    return null;
+}
+
+/* ================= TODAY TABLE ================= */
+function TodayTable({ rows, date, paperMode, tc, nameOf }) {
+    const border = `1px solid ${paperMode ? '#ddd' : '#333'}`;
+    const cell = { padding: '6px 10px', borderBottom: border, textAlign: 'right', fontSize: '0.8rem' };
+
+    return (
+        <div style={{ padding: '1rem', overflowX: 'auto' }}>
+            <h3 style={{ margin: '0 0 0.5rem', fontSize: '1rem' }}>SurgeR {date ? `(${date})` : ''}</h3>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                    <tr>
+                        <th style={{ ...cell, textAlign: 'left' }}>{tc.table.country}</th>
+                        <th style={cell}>{tc.table.level}</th>
+                        <th style={cell}>{tc.table.maxRatio}</th>
+                        <th style={{ ...cell, textAlign: 'left' }}>{tc.table.active}</th>
+                        {['R1', 'R2', 'R3', 'R4'].map(r => <th key={r} style={cell}>{fillTemplate(tc.table.perType, { r })}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => row.missing ? (
+                        <tr key={row.iso2}>
+                            <td style={{ ...cell, textAlign: 'left', fontWeight: 'bold' }}>{row.iso2}</td>
+                            <td colSpan={7} style={{ ...cell, textAlign: 'left', opacity: 0.6 }}>{tc.noDataDay}</td>
+                        </tr>
+                    ) : (
+                        <tr key={row.iso2}>
+                            <td style={{ ...cell, textAlign: 'left', fontWeight: 'bold' }}>{nameOf(row.iso2)} ({row.iso2})</td>
+                            <td style={{ ...cell, color: LEVEL_COLORS[row.level.toLowerCase()] || 'inherit', fontWeight: 'bold' }}>{row.level}</td>
+                            <td style={cell}>{row.maxRatio !== null ? `${row.maxRatio.toFixed(2)}x` : '-'}</td>
+                            <td style={{ ...cell, textAlign: 'left' }}>{row.activeTypes.length > 0 ? row.activeTypes.join(', ') : '-'}</td>
+                            {['R1', 'R2', 'R3', 'R4'].map(r => {
+                                const ty = row.types[r];
+                                return (
+                                    <td key={r} style={{ ...cell, fontWeight: ty.isActive ? 'bold' : 'normal', opacity: ty.isActive ? 1 : 0.7 }}>
+                                        {ty.ratio === null ? '-' : `${ty.today} / ${ty.baseline} = ${ty.ratio.toFixed(2)}x`}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/* ================= MAIN VIEW ================= */
+export default function CompareView({ t, lang, theme }) {
+    const tc = t.compare;
+    const { codes: codesParam } = useParams();
+    const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const { codes, error } = parseCompareCodes(codesParam);
+
+    const [config, setConfig] = useState(() => ({
+        rangeEnum: searchParams.get('range') || '52w',
+        view: searchParams.get('view') || 'signal',
+        anchorDate: searchParams.get('base') || new Date().toISOString().split('T')[0],
+        date: searchParams.get('date') || null
+    }));
+    const range = getWeeksFromEnum(config.rangeEnum);
+    const [loaded, setLoaded] = useState({ key: null, histories: null });
+    const [riskData, setRiskData] = useState(null);
+    const [codesInput, setCodesInput] = useState(codes.join(','));
+    const paperMode = theme === 'light';
+
+    // Sync URL when config changes
+    useEffect(() => {
+        const params = { range: config.rangeEnum, view: config.view, base: config.anchorDate };
+        if (config.date) params.date = config.date;
+        setSearchParams(params, { replace: true });
+    }, [config, setSearchParams]);
+
+    // Histories are only shown for the codes / range they were fetched for
+    const loadKey = `${codes.join(',')}|${range}`;
+    const histories = loaded.key === loadKey ? loaded.histories : null;
+    useEffect(() => {
+        let cancelled = false;
+        const [codeList, weeks] = loadKey.split('|');
+        Promise.all(codeList.split(',').filter(Boolean).map(iso2 => fetchWeeklyHistory(iso2, Number(weeks)).then(d => [iso2, d?.history || null])))
+            .then(entries => { if (!cancelled) setLoaded({ key: loadKey, histories: Object.fromEntries(entries) }); });
+        return () => { cancelled = true; };
+    }, [loadKey]);
+
+    useEffect(() => {
+        fetch(`./data/${config.date || 'latest_v4'}.json`)
+            .then(res => res.ok ? res.json() : null)
+            .then(setRiskData)
+            .catch(() => setRiskData(null));
+    }, [config.date]);
+
+    const controlStyle = { background: paperMode ? '#fff' : '#333', color: paperMode ? '#000' : '#fff', border: '1px solid #555', padding: '4px', borderRadius: '4px', fontSize: '0.8rem' };
+    const openCodes = (list) => navigate(`/compare/${list.join(',')}?${searchParams.toString()}`);
+    const applyCodes = (e) => {
+        e.preventDefault();
+        openCodes(codesInput.replace(/\s+/g, '').split(','));
+    };
+
+    const nameOf = (iso2) => countryName(riskData?.countries?.[iso2], iso2, lang);
+    // Countries of the loaded day that can still be added
+    const pickable = codes.length >= MAX_COMPARE ? [] : Object.keys(riskData?.countries || {})
+        .filter(iso2 => !codes.includes(iso2))
+        .map(iso2 => ({ iso2, name: nameOf(iso2) }))
+        .sort((a, b) => a.name.localeCompare(b.name, lang));
+    const picker = pickable.length > 0 && (
+        <select value="" onChange={(e) => e.target.value && openCodes([...codes, e.target.value])} style={controlStyle}>
+            <option value="">{tc.addCountry}</option>
+            {pickable.map(c => <option key={c.iso2} value={c.iso2}>{c.name} ({c.iso2})</option>)}
+        </select>
+    );
+
+    const aligned = histories
+        ? alignHistories(Object.fromEntries(Object.entries(histories).filter(([, h]) => h)), getIsoWeek(config.anchorDate), range)
+        : null;
+    const missingHistory = histories ? codes.filter(iso2 => !histories[iso2]) : [];
+    const ViewComponent = config.view === 'state' ? StateView : config.view === 'intensity' ? IntensityView : SignalView;
+
+
+    return (
+        <div className={`compare-view ${paperMode ? 'paper-mode' : ''}`} style={{
+            minHeight: '100vh', background: paperMode ? '#fff' : '#111', color: paperMode ? '#333' : '#eee'
+        }}>
+            <div style={{ padding: '1rem', borderBottom: '1px solid #444', display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem' }}>
+                <h2 style={{ margin: 0, fontSize: '1.5rem', fontWeight: '800' }}>
+                    {codes.join(' vs ') || tc.title} <span style={{ fontWeight: '300', opacity: 0.7 }}>({tc.title})</span>
+                </h2>
+                <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                    <form onSubmit={applyCodes} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        <label style={{ fontSize: '0.8rem', fontWeight: 'bold' }}>{tc.countries}:</label>
+                        <input
+                            value={codesInput}
+                            onChange={(e) => setCodesInput(e.target.value.toUpperCase())}
+                            placeholder={fillTemplate(tc.placeholder, { max: MAX_COMPARE })}
+                            style={{ ...controlStyle, width: 160 }}
+                        />
+                        <button type="submit" style={{ ...controlStyle, cursor: 'pointer' }}>{tc.apply}</button>
+                    </form>
+                    {picker}
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <label style={{ fontSize: '0.8rem', fontWeight: 'bold' }}>T0:</label>
+                        <input
+                            type="date"
+                            value={config.anchorDate}
+                            onChange={(e) => setConfig(prev => ({ ...prev, anchorDate: e.target.value || new Date().toISOString().split('T')[0] }))}
+                            style={controlStyle}
+                        />
+                        <span style={{ fontSize: '0.75rem', opacity: 0.7 }}>({getIsoWeek(config.anchorDate)})</span>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <label style={{ fontSize: '0.8rem' }}>{tc.range}:</label>
+                        <select value={config.rangeEnum} onChange={(e) => setConfig(prev => ({ ...prev, rangeEnum: e.target.value }))} style={controlStyle}>
+                            {RANGES.map(r => <option key={r} value={r}>{tc.ranges[r]}</option>)}
+                        </select>
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <label style={{ fontSize: '0.8rem' }}>{tc.view}:</label>
+                        <select value={config.view} onChange={(e) => setConfig(prev => ({ ...prev, view: e.target.value }))} style={controlStyle}>
+                            {VIEWS.map(v => <option key={v} value={v}>{tc.views[v]}</option>)}
+                        </select>
+                    </div>
+                </div>
+            </div>
+
+            {error?.key === 'tooFew' ? (
+                // One country (e.g. from the country page): pick the rest here
+                <div style={{ padding: '2rem', display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                    <span>{codes.length > 0 ? fillTemplate(tc.pickPrompt, { codes: codes.map(nameOf).join(', ') }) : fillTemplate(tc.errors.tooFew, error.params)}</span>
+                    {picker}
+                </div>
+            ) : error ? (
+                <div style={{ padding: '2rem', color: '#dda15e' }}>{fillTemplate(tc.errors[error.key], error.params)}</div>
+            ) : (
+                <>
+                    <TodayTable rows={buildTodayRows(riskData, codes)} date={riskData?.date} paperMode={paperMode} tc={tc} nameOf={nameOf} />
+
+                    {!aligned ? (
+                        <div style={{ padding: '2rem' }}>{fillTemplate(tc.loading, { codes: codes.join(', ') })}</div>
+                    ) : (
+                        <div className="view-container">
+                            {(aligned.clampedTo || missingHistory.length > 0) && (
+                                <div style={{ padding: '0 1rem', fontSize: '0.8rem', color: '#dda15e' }}>
+                                    {aligned.clampedTo && <span>{fillTemplate(tc.clamped, { week: aligned.clampedTo })} </span>}
+                                    {missingHistory.length > 0 && <span>{fillTemplate(tc.noHistory, { codes: missingHistory.join(', ') })}</span>}
+                                </div>
+                            )}
+                            {codes.filter(iso2 => aligned.byIso[iso2]).map(iso2 => (
+                                <section key={iso2}>
+                                    <h3 style={{ margin: 0, padding: '0.75rem 1rem 0', fontSize: '1rem' }}>
+                                        <a href={`#/country/${iso2}`} style={{ color: 'inherit' }}>{nameOf(iso2)} ({iso2})</a>
+                                    </h3>
+                                    <ViewComponent history={aligned.byIso[iso2]} range={range} scale="abs" paperMode={paperMode} t={t} />
+                                </section>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -2,6 +2,8 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useSearchParams } from 'react-router-dom';
 import { getIsoWeek, weekKeyToInt, getWeeksFromEnum, getEnumFromWeeks, RANGE_ENUMS } from '../utils/dateUtils';
+import { historyCsv, heatmapSvg, exportFileName, downloadFile, svgToPng } from '../utils/exportUtils';
+import { fillTemplate } from '../utils/explainSignal';
 
 /* ================= UTILS ================= */
 const getLevels = (paperMode) => ({
@@ -15,7 +17,7 @@ const getLevels = (paperMode) => ({
 /* ================= COMPONENTS ================= */
 
 // 1. HEADER & CONTROLS
-function DetailHeader({ iso2, meta, config, setConfig, paperMode, setPaperMode, warnings }) {
+function DetailHeader({ iso2, meta, config, setConfig, paperMode, setPaperMode, warnings, onExport, t }) {
     if (!meta) return <div className="detail-header">Loading...</div>;
 
     const t0Week = getIsoWeek(config.anchorDate || new Date());
@@ -75,6 +77,36 @@ function DetailHeader({ iso2, meta, config, setConfig, paperMode, setPaperMode,
                         <span style={{ fontSize: '0.75rem', opacity: 0.7 }}>({t0Week})</span>
                     </div>
 
+                    <a
+                        href={`#/compare/${iso2}`}
+                        title={t.compare.openTitle}
+                        style={{ color: paperMode ? '#000' : '#fff', fontSize: '0.8rem', border: '1px solid #555', padding: '4px 12px', borderRadius: '4px', textDecoration: 'none' }}
+                    >
+                        {t.compare.open}
+                    </a>
+
+                    {/* Export: weekly history as CSV, signal heatmap as PNG / SVG */}
+                    <div style={{ display: 'flex', gap: '4px' }}>
+                        {['csv', 'png', 'svg'].map(format => (
+                            <button
+                                key={format}
+                                onClick={() => onExport(format)}
+                                title={format === 'csv' ? t.export.historyCsv : fillTemplate(t.export.heatmap, { format: format.toUpperCase() })}
+                                style={{
+                                    background: paperMode ? '#fff' : '#333',
+                                    color: paperMode ? '#000' : '#fff',
+                                    border: '1px solid #555',
+                                    padding: '4px 8px',
+                                    cursor: 'pointer',
+                                    borderRadius: '4px',
+                                    fontSize: '0.75rem'
+                                }}
+                            >
+                                {format.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+
                     <button
                         onClick={() => setPaperMode(!paperMode)}
                         style={{
@@ -124,7 +156,7 @@ function DetailHeader({ iso2, meta, config, setConfig, paperMode, setPaperMode,
 }
 
 // 2. SIGNAL VIEW (Matrix)
-function SignalView({ history, range, paperMode, t }) {
+export function SignalView({ history, range, paperMode, t }) {
     const LEVELS = getLevels(paperMode);
     // history is already filtered and sliced by parent
     const displayHistory = [...history].reverse();
@@ -239,7 +271,7 @@ function SignalView({ history, range, paperMode, t }) {
 const WEEKLY_ABS_THRESHOLDS = { R1: 2100, R2: 1260, R3: 1050, R4: 1400 };
 const STATE_COLOR_THRESHOLDS = { yellow: 1.0, orange: 2.0, red: 3.0 };
 
-function StateView({ history, range, paperMode, t }) {
+export function StateView({ history, range, paperMode, t }) {
     const LEVELS = getLevels(paperMode);
     const displayHistory = [...history].reverse();
     const labels = displayHistory.map(h => h.week);
@@ -322,7 +354,7 @@ function StateView({ history, range, paperMode, t }) {
 }
 
 // 3. INTENSITY VIEW
-function IntensityView({ history, range, scale, paperMode, t }) {
+export function IntensityView({ history, range, scale, paperMode, t }) {
     const displayHistory = [...history].reverse();
     const labels = displayHistory.map(h => h.week);
     const borderColor = paperMode ? '#ddd' : '#222';
@@ -471,18 +503,40 @@ export default function CountryDetailView({ lang, t, theme }) {
     // Slice the last N items (N = range)
     const displayItems = relevantItems.slice(-config.range);
 
+    const handleExport = (format) => {
+        const span = displayItems.length > 0 ? `${displayItems[0].week}_${displayItems[displayItems.length - 1].week}` : null;
+        const fileName = exportFileName([iso2, 'history', span], format);
+        if (format === 'csv') {
+            downloadFile(fileName, historyCsv(displayItems), 'text/csv');
+            return;
+        }
+        const svg = heatmapSvg(displayItems, {
+            title: fillTemplate(t.export.heatmapTitle, { iso2 }),
+            stamp: fillTemplate(t.export.heatmapStamp, {
+                span: span ? fillTemplate(t.export.span, { from: displayItems[0].week, to: displayItems[displayItems.length - 1].week }) : t.export.noData,
+                generated: new Date(data.generated_at).toLocaleDateString(lang),
+                exported: new Date().toISOString().slice(0, 10)
+            }),
+            paperMode
+        });
+        if (format === 'svg') downloadFile(fileName, svg, 'image/svg+xml');
+        else svgToPng(svg).then(blob => downloadFile(fileName, blob)).catch(err => console.error("Heatmap export failed:", err));
+    };
+
     return (
         <div className={`country-detail-view ${paperMode ? 'paper-mode' : ''}`} style={{
             minHeight: '100vh', background: paperMode ? '#fff' : '#111', color: paperMode ? '#333' : '#eee', transition: 'all 0.3s ease'
         }}>
             <DetailHeader
                 iso2={iso2}
+                t={t}
                 meta={data}
                 config={config}
                 setConfig={setConfig}
                 paperMode={paperMode}
                 setPaperMode={setPaperMode}
                 warnings={warnings}
+                onExport={handleExport}
             />
             <div className="view-container">
                 {config.view === 'signal' ? (
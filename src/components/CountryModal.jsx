@@ -1,4 +1,11 @@
 import React, { useState, useEffect } from 'react';
+import SurgeChart from './SurgeChart';
+import ExplainPanel from './ExplainPanel';
+import { dailyGateState } from '../utils/surgeCharts';
+import { countryName, localizedField } from '../i18n';
+
+// Which R1 source drove the signal (set when an ACLED export was loaded)
+const SOURCE_LABELS = { gdelt: 'GDELT', acled: 'ACLED', both: 'GDELT + ACLED' };
 
 function ScoreBar({ label, score, max = 10 }) {
     const percentage = (score / max) * 100;
@@ -49,7 +56,7 @@ function ExpandButton({ iso2, isAvailable }) {
     );
 }
 
-export default function CountryModal({ country, onClose, t, lang, isPinned, hasHistory, side, signals, viewMode, theme }) {
+export default function CountryModal({ country, onClose, t, lang, isPinned, hasHistory, side, signals, viewMode, theme, date }) {
     if (!country) return null;
 
     const popupStyle = side === 'right' ? { left: 'auto', right: '420px' } : { left: '20px', right: 'auto' };
@@ -88,17 +95,9 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
     const alertLevel = getActiveAlertLevel();
     const alertLabel = t?.alertLabels?.[alertLevel] || alertLevel.toUpperCase();
 
-    const getName = () => {
-        if (lang === 'ja') return country.name_ja || country.name_en;
-        if (lang === 'es') return country.name_es || country.name_en;
-        return country.name_en;
-    };
+    const getName = () => countryName(country, iso2, lang);
 
-    const getSummary = () => {
-        if (lang === 'ja') return country.summary_ja || country.summary_en || '—';
-        if (lang === 'es') return country.summary_es || country.summary_en || '—';
-        return country.summary_en || country.summary_ja || '—';
-    };
+    const getSummary = () => localizedField(country, 'summary', lang) || country.summary_ja || '—';
 
     // Find the main driver (highest R score > 1)
     const getMainDriver = () => {
@@ -216,6 +215,14 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                             );
                         });
                     })()}
+                    {viewMode !== 'surge_r' && country.v4_scoring?.r1_acled_data && (
+                        <div
+                            style={{ fontSize: '0.6rem', color: '#888', marginTop: '2px' }}
+                            title={`ACLED ${country.v4_scoring.r1_acled_data.today} events / median ${country.v4_scoring.r1_acled_data.baseline_median}, ${country.v4_scoring.r1_acled_data.fatalities} fatalities`}
+                        >
+                            R1 {t.panel.source}: {SOURCE_LABELS[country.v4_scoring.r1_source] || '-'}
+                        </div>
+                    )}
                 </div>
 
                 {viewMode === 'index' && country.index && (
@@ -255,37 +262,10 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                                     if (!data) return null;
 
                                     const th = country.surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
-                                    const ratio = Number(data.ratio || 0);
 
                                     // Gate-aware level: Only show color if is_active is true
-                                    let displayLevel = 'none';
-                                    let gateReason = '';
-
-                                    if (data.is_active) {
-                                        // Active: calculate level from ratio
-                                        displayLevel =
-                                            ratio >= th.red ? 'red' :
-                                                ratio >= th.orange ? 'orange' :
-                                                    ratio >= th.yellow ? 'yellow' : 'none';
-                                    } else {
-                                        // Gated: determine the reason
-                                        displayLevel = 'gated';
-                                        if (!data.is_stable_input) {
-                                            gateReason = 'low-baseline';
-                                        } else if (!data.triggered) {
-                                            if (data.high_vol && !data.share_hit) {
-                                                gateReason = 'high-vol';
-                                            } else if (!data.share_hit && !data.abs_hit) {
-                                                gateReason = 'low-share';
-                                            } else if (!data.abs_hit) {
-                                                gateReason = 'low-abs';
-                                            } else {
-                                                gateReason = 'no-trigger';
-                                            }
-                                        } else if (ratio < th.yellow) {
-                                            gateReason = 'below-threshold';
-                                        }
-                                    }
+                                    const { level: displayLevel, reason } = dailyGateState(data, th);
+                                    const gateReason = displayLevel === 'gated' ? reason : '';
 
                                     const levelColor =
                                         displayLevel === 'red' ? 'var(--color-red)' :
@@ -305,6 +285,14 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                                                     {key} {data.is_active ? '●' : ''} {levelLabel}
                                                 </div>
                                                 <div style={{ fontSize: '0.55rem', opacity: 0.6 }}>{t.panel.rLabels[key.toLowerCase()]}</div>
+                                                {data.sources && (
+                                                    <div
+                                                        style={{ fontSize: '0.55rem', opacity: 0.8 }}
+                                                        title={`GDELT ${data.sources.gdelt.today}/${data.sources.gdelt.baseline_median} (${data.sources.gdelt.ratio}x) · ACLED ${data.sources.acled.today}/${data.sources.acled.baseline_median} (${data.sources.acled.ratio}x, ${data.sources.acled.fatalities} fatalities)`}
+                                                    >
+                                                        {t.panel.source}: {SOURCE_LABELS[data.source] || '-'}
+                                                    </div>
+                                                )}
                                             </td>
                                             <td style={{ textAlign: 'center', padding: '4px' }}>{data.today}</td>
                                             <td style={{ textAlign: 'center', padding: '4px' }}>{data.baseline_median}</td>
@@ -485,6 +473,12 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                     );
                 })()}
 
+                {/* Why is each bundle lit / not lit (gate decision trace) */}
+                {country.surge_r_by_type && <ExplainPanel key={iso2} country={country} t={t} theme={theme} />}
+
+                {/* Daily counts vs baseline (30d) / weekly ratio7 (52w) */}
+                <SurgeChart key={iso2} iso2={iso2} country={country} date={date} weeklyHistory={weeklyCache?.history || null} theme={theme} t={t} />
+
                 {/* Detailed Comparison Table (Raw vs Adjusted) */}
                 {country.r_scores && country.r_scores_adj && (
                     <div className="score-comparison-table" style={{ marginTop: '1rem', background: 'rgba(0,0,0,0.2)', borderRadius: '4px', padding: '6px' }}>
@@ -520,9 +514,7 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                 )}
 
                 <div style={{ fontSize: '0.6rem', color: '#666', marginTop: '0.5rem', fontStyle: 'italic', textAlign: 'center', lineHeight: '1.2' }}>
-                    {lang === 'ja'
-                        ? "平時ボリューム補正後の0〜10スコア（暫定）"
-                        : "* Normalized 0-10 score after baseline adjustment."}
+                    {t?.panel?.normalizedNote}
                 </div>
             </div>
 
@@ -553,7 +545,7 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                             </h4>
                             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
                                 <span style={{ fontSize: '0.6rem', color: '#ccc' }}>
-                                    {lang === 'ja' ? '政治関心スコア' : 'Political Score'}
+                                    {t?.panel?.politicalScore}
                                 </span>
                                 <span style={{ fontSize: '0.7rem', color: '#fff', fontWeight: 'bold' }}>
                                     {signals.xt.ps_today?.toFixed(2) || '0.00'}
@@ -570,7 +562,7 @@ export default function CountryModal({ country, onClose, t, lang, isPinned, hasH
                                 </ul>
                             ) : (
                                 <div style={{ fontSize: '0.55rem', color: '#666', fontStyle: 'italic' }}>
-                                    {lang === 'ja' ? '目立った政治的シグナルなし' : 'No significant political signals'}
+                                    {t?.panel?.noPoliticalSignals}
                                 </div>
                             )}
                         </div>
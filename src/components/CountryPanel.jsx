@@ -1,3 +1,5 @@
+import { countryName, localizedField } from '../i18n';
+
 function ScoreBar({ label, score, max = 10 }) {
     const percentage = (score / max) * 100;
     const color = score >= 7 ? '#ff3b3b' : score >= 5 ? '#ff8c00' : score >= 3 ? '#ffd700' : '#3d4654';
@@ -28,17 +30,9 @@ export default function CountryPanel({ country, onClose, t, lang, viewMode }) {
     const alertLabel = t?.alertLabels?.[country.alert_level] || country.alert_level.toUpperCase();
 
     // Get localized name and summary based on language
-    const getName = () => {
-        if (lang === 'ja') return country.name_ja || country.name_en;
-        if (lang === 'es') return country.name_es || country.name_en;
-        return country.name_en;
-    };
+    const getName = () => countryName(country, country.code || country.iso2, lang);
 
-    const getSummary = () => {
-        if (lang === 'ja') return country.summary_ja || country.summary_en || '—';
-        if (lang === 'es') return country.summary_es || country.summary_en || '—';
-        return country.summary_en || country.summary_ja || '—';
-    };
+    const getSummary = () => localizedField(country, 'summary', lang) || country.summary_ja || '—';
 
     const getAlertColor = () => {
         if (viewMode === 'surge' && country.surge) {
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { R_TYPES } from '../utils/surgeCharts';
+import { explainBundle, fillTemplate } from '../utils/explainSignal';
+
+const STATUS_ICON = { pass: '✓', fail: '✗', info: '•' };
+const STATUS_COLOR = { pass: '#2dd4bf', fail: '#ef4444' };
+const LEVEL_COLOR = { red: 'var(--color-red)', orange: 'var(--color-orange)', yellow: 'var(--color-yellow)' };
+
+// Default tab: the strongest lit bundle, else the one closest to its threshold
+const defaultType = (country) => {
+    const rows = country?.surge_r_by_type || {};
+    const byRatio = [...R_TYPES].sort((a, b) => (rows[b]?.ratio || 0) - (rows[a]?.ratio || 0));
+    return byRatio.find(r => rows[r]?.is_active) || byRatio[0];
+};
+
+/**
+ * "Why is this lit / not lit?" for one bundle at a time: the SurgeR decision
+ * chain (ratio vs threshold, baseline, share / absolute gates, high volume,
+ * external pressure, ACLED) and the RAW jump gate, as localized sentences.
+ */
+export default function ExplainPanel({ country, t, theme }) {
+    const [rType, setRType] = useState(() => defaultType(country));
+    const light = theme === 'light';
+    const te = t.explain;
+    const ex = explainBundle(country, rType);
+
+    const levelLabel = (level) => t.alertLabels?.[level] || level;
+    const text = (template, params) => fillTemplate(template, { ...params, level: params.level ? levelLabel(params.level) : params.level });
+    const gates = ex.verdict.blockers.map(g => te.gates[g]).join(', ');
+
+    return (
+        <div style={{ marginTop: '1rem', padding: '10px', background: light ? 'rgba(0,0,0,0.03)' : 'rgba(0,0,0,0.2)', borderRadius: '4px', border: light ? '1px solid rgba(0,0,0,0.1)' : '1px solid rgba(255,255,255,0.1)' }}>
+            <div style={{ fontSize: '0.7rem', fontWeight: 'bold', color: light ? 'var(--color-accent)' : '#6fa5b5', marginBottom: '6px' }}>{te.title}</div>
+            <div style={{ display: 'flex', gap: '3px', marginBottom: '8px' }}>
+                {R_TYPES.map(r => {
+                    const row = country.surge_r_by_type?.[r];
+                    const active = rType === r;
+                    return (
+                        <button
+                            key={r}
+                            onClick={() => setRType(r)}
+                            title={t.panel.rLabels[r.toLowerCase()]}
+                            style={{
+                                flex: 1, fontSize: '0.6rem', padding: '1px 5px', cursor: 'pointer', borderRadius: '2px',
+                                border: `1px solid ${light ? '#ccc' : '#444'}`,
+                                background: active ? (light ? '#333' : '#6fa5b5') : 'transparent',
+                                color: active ? (light ? '#fff' : '#000') : (light ? '#666' : '#888')
+                            }}
+                        >
+                            {r}{row?.is_active ? ' ●' : ''}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div style={{
+                fontSize: '0.7rem', lineHeight: 1.4, marginBottom: '6px', fontWeight: 'bold',
+                color: ex.lit ? LEVEL_COLOR[ex.level] : (light ? '#333' : '#ddd')
+            }}>
+                {text(te.verdict[ex.verdict.id], { ...ex.verdict.params, gates })}
+            </div>
+            {ex.verdict.id === 'quiet' && ex.verdict.blockers.length > 0 && (
+                <div style={{ fontSize: '0.6rem', color: light ? '#666' : '#aaa', marginBottom: '6px' }}>{fillTemplate(te.alsoFailing, { gates })}</div>
+            )}
+
+            <ol style={{ margin: 0, padding: 0, listStyle: 'none' }}>
+                {ex.steps.map(step => {
+                    const key = step.status === 'info' ? step.id : `${step.id}_${step.status}`;
+                    return (
+                        <li key={step.id} style={{ display: 'flex', gap: '6px', fontSize: '0.6rem', lineHeight: 1.4, padding: '2px 0', color: light ? '#444' : '#bbb' }}>
+                            <span style={{ color: STATUS_COLOR[step.status] || (light ? '#999' : '#666'), fontWeight: 'bold', width: '10px', flexShrink: 0 }}>{STATUS_ICON[step.status]}</span>
+                            <span>{text(te.steps[key] || te.steps[step.id] || key, step.params)}</span>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+}
@@ -1,4 +1,10 @@
 import { useRef, useEffect, useMemo } from 'react';
+import { rankedListCsv, exportFileName, downloadFile } from '../utils/exportUtils';
+import { LOCALES, translations, countryName, localizedField } from '../i18n';
+
+// Briefings fall back to English for locales a daily file predates, so the
+// closing disclaimer is recognised in any catalog's wording
+const DISCLAIMER_MARKERS = LOCALES.map(code => translations[code].global.disclaimerMarker);
 
 export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry, onSignalSelect, selectedSignal, hoveredSignal, hoveredCountry, t, lang, viewMode }) {
     const scrollRef = useRef(null);
@@ -16,8 +22,8 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
         }
 
         // New Object Support
-        if (source && Array.isArray(source[lang])) {
-            const lines = source[lang];
+        if (source && (Array.isArray(source[lang]) || Array.isArray(source.en))) {
+            const lines = Array.isArray(source[lang]) ? source[lang] : source.en;
             const filteredLines = lines.filter(line => {
                 const l = line.trim();
                 return !(
@@ -29,11 +35,7 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
 
             return filteredLines.map((line, idx) => {
                 const isLast = idx === filteredLines.length - 1;
-                const isDisclaimer = isLast && (
-                    line.includes("事実認定ではない") ||
-                    line.includes("fact certification") ||
-                    line.includes("certificación oficial")
-                );
+                const isDisclaimer = isLast && DISCLAIMER_MARKERS.some(marker => line.includes(marker));
 
                 if (isDisclaimer) {
                     return (
@@ -56,10 +58,7 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
         }
 
         // Legacy string Support
-        let text = "";
-        if (lang === 'ja' && riskData.daily_briefing_ja) text = riskData.daily_briefing_ja;
-        else if (lang === 'es' && riskData.daily_briefing_es) text = riskData.daily_briefing_es;
-        else text = riskData.daily_briefing_en || "...";
+        const text = riskData[`daily_briefing_${lang}`] || riskData.daily_briefing_en || "...";
 
         return <div>{text}</div>;
     };
@@ -194,7 +193,17 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
             <div className="heat-list-section">
                 <div className="section-header">
                     <h3><span className="icon">📈</span> {t?.global?.heatList || 'Global Heat List'}</h3>
-                    <span className="badge">Top {sortedCountries.length}</span>
+                    <div style={{ display: 'flex', gap: '0.4rem', alignItems: 'center' }}>
+                        <button
+                            className="export-btn"
+                            title={t?.export?.rankedCsv || 'Download this list as CSV'}
+                            disabled={sortedCountries.length === 0}
+                            onClick={() => downloadFile(exportFileName(['ranked', viewMode, riskData?.date], 'csv'), rankedListCsv(sortedCountries), 'text/csv')}
+                        >
+                            CSV
+                        </button>
+                        <span className="badge">Top {sortedCountries.length}</span>
+                    </div>
                 </div>
 
                 <div className="heat-list-header">
@@ -213,7 +222,7 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
                         >
                             <span className="col-rank">{(viewMode === 'surge' || viewMode === 'index' || viewMode === 'surge_r') ? (country[viewMode]?.rank || idx + 1) : idx + 1}</span>
                             <div className="col-country">
-                                <span className="country-name">{lang === 'ja' ? (country.name_ja || country.name_en) : (lang === 'es' ? (country.name_es || country.name_en) : country.name_en)}</span>
+                                <span className="country-name">{countryName(country, country.iso2, lang)}</span>
                                 <span className="country-driver">
                                     {viewMode === 'index' ? `Index: ${country.index?.score.toFixed(1)}` :
                                         viewMode === 'surge' ? `Surge: ${country.surge?.score.toFixed(1)}` :
@@ -224,7 +233,7 @@ export default function GlobalPanel({ riskData, onCountrySelect, selectedCountry
                             <span className="col-risk" style={getAlertStyle(country)}>{getAlertLabel(country)}</span>
                             <span className="col-summary">
                                 {(country.brief?.headline ||
-                                    (lang === 'ja' ? country.summary_ja : (lang === 'es' ? (country.summary_es || country.summary_en) : country.summary_en)) ||
+                                    localizedField(country, 'summary', lang) ||
                                     country.brief?.what_happened) || "..."}
                             </span>
                         </li>
@@ -13,7 +13,8 @@ export default function Header({
     viewMode,
     onViewModeChange,
     theme,
-    toggleTheme
+    toggleTheme,
+    children
 }) {
     const [isCalendarOpen, setIsCalendarOpen] = useState(false);
     const dateRef = useRef(null);
@@ -76,6 +77,8 @@ export default function Header({
             </div>
 
             <div className="header-meta">
+                {children}
+
                 <div className="alert-counts">
                     <span className="alert-count alert-count--red">{alertCounts.red} {t.red}</span>
                     <span className="alert-count alert-count--orange">{alertCounts.orange} {t.orange}</span>
@@ -150,11 +153,20 @@ export default function Header({
                     </div>
                 </div>
 
+                <a
+                    className="today-btn"
+                    href={`#/regions${availableDates.includes(date) ? `?date=${date}` : ''}`}
+                    title={t.regions.linkTitle}
+                    style={{ textDecoration: 'none' }}
+                >
+                    {t.regions.link}
+                </a>
+
                 <div className="theme-toggle">
                     <button
                         className="theme-btn"
                         onClick={toggleTheme}
-                        title={theme === 'light' ? t.darkMode || "Dark Mode" : t.lightMode || "Light Mode"}
+                        title={theme === 'light' ? t.darkMode : t.lightMode}
                         style={{
                             background: 'none',
                             border: '1px solid var(--color-border)',
@@ -1,7 +1,9 @@
 import React, { useEffect, useState, useMemo, useRef, useCallback } from 'react';
 import L from 'leaflet';
-import { MapContainer, TileLayer, GeoJSON, CircleMarker, Popup, Tooltip, Pane, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, GeoJSON, CircleMarker, Popup, Tooltip, Pane, useMap, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
+import { roundViewport, sameViewport } from '../utils/urlState';
+import { ALERT_COLORS, ALERT_COLORS_LIGHT } from '../utils/mapColors';
 
 const SIGNAL_TYPE_CONFIG = {
     gt: { color: '#2dd4bf', selectedColor: '#5eead4', prefix: 'GT', title: 'GOOGLE TRENDS' },
@@ -9,23 +11,11 @@ const SIGNAL_TYPE_CONFIG = {
     xt: { color: '#ff7ee2', selectedColor: '#ff9ee9', prefix: 'SNS', title: 'POLITICAL SURGE' }
 };
 
-const ALERT_COLORS = {
-    red: '#ee2c2c',
-    orange: '#f57c00',
-    yellow: '#dca01d',
-    green: '#000000'
-};
-
-const ALERT_COLORS_LIGHT = {
-    red: '#ee2c2c',
-    orange: '#f57c00',
-    yellow: '#fbc02d', // Slightly darker yellow for readability on white
-    green: '#e5e7eb'   // Light Grey (Gray-200) for stable countries in light mode
-};
-
 // Component to handle map movement
-function MapController({ selectedIso, centroids, selectedSignal }) {
+function MapController({ selectedIso, centroids, selectedSignal, keepInitialView }) {
     const map = useMap();
+    // A shared link carries its own viewport; don't fly away from it on load
+    const skipFirstFly = useRef(keepInitialView);
 
     useEffect(() => {
         let targetCenter = null;
@@ -48,6 +38,10 @@ function MapController({ selectedIso, centroids, selectedSignal }) {
         }
 
         if (targetCenter) {
+            if (skipFirstFly.current) {
+                skipFirstFly.current = false;
+                return;
+            }
             map.flyTo(targetCenter, targetZoom, { duration: 1.2 });
         }
     }, [selectedIso, centroids, selectedSignal, map]);
@@ -55,6 +49,28 @@ function MapController({ selectedIso, centroids, selectedSignal }) {
     return null;
 }
 
+// Keeps the map viewport and the URL in sync (both directions)
+function ViewportSync({ viewport, onViewportChange }) {
+    const map = useMapEvents({
+        moveend: () => {
+            const center = map.getCenter();
+            const current = roundViewport({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+            if (!sameViewport(current, viewport)) onViewportChange?.(current);
+        }
+    });
+
+    // Back/forward to a different viewport
+    useEffect(() => {
+        if (!viewport) return;
+        const center = map.getCenter();
+        if (!sameViewport({ lat: center.lat, lng: center.lng, zoom: map.getZoom() }, viewport)) {
+            map.setView([viewport.lat, viewport.lng], viewport.zoom);
+        }
+    }, [viewport, map]);
+
+    return null;
+}
+
 // Helper: Calculate approximate area of a polygon (Shoelace formula)
 const getApproxArea = (geometry) => {
     if (!geometry) return 0;
@@ -125,7 +141,7 @@ const getCentroid = (geometry) => {
     return null;
 };
 
-export default function MapView({ riskData, onCountrySelect, onCountryHover, onCountryLeave, selectedCountry, selectedSignal, onSignalSelect, onSignalHover, viewMode, theme }) {
+export default function MapView({ riskData, onCountrySelect, onCountryHover, onCountryLeave, selectedCountry, selectedSignal, onSignalSelect, onSignalHover, viewMode, theme, viewport, onViewportChange, focusCountries = null }) {
     const [geoData, setGeoData] = useState(null);
     const [expandedCluster, setExpandedCluster] = useState(null); // 'US-gt' format
     const collapseTimeoutRef = useRef(null);
@@ -288,6 +304,18 @@ export default function MapView({ riskData, onCountrySelect, onCountryHover, onC
             color = colors[alertLevel];
         }
 
+        // Watchlist filter: countries outside the watched set are dimmed
+        if (focusCountries && !focusCountries.has(iso2) && !isSelected) {
+            return {
+                fillColor: theme === 'light' ? '#e5e7eb' : '#2a2f38',
+                weight: 0.5,
+                opacity: 1,
+                color: theme === 'light' ? '#94a3b8' : '#555555',
+                fillOpacity: 0.5,
+                className: ''
+            };
+        }
+
         return {
             fillColor: isSelected ? '#06b6d4' : color, // Cyan-500 for selection
             weight: isSelected ? 1.5 : 0.5,
@@ -306,7 +334,7 @@ export default function MapView({ riskData, onCountrySelect, onCountryHover, onC
         if (geoJsonRef.current) {
             geoJsonRef.current.setStyle(getCountryStyle);
         }
-    }, [selectedCountry, riskData, viewMode, theme]);
+    }, [selectedCountry, riskData, viewMode, theme, focusCountries]);
 
     const onEachCountry = (feature, layer) => {
         const iso2 = feature.properties['ISO3166-1-Alpha-2'];
@@ -357,13 +385,14 @@ export default function MapView({ riskData, onCountrySelect, onCountryHover, onC
 
     return (
         <MapContainer
-            center={[20, 0]}
-            zoom={2}
+            center={viewport ? [viewport.lat, viewport.lng] : [20, 0]}
+            zoom={viewport ? viewport.zoom : 2}
             style={{ height: '100%', width: '100%' }}
             minZoom={2}
             maxBounds={[[-90, -180], [90, 180]]}
         >
-            <MapController selectedIso={selectedCountry} centroids={countryCentroids} selectedSignal={selectedSignal} />
+            <MapController selectedIso={selectedCountry} centroids={countryCentroids} selectedSignal={selectedSignal} keepInitialView={!!viewport} />
+            <ViewportSync viewport={viewport} onViewportChange={onViewportChange} />
             {/* Remove TileLayer for Black/Dark theme 
             <TileLayer
                 attribution='&copy; <a href="https://carto.com/">CARTO</a>'
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { listGroups, trendMax } from '../utils/regionUtils';
+import { fillTemplate } from '../utils/explainSignal';
+import { countryName } from '../i18n';
+
+const LEVEL_COLORS = { red: '#ff3b3b', orange: '#ff8c00', yellow: '#ffd700', green: '#3d4654' };
+const BUNDLES = ['R1', 'R2', 'R3', 'R4'];
+
+const fetchJson = (path) => fetch(path).then(res => (res.ok ? res.json() : null)).catch(() => null);
+
+// Catalog label for a region or tier, falling back to the label the pipeline stored
+const groupLabel = (group, t) => (group.kind === 'tier' ? t.regions.tiers[group.key] : t.briefing.regions[group.key]) || group.label;
+
+/* ================= TREND CHART ================= */
+// Lit members per week, stacked by level
+function TrendBars({ history, height, paperMode, t }) {
+    const tr = t.regions;
+    if (history.length === 0) return <div style={{ fontSize: '0.75rem', opacity: 0.6 }}>{tr.noTrend}</div>;
+    const max = trendMax(history);
+    return (
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: 1, height, borderBottom: `1px solid ${paperMode ? '#ccc' : '#444'}` }}>
+            {history.map(h => (
+                <div
+                    key={h.week}
+                    title={fillTemplate(tr.barTitle, { week: h.week, lit: h.lit_countries, mean: h.mean_surge_r.toFixed(2), pct: Math.round(h.breadth * 100) }) +
+                        (h.new_lit ? fillTemplate(tr.barNew, { n: h.new_lit }) : '')}
+                    style={{ flex: 1, display: 'flex', flexDirection: 'column-reverse', height: '100%', minWidth: 2 }}
+                >
+                    {['yellow', 'orange', 'red'].map(l => (
+                        <div key={l} style={{ height: `${((h.levels?.[l] || 0) / max) * 100}%`, background: LEVEL_COLORS[l] }} />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/* ================= GROUP CARD ================= */
+function GroupCard({ group, paperMode, search, t }) {
+    const tr = t.regions;
+    const a = group.today;
+    return (
+        <Link to={`/regions/${group.id}${search}`} style={{
+            display: 'block', padding: '0.75rem 1rem', textDecoration: 'none', color: 'inherit',
+            border: `1px solid ${paperMode ? '#ddd' : '#333'}`, borderRadius: 4, background: paperMode ? '#fafafa' : '#1a1a1a'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '0.5rem' }}>
+                <strong>{groupLabel(group, t)}</strong>
+                {a && <span style={{ fontSize: '0.8rem' }}>{fillTemplate(tr.litOf, { lit: a.lit_countries, total: a.with_data })}</span>}
+            </div>
+            {a ? (
+                <div style={{ fontSize: '0.75rem', display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '2px 0.75rem', marginBottom: '0.5rem' }}>
+                    <span style={{ opacity: 0.7 }}>{tr.levels}</span>
+                    <span>
+                        {['red', 'orange', 'yellow'].map(l => (
+                            <span key={l} style={{ color: LEVEL_COLORS[l], marginRight: 8, fontWeight: 'bold' }}>{a.levels[l]} {t.briefing.levels[l]}</span>
+                        ))}
+                    </span>
+                    <span style={{ opacity: 0.7 }}>{tr.byBundle}</span>
+                    <span>{BUNDLES.map(r => `${r} ${a.lit_by_bundle[r]}`).join(' · ')}</span>
+                    <span style={{ opacity: 0.7 }}>{tr.meanSurge}</span>
+                    <span>{fillTemplate(tr.meanValue, { mean: a.mean_surge_r.toFixed(2), max: a.max_surge_r.toFixed(2) })}</span>
+                    <span style={{ opacity: 0.7 }}>{tr.contagion}</span>
+                    <span>
+                        {fillTemplate(tr.breadth, { pct: Math.round(a.contagion.breadth * 100) })}
+                        {a.contagion.dominant_bundle && fillTemplate(tr.dominant, { bundle: a.contagion.dominant_bundle, n: a.contagion.dominant_count })}
+                        {a.contagion.new_lit?.length > 0 && fillTemplate(tr.newLit, { codes: a.contagion.new_lit.join(' ') })}
+                    </span>
+                </div>
+            ) : (
+                <div style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.5rem' }}>{tr.noDaily}</div>
+            )}
+            <TrendBars history={group.history} height={40} paperMode={paperMode} t={t} />
+        </Link>
+    );
+}
+
+/* ================= DRILL-DOWN ================= */
+function GroupDetail({ group, paperMode, t, lang }) {
+    const tr = t.regions;
+    const border = `1px solid ${paperMode ? '#ddd' : '#333'}`;
+    const cell = { padding: '6px 10px', borderBottom: border, fontSize: '0.8rem', textAlign: 'left' };
+    const rows = group.today?.countries || [];
+    const newLit = new Set(group.today?.contagion?.new_lit || []);
+    const history = group.history;
+
+    return (
+        <div style={{ padding: '1rem' }}>
+            <h3 style={{ margin: '0 0 0.5rem', fontSize: '1rem' }}>
+                {tr.weeklyTrend} {history.length > 0 && <span style={{ fontWeight: 300, opacity: 0.7 }}>({history[0].week} – {history[history.length - 1].week})</span>}
+            </h3>
+            <TrendBars history={history} height={120} paperMode={paperMode} t={t} />
+
+            <h3 style={{ margin: '1.5rem 0 0.5rem', fontSize: '1rem' }}>{fillTemplate(tr.members, { n: rows.length })}</h3>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                    <tr>
+                        <th style={cell}>{tr.table.country}</th>
+                        <th style={cell}>{tr.table.surge}</th>
+                        <th style={{ ...cell, textAlign: 'right' }}>{tr.table.maxRatio}</th>
+                        <th style={cell}>{tr.table.active}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.iso2}>
+                            <td style={cell}>
+                                <Link to={`/country/${row.iso2}`} style={{ color: 'inherit', fontWeight: 'bold' }}>{countryName({ name_en: row.name }, row.iso2, lang)} ({row.iso2})</Link>
+                                {newLit.has(row.iso2) && <span style={{ marginLeft: 6, fontSize: '0.7rem', color: '#dda15e' }}>{tr.new}</span>}
+                            </td>
+                            <td style={{ ...cell, color: LEVEL_COLORS[row.level], fontWeight: 'bold', textTransform: 'capitalize' }}>{t.briefing.levels[row.level] || row.level}</td>
+                            <td style={{ ...cell, textAlign: 'right' }}>{row.max_ratio_active > 0 ? `${row.max_ratio_active.toFixed(2)}x` : '-'}</td>
+                            <td style={cell}>{row.active_types.length > 0 ? row.active_types.join(', ') : '-'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+/* ================= MAIN VIEW ================= */
+export default function RegionsView({ t, lang, theme }) {
+    const tr = t.regions;
+    const { group: groupParam } = useParams();
+    const [searchParams] = useSearchParams();
+    const date = searchParams.get('date');
+    const paperMode = theme === 'light';
+
+    const [daily, setDaily] = useState({ date: undefined, data: null });
+    const [trend, setTrend] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchJson(`./data/${date || 'latest_v4'}.json`).then(data => { if (!cancelled) setDaily({ date, data }); });
+        return () => { cancelled = true; };
+    }, [date]);
+
+    useEffect(() => {
+        fetchJson('./data/weekly/regions.json').then(setTrend);
+    }, []);
+
+    const loaded = daily.date === date;
+    const groups = listGroups(loaded ? daily.data?.aggregates : null, trend);
+    const selected = groupParam ? groups.find(g => g.id === groupParam) : null;
+    const search = date ? `?date=${date}` : '';
+
+    return (
+        <div className={`regions-view ${paperMode ? 'paper-mode' : ''}`} style={{
+            minHeight: '100vh', background: paperMode ? '#fff' : '#111', color: paperMode ? '#333' : '#eee'
+        }}>
+            <div style={{ padding: '1rem', borderBottom: '1px solid #444', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                <h2 style={{ margin: 0, fontSize: '1.5rem', fontWeight: '800' }}>
+                    {selected ? groupLabel(selected, t) : tr.title}
+                    <span style={{ fontWeight: '300', opacity: 0.7, fontSize: '1rem', marginLeft: 8 }}>
+                        {loaded && daily.data?.date ? `(${daily.data.date})` : ''}
+                    </span>
+                </h2>
+                <div style={{ display: 'flex', gap: '1rem', fontSize: '0.85rem' }}>
+                    {selected && <Link to={`/regions${search}`} style={{ color: 'inherit' }}>{tr.allGroups}</Link>}
+                    <Link to={`/${search}`} style={{ color: 'inherit' }}>{tr.map}</Link>
+                </div>
+            </div>
+
+            {!loaded && !trend ? (
+                <div style={{ padding: '2rem' }}>{tr.loading}</div>
+            ) : groupParam ? (
+                selected
+                    ? <GroupDetail group={selected} paperMode={paperMode} t={t} lang={lang} />
+                    : <div style={{ padding: '2rem', color: '#dda15e' }}>{fillTemplate(tr.unknown, { group: groupParam })}</div>
+            ) : groups.length === 0 ? (
+                <div style={{ padding: '2rem', color: '#dda15e' }}>{tr.none}</div>
+            ) : (
+                ['region', 'tier'].map(kind => (
+                    <section key={kind} style={{ padding: '1rem' }}>
+                        <h3 style={{ margin: '0 0 0.75rem', fontSize: '1rem' }}>{tr.kinds[kind]}</h3>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '0.75rem' }}>
+                            {groups.filter(g => g.kind === kind).map(g => (
+                                <GroupCard key={g.id} group={g} paperMode={paperMode} search={search} t={t} />
+                            ))}
+                        </div>
+                    </section>
+                ))
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import countryAliases from '../../config/country_aliases.json';
+import { SEARCH_RANGES, searchDocs, datesInRange, runSearch, isSearchable, snippet } from '../utils/search';
+
+// Search entries per stored daily file, fetched once per page load
+const dayDocs = new Map();
+const loadDayDocs = (date) => {
+    if (!dayDocs.has(date)) {
+        dayDocs.set(date, fetch(`./data/${date}.json`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => searchDocs(date, data, countryAliases))
+            .catch(() => []));
+    }
+    return dayDocs.get(date);
+};
+
+const isTyping = (el) => el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+
+/**
+ * Header search: country names / aliases / codes and headline or briefing text,
+ * over the displayed day or the stored daily files of the last 7 / 30 days.
+ * Arrow keys move through the results, Enter opens the country ("/" focuses the box).
+ */
+export default function SearchBox({ t, lang, data, date, availableDates, onSelect }) {
+    const [query, setQuery] = useState('');
+    const [range, setRange] = useState(1);
+    const [open, setOpen] = useState(false);
+    const [active, setActive] = useState(0);
+    const [loaded, setLoaded] = useState({ key: null, docs: [] });
+    const inputRef = useRef(null);
+    const boxRef = useRef(null);
+    const ts = t.search;
+
+    const currentDocs = useMemo(() => searchDocs(date, data, countryAliases), [date, data]);
+    // Other days in the range; the displayed day comes from the data already on screen
+    const otherDates = useMemo(() => (range > 1 ? datesInRange(availableDates, date, range).filter(d => d !== date) : []),
+        [range, availableDates, date]);
+    const rangeKey = otherDates.join(',');
+    const searchable = open && isSearchable(query);
+    const loading = searchable && otherDates.length > 0 && loaded.key !== rangeKey;
+
+    useEffect(() => {
+        if (!searchable || otherDates.length === 0 || loaded.key === rangeKey) return;
+        let cancelled = false;
+        // One file at a time; daily files are large
+        otherDates.reduce((chain, d) => chain.then(acc => loadDayDocs(d).then(docs => acc.concat(docs))), Promise.resolve([]))
+            .then(docs => { if (!cancelled) setLoaded({ key: rangeKey, docs }); });
+        return () => { cancelled = true; };
+    }, [searchable, otherDates, rangeKey, loaded.key]);
+
+    const results = useMemo(() => {
+        if (!searchable) return [];
+        const docs = loaded.key === rangeKey && otherDates.length > 0 ? currentDocs.concat(loaded.docs) : currentDocs;
+        return runSearch(docs, query);
+    }, [searchable, query, currentDocs, loaded, rangeKey, otherDates]);
+
+    // "/" anywhere on the dashboard focuses the box
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key !== '/' || isTyping(e.target)) return;
+            e.preventDefault();
+            inputRef.current?.focus();
+        };
+        const handleClickOutside = (e) => {
+            if (boxRef.current && !boxRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('keydown', handleKey);
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('keydown', handleKey);
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    const choose = (row) => {
+        if (!row) return;
+        onSelect(row.iso2, row.date);
+        setOpen(false);
+        inputRef.current?.blur();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setActive(i => Math.max(0, Math.min(i + 1, results.length - 1)));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActive(i => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            choose(results[active]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            inputRef.current?.blur();
+        }
+    };
+
+    const nameOf = (row) => row.names[lang] || row.names.en;
+
+    return (
+        <div className="search-box" ref={boxRef}>
+            <input
+                ref={inputRef}
+                type="search"
+                value={query}
+                placeholder={ts.placeholder}
+                aria-label={ts.placeholder}
+                onChange={(e) => { setQuery(e.target.value); setActive(0); setOpen(true); }}
+                onFocus={() => setOpen(true)}
+                onKeyDown={handleKeyDown}
+            />
+            <select value={range} onChange={(e) => { setRange(Number(e.target.value)); setActive(0); }}>
+                {SEARCH_RANGES.map(days => <option key={days} value={days}>{ts.ranges[days]}</option>)}
+            </select>
+
+            {searchable && (
+                <div className="search-results" role="listbox">
+                    {results.map((row, i) => {
+                        const parts = row.kind === 'text' ? snippet(row.text, query) : null;
+                        return (
+                            <div
+                                key={`${row.kind}-${row.iso2}-${row.date}-${row.text}`}
+                                role="option"
+                                aria-selected={i === active}
+                                className={`search-result ${i === active ? 'search-result--active' : ''}`}
+                                onMouseEnter={() => setActive(i)}
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => choose(row)}
+                            >
+                                <div className="search-result-head">
+                                    <span className="search-result-name">{nameOf(row)}</span>
+                                    <span className="search-result-code">{row.iso2}</span>
+                                    <span className="search-result-field">{ts.fields[row.field]}{row.field === 'alias' ? `: ${row.text}` : ''}</span>
+                                    {row.date !== date && <span className="search-result-date">{row.date}</span>}
+                                </div>
+                                {parts && (
+                                    <div className="search-result-text">{parts.before}<mark>{parts.match}</mark>{parts.after}</div>
+                                )}
+                            </div>
+                        );
+                    })}
+                    {loading && <div className="search-status">{ts.loading.replace('{n}', otherDates.length)}</div>}
+                    {!loading && results.length === 0 && <div className="search-status">{ts.noResults}</div>}
+                    {results.length > 0 && <div className="search-status search-status--hint">{ts.hint}</div>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { R_TYPES, dailySeries, weeklySeries, chartMax } from '../utils/surgeCharts';
+import { fillTemplate } from '../utils/explainSignal';
+
+const BAND_COLORS = { yellow: '#ffd700', orange: '#ff8c00', red: '#ff3b3b' };
+const POINT_COLORS = { red: '#ff3b3b', orange: '#ff8c00', yellow: '#ffd700' };
+
+const W = 300;
+const H = 130;
+const PAD = { left: 30, right: 6, top: 6, bottom: 16 };
+
+// v4_history_30d.json only exists for the latest run; fetched once per page load
+let history30dRequest = null;
+const loadHistory30d = () => {
+    if (!history30dRequest) {
+        history30dRequest = fetch('./data/v4_history_30d.json')
+            .then(res => (res.ok ? res.json() : null))
+            .catch(() => null);
+    }
+    return history30dRequest;
+};
+
+const fmt = (v, digits = 2) => (typeof v === 'number' ? v.toFixed(digits) : '—');
+
+// Gate reasons are engine codes (low_baseline, ...), shown as is
+const gateText = ({ level, reason }, t) => {
+    const tc = t.chart;
+    const state = level === 'gated' || level === 'none'
+        ? tc.gateStates[level]
+        : fillTemplate(tc.gateStates.active, { level: t.briefing.levels[level] || level });
+    return reason && reason !== 'active'
+        ? fillTemplate(tc.tooltip.gateReason, { state, reason })
+        : fillTemplate(tc.tooltip.gate, { state });
+};
+
+function tooltipLines(mode, rType, point, series, t) {
+    const tt = t.chart.tooltip;
+    const at = fillTemplate(tt.at, { r: rType, key: point.key });
+    if (mode === 'daily') {
+        return [
+            at,
+            fillTemplate(tt.count, { value: point.value ?? '—' }),
+            fillTemplate(tt.baseline, { value: series.baseline ?? '—' }),
+            fillTemplate(tt.ratio, { ratio: fmt(point.ratio), k: series.k }),
+            point.gate ? gateText(point.gate, t) : tt.gateDailyOnly
+        ];
+    }
+    return [
+        at,
+        fillTemplate(tt.ratio7, { ratio: fmt(point.ratio, 3) }),
+        fillTemplate(tt.today7, { today: point.today7 ?? '—', baseline: point.baseline7 ?? '—' }),
+        point.gate ? gateText(point.gate, t) : tt.gateNoData
+    ];
+}
+
+/**
+ * Line chart for the country popup: daily R1-R4 counts vs baseline (30 days)
+ * or weekly ratio7 (52 weeks), with SurgeR threshold bands and per-point
+ * gate state on hover.
+ */
+export default function SurgeChart({ iso2, country, date, weeklyHistory, theme, t }) {
+    const tc = t.chart;
+    const [mode, setMode] = useState('daily');
+    const [rType, setRType] = useState(() => country?.surge_r?.active_types?.[0] || 'R1');
+    const [hover, setHover] = useState(null);
+    const [history30d, setHistory30d] = useState(null);
+    const light = theme === 'light';
+
+    useEffect(() => {
+        let cancelled = false;
+        loadHistory30d().then(data => { if (!cancelled) setHistory30d(data); });
+        return () => { cancelled = true; };
+    }, []);
+
+    const series = mode === 'daily'
+        ? dailySeries(history30d, iso2, country, rType, date)
+        : weeklySeries(weeklyHistory, rType, date);
+    const { points, bands } = series;
+    const hasData = points.some(p => typeof p.value === 'number');
+
+    const max = chartMax(points, bands);
+    const innerW = W - PAD.left - PAD.right;
+    const innerH = H - PAD.top - PAD.bottom;
+    const x = (i) => PAD.left + (points.length > 1 ? (i / (points.length - 1)) * innerW : innerW / 2);
+    const y = (v) => PAD.top + innerH - (Math.min(v, max) / max) * innerH;
+
+    // Line segments break at missing points
+    const path = points.reduce((acc, p, i) => {
+        if (typeof p.value !== 'number') return { d: acc.d, open: false };
+        return { d: `${acc.d}${acc.open ? 'L' : 'M'}${x(i).toFixed(1)} ${y(p.value).toFixed(1)}`, open: true };
+    }, { d: '', open: false }).d;
+
+    const reference = mode === 'daily' ? series.baseline : 1;
+    const axisColor = light ? '#999' : '#555';
+    const textColor = light ? '#666' : '#888';
+    const hovered = hover !== null ? points[hover] : null;
+
+    const tabStyle = (active) => ({
+        background: active ? (light ? '#333' : '#6fa5b5') : 'transparent',
+        color: active ? (light ? '#fff' : '#000') : textColor,
+        border: `1px solid ${light ? '#ccc' : '#444'}`,
+        borderRadius: '2px',
+        fontSize: '0.6rem',
+        padding: '1px 5px',
+        cursor: 'pointer'
+    });
+
+    return (
+        <div style={{ marginTop: '1rem', padding: '10px', background: light ? 'rgba(0,0,0,0.03)' : 'rgba(0,0,0,0.3)', borderRadius: '4px', border: light ? '1px solid rgba(0,0,0,0.1)' : '1px solid rgba(255,255,255,0.05)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                <span style={{ fontSize: '0.7rem', fontWeight: 'bold', color: light ? 'var(--color-accent)' : '#6fa5b5' }}>
+                    {tc.title[mode]}
+                </span>
+                <span style={{ display: 'flex', gap: '3px' }}>
+                    <button style={tabStyle(mode === 'daily')} onClick={() => { setMode('daily'); setHover(null); }}>{tc.tabs.daily}</button>
+                    <button style={tabStyle(mode === 'weekly')} onClick={() => { setMode('weekly'); setHover(null); }} disabled={!weeklyHistory}>{tc.tabs.weekly}</button>
+                </span>
+            </div>
+            <div style={{ display: 'flex', gap: '3px', marginBottom: '6px' }}>
+                {R_TYPES.map(r => (
+                    <button key={r} style={{ ...tabStyle(rType === r), flex: 1 }} onClick={() => { setRType(r); setHover(null); }}>
+                        {r}{country?.surge_r_by_type?.[r]?.is_active ? ' ●' : ''}
+                    </button>
+                ))}
+            </div>
+
+            {!hasData ? (
+                <div style={{ fontSize: '0.65rem', color: textColor, fontStyle: 'italic', padding: '1rem 0', textAlign: 'center' }}>
+                    {mode === 'daily' ? (history30d ? tc.noDaily : tc.loadingDaily) : tc.noWeekly}
+                </div>
+            ) : (
+                <div style={{ position: 'relative' }}>
+                    <svg viewBox={`0 0 ${W} ${H}`} width="100%" style={{ display: 'block' }} onMouseLeave={() => setHover(null)}>
+                        {bands && [['yellow', bands.yellow, bands.orange], ['orange', bands.orange, bands.red], ['red', bands.red, max]].map(([l, from, to]) => (
+                            from < max && (
+                                <rect key={l} x={PAD.left} width={innerW} y={y(to)} height={Math.max(0, y(from) - y(to))} fill={BAND_COLORS[l]} opacity={light ? 0.18 : 0.12} />
+                            )
+                        ))}
+                        <line x1={PAD.left} x2={PAD.left} y1={PAD.top} y2={PAD.top + innerH} stroke={axisColor} strokeWidth="0.5" />
+                        <line x1={PAD.left} x2={W - PAD.right} y1={PAD.top + innerH} y2={PAD.top + innerH} stroke={axisColor} strokeWidth="0.5" />
+                        {[0, max / 2, max].map(v => (
+                            <text key={v} x={PAD.left - 3} y={y(v) + 3} fontSize="7" textAnchor="end" fill={textColor}>
+                                {mode === 'daily' ? Math.round(v) : `${v.toFixed(1)}x`}
+                            </text>
+                        ))}
+                        {reference !== null && reference <= max && (
+                            <line x1={PAD.left} x2={W - PAD.right} y1={y(reference)} y2={y(reference)} stroke={textColor} strokeWidth="0.75" strokeDasharray="3 2" />
+                        )}
+                        <path d={path} fill="none" stroke={light ? '#1f2937' : '#e5e7eb'} strokeWidth="1.25" />
+                        {points.map((p, i) => typeof p.value === 'number' && (
+                            <circle
+                                key={p.key}
+                                cx={x(i)}
+                                cy={y(p.value)}
+                                r={hover === i ? 3 : 1.75}
+                                fill={POINT_COLORS[p.gate?.level] || (p.gate?.level === 'gated' ? '#777' : (light ? '#1f2937' : '#e5e7eb'))}
+                            />
+                        ))}
+                        {hover !== null && <line x1={x(hover)} x2={x(hover)} y1={PAD.top} y2={PAD.top + innerH} stroke={textColor} strokeWidth="0.5" />}
+                        {[0, points.length - 1].map(i => (
+                            <text key={i} x={x(i)} y={H - 4} fontSize="7" textAnchor={i === 0 ? 'start' : 'end'} fill={textColor}>{points[i].key}</text>
+                        ))}
+                        {points.map((p, i) => (
+                            <rect
+                                key={`hit-${p.key}`}
+                                x={x(i) - innerW / Math.max(1, points.length - 1) / 2}
+                                width={innerW / Math.max(1, points.length - 1)}
+                                y={PAD.top}
+                                height={innerH}
+                                fill="transparent"
+                                onMouseEnter={() => setHover(i)}
+                            />
+                        ))}
+                    </svg>
+                    {hovered && (
+                        <div style={{
+                            position: 'absolute', top: 0, [hover > points.length / 2 ? 'left' : 'right']: 0,
+                            background: light ? 'rgba(255,255,255,0.95)' : 'rgba(0,0,0,0.85)', border: `1px solid ${light ? '#ccc' : '#444'}`,
+                            borderRadius: '3px', padding: '4px 6px', fontSize: '0.55rem', lineHeight: 1.4, pointerEvents: 'none', whiteSpace: 'nowrap',
+                            color: light ? '#333' : '#ddd'
+                        }}>
+                            {tooltipLines(mode, rType, hovered, series, t).map(line => <div key={line}>{line}</div>)}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <div style={{ fontSize: '0.55rem', color: light ? '#888' : '#666', marginTop: '6px', fontStyle: 'italic', lineHeight: 1.3 }}>
+                {mode === 'daily' ? fillTemplate(tc.bands.daily, series.thresholds) : tc.bands.weekly}
+            </div>
+        </div>
+    );
+}
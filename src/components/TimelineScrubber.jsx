@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getIsoWeek } from '../utils/dateUtils';
+import { createFrameCache, timelineKeys, adaptWeeklyFrame, DAILY_RANGES, WEEKLY_RANGES } from '../utils/timeline';
+
+const SPEEDS = [1000, 500, 250];
+
+const fetchJson = (path) => fetch(path).then(res => {
+    if (!res.ok) throw new Error(`Failed to load ${path}`);
+    return res.json();
+});
+
+/**
+ * Timeline bar over the map. Steps through the last N daily files (or weekly
+ * summaries) and hands each loaded frame to the Dashboard via onFrame, which
+ * draws it in MapView and GlobalPanel without going through the loading screen.
+ * Frames are preloaded and cached for the lifetime of the bar.
+ */
+export default function TimelineScrubber({ t, availableDates = [], currentDate, onFrame, onClose }) {
+    const [caches] = useState(() => ({
+        daily: createFrameCache(date => fetchJson(`./data/${date}.json`)),
+        weekly: createFrameCache(week => fetchJson(`./data/weekly/${week}.json`).then(adaptWeeklyFrame))
+    }));
+    const [mode, setMode] = useState('daily');
+    const [range, setRange] = useState(DAILY_RANGES[1]);
+    const [weeks, setWeeks] = useState(null);
+    const [speed, setSpeed] = useState(SPEEDS[1]);
+    const [playing, setPlaying] = useState(false);
+    const [shown, setShown] = useState(null);
+
+    const keys = useMemo(() => mode === 'weekly'
+        ? timelineKeys(weeks || [], currentDate ? getIsoWeek(currentDate) : null, range)
+        : timelineKeys(availableDates, currentDate, range), [mode, weeks, availableDates, currentDate, range]);
+
+    // Position resets to the newest frame whenever the key list changes
+    const keysId = `${mode}|${keys[0]}|${keys.length}`;
+    const [pos, setPos] = useState({ keysId: null, index: 0 });
+    const index = pos.keysId === keysId ? pos.index : keys.length - 1;
+    const currentKey = keys[index] || null;
+    const seek = (i) => setPos({ keysId, index: i });
+
+    useEffect(() => {
+        if (mode !== 'weekly' || weeks) return;
+        fetchJson('./data/weekly/index.json')
+            .then(idx => setWeeks(idx?.weeks || []))
+            .catch(err => {
+                console.warn('Weekly index load error:', err);
+                setWeeks([]);
+            });
+    }, [mode, weeks]);
+
+    useEffect(() => {
+        caches[mode].preload(keys);
+    }, [caches, mode, keys]);
+
+    useEffect(() => {
+        if (!currentKey) return;
+        let cancelled = false;
+        caches[mode].get(currentKey)
+            .then(data => { if (!cancelled) onFrame({ key: currentKey, mode, data }); })
+            .catch(err => console.warn(`Timeline frame ${currentKey} skipped:`, err.message))
+            .finally(() => { if (!cancelled) setShown(currentKey); });
+        return () => { cancelled = true; };
+    }, [caches, mode, currentKey, onFrame]);
+
+    // Advance only after the current frame is on screen, so slow loads do not skip frames
+    useEffect(() => {
+        if (!playing || shown !== currentKey) return;
+        const timer = setTimeout(() => {
+            if (index >= keys.length - 1) setPlaying(false);
+            else setPos({ keysId, index: index + 1 });
+        }, speed);
+        return () => clearTimeout(timer);
+    }, [playing, shown, currentKey, index, keys.length, keysId, speed]);
+
+    const togglePlay = () => {
+        if (!playing && index >= keys.length - 1) seek(0);
+        setPlaying(!playing);
+    };
+
+    const changeMode = (next) => {
+        setPlaying(false);
+        setMode(next);
+        setRange(next === 'weekly' ? WEEKLY_RANGES[1] : DAILY_RANGES[1]);
+    };
+
+    const tt = t.timeline;
+    const loading = currentKey && shown !== currentKey;
+
+    return (
+        <div className="timeline-scrubber">
+            <button className="timeline-btn timeline-btn--play" onClick={togglePlay} disabled={keys.length < 2}
+                aria-label={playing ? tt.pause : tt.play}>
+                {playing ? '❚❚' : '▶'}
+            </button>
+            <input
+                className="timeline-slider"
+                type="range"
+                min={0}
+                max={Math.max(keys.length - 1, 0)}
+                value={Math.max(index, 0)}
+                onChange={(e) => { setPlaying(false); seek(Number(e.target.value)); }}
+                disabled={keys.length < 2}
+            />
+            <span className="timeline-label">
+                {currentKey || (mode === 'weekly' && !weeks ? tt.loading : tt.noFrames)}
+                {loading ? ' …' : ''}
+            </span>
+            <div className="timeline-options">
+                <select value={mode} onChange={(e) => changeMode(e.target.value)}>
+                    <option value="daily">{tt.daily}</option>
+                    <option value="weekly">{tt.weekly}</option>
+                </select>
+                <select value={range} onChange={(e) => { setPlaying(false); setRange(Number(e.target.value)); }}>
+                    {(mode === 'weekly' ? WEEKLY_RANGES : DAILY_RANGES).map(n => (
+                        <option key={n} value={n}>{n} {mode === 'weekly' ? tt.weeks : tt.days}</option>
+                    ))}
+                </select>
+                <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+                    {SPEEDS.map((ms, i) => <option key={ms} value={ms}>{`${2 ** i}x`}</option>)}
+                </select>
+            </div>
+            <button className="timeline-btn" onClick={() => onClose(mode === 'daily' ? shown : null)} aria-label={tt.close}>✕</button>
+        </div>
+    );
+}
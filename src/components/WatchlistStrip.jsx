@@ -0,0 +1,121 @@
+import React, { useState, useRef } from 'react';
+import { addList, removeList, toggleCountry, exportWatchlists, importWatchlists } from '../utils/watchlists';
+
+const DELTA_ICON = (d) => (d === null ? '·' : d > 0 ? `▲${d}` : d < 0 ? `▼${-d}` : '=');
+
+/**
+ * Compact bar under the header: pick / edit a named watchlist, filter the map
+ * and sidebar to it, and see each watched country's level, its 7-day change
+ * and whether it moved since the dashboard was last opened.
+ */
+export default function WatchlistStrip({ t, watchlists, onChange, rows, selectedCountry, onCountrySelect, seenDate, weekAgoDate }) {
+    const [newName, setNewName] = useState('');
+    const [message, setMessage] = useState(null);
+    const fileRef = useRef(null);
+    const tw = t.watchlist;
+    const active = watchlists.active;
+    const names = Object.keys(watchlists.lists);
+
+    const createList = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        onChange(addList(watchlists, newName));
+        setNewName('');
+    };
+
+    const handleExport = () => {
+        const url = URL.createObjectURL(new Blob([exportWatchlists(watchlists)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'watchlists.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            const result = importWatchlists(watchlists, text);
+            if (result.error) {
+                setMessage(`${tw.importFailed}: ${tw.importErrors[result.error]}`);
+                return;
+            }
+            onChange(result.state);
+            setMessage(`${tw.imported}: ${result.imported.join(', ')}`);
+        });
+    };
+
+    const changed = rows.filter(r => r.changedSinceSeen).length;
+
+    return (
+        <div className="watchlist-strip">
+            <span className="watchlist-title">★ {tw.title}</span>
+            <select
+                value={active || ''}
+                onChange={(e) => onChange({ ...watchlists, active: e.target.value || null, filter: e.target.value ? watchlists.filter : false })}
+            >
+                <option value="">{tw.none}</option>
+                {names.map(n => <option key={n} value={n}>{n} ({watchlists.lists[n].length})</option>)}
+            </select>
+
+            {active && (
+                <>
+                    <label className="watchlist-filter">
+                        <input
+                            type="checkbox"
+                            checked={watchlists.filter}
+                            onChange={(e) => onChange({ ...watchlists, filter: e.target.checked })}
+                        />
+                        {tw.filter}
+                    </label>
+                    {selectedCountry && (
+                        <button className="watchlist-btn" onClick={() => onChange(toggleCountry(watchlists, active, selectedCountry))}>
+                            {watchlists.lists[active].includes(selectedCountry) ? `− ${selectedCountry}` : `+ ${selectedCountry}`}
+                        </button>
+                    )}
+                </>
+            )}
+
+            <div className="watchlist-chips">
+                {rows.map(row => (
+                    <span
+                        key={row.iso2}
+                        className={`watchlist-chip watchlist-chip--${row.level || 'nodata'} ${row.changedSinceSeen ? 'watchlist-chip--changed' : ''} ${selectedCountry === row.iso2 ? 'watchlist-chip--selected' : ''}`}
+                        title={`${row.name}: ${row.level || tw.noData}` +
+                            (row.weekDelta !== null && weekAgoDate ? ` | ${tw.sinceWeek} (${weekAgoDate}): ${DELTA_ICON(row.weekDelta)}` : '') +
+                            (row.changedSinceSeen ? ` | ${tw.changedSince} ${seenDate}: ${row.seenLevel} → ${row.level}` : '')}
+                        onClick={() => onCountrySelect(row.iso2)}
+                    >
+                        {row.iso2}
+                        <span className="watchlist-delta">{DELTA_ICON(row.weekDelta)}</span>
+                        <button
+                            className="watchlist-remove"
+                            aria-label={`${tw.remove} ${row.iso2}`}
+                            onClick={(e) => { e.stopPropagation(); onChange(toggleCountry(watchlists, active, row.iso2)); }}
+                        >
+                            ×
+                        </button>
+                    </span>
+                ))}
+                {active && rows.length === 0 && <span className="watchlist-hint">{tw.empty}</span>}
+            </div>
+
+            {changed > 0 && <span className="watchlist-changed">{changed} {tw.changedSince} {seenDate}</span>}
+            {message && <span className="watchlist-hint" onClick={() => setMessage(null)}>{message}</span>}
+
+            <form onSubmit={createList} className="watchlist-new">
+                <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={tw.newList} />
+            </form>
+            {active && (
+                <button className="watchlist-btn" onClick={() => window.confirm(`${tw.deleteConfirm} "${active}"?`) && onChange(removeList(watchlists, active))}>
+                    {tw.delete}
+                </button>
+            )}
+            <button className="watchlist-btn" onClick={() => fileRef.current?.click()}>{tw.import}</button>
+            <button className="watchlist-btn" onClick={handleExport} disabled={names.length === 0}>{tw.export}</button>
+            <input ref={fileRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+        </div>
+    );
+}
@@ -1,216 +1,130 @@
-// Translations for the dashboard
-export const translations = {
-    en: {
-        title: 'State Capacity Risk Early-Warning Dashboard',
-        subtitle: 'Visualizing daily signs of instability across Security, Living, Governance, and Fiscal signals',
-        dataDate: 'DATA',
-        active: 'ACTIVE',
-        red: 'RED',
-        orange: 'ORANGE',
-        yellow: 'YELLOW',
-        legend: {
-            title: 'THREAT LEVEL',
-            critical: 'Critical',
-            warning: 'Warning',
-            watch: 'Watch',
-            stable: 'Stable'
-        },
-        panel: {
-            placeholder: 'SELECT A COUNTRY',
-            riskScores: 'RISK SCORES',
-            r1: 'R1 Security',
-            r2: 'R2 Basic Living Conditions',
-            r3: 'R3 Governance',
-            r4: 'R4 Fiscal Sustainability',
-            rLabels: {
-                r1: 'Security',
-                r2: 'Living',
-                r3: 'Governance',
-                r4: 'Fiscal'
-            },
-            composite: 'Composite Score',
-            summary: 'SITUATION SUMMARY',
-            indicator: 'Indicator',
-            sources: 'KEY SOURCES'
-        },
-        alertLabels: {
-            red: 'CRITICAL',
-            orange: 'WARNING',
-            yellow: 'WATCH',
-            green: 'STABLE'
-        },
-        global: {
-            briefing: 'AI DAILY BRIEFING',
-            noBriefing: 'No briefing generated for this date.',
-            heatList: 'Global Heat List',
-            country: 'Country',
-            risk: 'Risk',
-            summary: 'Summary',
-            airSignals: 'AIR SIGNALS',
-            airCaptions: {
-                gt: 'Google Trends: Rising search queries (by country)',
-                xt: 'GetDayTrends: Trending topics on X (by country)',
-                pm: 'Polymarket: Key topics in prediction markets'
-            }
-        },
-        footer: {
-            data: 'DATA: GDELT PROJECT',
-            ai: 'AI: GEMINI',
-            status: 'STATUS: OPERATIONAL',
-            framework: 'Based on the framework of state failure and collapse developed by Robert I. Rotberg.'
-        },
-        loading: 'LOADING DATA...',
-        error: 'ERROR',
-        viewMode: {
-            title: 'SCORE VIEW',
-            raw: 'RAW',
-            surge_r: 'R-INDEX',
-            surge: 'TRENDING',
-            index: 'Index'
-        }
-    },
-    ja: {
-        title: '国家機能リスク早期警戒ダッシュボード',
-        subtitle: '各国の不安定化を、治安・生活・統治・財政の兆候から日次で可視化',
-        dataDate: 'データ',
-        active: '稼働中',
-        red: 'RED',
-        orange: 'ORANGE',
-        yellow: 'YELLOW',
-        legend: {
-            title: '脅威レベル',
-            critical: '警戒',
-            warning: '注意',
-            watch: '監視',
-            stable: '安定'
-        },
-        panel: {
-            placeholder: '国を選択してください',
-            riskScores: 'リスクスコア',
-            r1: 'R1 安全',
-            r2: 'R2 生活の床',
-            r3: 'R3 統治の安定',
-            r4: 'R4 財政の持続性',
-            rLabels: {
-                r1: '治安',
-                r2: '生活',
-                r3: '統治',
-                r4: '財政'
-            },
-            composite: '総合スコア',
-            summary: '状況要約',
-            indicator: '指標',
-            sources: '主要ニュースソース'
-        },
-        alertLabels: {
-            red: '警戒',
-            orange: '注意',
-            yellow: '監視',
-            green: '安定'
-        },
-        global: {
-            briefing: 'AIデイリーブリーフィング',
-            noBriefing: '本日のブリーフィングは生成されていません。',
-            heatList: 'グローバルヒートリスト',
-            country: '国名',
-            risk: 'リスク',
-            summary: '要約',
-            airSignals: 'AIR SIGNALS (社会的関心)',
-            airCaptions: {
-                gt: 'Google Trends：検索トレンド上昇語（国別）',
-                xt: 'GetDayTrends：X上の急上昇トピック（国別）',
-                pm: 'Polymarket：予測市場の主要テーマ'
-            }
-        },
-        footer: {
-            data: 'データ: GDELT PROJECT',
-            ai: 'AI: GEMINI',
-            status: 'ステータス: 稼働中',
-            framework: 'Robert I. Rotberg の国家破綻・崩壊フレームワークに基づく'
-        },
-        loading: 'データを読み込んでいます...',
-        error: 'エラー',
-        viewMode: {
-            title: '表示モード',
-            raw: 'RAW / 生データ',
-            surge_r: 'R-INDEX',
-            surge: 'TRENDING / トレンド',
-            index: '指数 (Index)'
-        }
-    },
-    es: {
-        title: 'Tablero de Alerta Temprana de Riesgo de Capacidad Estatal',
-        subtitle: 'Visualización diaria de señales de inestabilidad a partir de indicadores de Seguridad, Vida, Gobernanza y Fiscalidad',
-        dataDate: 'DATOS',
-        active: 'ACTIVO',
-        red: 'ROJO',
-        orange: 'NARANJA',
-        yellow: 'AMARILLO',
-        legend: {
-            title: 'NIVEL DE AMENAZA',
-            critical: 'Crítico',
-            warning: 'Alerta',
-            watch: 'Vigilancia',
-            stable: 'Estable'
-        },
-        panel: {
-            placeholder: 'SELECCIONE UN PAÍS',
-            riskScores: 'PUNTUACIONES DE RIESGO',
-            r1: 'R1 Seguridad',
-            r2: 'R2 Condiciones Básicas de Vida',
-            r3: 'R3 Gobernanza',
-            r4: 'R4 Sostenibilidad Fiscal',
-            rLabels: {
-                r1: 'Seguridad',
-                r2: 'Vida diaria',
-                r3: 'Gobernanza',
-                r4: 'Fiscal'
-            },
-            composite: 'Puntuación Compuesta',
-            summary: 'RESUMEN DE SITUACIÓN',
-            indicator: 'Indicador',
-            sources: 'FUENTES PRINCIPALES'
-        },
-        alertLabels: {
-            red: 'CRÍTICO',
-            orange: 'ALERTA',
-            yellow: 'VIGILANCIA',
-            green: 'ESTABLE'
-        },
-        global: {
-            briefing: 'INFORME DIARIO DE IA',
-            noBriefing: 'No se generó informe para esta fecha.',
-            heatList: 'Lista de Calor Global',
-            country: 'País',
-            risk: 'Riesgo',
-            summary: 'Resumen',
-            airSignals: 'SEÑALES AÉREAS',
-            airCaptions: {
-                gt: 'Google Trends: Consultas de búsqueda en alza (por país)',
-                xt: 'GetDayTrends: Temas en tendencia en X (por país)',
-                pm: 'Polymarket: Temas clave en mercados de predicción'
-            }
-        },
-        footer: {
-            data: 'DATOS: GDELT PROJECT',
-            ai: 'IA: GEMINI',
-            status: 'ESTADO: OPERATIVO',
-            framework: 'Basado en el marco de fracaso y colapso estatal desarrollado por Robert I. Rotberg.'
-        },
-        loading: 'CARGANDO DATOS...',
-        error: 'ERROR',
-        viewMode: {
-            title: 'MODO',
-            raw: 'BRUTO',
-            surge_r: 'R-INDEX',
-            surge: 'TENDENCIAS',
-            index: 'Índice'
+// Translations for the dashboard and the daily pipeline
+//
+// Every string lives in a per-locale catalog, src/locales/<code>.json; this
+// module is the one loader for both the React app and the Node scripts
+// (briefing templates, capsules). English is the reference catalog: keys a
+// locale does not have yet fall back to English, and
+// `node scripts/check_locales.mjs` lists them per locale.
+//
+// Adding a locale: copy en.json, translate it, set meta.label / meta.dir
+// ("rtl" for right-to-left scripts) and register it in CATALOGS below.
+import en from './locales/en.json' with { type: 'json' };
+import ja from './locales/ja.json' with { type: 'json' };
+import es from './locales/es.json' with { type: 'json' };
+import fr from './locales/fr.json' with { type: 'json' };
+import pt from './locales/pt.json' with { type: 'json' };
+import ar from './locales/ar.json' with { type: 'json' };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Catalogs as written (use `translations` for lookups)
+export const CATALOGS = { en, ja, es, fr, pt, ar };
+
+export const LOCALES = Object.keys(CATALOGS);
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Deep merge: values from `override`, missing keys from `base` */
+export function mergeCatalog(base, override) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        out[key] = isObject(value) && isObject(base?.[key]) ? mergeCatalog(base[key], value) : value;
+    }
+    return out;
+}
+
+export const translations = Object.fromEntries(LOCALES.map(code => [code, mergeCatalog(CATALOGS[DEFAULT_LOCALE], CATALOGS[code])]));
+
+export const languages = LOCALES.map(code => ({ code, label: CATALOGS[code].meta.label, dir: CATALOGS[code].meta.dir || 'ltr' }));
+
+export const isRtl = (code) => translations[code]?.meta?.dir === 'rtl';
+
+/** Best catalog for a BCP 47 tag ("pt-BR" -> "pt"), else the default */
+export function matchLocale(tag) {
+    const base = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[base] ? base : DEFAULT_LOCALE;
+}
+
+/** Dotted paths of every string in a catalog */
+export function catalogKeys(catalog, prefix = '') {
+    return Object.entries(catalog || {}).flatMap(([key, value]) => (
+        isObject(value) ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+    ));
+}
+
+const valueAt = (catalog, dotted) => dotted.split('.').reduce((node, key) => (isObject(node) ? node[key] : undefined), catalog);
+const placeholdersOf = (s) => (typeof s === 'string' ? [...new Set(s.match(/\{\w+\}/g) || [])].sort().join(',') : '');
+
+/**
+ * Completeness of one catalog against the reference (English).
+ * @returns {{ missing: string[], extra: string[], placeholders: string[] }}
+ *   placeholders = keys whose {param} set differs from the reference
+ */
+export function checkCatalog(catalog, reference = CATALOGS[DEFAULT_LOCALE]) {
+    const keys = new Set(catalogKeys(catalog));
+    const refKeys = catalogKeys(reference);
+    return {
+        missing: refKeys.filter(k => !keys.has(k)),
+        extra: [...keys].filter(k => valueAt(reference, k) === undefined),
+        placeholders: refKeys.filter(k => keys.has(k) && placeholdersOf(valueAt(catalog, k)) !== placeholdersOf(valueAt(reference, k)))
+    };
+}
+
+/**
+ * Catalog paths a source file reads: `t.compare.open`, `t?.export?.mapPng`,
+ * and reads through a section alias (`const tc = t.compare;` ... `tc.title`).
+ */
+export function catalogRefs(source) {
+    const roots = { t: '' };
+    for (const [, alias, path] of source.matchAll(/\bconst (\w+) = t\??\.([\w.?]+);/g)) {
+        roots[alias] = `${path.replace(/\?/g, '')}.`;
+    }
+    const pattern = new RegExp(`(?<![\\w.$])(${Object.keys(roots).join('|')})\\??\\.(\\w+(?:\\??\\.\\w+)*)`, 'g');
+    return [...new Set([...source.matchAll(pattern)].map(([, root, path]) => roots[root] + path.replace(/\?/g, '')))];
+}
+
+/** Paths from catalogRefs() the reference catalog does not define */
+export function unknownRefs(refs, reference = CATALOGS[DEFAULT_LOCALE]) {
+    return refs.filter(ref => {
+        let node = reference;
+        for (const key of ref.split('.')) {
+            if (!isObject(node)) return false; // past a string: .length, .replace(...)
+            if (!(key in node)) return true;
+            node = node[key];
         }
+        return false;
+    });
+}
+
+const displayNames = {};
+
+/** Country name from the ICU region names of the runtime, null if it has none */
+export function regionDisplayName(iso2, code) {
+    try {
+        displayNames[code] ||= new Intl.DisplayNames([code], { type: 'region', fallback: 'none' });
+        return displayNames[code].of(iso2) || null;
+    } catch {
+        return null;
     }
-};
+}
+
+/**
+ * name_<locale> of a daily country entry; files that predate a locale get the
+ * runtime's region name, then the English name.
+ */
+export function countryName(country, iso2, code = DEFAULT_LOCALE) {
+    return country?.[`name_${code}`] || (code !== DEFAULT_LOCALE && regionDisplayName(iso2, code)) || country?.name_en || iso2;
+}
+
+/** name_<locale> fields for every locale (the pipeline stores these in each country entry) */
+export function countryNames(iso2, nameEn) {
+    return Object.fromEntries(LOCALES.map(code => [
+        `name_${code}`,
+        code === DEFAULT_LOCALE ? nameEn : (regionDisplayName(iso2, code) || nameEn)
+    ]));
+}
 
-export const languages = [
-    { code: 'en', label: 'EN' },
-    { code: 'ja', label: '日本語' },
-    { code: 'es', label: 'ES' }
-];
+/** A per-language field such as summary_<locale>, falling back to English */
+export function localizedField(entry, field, code = DEFAULT_LOCALE) {
+    return entry?.[`${field}_${code}`] || entry?.[`${field}_${DEFAULT_LOCALE}`] || null;
+}
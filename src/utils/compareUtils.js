@@ -0,0 +1,88 @@
+/**
+ * compareUtils.js
+ * Helpers for the side-by-side comparison route (#/compare/VE,CO).
+ */
+
+import { weekKeyToInt } from './dateUtils.js';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 6;
+
+/**
+ * Parses the ":codes" route segment ("VE,co, BR") into unique upper-case ISO2 codes.
+ * Errors are catalog keys under `compare.errors` with their template params.
+ * @param {string} codesParam
+ * @returns {{codes: string[], error: {key: 'invalid'|'tooFew'|'tooMany', params: Object}|null}}
+ */
+export function parseCompareCodes(codesParam) {
+    const codes = [];
+    const invalid = [];
+    (codesParam || '').split(',').map(c => c.trim().toUpperCase()).filter(Boolean).forEach(c => {
+        if (!/^[A-Z]{2}$/.test(c)) invalid.push(c);
+        else if (!codes.includes(c)) codes.push(c);
+    });
+
+    let error = null;
+    if (invalid.length > 0) error = { key: 'invalid', params: { codes: invalid.join(', ') } };
+    else if (codes.length < MIN_COMPARE) error = { key: 'tooFew', params: { n: MIN_COMPARE } };
+    else if (codes.length > MAX_COMPARE) error = { key: 'tooMany', params: { n: MAX_COMPARE } };
+    return { codes: codes.slice(0, MAX_COMPARE), error };
+}
+
+/**
+ * Puts several weekly histories on one week axis.
+ * The axis is the union of weeks in all histories up to T0, last `range` weeks.
+ * T0 is clamped to the newest week any country has. A country without data
+ * for an axis week gets a placeholder entry, which the views draw as No Data.
+ *
+ * @param {Object} historiesByIso - ISO2 -> [{ week, ... }]
+ * @param {string} t0Week - "YYYY-Www"
+ * @param {number} range - weeks
+ * @returns {{weeks: string[], byIso: Object, clampedTo: string|null}}
+ */
+export function alignHistories(historiesByIso, t0Week, range) {
+    const allWeeks = new Set();
+    Object.values(historiesByIso).forEach(h => (h || []).forEach(item => allWeeks.add(item.week)));
+    const sorted = [...allWeeks].sort((a, b) => weekKeyToInt(a) - weekKeyToInt(b));
+
+    const lastWeek = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+    let t0Int = weekKeyToInt(t0Week);
+    let clampedTo = null;
+    if (lastWeek && t0Int > weekKeyToInt(lastWeek)) {
+        t0Int = weekKeyToInt(lastWeek);
+        clampedTo = lastWeek;
+    }
+
+    const weeks = sorted.filter(w => weekKeyToInt(w) <= t0Int).slice(-range);
+    const byIso = {};
+    for (const [iso2, history] of Object.entries(historiesByIso)) {
+        const byWeek = Object.fromEntries((history || []).map(item => [item.week, item]));
+        byIso[iso2] = weeks.map(w => byWeek[w] || { week: w, overall_level: 'NoData' });
+    }
+    return { weeks, byIso, clampedTo };
+}
+
+/**
+ * Rows for the "today" table from a daily output (latest_v4.json or a dated file).
+ * @returns {Object[]} one row per code; { iso2, missing: true } when the day has no entry
+ */
+export function buildTodayRows(riskData, codes) {
+    return codes.map(iso2 => {
+        const c = riskData?.countries?.[iso2];
+        if (!c) return { iso2, missing: true };
+        const byType = c.surge_r_by_type || {};
+        return {
+            iso2,
+            name: c.name_en || iso2,
+            level: c.surge_r?.level || 'Green',
+            maxRatio: c.surge_r?.max_ratio_active ?? null,
+            activeTypes: c.surge_r?.active_types || [],
+            types: Object.fromEntries(['R1', 'R2', 'R3', 'R4'].map(r => [r, {
+                today: byType[r]?.today ?? null,
+                baseline: byType[r]?.baseline_median ?? null,
+                ratio: byType[r]?.ratio ?? null,
+                isActive: !!byType[r]?.is_active
+            }]))
+        };
+    });
+}
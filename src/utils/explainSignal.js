@@ -0,0 +1,121 @@
+/**
+ * explainSignal.js
+ * Decision trace behind one bundle's daily SurgeR state, for the
+ * "why is this lit / not lit?" panel. Rebuilds the chain from the audit
+ * fields the pipeline already writes (surge_r_by_type gates, surge_r.thresholds,
+ * v4_scoring.effective_thresholds / rN_jump_data / flags); the panel turns
+ * each step id into a localized sentence.
+ *
+ * Daily chain (scripts/surge_r.mjs):
+ *   active = (share gate || (abs gate && !high volume)) && stable baseline && ratio >= threshold
+ */
+
+const DEFAULT_THRESHOLDS = { yellow: 1.75, orange: 2.75, red: 3.75 };
+const JUMP_KEYS = { R1: 'r1_jump_data', R2: 'r2_jump_data', R3: 'r3_jump_data', R4: 'r4_jump_data' };
+const LEVEL_NAMES = ['red', 'orange', 'yellow'];
+
+const round = (v, digits = 2) => (typeof v === 'number' && Number.isFinite(v) ? parseFloat(v.toFixed(digits)) : null);
+const pct = (v) => round((v || 0) * 100, 2);
+
+/** "{name}" placeholders -> params; unknown placeholders are left as they are */
+export function fillTemplate(template, params = {}) {
+    return String(template || '').replace(/\{(\w+)\}/g, (m, key) => (params[key] === undefined || params[key] === null ? m : String(params[key])));
+}
+
+const thresholdName = (threshold, th) => LEVEL_NAMES.slice().reverse().find(l => threshold <= th[l]) || 'red';
+
+/**
+ * @param {Object} country - daily country entry
+ * @param {'R1'|'R2'|'R3'|'R4'} rType
+ * @returns {{
+ *   rType: string, lit: boolean, level: string|null, source: string|null,
+ *   steps: { id: string, status: 'pass'|'fail'|'info', params: Object }[],
+ *   verdict: { id: 'lit'|'blocked'|'quiet'|'nodata', blockers: string[], params: Object }
+ * }}
+ */
+export function explainBundle(country, rType) {
+    const row = country?.surge_r_by_type?.[rType];
+    if (!row) return { rType, lit: false, level: null, source: null, steps: [], verdict: { id: 'nodata', blockers: [], params: { r: rType } } };
+
+    const gdelt = row.sources?.gdelt || row;
+    const acled = row.sources?.acled || null;
+    const th = { ...DEFAULT_THRESHOLDS, ...(country.surge_r?.thresholds || {}) };
+    const k = gdelt.smoothing_k ?? th.smoothing_k ?? 5;
+    const baseline = gdelt.baseline_median ?? 0;
+    const today = gdelt.today ?? 0;
+    const ratio = gdelt.ratio ?? 0;
+    const threshold = gdelt.threshold ?? th.yellow;
+    const events = country.gdelt?.event_count ?? country.v4_scoring?.event_count ?? 0;
+    const limits = country.v4_scoring?.effective_thresholds?.[rType] || {};
+    const externalPressure = !!(country.flags?.external_pressure_noise ?? country.v4_scoring?.external_pressure_noise);
+
+    const steps = [];
+    const add = (id, status, params = {}) => steps.push({ id, status, params: { r: rType, ...params } });
+
+    // 1. Today vs baseline
+    add('counts', 'info', { today, baseline, ratio: round(ratio), k });
+
+    // 2. Threshold (raised to orange for R1/R3 under external pressure)
+    if (externalPressure && (rType === 'R1' || rType === 'R3')) {
+        add('external', 'info', { domestic: pct(country.v4_scoring?.domestic_ratio), threshold: th.orange });
+    }
+    const neededCount = Math.max(0, Math.ceil(threshold * (Math.max(1, baseline) + k) - k) - today);
+    add('ratio', ratio >= threshold ? 'pass' : 'fail', {
+        ratio: round(ratio), threshold, level: thresholdName(threshold, th), missBy: round(Math.max(0, threshold - ratio)), needed: neededCount
+    });
+
+    // 3. Baseline stability
+    add('stable', gdelt.is_stable_input ? 'pass' : 'fail', { baseline, min: th.min_baseline_median_for_surge ?? 3 });
+
+    // 4. Trigger: share gate, or abs gate outside high volume
+    const shareThreshold = limits.ratio_threshold;
+    add('share', gdelt.share_hit ? 'pass' : 'fail', {
+        share: pct(gdelt.share),
+        shareThreshold: shareThreshold !== undefined ? pct(shareThreshold) : '?',
+        missing: shareThreshold !== undefined ? Math.max(0, Math.ceil(shareThreshold * events) - today) : '?'
+    });
+    const absThreshold = limits.absolute_threshold;
+    add('abs', gdelt.abs_hit ? 'pass' : 'fail', {
+        today,
+        absThreshold: absThreshold ?? '?',
+        missing: absThreshold !== undefined ? Math.max(0, absThreshold - today) : '?'
+    });
+    if (gdelt.high_vol) add('highvol', gdelt.abs_hit && !gdelt.share_hit ? 'fail' : 'info', { events, floor: th.high_volume_floor ?? 5000 });
+    add('trigger', gdelt.triggered ? 'pass' : 'fail', {});
+
+    // 5. R1 second source
+    if (acled) {
+        add('acled', acled.is_active ? 'pass' : 'info', {
+            today: acled.today ?? 0, baseline: acled.baseline_median ?? 0, ratio: round(acled.ratio), fatalities: acled.fatalities ?? 0
+        });
+    }
+
+    // 6. RAW view jump gate (v4 scoring), shown for context
+    const jump = country.v4_scoring?.[JUMP_KEYS[rType]];
+    if (jump) {
+        const fired = (country.v4_scoring.signals || []).some(s => s.type === rType);
+        const params = { jump: round(jump.jump), median: round(jump.median, 1), jumpThreshold: limits.jump_threshold ?? '?', floor: limits.min_median_floor ?? '?' };
+        if (jump.skipped === 'gate_suppressed' || jump.skipped === 'external_pressure_suppressed') add(`raw_${jump.skipped}`, 'fail', params);
+        else if (jump.skipped) add(`raw_${jump.skipped}`, 'info', params);
+        else add(fired ? 'raw_fired' : 'raw_quiet', 'info', params);
+    }
+
+    const lit = !!row.is_active;
+    const level = lit ? LEVEL_NAMES.find(l => (row.ratio ?? 0) >= th[l]) || 'yellow' : null;
+    // Failed gates in the engine's order. With the ratio over the threshold they are what
+    // kept the bundle dark ("blocked"); below it activity is within the normal range ("quiet").
+    const blockers = [];
+    if (!lit) {
+        if (!gdelt.triggered) blockers.push('trigger');
+        if (!gdelt.is_stable_input) blockers.push('stable');
+    }
+    const verdictId = lit ? 'lit' : ratio >= threshold ? 'blocked' : 'quiet';
+    return {
+        rType,
+        lit,
+        level,
+        source: row.source || null,
+        steps,
+        verdict: { id: verdictId, blockers, params: { r: rType, level, ratio: round(row.ratio ?? ratio), threshold, missBy: round(Math.max(0, threshold - ratio)) } }
+    };
+}
@@ -0,0 +1,225 @@
+/**
+ * exportUtils.js
+ * CSV / SVG / PNG exports for the dashboard and the country detail page.
+ * The builders return strings so they can be checked under node; only
+ * downloadFile() and svgToPng() need a browser.
+ */
+
+import { levelOf } from './watchlists.js';
+import { ALERT_COLORS, ALERT_COLORS_LIGHT } from './mapColors.js';
+
+const R_TYPES = ['R1', 'R2', 'R3', 'R4'];
+const VIEW_MODES = ['surge_r', 'raw', 'index', 'surge'];
+
+// ============ CSV ============
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const s = Array.isArray(value) ? value.join('+') : String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * @param {[string, (row) => any][]} columns - header and getter
+ * @param {Object[]} rows
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.map(([header]) => csvCell(header)).join(',')];
+    rows.forEach(row => lines.push(columns.map(([, get]) => csvCell(get(row))).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+const num = (v, digits = 3) => (typeof v === 'number' && Number.isFinite(v) ? parseFloat(v.toFixed(digits)) : null);
+
+/** GlobalPanel ranked list: one row per country (entries carry iso2, enriched daily fields) */
+export const RANKED_LIST_COLUMNS = [
+    ['rank', (c) => c.rank],
+    ['iso2', (c) => c.iso2],
+    ['name', (c) => c.name_en || c.iso2],
+    ...VIEW_MODES.map(mode => [`level_${mode}`, (c) => levelOf(c, mode)]),
+    ...R_TYPES.map(r => [`score_${r}`, (c) => num(parseFloat((c.r_scores_adj || c.r_scores || {})[r]))]),
+    ...R_TYPES.map(r => [`surge_r_ratio_${r}`, (c) => num(c.surge_r_by_type?.[r]?.ratio)]),
+    ['surge_r_max_ratio_active', (c) => num(c.surge_r?.max_ratio_active)],
+    ['surge_r_active_types', (c) => c.surge_r?.active_types],
+    ['index_score', (c) => num(c.index?.score, 1)],
+    ['surge_rank', (c) => c.surge?.rank]
+];
+
+export const rankedListCsv = (countries) => toCsv(RANKED_LIST_COLUMNS, countries.map((c, i) => ({ rank: i + 1, ...c })));
+
+/** CountryDetailView weekly history: one row per week */
+export const HISTORY_COLUMNS = [
+    ['week', (h) => h.week],
+    ['overall_level', (h) => h.overall_level],
+    ['surge_r_level', (h) => h.weekly_surge_r?.level],
+    ['surge_r_max_ratio_active', (h) => num(h.weekly_surge_r?.max_ratio_active)],
+    ['surge_r_active_types', (h) => h.weekly_surge_r?.active_types],
+    ['event_count', (h) => h.event_count],
+    ...R_TYPES.map(r => [`count_${r}`, (h) => h.counts?.[r]]),
+    ...R_TYPES.map(r => [`ratio_${r}`, (h) => num(h.ratios?.[r])]),
+    ...R_TYPES.map(r => [`level_${r}`, (h) => h.levels?.[r]]),
+    ...R_TYPES.map(r => [`active_${r}`, (h) => {
+        const active = h.weekly_surge_r_by_type?.[r]?.is_active;
+        return active === undefined ? null : active;
+    }])
+];
+
+export const historyCsv = (history) => toCsv(HISTORY_COLUMNS, history);
+
+/** "wcr_VE_history_2026-W02.csv" */
+export const exportFileName = (parts, ext) => `${['wcr', ...parts.filter(Boolean)].join('_').replace(/[^\w.-]+/g, '-')}.${ext}`;
+
+// ============ SVG ============
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const HEADER_H = 48;
+const LEGEND_H = 32;
+
+/**
+ * Wraps exported content with a title, a date stamp and a legend.
+ * @param {Object} o
+ * @param {number} o.width - content width
+ * @param {number} o.height - content height
+ * @param {string} o.content - SVG markup drawn at (0, HEADER_H)
+ * @param {{label: string, color: string}[]} o.legend
+ */
+export function frameSvg({ width, height, content, title, stamp, legend = [], paperMode = false }) {
+    const bg = paperMode ? '#ffffff' : '#111111';
+    const fg = paperMode ? '#111111' : '#eeeeee';
+    const total = HEADER_H + height + LEGEND_H;
+    const legendItems = legend.map((item, i) => (
+        `<rect x="${16 + i * 110}" y="${HEADER_H + height + 10}" width="12" height="12" fill="${item.color}" stroke="#888" stroke-width="0.5"/>` +
+        `<text x="${34 + i * 110}" y="${HEADER_H + height + 20}" font-size="11" fill="${fg}">${esc(item.label)}</text>`
+    )).join('');
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${total}" viewBox="0 0 ${width} ${total}" font-family="Inter, Arial, sans-serif">`,
+        `<rect width="100%" height="100%" fill="${bg}"/>`,
+        `<text x="16" y="22" font-size="15" font-weight="700" fill="${fg}">${esc(title)}</text>`,
+        `<text x="16" y="40" font-size="11" fill="${fg}" opacity="0.7">${esc(stamp)}</text>`,
+        `<g transform="translate(0 ${HEADER_H})">${content}</g>`,
+        legendItems,
+        '</svg>'
+    ].join('');
+}
+
+/** Map legend in the current theme (same colors as MapView) */
+export function mapLegend(viewMode, theme) {
+    const colors = theme === 'light' ? ALERT_COLORS_LIGHT : ALERT_COLORS;
+    const labels = viewMode === 'surge'
+        ? { red: 'Top 10', orange: 'Top 20', yellow: 'Top 40', green: 'Other' }
+        : { red: 'Critical', orange: 'Warning', yellow: 'Watch', green: 'Stable' };
+    return ['red', 'orange', 'yellow', 'green'].map(l => ({ label: labels[l], color: colors[l] }));
+}
+
+/**
+ * Self-contained map SVG from Leaflet's overlay <svg> (country paths).
+ * @param {SVGSVGElement} overlaySvg - .leaflet-overlay-pane svg
+ */
+export function mapSvg(overlaySvg, { width, height, title, stamp, viewMode, theme }) {
+    const viewBox = overlaySvg.getAttribute('viewBox') || `0 0 ${width} ${height}`;
+    const inner = `<svg x="0" y="0" width="${width}" height="${height}" viewBox="${viewBox}" preserveAspectRatio="xMidYMid meet">${overlaySvg.innerHTML}</svg>`;
+    return frameSvg({ width, height, content: inner, title, stamp, legend: mapLegend(viewMode, theme), paperMode: theme === 'light' });
+}
+
+const HEATMAP_COLORS = {
+    red: '#ff3b3b', orange: '#ff8c00', yellow: '#ffd700',
+    none: { paper: '#f0f0f0', dark: '#2d333b' },
+    gated: { paper: '#bbbbbb', dark: '#555555' },
+    nodata: { paper: '#d0d0d0', dark: '#444444' }
+};
+
+/**
+ * SurgeR class of one cell, with the same rules as SignalView:
+ * gated types are grey, active ones are colored by ratio vs thresholds.
+ * @param {Object} h - weekly history entry
+ * @param {string} rKey - 'R1'..'R4', or 'bundle' for the overall level
+ */
+export function heatmapCell(h, rKey) {
+    if (rKey === 'bundle') {
+        const level = (h.weekly_surge_r?.level || h.overall_level || '').toLowerCase();
+        if (!level || level === 'nodata') return 'nodata';
+        return ['red', 'orange', 'yellow'].includes(level) ? level : 'none';
+    }
+    const level = h.levels?.[rKey];
+    if (!level || level === 'NoData') return 'nodata';
+    const sr = h.weekly_surge_r_by_type?.[rKey];
+    if (sr?.is_active === undefined) return ['Red', 'Orange', 'Yellow'].includes(level) ? level.toLowerCase() : 'none';
+    if (!sr.is_active) return 'gated';
+    const ratio = sr.ratio7 || h.ratios?.[rKey] || 0;
+    const th = h.weekly_surge_r?.thresholds || { yellow: 1.75, orange: 2.75, red: 3.75 };
+    if (ratio >= th.red) return 'red';
+    if (ratio >= th.orange) return 'orange';
+    if (ratio >= th.yellow) return 'yellow';
+    return 'none';
+}
+
+/** Fill color of a heatmapCell() class */
+export const heatmapColor = (cls, paperMode) => {
+    const c = HEATMAP_COLORS[cls];
+    return typeof c === 'string' ? c : c[paperMode ? 'paper' : 'dark'];
+};
+
+/** Weekly signal heatmap (Bundle + R1-R4 rows, oldest week on the left) */
+export function heatmapSvg(history, { title, stamp, paperMode = false }) {
+    const rows = ['bundle', ...R_TYPES];
+    const labelW = 64;
+    const cellW = Math.max(3, Math.min(18, Math.floor(900 / Math.max(history.length, 1))));
+    const cellH = 22;
+    const width = labelW + cellW * history.length + 16;
+    const height = rows.length * (cellH + 2) + 24;
+    const fg = paperMode ? '#111111' : '#eeeeee';
+    const labelEvery = Math.ceil(history.length / Math.max(1, Math.floor((cellW * history.length) / 70)));
+
+    const parts = [];
+    rows.forEach((rKey, ri) => {
+        const y = ri * (cellH + 2);
+        parts.push(`<text x="${labelW - 8}" y="${y + 15}" font-size="11" font-weight="700" text-anchor="end" fill="${fg}">${rKey === 'bundle' ? 'Bundle' : rKey}</text>`);
+        history.forEach((h, i) => {
+            parts.push(`<rect x="${labelW + i * cellW}" y="${y}" width="${Math.max(1, cellW - 1)}" height="${cellH}" fill="${heatmapColor(heatmapCell(h, rKey), paperMode)}"><title>${esc(`${rKey} ${h.week}`)}</title></rect>`);
+        });
+    });
+    history.forEach((h, i) => {
+        if (i % labelEvery !== 0) return;
+        parts.push(`<text x="${labelW + i * cellW}" y="${rows.length * (cellH + 2) + 14}" font-size="9" fill="${fg}" opacity="0.7">${esc(h.week)}</text>`);
+    });
+
+    const legend = [
+        { label: 'Red', color: HEATMAP_COLORS.red },
+        { label: 'Orange', color: HEATMAP_COLORS.orange },
+        { label: 'Yellow', color: HEATMAP_COLORS.yellow },
+        { label: 'None', color: heatmapColor('none', paperMode) },
+        { label: 'Gated', color: heatmapColor('gated', paperMode) },
+        { label: 'No data', color: heatmapColor('nodata', paperMode) }
+    ];
+    return frameSvg({ width: Math.max(width, 16 + legend.length * 110), height, content: parts.join(''), title, stamp, legend, paperMode });
+}
+
+// ============ BROWSER ============
+export function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Rasterizes an SVG string (with width/height attributes) to a PNG blob */
+export function svgToPng(svg, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const width = Number(svg.match(/width="(\d+)"/)?.[1] || 800);
+        const height = Number(svg.match(/height="(\d+)"/)?.[1] || 600);
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0, width, height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        };
+        img.onerror = () => reject(new Error('Could not render SVG'));
+        img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
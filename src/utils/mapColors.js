@@ -0,0 +1,18 @@
+/**
+ * mapColors.js
+ * Country fill colors for the map (MapView) and its exported images.
+ */
+
+export const ALERT_COLORS = {
+    red: '#ee2c2c',
+    orange: '#f57c00',
+    yellow: '#dca01d',
+    green: '#000000'
+};
+
+export const ALERT_COLORS_LIGHT = {
+    red: '#ee2c2c',
+    orange: '#f57c00',
+    yellow: '#fbc02d', // Slightly darker yellow for readability on white
+    green: '#e5e7eb'   // Light Grey (Gray-200) for stable countries in light mode
+};
@@ -0,0 +1,36 @@
+/**
+ * regionUtils.js
+ * Helpers for the regional dashboard (#/regions). The aggregates themselves are
+ * computed by the pipeline (scripts/regions.mjs): `aggregates` in the daily
+ * file and the weekly trend in weekly/regions.json.
+ */
+
+/** Group id used in the route and in weekly/regions.json: "LATAM", "TIER_A" */
+export const groupId = (kind, key) => (kind === 'tier' ? `TIER_${key}` : key);
+
+/**
+ * One entry per region / tier: today's aggregate (daily file) joined with its
+ * weekly history. Groups present in only one of the two are kept.
+ * @param {Object|null} aggregates - daily `aggregates` ({ regions, tiers })
+ * @param {Object|null} trend - weekly/regions.json
+ * @returns {{id, kind, key, label, today: Object|null, history: Object[]}[]} regions first, then tiers
+ */
+export function listGroups(aggregates, trend) {
+    const groups = new Map();
+    const add = (kind, key, label, today) => {
+        groups.set(groupId(kind, key), { id: groupId(kind, key), kind, key, label, today, history: [] });
+    };
+    Object.entries(aggregates?.regions || {}).forEach(([key, a]) => add('region', key, a.label, a));
+    Object.entries(aggregates?.tiers || {}).forEach(([key, a]) => add('tier', key, a.label, a));
+
+    Object.entries(trend?.groups || {}).forEach(([id, g]) => {
+        if (!groups.has(id)) add(g.kind, g.key, g.label, null);
+        groups.get(id).history = g.history || [];
+    });
+
+    const order = { region: 0, tier: 1 };
+    return [...groups.values()].sort((a, b) => order[a.kind] - order[b.kind]);
+}
+
+/** Scale for the trend bars: the largest lit count across a history, at least 1 */
+export const trendMax = (history) => Math.max(1, ...history.map(h => h.lit_countries || 0));
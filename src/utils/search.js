@@ -0,0 +1,138 @@
+/**
+ * search.js
+ * Dashboard search over daily files: country names (every UI locale), aliases
+ * (config/country_aliases.json) and ISO2 codes, plus evidence headlines and
+ * briefing text. Matching ignores case, accents and full-width forms; every
+ * word of the query has to appear in the same field.
+ */
+import { LOCALES, countryName } from '../i18n.js';
+
+/** Date ranges offered next to the search box, in days ending at the displayed date */
+export const SEARCH_RANGES = [1, 7, 30];
+
+const FIELD_RANK = { name: 0, alias: 1, code: 2, headline: 3, brief: 4 };
+const COUNTRY_FIELDS = new Set(['name', 'alias', 'code']);
+const MARKS = /[\u0300-\u036f]/g;
+
+// Normalized text plus, for every normalized character, its index in the original
+function normalizeWithMap(text) {
+    let norm = '';
+    const map = [];
+    let i = 0;
+    for (const ch of String(text || '')) {
+        const n = ch.normalize('NFKD').toLowerCase().replace(MARKS, '');
+        norm += n;
+        for (let j = 0; j < n.length; j++) map.push(i);
+        i += ch.length;
+    }
+    return { norm, map };
+}
+
+export const normalize = (text) => normalizeWithMap(text).norm;
+
+const queryWords = (query) => normalize(query).split(/\s+/).filter(Boolean);
+
+/** One ASCII character matches too much; a single kana / kanji is a real query */
+export const isSearchable = (query) => {
+    const q = String(query || '').trim();
+    return q.length >= 2 || /[^ -~]/.test(q);
+};
+
+/**
+ * Searchable fields of one daily file.
+ * @param {string} date - "YYYY-MM-DD" of the file
+ * @param {Object} data - daily file ({ countries: { ISO2: entry } })
+ * @param {Object} aliases - { ISO2: [alias, ...] }
+ * @returns {{ iso2, date, names: { [locale]: string }, field, text, url, norm }[]}
+ */
+export function searchDocs(date, data, aliases = {}) {
+    const docs = [];
+    Object.entries(data?.countries || {}).forEach(([iso2, c]) => {
+        const names = Object.fromEntries(LOCALES.map(code => [code, countryName(c, iso2, code)]));
+        const seen = new Set();
+        const add = (field, text, url = null) => {
+            const value = typeof text === 'string' ? text.trim() : '';
+            if (!value || seen.has(value)) return;
+            seen.add(value);
+            docs.push({ iso2, date, names, field, text: value, url, norm: normalize(value) });
+        };
+
+        Object.values(names).forEach(n => add('name', n));
+        (aliases[iso2] || []).forEach(a => add('alias', a));
+        add('code', iso2);
+        (c.sources || []).forEach(s => add('headline', s?.title, s?.url || null));
+        // Gemini briefs keep the article objects; heuristic ones only URLs
+        (c.brief?.sources || []).forEach(s => typeof s === 'object' && add('headline', s?.title, s?.url || null));
+        [c.brief?.headline, c.brief?.what_happened, c.brief?.watch_48h].forEach(text => add('brief', text));
+    });
+    return docs;
+}
+
+/**
+ * Stored daily files in the `days` days ending at `endDate`, newest first.
+ * @param {string[]} availableDates - available_dates.json
+ */
+export function datesInRange(availableDates, endDate, days) {
+    if (!endDate) return [];
+    const start = new Date(`${endDate}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    const startKey = start.toISOString().split('T')[0];
+    return (availableDates || []).filter(d => d >= startKey && d <= endDate).sort().reverse();
+}
+
+/**
+ * Matches for `query`, best first: one row per country for name / alias / code
+ * matches (newest date), then headline and briefing matches, newest first.
+ * @returns {{ kind: 'country'|'text', iso2, date, names, field, text, url }[]}
+ */
+export function runSearch(docs, query, { limit = 20 } = {}) {
+    const words = queryWords(query);
+    if (words.length === 0) return [];
+    const full = words.join(' ');
+
+    const countries = new Map();
+    const texts = new Map();
+    for (const doc of docs) {
+        if (!words.every(w => doc.norm.includes(w))) continue;
+        if (COUNTRY_FIELDS.has(doc.field)) {
+            const score = (doc.norm === full ? 0 : doc.norm.startsWith(full) ? 10 : 20) + FIELD_RANK[doc.field];
+            const prev = countries.get(doc.iso2);
+            if (!prev || score < prev.score || (score === prev.score && doc.date > prev.date)) countries.set(doc.iso2, { doc, score });
+        } else {
+            const key = `${doc.iso2}|${doc.text}`;
+            const prev = texts.get(key);
+            if (!prev || doc.date > prev.date) texts.set(key, doc);
+        }
+    }
+
+    const countryRows = [...countries.values()]
+        .sort((a, b) => a.score - b.score || a.doc.names.en.localeCompare(b.doc.names.en))
+        .map(({ doc }) => ({ kind: 'country', ...doc }));
+    const textRows = [...texts.values()]
+        .sort((a, b) => b.date.localeCompare(a.date) || FIELD_RANK[a.field] - FIELD_RANK[b.field] || a.iso2.localeCompare(b.iso2))
+        .map(doc => ({ kind: 'text', ...doc }));
+    return [...countryRows, ...textRows].slice(0, limit);
+}
+
+/**
+ * The text around the first query word, split for highlighting.
+ * @returns {{ before: string, match: string, after: string }}
+ */
+export function snippet(text, query, radius = 40) {
+    const value = String(text || '');
+    const words = queryWords(query);
+    const { norm, map } = normalizeWithMap(value);
+    const pos = words.length > 0 ? norm.indexOf(words[0]) : -1;
+    if (pos < 0) return { before: '', match: '', after: value.length > radius * 2 ? `${value.slice(0, radius * 2)}…` : value };
+
+    const start = map[pos];
+    const last = map[pos + words[0].length - 1];
+    const end = last + (value.codePointAt(last) > 0xffff ? 2 : 1);
+    const from = Math.max(0, start - radius);
+    const to = Math.min(value.length, end + radius);
+    return {
+        before: `${from > 0 ? '…' : ''}${value.slice(from, start)}`,
+        match: value.slice(start, end),
+        after: `${value.slice(end, to)}${to < value.length ? '…' : ''}`
+    };
+}
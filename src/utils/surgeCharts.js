@@ -0,0 +1,114 @@
+/**
+ * surgeCharts.js
+ * Series for the CountryModal time-series charts: daily R1-R4 counts against
+ * their baseline medians (v4_history_30d.json) and weekly ratio7 (weekly
+ * country cache), with the SurgeR threshold bands and gate state per point.
+ */
+
+import { getIsoWeek } from './dateUtils.js';
+import { smoothedRatio } from '../../scripts/surge_r.mjs';
+
+export { smoothedRatio };
+
+export const R_TYPES = ['R1', 'R2', 'R3', 'R4'];
+export const DEFAULT_THRESHOLDS = { yellow: 1.75, orange: 2.75, red: 3.75 };
+export const DEFAULT_SMOOTHING_K = 5;
+
+/** Count field per R-type in the scorer history (v4_history_30d.json: { date: { ISO2: counts } }) */
+export const HISTORY_COUNT_KEYS = { R1: 'r1_security', R2: 'r2_living_count', R3: 'r3_governance', R4: 'r4_fiscal_count' };
+
+const levelFor = (ratio, th) => (ratio >= th.red ? 'red' : ratio >= th.orange ? 'orange' : ratio >= th.yellow ? 'yellow' : 'none');
+
+/**
+ * Display level and gate reason of one daily surge_r_by_type entry.
+ * Active types are colored by ratio; gated ones carry the reason the engine
+ * recorded (scripts/surge_r.mjs), empty for files written before it was stored.
+ * @returns {{ level: 'red'|'orange'|'yellow'|'none'|'gated', reason: string }}
+ */
+export function dailyGateState(data, thresholds = DEFAULT_THRESHOLDS) {
+    const ratio = Number(data?.ratio || 0);
+    if (data?.is_active) return { level: levelFor(ratio, thresholds), reason: data.reason || 'active' };
+    return { level: 'gated', reason: data?.reason || '' };
+}
+
+/** Weekly entries carry their reason; only ratios at yellow or above count as gated (as in the 4-week grid) */
+function weeklyGateState(sr, thresholds) {
+    const ratio = sr.ratio7 || 0;
+    if (sr.is_active) return { level: levelFor(ratio, thresholds), reason: sr.reason || 'active' };
+    return { level: ratio >= thresholds.yellow ? 'gated' : 'none', reason: sr.reason || '' };
+}
+
+/** Daily count at which smoothedRatio() reaches `ratio` */
+export const countAtRatio = (ratio, baselineMedian, k = DEFAULT_SMOOTHING_K) => Math.max(0, ratio * (Math.max(1, baselineMedian || 0) + k) - k);
+
+/**
+ * Last `days` daily counts of one R-type, up to `date`, against today's baseline median.
+ * Only the day of the daily file has a stored gate state; other days carry gate: null.
+ * @param {Object|null} history30d - v4_history_30d.json
+ * @param {Object} country - daily country entry (surge_r_by_type, surge_r.thresholds)
+ * @param {string|null} date - "YYYY-MM-DD" of the daily file
+ * @returns {{ baseline: number|null, k: number, thresholds: Object, points: Object[], bands: Object }}
+ */
+export function dailySeries(history30d, iso2, country, rType, date = null, days = 30) {
+    const entry = country?.surge_r_by_type?.[rType] || null;
+    const baseline = entry?.baseline_median ?? null;
+    const k = entry?.smoothing_k ?? DEFAULT_SMOOTHING_K;
+    const thresholds = country?.surge_r?.thresholds || DEFAULT_THRESHOLDS;
+    const field = HISTORY_COUNT_KEYS[rType];
+
+    const points = Object.keys(history30d || {})
+        .filter(d => !date || d <= date)
+        .sort()
+        .slice(-days)
+        .map(d => {
+            const raw = history30d[d]?.[iso2]?.[field];
+            const count = typeof raw === 'number' ? raw : null;
+            return {
+                key: d,
+                value: count,
+                ratio: count !== null && baseline !== null ? smoothedRatio(count, baseline, k) : null,
+                gate: d === date && entry ? dailyGateState(entry, thresholds) : null
+            };
+        });
+
+    const bands = baseline === null ? null : {
+        yellow: countAtRatio(thresholds.yellow, baseline, k),
+        orange: countAtRatio(thresholds.orange, baseline, k),
+        red: countAtRatio(thresholds.red, baseline, k)
+    };
+    return { baseline, k, thresholds, points, bands };
+}
+
+/**
+ * Weekly ratio7 of one R-type over the last `weeks` weeks up to the week of `date`
+ * ("YYYY-MM-DD", or a week key for weekly timeline frames).
+ * @param {Object[]} history - weekly country cache `history`
+ */
+export function weeklySeries(history, rType, date = null, weeks = 52) {
+    const endWeek = !date ? null : date.includes('-W') ? date : getIsoWeek(`${date}T00:00:00`);
+    const rows = [...(history || [])]
+        .filter(h => !endWeek || h.week <= endWeek)
+        .sort((a, b) => a.week.localeCompare(b.week))
+        .slice(-weeks);
+    const thresholds = rows.find(h => h.weekly_surge_r?.thresholds)?.weekly_surge_r.thresholds || DEFAULT_THRESHOLDS;
+
+    const points = rows.map(h => {
+        const sr = h.weekly_surge_r_by_type?.[rType];
+        const ratio = typeof sr?.ratio7 === 'number' ? sr.ratio7 : null;
+        return {
+            key: h.week,
+            value: ratio,
+            ratio,
+            today7: sr?.today7 ?? null,
+            baseline7: sr?.baseline7 ?? null,
+            gate: sr ? weeklyGateState(sr, thresholds) : null
+        };
+    });
+    return { thresholds, points, bands: { ...thresholds } };
+}
+
+/** Top of the y axis: the largest value or the red band plus headroom, whichever is higher */
+export function chartMax(points, bands) {
+    const values = points.map(p => p.value).filter(v => typeof v === 'number');
+    return Math.max(1, ...values, bands ? bands.red * 1.15 : 0);
+}
@@ -0,0 +1,89 @@
+/**
+ * timeline.js
+ * Frame loading for the map timeline scrubber (TimelineScrubber.jsx).
+ *
+ * Daily frames are the dated files (./data/YYYY-MM-DD.json); weekly frames are
+ * the Tier A weekly summaries (./data/weekly/YYYY-Www.json) reshaped so that
+ * MapView / GlobalPanel can draw them like a daily file.
+ */
+
+export const DAILY_RANGES = [14, 30, 90];
+export const WEEKLY_RANGES = [12, 26, 52];
+
+const capitalize = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1).toLowerCase() : s);
+
+/**
+ * Caches loaded frames by key. Concurrent get() calls for one key share a
+ * request; the oldest entries are dropped past maxEntries.
+ * @param {(key: string) => Promise<object>} load
+ */
+export function createFrameCache(load, { maxEntries = 120 } = {}) {
+    const entries = new Map(); // key -> Promise (insertion order = age)
+
+    const get = (key) => {
+        if (entries.has(key)) {
+            const hit = entries.get(key);
+            entries.delete(key);
+            entries.set(key, hit);
+            return hit;
+        }
+        const pending = Promise.resolve().then(() => load(key)).catch(err => {
+            entries.delete(key); // let a later get() retry
+            throw err;
+        });
+        entries.set(key, pending);
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        return pending;
+    };
+
+    /** Loads keys in order, `concurrency` at a time. Failed keys are skipped. */
+    const preload = async (keys, { concurrency = 4 } = {}) => {
+        const queue = [...keys];
+        const worker = async () => {
+            while (queue.length > 0) {
+                await get(queue.shift()).catch(() => null);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    };
+
+    return { get, preload, has: (key) => entries.has(key), size: () => entries.size };
+}
+
+/**
+ * Frame keys for the last `count` steps ending at `endKey`, oldest first.
+ * @param {string[]} keys - available dates or weeks, any order
+ */
+export function timelineKeys(keys, endKey, count) {
+    const sorted = [...keys].sort();
+    let end = endKey ? sorted.lastIndexOf(endKey) : sorted.length - 1;
+    if (end < 0) end = sorted.filter(k => k <= endKey).length - 1;
+    if (end < 0) return [];
+    return sorted.slice(Math.max(0, end - count + 1), end + 1);
+}
+
+/**
+ * Weekly summary -> daily-shaped frame. SurgeR fields come from weekly_surge_r,
+ * the RAW view falls back to the same level, and r_scores carry the weekly
+ * ratios so the SURGING rank can be computed as for a day.
+ */
+export function adaptWeeklyFrame(weekly) {
+    const countries = {};
+    for (const [iso2, c] of Object.entries(weekly?.countries || {})) {
+        const sr = c.weekly_surge_r || {};
+        const level = (sr.level || 'green').toLowerCase();
+        countries[iso2] = {
+            name_en: c.name_en || iso2,
+            alert_level: level,
+            composite_score: sr.max_ratio_active || 0,
+            r_scores: c.ratios || {},
+            surge_r: {
+                level: capitalize(level),
+                max_ratio_active: sr.max_ratio_active || 0,
+                active_types: sr.active_types || []
+            },
+            gdelt: { event_count: c.event_count || 0 }
+        };
+    }
+    return { date: weekly?.week, week: weekly?.week, countries };
+}
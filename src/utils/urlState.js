@@ -0,0 +1,100 @@
+/**
+ * urlState.js
+ * Dashboard view <-> URL query (HashRouter: #/?date=2026-01-10&view=surge_r&country=VE&map=8.0,-66.0,4).
+ *
+ *   date     YYYY-MM-DD daily file (absent = latest)
+ *   view     surge_r | raw | surge | index
+ *   country  ISO2 of the pinned country
+ *   signal   AIR signal as type:index (gt:0, pm:3, xt:1), index into the day's list
+ *   map      lat,lng,zoom viewport
+ */
+
+export const VIEW_MODES = ['surge_r', 'raw', 'surge', 'index'];
+export const SIGNAL_TYPES = ['gt', 'pm', 'xt'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO2_RE = /^[A-Z]{2}$/;
+
+/**
+ * Rounds a viewport so that small map jitter does not rewrite the URL.
+ * @param {{lat: number, lng: number, zoom: number}} viewport
+ */
+export function roundViewport(viewport) {
+    if (!viewport) return null;
+    return {
+        lat: parseFloat(viewport.lat.toFixed(2)),
+        lng: parseFloat(viewport.lng.toFixed(2)),
+        zoom: Math.round(viewport.zoom)
+    };
+}
+
+export function sameViewport(a, b) {
+    if (!a || !b) return a === b;
+    const ra = roundViewport(a);
+    const rb = roundViewport(b);
+    return ra.lat === rb.lat && ra.lng === rb.lng && ra.zoom === rb.zoom;
+}
+
+/**
+ * Reads the dashboard state from URL search params. Invalid values are dropped.
+ * @param {URLSearchParams} params
+ * @returns {{date: string|null, view: string|null, country: string|null, signal: {type: string, index: number}|null, map: object|null}}
+ */
+export function parseDashboardParams(params) {
+    const date = params.get('date');
+    const view = params.get('view');
+    const country = (params.get('country') || '').toUpperCase();
+
+    let signal = null;
+    const [type, index] = (params.get('signal') || '').split(':');
+    if (SIGNAL_TYPES.includes(type) && /^\d+$/.test(index || '')) {
+        signal = { type, index: parseInt(index, 10) };
+    }
+
+    let map = null;
+    const parts = (params.get('map') || '').split(',').map(Number);
+    if (parts.length === 3 && parts.every(Number.isFinite) && Math.abs(parts[0]) <= 90 && Math.abs(parts[1]) <= 180) {
+        map = { lat: parts[0], lng: parts[1], zoom: parts[2] };
+    }
+
+    return {
+        date: DATE_RE.test(date || '') ? date : null,
+        view: VIEW_MODES.includes(view) ? view : null,
+        country: ISO2_RE.test(country) ? country : null,
+        signal,
+        map
+    };
+}
+
+/**
+ * Builds URL search params from dashboard state, in a fixed key order.
+ * Null / missing values are left out.
+ * @returns {URLSearchParams}
+ */
+export function buildDashboardParams({ date, view, country, signal, map } = {}) {
+    const params = new URLSearchParams();
+    if (date) params.set('date', date);
+    if (view) params.set('view', view);
+    if (country) params.set('country', country);
+    if (signal) params.set('signal', `${signal.type}:${signal.index}`);
+    if (map) {
+        const v = roundViewport(map);
+        params.set('map', `${v.lat},${v.lng},${v.zoom}`);
+    }
+    return params;
+}
+
+/**
+ * Looks up a signal reference in the day's data (same lists as GlobalPanel).
+ * @returns {object|null} { type, index, ...item } as passed to onSignalSelect
+ */
+export function resolveSignal(riskData, ref) {
+    if (!ref || !riskData) return null;
+    const lists = {
+        gt: riskData.google_trends || [],
+        pm: riskData.polymarket || [],
+        xt: riskData.air?.sns_top10 || []
+    };
+    const item = lists[ref.type]?.[ref.index];
+    return item ? { type: ref.type, index: ref.index, ...item } : null;
+}
@@ -0,0 +1,183 @@
+/**
+ * watchlists.js
+ * Named country watchlists kept in localStorage, plus the level comparisons
+ * for the watchlist strip (current level, 7-day change, change since the
+ * dashboard was last opened). Storage is passed in so this runs under node too.
+ */
+
+export const WATCHLISTS_KEY = 'rw_watchlists';
+export const SEEN_KEY = 'rw_watch_seen';
+export const EXPORT_VERSION = 1;
+
+const LEVEL_RANK = { green: 0, yellow: 1, orange: 2, red: 3 };
+const ISO2 = /^[A-Z]{2}$/;
+
+const emptyState = () => ({ lists: {}, active: null, filter: false });
+
+const cleanCodes = (codes) => [...new Set((Array.isArray(codes) ? codes : [])
+    .map(c => String(c).trim().toUpperCase())
+    .filter(c => ISO2.test(c)))];
+
+/**
+ * Coerces stored / imported data into { lists: { name: [ISO2] }, active, filter }.
+ * Unknown fields and invalid codes are dropped.
+ */
+export function normalizeWatchlists(raw) {
+    const state = emptyState();
+    for (const [name, codes] of Object.entries(raw?.lists || {})) {
+        const key = String(name).trim();
+        if (key) state.lists[key] = cleanCodes(codes);
+    }
+    state.active = raw?.active && state.lists[raw.active] ? raw.active : null;
+    state.filter = !!raw?.filter && state.active !== null;
+    return state;
+}
+
+const readJson = (storage, key) => {
+    try {
+        return JSON.parse(storage?.getItem(key) || 'null');
+    } catch {
+        return null;
+    }
+};
+
+export const loadWatchlists = (storage) => normalizeWatchlists(readJson(storage, WATCHLISTS_KEY));
+
+export function saveWatchlists(storage, state) {
+    storage?.setItem(WATCHLISTS_KEY, JSON.stringify(state));
+}
+
+/** Codes of the active list, or null when no list is active */
+export const activeCodes = (state) => (state.active ? state.lists[state.active] || [] : null);
+
+// ============ EDITING ============
+export function addList(state, name) {
+    const key = name.trim();
+    if (!key || state.lists[key]) return state;
+    return { ...state, lists: { ...state.lists, [key]: [] }, active: key };
+}
+
+export function removeList(state, name) {
+    const { [name]: _removed, ...lists } = state.lists;
+    const active = state.active === name ? null : state.active;
+    return { ...state, lists, active, filter: active ? state.filter : false };
+}
+
+export function toggleCountry(state, name, iso2) {
+    const codes = state.lists[name];
+    if (!codes) return state;
+    const next = codes.includes(iso2) ? codes.filter(c => c !== iso2) : [...codes, iso2];
+    return { ...state, lists: { ...state.lists, [name]: next } };
+}
+
+// ============ IMPORT / EXPORT ============
+export function exportWatchlists(state) {
+    return JSON.stringify({ version: EXPORT_VERSION, lists: state.lists }, null, 2);
+}
+
+/**
+ * Merges an exported file into the current lists; lists with the same name are replaced.
+ * error is a code for the UI to translate (t.watchlist.importErrors).
+ * @returns {{ state: Object, imported: string[], error: 'not_json'|'bad_shape'|'empty'|null }}
+ */
+export function importWatchlists(state, text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { state, imported: [], error: 'not_json' };
+    }
+    if (!parsed || typeof parsed.lists !== 'object' || Array.isArray(parsed.lists)) {
+        return { state, imported: [], error: 'bad_shape' };
+    }
+    const incoming = normalizeWatchlists({ lists: parsed.lists }).lists;
+    const imported = Object.keys(incoming);
+    if (imported.length === 0) return { state, imported, error: 'empty' };
+    return {
+        state: { ...state, lists: { ...state.lists, ...incoming }, active: state.active || imported[0] },
+        imported,
+        error: null
+    };
+}
+
+// ============ LEVELS ============
+/**
+ * The level a country shows in a view mode (as on the map).
+ * TRENDING has no level of its own; its rank bands are used instead.
+ * @returns {'green'|'yellow'|'orange'|'red'|null} null when the country has no entry
+ */
+export function levelOf(country, viewMode) {
+    if (!country) return null;
+    if (viewMode === 'surge') {
+        const rank = country.surge?.rank;
+        if (!rank || rank > 40) return 'green';
+        return rank <= 10 ? 'red' : rank <= 20 ? 'orange' : 'yellow';
+    }
+    const level = viewMode === 'surge_r' ? country.surge_r?.level
+        : viewMode === 'index' ? country.index?.level
+            : country.alert_level;
+    const key = (level || 'green').toLowerCase();
+    return key in LEVEL_RANK ? key : 'green';
+}
+
+/** +n = escalated n steps, -n = de-escalated, 0 = same, null = unknown */
+export function levelDelta(current, previous) {
+    if (!(current in LEVEL_RANK) || !(previous in LEVEL_RANK)) return null;
+    return LEVEL_RANK[current] - LEVEL_RANK[previous];
+}
+
+/**
+ * Rows for the watchlist strip.
+ * @param {string[]} codes
+ * @param {Object} today - daily output (enriched)
+ * @param {Object|null} weekAgo - daily output from ~7 days earlier
+ * @param {Object|null} seen - snapshot from the previous visit (see buildSeenSnapshot)
+ */
+export function buildStripRows(codes, today, weekAgo, seen, viewMode) {
+    return codes.map(iso2 => {
+        const country = today?.countries?.[iso2];
+        const level = levelOf(country, viewMode);
+        const prevLevel = levelOf(weekAgo?.countries?.[iso2], viewMode);
+        const seenLevel = seen?.levels?.[viewMode]?.[iso2] ?? null;
+        return {
+            iso2,
+            name: country?.name_en || iso2,
+            level,
+            weekDelta: levelDelta(level, prevLevel),
+            changedSinceSeen: seenLevel !== null && level !== null && seenLevel !== level,
+            seenLevel
+        };
+    });
+}
+
+/** Levels of the watched countries in every view mode, stored as the "last opened" state */
+export function buildSeenSnapshot(codes, today, date) {
+    const levels = {};
+    for (const mode of ['surge_r', 'raw', 'surge', 'index']) {
+        levels[mode] = {};
+        codes.forEach(iso2 => {
+            const level = levelOf(today?.countries?.[iso2], mode);
+            if (level) levels[mode][iso2] = level;
+        });
+    }
+    return { date, levels };
+}
+
+export const loadSeen = (storage) => readJson(storage, SEEN_KEY);
+
+export function saveSeen(storage, snapshot) {
+    storage?.setItem(SEEN_KEY, JSON.stringify(snapshot));
+}
+
+/**
+ * Available date closest to (at or before) `days` days before `date`.
+ * @param {string[]} availableDates - "YYYY-MM-DD", any order
+ */
+export function dateDaysBefore(availableDates, date, days = 7) {
+    if (!date) return null;
+    const target = new Date(`${date}T00:00:00Z`);
+    target.setUTCDate(target.getUTCDate() - days);
+    const key = target.toISOString().split('T')[0];
+    const candidates = availableDates.filter(d => d <= key).sort();
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
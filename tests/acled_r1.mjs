@@ -0,0 +1,103 @@
+/**
+ * acled_r1.mjs - ACLED CSV import and the second R1 source in scoreCountry
+ *
+ * tests/fixtures/acled_sample.csv covers 2025-12-01..2026-01-10:
+ *   SD (iso 729)  2 Battles/day, 15/day on Jan 9-10, 3 fatalities each on spike days
+ *   UA (iso 804)  8 shelling events/day + 1 protest/day (filtered out)
+ *   MM            one event with a blank iso column (iso3 fallback)
+ *   ZZZ / 999     one unmappable row
+ * The first SD row of each day uses the "01 December 2025" date format.
+ *
+ * Usage: node tests/acled_r1.mjs
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseCsv, acledIsoToIso2, normalizeAcledDate, isoWeekKey,
+    loadAcledEvents, aggregateAcledDaily, aggregateAcledWeekly, computeAcledR1
+} from '../scripts/sources/acled.mjs';
+import { scoreCountry } from '../scripts/scoring.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, 'fixtures/acled_sample.csv');
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== PARSING ===');
+const parsed = parseCsv('\uFEFFEvent_Date,notes\r\n2026-01-10,"a, ""b"""\r\n\r\n');
+check('CSV header lower-cased, BOM stripped, quotes unescaped',
+    parsed.length === 1 && parsed[0].event_date === '2026-01-10' && parsed[0].notes === 'a, "b"');
+check('Numeric ISO -> alpha-2', acledIsoToIso2('729') === 'SD' && acledIsoToIso2('004') === 'AF');
+check('Alpha-2 passes through, iso3 fallback', acledIsoToIso2('ua') === 'UA' && acledIsoToIso2('', 'MMR') === 'MM');
+check('Unknown code -> null', acledIsoToIso2('999', 'ZZZ') === null);
+check('Date formats', normalizeAcledDate('10 January 2026') === '2026-01-10' &&
+    normalizeAcledDate('2026/01/10') === '2026-01-10' && normalizeAcledDate('n/a') === null);
+check('ISO week keys', isoWeekKey('2026-01-01') === '2026-W01' && isoWeekKey('2025-12-29') === '2026-W01' &&
+    isoWeekKey('2025-12-28') === '2025-W52');
+
+console.log('\n=== LOAD + AGGREGATE ===');
+const { events, stats } = loadAcledEvents(FIXTURE);
+check('Row stats', stats.rows === 479 && stats.kept === 437 && stats.other_types === 41 &&
+    stats.unmapped_iso === 1 && stats.bad_date === 0, JSON.stringify(stats));
+check('Coverage', stats.min_date === '2025-12-01' && stats.max_date === '2026-01-10');
+
+const daily = aggregateAcledDaily(events);
+check('Daily counts', daily['2026-01-10'].SD.events === 15 && daily['2026-01-10'].SD.fatalities === 45 &&
+    daily['2025-12-01'].SD.events === 2 && daily['2026-01-10'].UA.events === 8 && daily['2026-01-10'].MM.events === 1);
+
+const weekly = aggregateAcledWeekly(events);
+check('Weekly counts', weekly['2026-W02'].SD.events === 38 && weekly['2025-W49'].UA.events === 56,
+    `(SD W02 ${weekly['2026-W02']?.SD?.events}, UA W49 ${weekly['2025-W49']?.UA?.events})`);
+
+console.log('\n=== R1 WINDOW + BASELINE ===');
+const r1 = computeAcledR1(daily, '2026-01-10', { window_days: 2, baseline_days: 365, coverageStart: stats.min_date });
+check('SD spike', r1.SD.today === 30 && r1.SD.fatalities === 90 && r1.SD.baseline_median === 4,
+    JSON.stringify(r1.SD));
+check('Baseline clipped to coverage (38 windows)', r1.SD.baseline_days === 38);
+check('UA steady', r1.UA.today === 16 && r1.UA.baseline_median === 16);
+check('MM quiet baseline', r1.MM.today === 1 && r1.MM.baseline_median === 0);
+
+const short = computeAcledR1(daily, '2026-01-10', { window_days: 2, baseline_days: 7, coverageStart: stats.min_date });
+check('baseline_days limits the lookback', short.SD.baseline_days === 7 && short.SD.baseline_median === 4);
+
+console.log('\n=== SCORING ===');
+// Enough volume to clear the event floor; GDELT R1 quiet (1%) unless noted
+const base = { code: 'XX', event_count: 1000, avg_tone: -1, r1_security: 10, r2_living_count: 0, r3_governance: 0, r4_fiscal_count: 0, domestic_ratio: 1.0 };
+
+const noAcled = scoreCountry(base);
+check('No ACLED input -> no ACLED fields', !('r1_source' in noAcled) && !('r1_acled_data' in noAcled));
+
+// The fixture's SD baseline (4/window) sits under min_median_floor (5); 8 clears it: 30 / 8 = 3.75x
+const sdSpike = { ...r1.SD, baseline_median: 8 };
+const sd = scoreCountry({ ...base, acled_r1: sdSpike });
+check('ACLED alone bundles R1', sd.r1_source === 'acled' && sd.signals.some(s => s.type === 'R1' && s.source === 'acled'),
+    `(source ${sd.r1_source})`);
+check('ACLED jump recorded', sd.r1_acled_data.hit && sd.r1_acled_data.jump === 3.75 && sd.r1_acled_data.skipped === null);
+
+const lowMedian = scoreCountry({ ...base, acled_r1: r1.SD });
+check('Low ACLED median skips the check without a hit', !lowMedian.r1_acled_data.hit && lowMedian.r1_acled_data.skipped === 'low_median' &&
+    lowMedian.r1_source === null && !lowMedian.signals.some(s => s.type === 'R1'), JSON.stringify(lowMedian.r1_acled_data));
+const lowMedianGdelt = scoreCountry({ ...base, r1_security: 100, acled_r1: r1.SD });
+check('Low ACLED median leaves a GDELT hit as gdelt', lowMedianGdelt.r1_source === 'gdelt');
+
+const both = scoreCountry({ ...base, r1_security: 100, acled_r1: sdSpike });
+check('GDELT ratio hit + ACLED -> both', both.r1_source === 'both');
+
+const ua = scoreCountry({ ...base, acled_r1: r1.UA });
+check('Steady ACLED count is gated', ua.r1_source === null && ua.r1_acled_data.skipped === 'gate_suppressed' &&
+    !ua.signals.some(s => s.type === 'R1'));
+
+const ext = scoreCountry({ ...base, r1_security: 100, domestic_ratio: 0.1, acled_r1: sdSpike });
+check('External pressure suppresses GDELT only', ext.r1_source === 'acled');
+
+const mm = scoreCountry({ ...base, acled_r1: r1.MM });
+check('Below absolute threshold', mm.r1_acled_data.skipped === 'below_abs' && mm.r1_source === null);
+
+console.log(`\n${failures === 0 ? '✅ All ACLED checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,138 @@
+/**
+ * briefing_templates.mjs - Rule-based daily briefings (scripts/briefing_templates.mjs)
+ *
+ *   1. Catalog: every locale has every template key and placeholder
+ *   2. Ops: level counts, escalations vs yesterday, lit bundles with multipliers,
+ *      AIR corroboration, regional clusters, disclaimer last
+ *   3. Trending: one paragraph per region, real headlines with their outlet
+ *   4. Output is deterministic and passes the briefing fact checks
+ *   5. BRIEFING_ENGINE selection
+ *
+ * Usage: node tests/briefing_templates.mjs
+ */
+
+import { TEMPLATES, BRIEFING_LANGS, buildTemplateBriefing, watchHint, briefingEngine } from '../scripts/briefing_templates.mjs';
+import { createCountryMatcher, checkBriefing } from '../scripts/briefing_checks.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const country = (iso2, name, level, surgeLevel, bundles, extra = {}) => ({
+    name_en: name,
+    name_ja: extra.name_ja || name,
+    name_es: extra.name_es || name,
+    alert_level: level,
+    surge_r: { level: surgeLevel, active_types: Object.keys(bundles), max_ratio_active: Math.max(0, ...Object.values(bundles).map(b => b.ratio)) },
+    surge_r_by_type: bundles,
+    sources: extra.sources || []
+});
+
+const countries = {
+    SD: country('SD', 'Sudan', 'red', 'Orange', { R1: { ratio: 3.42, today: 120, baseline_median: 31 }, R3: { ratio: 1.9, today: 40, baseline_median: 19 } }, {
+        name_ja: 'スーダン', name_es: 'Sudán',
+        sources: [{ title: 'Fighting spreads to El Fasher - Reuters', sourceorg: 'Reuters' }]
+    }),
+    ET: country('ET', 'Ethiopia', 'orange', 'Yellow', { R1: { ratio: 2.1, today: 60, baseline_median: 25 } }, {
+        sources: [{ title: '(example.com) Coverage related to R1/R1', sourceorg: 'example.com' }]
+    }),
+    IR: country('IR', 'Iran', 'yellow', 'Yellow', { R4: { ratio: 1.8, today: 30, baseline_median: 14 } }),
+    FR: country('FR', 'France', 'green', 'Green', {})
+};
+const regions = { SD: 'AFRICA', ET: 'AFRICA', IR: 'MENA', FR: 'EUROPE' };
+
+const ctx = (candidates, extra = {}) => ({
+    date: '2026-01-10',
+    candidates: candidates.map(iso2 => ({ iso2 })),
+    countries,
+    transitions: {
+        compared_to: '2026-01-09',
+        escalations: 2,
+        de_escalations: 1,
+        items: [
+            { iso2: 'ET', metric: 'alert_level', from: 'yellow', to: 'orange', direction: 'escalation', bundles: ['R1'] },
+            { iso2: 'SD', metric: 'surge_r', from: 'yellow', to: 'orange', direction: 'escalation', bundles: ['R1', 'R3'] },
+            { iso2: 'FR', metric: 'alert_level', from: 'yellow', to: 'green', direction: 'de-escalation', bundles: [] }
+        ]
+    },
+    aggregates: {
+        regions: {
+            AFRICA: {
+                label: 'Sub-Saharan Africa', lit_countries: 2, with_data: 48,
+                contagion: { dominant_bundle: 'R1', new_lit: ['ET'] },
+                countries: [{ iso2: 'SD', level: 'orange' }, { iso2: 'ET', level: 'yellow' }]
+            },
+            MENA: { label: 'Middle East & North Africa', lit_countries: 1, with_data: 20, contagion: { dominant_bundle: 'R4', new_lit: [] }, countries: [{ iso2: 'IR', level: 'yellow' }] }
+        }
+    },
+    air: { countries: { SD: { political_terms: ['RSF', 'El Fasher'] } } },
+    regionOf: (iso2) => regions[iso2] || 'OTHER',
+    ...extra
+});
+
+console.log('=== CATALOG ===');
+const keys = (lang) => Object.keys(TEMPLATES[lang]).sort().join(',');
+const placeholders = (s) => (typeof s === 'string' ? (s.match(/\{\w+\}/g) || []).sort().join(',') : '');
+for (const lang of BRIEFING_LANGS) {
+    check(`${lang}: same keys as en`, keys(lang) === keys('en'));
+    const mismatched = Object.keys(TEMPLATES.en).filter(k => placeholders(TEMPLATES[lang][k]) !== placeholders(TEMPLATES.en[k]));
+    check(`${lang}: same placeholders as en`, mismatched.length === 0, mismatched.join(', '));
+    for (const group of ['levels', 'bundles', 'regions', 'hints']) {
+        check(`${lang}: ${group} complete`, Object.keys(TEMPLATES[lang][group]).sort().join() === Object.keys(TEMPLATES.en[group]).sort().join());
+    }
+}
+
+console.log('\n=== OPS ===');
+const ops = buildTemplateBriefing('ops', ctx(['SD', 'ET', 'IR']));
+const en = ops.en;
+check('overview counts and names red/orange', en[0] === '2026-01-10: 3 countries at yellow or above (red 1: Sudan, orange 1: Ethiopia, yellow 1). Since 2026-01-09: 2 escalations, 1 de-escalations.', en[0]);
+check('escalations: alert_level first, then surge_r', en[1] === 'Escalated since 2026-01-09: Ethiopia yellow to orange (R1), Sudan yellow to orange (R1/R3).', en[1]);
+check('country line: bundles, multipliers, AIR, watch item', en[2] ===
+    'Sudan (SD) red: R1 security and R3 governance lit. R1 security at 3.4x baseline (120 events vs a median of 31). ' +
+    'R3 governance at 1.9x baseline (40 events vs a median of 19). Social-media trends point the same way (RSF, El Fasher). ' +
+    'Watch 48h: clashes/arrests/protests follow-ups / official moves/policy/legal-corruption updates.', en[2]);
+check('country without AIR terms has none', !en[3].includes('Social-media') && en[3].startsWith('Ethiopia (ET) orange'));
+check('regional cluster with newly lit countries', en[5] === 'Regional clusters: Sub-Saharan Africa 2/48 lit (Sudan and Ethiopia), mostly R1 security, newly lit: Ethiopia.', en[5]);
+check('disclaimer last', en[en.length - 1] === TEMPLATES.en.disclaimerOps);
+check('ja uses localized names and labels', ops.ja[2].startsWith('スーダン(SD) RED: R1治安・R3統治が点灯。'), ops.ja[2]);
+check('es uses localized names and labels', ops.es[2].startsWith('Sudán (SD) rojo: señales activas en R1 seguridad y R3 gobernanza.'), ops.es[2]);
+check('catalog-only locale: runtime country name, catalog wording', ops.fr[2].startsWith('Soudan (SD) rouge : signaux actifs en R1 sécurité et R3 gouvernance.'), ops.fr[2]);
+check('same paragraph count in every language', BRIEFING_LANGS.every(lang => ops[lang].length === en.length));
+check('meta', ops.meta.generator === 'template' && ops.meta.basis === 'ops' && ops.meta.compared_to === '2026-01-09' && ops.meta.candidates_count === 3);
+
+const noPrev = buildTemplateBriefing('ops', ctx(['IR'], { transitions: { compared_to: null, escalations: 0, de_escalations: 0, items: [] } }));
+check('no previous day: no change sentence, no escalations', noPrev.en[0].endsWith('yellow 1).') && noPrev.en[1].startsWith('Iran (IR)'));
+const quiet = buildTemplateBriefing('ops', ctx(['FR'], { countries: { FR: countries.FR }, aggregates: {} }));
+check('nothing lit', quiet.en[0] === '2026-01-10: no country at yellow or above. Since 2026-01-09: 2 escalations, 1 de-escalations.' &&
+    quiet.en[2] === 'France (FR) green: no bundle above its surge threshold. Watch 48h: general stability watch.', JSON.stringify(quiet.en));
+
+console.log('\n=== TRENDING ===');
+const trending = buildTemplateBriefing('trending', ctx(['SD', 'IR', 'ET', 'FR']));
+check('region paragraph with a cited headline', trending.en[0] === 'Sub-Saharan Africa: Sudan, "Fighting spreads to El Fasher" (Reuters); Ethiopia, coverage of R1 security at 2.1x baseline.', trending.en[0]);
+check('generated GDELT titles are not cited as headlines', !trending.en.join(' ').includes('Coverage related to'));
+check('countries with nothing to cite are left out', !trending.en.join(' ').includes('France'));
+check('regions in candidate order', trending.en[1].startsWith('Middle East & North Africa: Iran'));
+check('trending disclaimer last (styled by GlobalPanel)', trending.ja[trending.ja.length - 1].includes('事実認定ではない') && trending.es[trending.es.length - 1].includes('certificación oficial'));
+
+console.log('\n=== SAFETY ===');
+check('deterministic', JSON.stringify(buildTemplateBriefing('ops', ctx(['SD', 'ET', 'IR']))) === JSON.stringify(ops));
+const unfilled = [...BRIEFING_LANGS.flatMap(l => ops[l]), ...BRIEFING_LANGS.flatMap(l => trending[l])].filter(line => /\{\w+\}/.test(line));
+check('no unfilled placeholders', unfilled.length === 0, unfilled.join(' | '));
+const matcher = createCountryMatcher(Object.entries(countries).map(([iso2, c]) => ({ iso2, names: [c.name_en, c.name_ja, c.name_es] })));
+const facts = ['SD', 'ET', 'IR'].map(iso2 => ({ iso2, level: countries[iso2].alert_level, surge_level: countries[iso2].surge_r.level.toLowerCase() }));
+const violations = checkBriefing(ops, facts, matcher);
+check('ops briefing passes the fact checks', violations.length === 0, JSON.stringify(violations));
+check('watchHint: two bundles, ja separator, none', watchHint(['R2', 'R4', 'R1'], 'ja') === '物価/供給/停電・水の続報・為替/金利/CPI/資本規制の続報' && watchHint([], 'es') === TEMPLATES.es.hints.none);
+
+console.log('\n=== ENGINE ===');
+check('template is the default', briefingEngine(undefined) === (process.env.BRIEFING_ENGINE || 'template'));
+check('llm accepted', briefingEngine('llm') === 'llm');
+let threw = false;
+try { briefingEngine('gpt'); } catch { threw = true; }
+check('unknown engine rejected', threw);
+
+console.log(`\n${failures === 0 ? '✅ All briefing template checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -10,26 +10,18 @@
  */
 
 import 'dotenv/config';
-import { BigQuery } from '@google-cloud/bigquery';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { aggregateToIso2, logConversionStats } from '../scripts/fips_to_iso2.js';
+import { fetchSnapshotAggregates } from '../scripts/sources/index.mjs';
 import fs from 'fs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
 
 // Load config
 const configPath = path.resolve(__dirname, '../config/scoring.json');
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
-
 // ============ HELPERS ============
 function percentile(arr, p) {
     if (!arr || arr.length === 0) return 0;
@@ -53,35 +45,7 @@ async function fetchEventsForDate(date) {
     const dateInt = dateToInt(date);
     const nextDateInt = dateToInt(addDays(date, 1));
 
-    const query = `
-        SELECT 
-            ActionGeo_CountryCode AS iso2,
-            COUNT(*) AS event_count,
-            AVG(AvgTone) AS avg_tone,
-            COUNTIF(EventRootCode IN ('18','19','20')) AS r1_security,
-            COUNTIF(EventRootCode = '14') AS r3_governance
-        FROM \`gdelt-bq.gdeltv2.events\`
-        WHERE DATEADDED >= ${dateInt} AND DATEADDED < ${nextDateInt}
-        AND ActionGeo_CountryCode IS NOT NULL
-        GROUP BY iso2
-        HAVING event_count > 5
-        ORDER BY event_count DESC
-    `;
-
-    const [job] = await bigquery.createQueryJob({ query, location: 'US' });
-    const [rows] = await job.getQueryResults();
-
-    const rawData = {};
-    rows.forEach(row => {
-        if (row.iso2 && row.iso2.length === 2) {
-            rawData[row.iso2] = {
-                event_count: row.event_count,
-                avg_tone: row.avg_tone,
-                r1_security: row.r1_security,
-                r3_governance: row.r3_governance
-            };
-        }
-    });
+    const rawData = await fetchSnapshotAggregates({ startInt: dateInt, endInt: nextDateInt - 1 });
 
     const { data, stats } = aggregateToIso2(rawData);
     return { data, stats };
@@ -11,22 +11,14 @@
  */
 
 import 'dotenv/config';
-import { BigQuery } from '@google-cloud/bigquery';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { aggregateToIso2 } from '../scripts/fips_to_iso2.js';
-import { scoreAllCountries, addDailySnapshot, loadHistoricalData } from '../scripts/scoring.mjs';
+import { fetchSnapshotAggregates } from '../scripts/sources/index.mjs';
+import { createScorer } from '../scripts/scoring.mjs';
 import fs from 'fs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const keyPath = path.resolve(__dirname, '../credentials/gcp-service-account.json');
-
-const BQ_PROJECT_ID = process.env.BQ_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'countryrisks-prod';
-
-const bigquery = new BigQuery({
-    projectId: BQ_PROJECT_ID,
-    keyFilename: keyPath
-});
 
 // ============ UTILS ============
 function dateToInt(dateStr) {
@@ -44,35 +36,7 @@ async function fetchEventsForDate(date) {
     const dateInt = dateToInt(date);
     const nextDateInt = dateToInt(addDays(date, 1));
 
-    const query = `
-        SELECT 
-            ActionGeo_CountryCode AS iso2,
-            COUNT(*) AS event_count,
-            AVG(AvgTone) AS avg_tone,
-            COUNTIF(EventRootCode IN ('18','19','20')) AS r1_security,
-            COUNTIF(EventRootCode = '14') AS r3_governance
-        FROM \`gdelt-bq.gdeltv2.events\`
-        WHERE DATEADDED >= ${dateInt} AND DATEADDED < ${nextDateInt}
-        AND ActionGeo_CountryCode IS NOT NULL
-        GROUP BY iso2
-        HAVING event_count > 5
-        ORDER BY event_count DESC
-    `;
-
-    const [job] = await bigquery.createQueryJob({ query, location: 'US' });
-    const [rows] = await job.getQueryResults();
-
-    const rawData = {};
-    rows.forEach(row => {
-        if (row.iso2 && row.iso2.length === 2) {
-            rawData[row.iso2] = {
-                event_count: row.event_count,
-                avg_tone: row.avg_tone,
-                r1_security: row.r1_security,
-                r3_governance: row.r3_governance
-            };
-        }
-    });
+    const rawData = await fetchSnapshotAggregates({ startInt: dateInt, endInt: nextDateInt - 1 });
 
     const { data } = aggregateToIso2(rawData);
     return data;
@@ -95,23 +59,24 @@ async function main() {
         historyDays.push(addDays(historyStart, i));
     }
 
+    const scorer = createScorer();
     for (const date of historyDays) {
         process.stdout.write(`.`);
         const data = await fetchEventsForDate(date);
-        addDailySnapshot(date, data); // Populate scoring engine history
+        scorer.addSnapshot(date, data); // Populate scoring engine history
     }
     console.log(' Done.');
 
     // Fetch Target Date Data (already fetched as last day of history, but let's grab it for scoring input)
-    // Actually addDailySnapshot keeps data in memory, so we can just grab it?
-    // No, scoreAllCountries needs the input map.
+    // Actually addSnapshot keeps data in memory, so we can just grab it?
+    // No, score() needs the input map.
     // fetch again or store it.
     // Let's refetch or cache. Cache is cleaner but lazy refetch is safer.
     const targetData = await fetchEventsForDate(targetDate);
 
     // Run Scoring
     console.log('\nRunning Scoring...');
-    const result = scoreAllCountries(targetData);
+    const result = scorer.score(targetData);
 
     // Output Results
     console.log('\n' + '='.repeat(60));
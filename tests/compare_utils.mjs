@@ -0,0 +1,62 @@
+/**
+ * compare_utils.mjs - Country comparison helpers (src/utils/compareUtils.js)
+ *
+ *   1. Route codes: 2-6 unique ISO2 codes, case-insensitive
+ *   2. Histories with different coverage share one week axis
+ *   3. Today's SurgeR table rows from a daily output
+ *
+ * Usage: node tests/compare_utils.mjs
+ */
+
+import { parseCompareCodes, alignHistories, buildTodayRows } from '../src/utils/compareUtils.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== CODES ===');
+const ok = parseCompareCodes('ve,CO, ve');
+check('Upper-cased and de-duplicated', ok.codes.join() === 'VE,CO' && ok.error === null);
+check('One country is not enough', JSON.stringify(parseCompareCodes('VE')) === '{"codes":["VE"],"error":{"key":"tooFew","params":{"n":2}}}');
+check('More than 6 rejected', parseCompareCodes('AR,BO,BR,CL,CO,EC,PE').error?.key === 'tooMany' && parseCompareCodes('AR,BO,BR,CL,CO,EC,PE').error.params.n === 6);
+check('Bad code reported', JSON.stringify(parseCompareCodes('VE,COL').error) === '{"key":"invalid","params":{"codes":"COL"}}');
+check('Missing param', parseCompareCodes(undefined).codes.length === 0 && parseCompareCodes(undefined).error !== null);
+
+console.log('\n=== WEEK AXIS ===');
+const week = (n) => `2025-W${String(n).padStart(2, '0')}`;
+const hist = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => ({ week: week(from + i), levels: { R1: 'None' } }));
+const histories = { VE: hist(1, 10), CO: hist(4, 12), BR: [] };
+
+const a = alignHistories(histories, '2025-W09', 4);
+check('Last N weeks up to T0', a.weeks.join() === [6, 7, 8, 9].map(week).join() && a.clampedTo === null);
+check('Every country on the same axis', Object.values(a.byIso).every(h => h.map(x => x.week).join() === a.weeks.join()));
+
+const b = alignHistories(histories, '2025-W20', 6);
+check('T0 clamped to the newest week', b.clampedTo === week(12) && b.weeks[b.weeks.length - 1] === week(12));
+check('Weeks a country lacks are placeholders', b.byIso.VE.slice(-2).every(x => x.overall_level === 'NoData' && !x.levels) &&
+    b.byIso.CO.every(x => x.levels) && b.byIso.BR.every(x => x.overall_level === 'NoData'));
+
+const c = alignHistories(histories, '2025-W03', 52);
+check('Weeks before one country starts', c.weeks.join() === [1, 2, 3].map(week).join() && c.byIso.CO.every(x => !x.levels));
+
+console.log('\n=== TODAY TABLE ===');
+const day = {
+    countries: {
+        VE: {
+            name_en: 'Venezuela',
+            surge_r: { level: 'Red', max_ratio_active: 3.265, active_types: ['R1'] },
+            surge_r_by_type: { R1: { today: 524, baseline_median: 157, ratio: 3.265, is_active: true }, R3: { today: 100, baseline_median: 30, ratio: 3, is_active: false } }
+        }
+    }
+};
+const rows = buildTodayRows(day, ['VE', 'CO']);
+check('Row per code, missing flagged', rows.length === 2 && rows[1].missing === true);
+check('Ratios, baselines and active flags', rows[0].types.R1.baseline === 157 && rows[0].types.R1.isActive &&
+    !rows[0].types.R3.isActive && rows[0].types.R2.ratio === null && rows[0].activeTypes.join() === 'R1');
+check('No daily file yet', buildTodayRows(null, ['VE'])[0].missing === true);
+
+console.log(`\n${failures === 0 ? '✅ All compare checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
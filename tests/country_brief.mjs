@@ -0,0 +1,101 @@
+/**
+ * country_brief.mjs - Printable country brief (scripts/country_brief.mjs)
+ *
+ *   1. First Lit follows the Signal View cell rules, oldest week first
+ *   2. The model: levels, R1-R4 vs baseline, summary, sources, weeks up to the date
+ *   3. HTML has the three pages; PDF is written offline from the same files
+ *
+ * Usage: node tests/country_brief.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { firstLit, buildBrief, loadBriefInputs, renderHtml, writeCountryBrief } from '../scripts/country_brief.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const week = (key, r1, r3 = 1) => ({
+    week: key,
+    levels: { R1: 'None', R2: 'None', R3: 'None', R4: 'None' },
+    ratios: { R1: r1, R3: r3 },
+    weekly_surge_r: { level: r1 >= 3.75 ? 'red' : r1 >= 2.75 ? 'orange' : r1 >= 1.75 ? 'yellow' : 'green', thresholds: { yellow: 1.75, orange: 2.75, red: 3.75 } },
+    weekly_surge_r_by_type: {
+        R1: { is_active: r1 >= 1.75, ratio7: r1 },
+        R2: { is_active: false, ratio7: 1 },
+        R3: { is_active: r3 >= 1.75, ratio7: r3 },
+        R4: { is_active: false, ratio7: 1 }
+    }
+});
+
+const history = [
+    week('2025-W50', 1.0),
+    week('2025-W51', 2.0, 3.0),
+    week('2025-W52', 1.2),
+    week('2026-W01', 3.0),
+    week('2026-W02', 4.0),
+    week('2026-W03', 5.0)
+];
+
+console.log('=== FIRST LIT ===');
+const lit = firstLit(history.slice(0, 5));
+check('R1 first Yellow / Orange / Red', lit.R1.yellow === '2025-W51' && lit.R1.orange === '2026-W01' && lit.R1.red === '2026-W02', JSON.stringify(lit.R1));
+check('R3 lit before R1 reached Orange', lit.R3.orange === '2025-W51' && lit.R3.red === null);
+check('Gated bundles never lit', lit.R2.yellow === null && lit.R4.yellow === null);
+check('Bundle row from weekly SurgeR', lit.bundle.yellow === '2025-W51' && lit.bundle.red === '2026-W02');
+
+console.log('\n=== MODEL ===');
+const country = {
+    name_en: 'Venezuela', alert_level: 'orange',
+    surge_r: { level: 'Red', max_ratio_active: 4.2, active_types: ['R1'] },
+    surge_r_by_type: { R1: { today: 42, baseline_median: 10, ratio: 4.2, is_active: true }, R2: { today: 3, baseline_median: 4, ratio: 0.8, is_active: false } },
+    index: { level: 'Yellow', score: 4.04 },
+    sources: [
+        { title: 'Troops deployed <Caracas>', url: 'https://example.org/a', sourceorg: 'example.org' },
+        { title: 'Second', url: 'https://example.org/b', sourceorg: 'example.org' }
+    ],
+    brief: { headline: 'Security surge', what_happened: 'Clashes reported.', watch_48h: 'Border closures', confidence: 'med', sources: ['https://example.org/a', 'https://example.org/c'] }
+};
+const brief = buildBrief({ iso2: 'VE', date: '2026-01-10', country, history });
+check('Levels per view', brief.levels.surge_r === 'red' && brief.levels.index === 'yellow' && brief.levels.raw === 'orange');
+check('R1-R4 vs baseline', brief.ratios.length === 4 && brief.ratios[0].ratio === 4.2 && brief.ratios[0].baseline === 10 && brief.ratios[0].active &&
+    brief.ratios[3].ratio === null && !brief.ratios[3].active);
+check('Weeks after the date left out', brief.grid.length === 5 && brief.grid[4].week === '2026-W02', brief.grid.map(h => h.week).join());
+check('Sources merged without duplicates', brief.sources.map(s => s.url).join() === 'https://example.org/a,https://example.org/b,https://example.org/c');
+check('Summary from the generated brief', brief.summary.headline === 'Security surge' && brief.summary.watch_48h === 'Border closures');
+check('Weeks limit', buildBrief({ iso2: 'VE', date: '2026-01-10', country, history, weeks: 3 }).grid[0].week === '2025-W52');
+
+console.log('\n=== HTML / PDF ===');
+const html = renderHtml(brief);
+check('Three pages', (html.match(/<section class="page">/g) || []).length === 3);
+check('Escaped headline, grid and First Lit', html.includes('Troops deployed &lt;Caracas&gt;') && html.includes('<svg xmlns=') && html.includes('<td>2026-W02</td>'));
+check('No external resources', !/<(script|link|img)\b/.test(html));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brief-'));
+const outDir = path.join(dataDir, 'out');
+fs.mkdirSync(path.join(dataDir, 'weekly/countries'), { recursive: true });
+fs.writeFileSync(path.join(dataDir, '2026-01-10.json'), JSON.stringify({ date: '2026-01-10', countries: { VE: country } }));
+fs.writeFileSync(path.join(dataDir, 'latest_v4.json'), JSON.stringify({ date: '2026-01-17', countries: { VE: country } }));
+fs.writeFileSync(path.join(dataDir, 'weekly/countries/VE.json'), JSON.stringify({ iso2: 'VE', history }));
+
+try {
+    check('Latest when no date', loadBriefInputs({ iso2: 'VE', dataDir }).date === '2026-01-17');
+    let err = null;
+    try { loadBriefInputs({ iso2: 'XX', date: '2026-01-10', dataDir }); } catch (e) { err = e.message; }
+    check('Unknown country rejected', err?.includes('XX is not in 2026-01-10.json'), err);
+
+    const files = await writeCountryBrief({ iso2: 'VE', date: '2026-01-10', format: 'both', dataDir, outDir });
+    const pdf = fs.readFileSync(path.join(outDir, 'VE_2026-01-10.pdf'));
+    check('HTML and PDF written', files.length === 2 && fs.existsSync(path.join(outDir, 'VE_2026-01-10.html')));
+    check('PDF header and three pages', pdf.subarray(0, 5).toString() === '%PDF-' && (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length === 3);
+} finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+console.log(`\n${failures === 0 ? '✅ All country brief checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
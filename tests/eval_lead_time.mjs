@@ -0,0 +1,69 @@
+/**
+ * eval_lead_time.mjs - Ground-truth catalogue and lead-time evaluation (scripts/eval_lead_time.mjs)
+ *
+ * tests/fixtures/lead_time/:
+ *   weekly_5y/NE  R3 lit 2023-W27..W31, R1 lit W30..W32, R2 onset W33 (aftermath)
+ *   weekly_5y/KE  R2 onset W22 (false alarm), R4 Yellow but gated in W35
+ *   weekly_5y/GA  not in the catalogue, R1 lit W25
+ *   events.json   NE coup 2023-07-26 (W30), KE protest 2023-08-28 (W35), LK (no history)
+ *
+ * Usage: node tests/eval_lead_time.mjs
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateGroundTruth, loadGroundTruth, evaluateLeadTime } from '../scripts/eval_lead_time.mjs';
+import { loadWeeklyHistory } from '../scripts/sweep.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, 'fixtures/lead_time');
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== CATALOGUE ===');
+const shipped = loadGroundTruth(path.resolve(__dirname, '../config/ground_truth_events.json'));
+check('Shipped catalogue is valid', shipped.events.length > 0);
+const errors = validateGroundTruth({
+    event_types: { coup: '' },
+    events: [
+        { iso2: 'NER', date: '2023-07-26', type: 'coup' },
+        { iso2: 'NE', date: '26/07/2023', type: 'coup' },
+        { iso2: 'NE', date: '2023-07-26', end: '2023-07-01', type: 'coup' },
+        { iso2: 'NE', date: '2023-07-26', type: 'riot' },
+        { iso2: 'GA', date: '2023-08-30', type: 'coup' },
+        { iso2: 'GA', date: '2023-08-30', type: 'coup' }
+    ]
+});
+check('Bad code, date, end, type and duplicate flagged', errors.length === 5, JSON.stringify(errors));
+
+console.log('\n=== GATED ===');
+const history = loadWeeklyHistory(path.join(FIXTURES, 'weekly_5y'));
+const { events } = loadGroundTruth(path.join(FIXTURES, 'events.json'));
+const gated = evaluateLeadTime(history, events);
+check('Events without history are not evaluable', gated.events_evaluable === 2 &&
+    gated.events.find(e => e.iso2 === 'LK').evaluable === false);
+check('R3 lit 3 weeks ahead of the coup', gated.events[0].lead_weeks.R3 === 3 && gated.bundles.R3.median_lead_weeks === 3);
+check('R1 lit in the event week (lead 0)', gated.events[0].lead_weeks.R1 === 0);
+check('Hit rate counts the missed KE event', gated.bundles.any.hits === 1 && gated.bundles.any.hit_rate === 0.5);
+check('Gated R4 does not count as a hit', gated.bundles.R4.hits === 0);
+check('KE R2 onset is a false alarm, NE aftermath is not', gated.bundles.R2.onsets === 2 && gated.bundles.R2.false_alarms === 1);
+check('Only catalogue countries scored by default', gated.countries_scored === 2 && gated.bundles.R1.false_alarms === 0);
+check('By event type', gated.by_type.coup.hit_rate === 1 && gated.by_type.mass_protest.hit_rate === 0);
+
+console.log('\n=== OPTIONS ===');
+const intensity = evaluateLeadTime(history, events, { mode: 'intensity' });
+check('Intensity mode counts the ungated R4 level', intensity.bundles.R4.hits === 1 && intensity.bundles.any.hit_rate === 1);
+const all = evaluateLeadTime(history, events, { allCountries: true });
+check('--all-countries adds GA as a false alarm', all.countries_scored === 3 && all.bundles.R1.false_alarms === 1);
+const short = evaluateLeadTime(history, events, { lookbackWeeks: 2 });
+check('Shorter lookback caps the lead time', short.events[0].lead_weeks.R3 === 2);
+const noGrace = evaluateLeadTime(history, events, { graceWeeks: 0 });
+check('Without grace the aftermath onset is a false alarm', noGrace.bundles.R2.false_alarms === 2);
+
+console.log(`\n${failures === 0 ? '✅ All lead-time checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
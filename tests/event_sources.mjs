@@ -0,0 +1,142 @@
+/**
+ * event_sources.mjs - Event source adapters against a small GDELT 2.0 export mirror
+ *
+ * tests/fixtures/gdelt_export_2026-01-10 holds three 15-minute export files
+ * (one zipped); expected counts below are worked out by hand from them.
+ *   1. gdelt_csv aggregates match (sports exclusion, minEvents, R1-R4, domestic)
+ *   2. Only files inside the DATEADDED window are read
+ *   3. SNAPSHOT_EVENTS_PROFILE narrows R3 to root code 14 and drops R2/R4
+ *   4. duckdb returns the same aggregates (skipped without @duckdb/node-api)
+ *
+ * Usage: node tests/event_sources.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getEventSource, SNAPSHOT_EVENTS_PROFILE } from '../scripts/sources/index.mjs';
+import { readZipEntries } from '../scripts/sources/gdelt_csv.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.resolve(__dirname, 'fixtures/gdelt_export_2026-01-10');
+
+const DAY_WINDOW = { startInt: 20260110000000, endInt: 20260110235959 };
+
+const EXPECTED_DAY = {
+    IR: {
+        event_count: 14, avg_tone: -66 / 14,
+        r1_security: 7, r2_living_count: 4, r3_governance: 3, r4_fiscal_count: 2,
+        domestic_event_count: 10, denom_actor_geo: 12, domestic_ratio: 1.0
+    },
+    US: {
+        event_count: 11, avg_tone: 2,
+        r1_security: 0, r2_living_count: 0, r3_governance: 0, r4_fiscal_count: 0,
+        domestic_event_count: 11, denom_actor_geo: 11, domestic_ratio: 1.0
+    }
+};
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+function sameSummary(actual, expected) {
+    const codes = Object.keys(expected);
+    if (Object.keys(actual).sort().join(',') !== codes.sort().join(',')) return false;
+    return codes.every(code => Object.entries(expected[code]).every(([k, v]) =>
+        Math.abs(actual[code][k] - v) < 1e-9
+    ));
+}
+
+async function checkSource(source) {
+    console.log(`\n=== ${source.name} ===`);
+
+    const day = await source.fetchCountryAggregates(DAY_WINDOW);
+    check('Day window (defaults: minEvents 10, sports excluded)', sameSummary(day, EXPECTED_DAY),
+        sameSummary(day, EXPECTED_DAY) ? '' : JSON.stringify(day));
+
+    const withSports = await source.fetchCountryAggregates({ ...DAY_WINDOW, excludeSports: false });
+    check('excludeSports=false keeps the espn.com row', withSports.IR?.event_count === 15,
+        `(IR event_count ${withSports.IR?.event_count})`);
+
+    const lowMin = await source.fetchCountryAggregates({ ...DAY_WINDOW, minEvents: 2 });
+    check('minEvents=2 admits VE', lowMin.VE?.event_count === 3, `(VE ${lowMin.VE?.event_count})`);
+
+    const nextDay = await source.fetchCountryAggregates({ startInt: 20260111000000, endInt: 20260111235959, minEvents: 2 });
+    check('Next-day window only sees its own file',
+        Object.keys(nextDay).join(',') === 'IR' && nextDay.IR.event_count === 5 && nextDay.IR.r1_security === 5);
+
+    const sqlDate = await source.fetchCountryAggregates({ ...DAY_WINDOW, sqlDateStart: 20260111, sqlDateEnd: 20260111 });
+    check('SQLDATE bounds filter rows', Object.keys(sqlDate).length === 0);
+
+    const snapshot = await source.fetchCountryAggregates({ ...SNAPSHOT_EVENTS_PROFILE, ...DAY_WINDOW });
+    check('SNAPSHOT_EVENTS_PROFILE counts',
+        snapshot.IR?.event_count === 15 && snapshot.IR.r1_security === 7 && snapshot.IR.r3_governance === 3 &&
+        snapshot.IR.r2_living_count === 0 && snapshot.IR.r4_fiscal_count === 0 && snapshot.VE?.r3_governance === undefined);
+
+    return day;
+}
+
+async function main() {
+    console.log('=== ZIP READER ===');
+    const entries = readZipEntries(fs.readFileSync(path.join(FIXTURE_DIR, '20260110001500.export.CSV.zip')));
+    const lines = entries[0]?.content.toString('utf-8').trim().split('\n') || [];
+    check('Zip holds one export CSV', entries.length === 1 && entries[0].name === '20260110001500.export.CSV');
+    check('Zip entry inflates to 16 rows of 61 columns', lines.length === 16 && lines.every(l => l.split('\t').length === 61));
+
+    const csvDay = await checkSource(getEventSource('gdelt_csv', { dir: FIXTURE_DIR }));
+
+    let duckdbInstalled = true;
+    try {
+        await import('@duckdb/node-api');
+    } catch {
+        duckdbInstalled = false;
+    }
+
+    if (!duckdbInstalled) {
+        console.log('\n=== duckdb ===\n⏭️  @duckdb/node-api not installed, skipping');
+    } else {
+        // Expose the plain CSV files through a view with GDELT column names
+        const { DuckDBInstance } = await import('@duckdb/node-api');
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-sources-'));
+        const dbPath = path.join(tmpDir, 'gdelt.duckdb');
+        const csvDir = path.join(tmpDir, 'csv');
+        fs.mkdirSync(csvDir);
+        for (const file of fs.readdirSync(FIXTURE_DIR)) {
+            if (file.endsWith('.zip')) {
+                for (const e of readZipEntries(fs.readFileSync(path.join(FIXTURE_DIR, file)))) {
+                    fs.writeFileSync(path.join(csvDir, e.name), e.content);
+                }
+            } else {
+                fs.copyFileSync(path.join(FIXTURE_DIR, file), path.join(csvDir, file));
+            }
+        }
+
+        const select = [
+            'CAST(c1 AS INTEGER) AS SQLDATE', 'c26 AS EventCode', 'c28 AS EventRootCode', 'CAST(c34 AS DOUBLE) AS AvgTone',
+            'c37 AS Actor1Geo_CountryCode', 'c45 AS Actor2Geo_CountryCode', 'c53 AS ActionGeo_CountryCode',
+            'CAST(c59 AS BIGINT) AS DATEADDED', 'c60 AS SOURCEURL'
+        ].join(', ');
+        const names = Array.from({ length: 61 }, (_, i) => `'c${i}'`).join(', ');
+        const instance = await DuckDBInstance.create(dbPath);
+        const conn = await instance.connect();
+        await conn.run(`CREATE VIEW events AS SELECT ${select} FROM read_csv('${csvDir}/*.CSV', delim='\t', header=false, column_names=[${names}], all_varchar=true)`);
+        conn.closeSync?.();
+        instance.closeSync?.();
+
+        const duckDay = await checkSource(getEventSource('duckdb', { dbPath }));
+        check('duckdb matches gdelt_csv', JSON.stringify(duckDay) === JSON.stringify(csvDay));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${failures === 0 ? '✅ All event source checks passed' : `❌ ${failures} check(s) failed`}`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
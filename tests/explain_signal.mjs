@@ -0,0 +1,105 @@
+/**
+ * explain_signal.mjs - "Why lit / not lit?" decision trace (src/utils/explainSignal.js)
+ *
+ *   1. Verdict: lit, held back by a gate, or below threshold
+ *   2. Steps carry the numbers behind each gate (misses, events still needed)
+ *   3. External pressure, high volume, ACLED and the RAW jump gate
+ *   4. Every step / verdict has a sentence in each language, with no unfilled placeholders
+ *
+ * Usage: node tests/explain_signal.mjs
+ */
+
+import { explainBundle, fillTemplate } from '../src/utils/explainSignal.js';
+import { translations } from '../src/i18n.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const stepOf = (ex, id) => ex.steps.find(s => s.id === id);
+
+const base = {
+    gdelt: { event_count: 10000 },
+    flags: { external_pressure_noise: true },
+    surge_r: { thresholds: { yellow: 1.75, orange: 2.75, red: 3.75, min_baseline_median_for_surge: 3, smoothing_k: 5, high_volume_floor: 5000 } },
+    v4_scoring: {
+        domestic_ratio: 0.15,
+        effective_thresholds: {
+            R1: { absolute_threshold: 300, ratio_threshold: 0.06, jump_threshold: 1.3, min_median_floor: 50 },
+            R2: { absolute_threshold: 180, ratio_threshold: 0.035 },
+            R3: { absolute_threshold: 150, ratio_threshold: 0.045 }
+        },
+        r1_jump_data: { jump: 1.1, median: 400, skipped: 'gate_suppressed' },
+        r2_jump_data: { jump: 0, median: 0, skipped: null },
+        signals: [{ type: 'R2' }]
+    },
+    surge_r_by_type: {
+        // Lit at orange
+        R2: { today: 700, baseline_median: 200, ratio: 3.431, is_active: true, is_stable_input: true, threshold: 1.75, share: 0.07, abs_hit: true, share_hit: true, triggered: true, high_vol: true, smoothing_k: 5 },
+        // Ratio high, but high volume and share missed
+        R1: { today: 400, baseline_median: 100, ratio: 3.857, is_active: false, is_stable_input: true, threshold: 2.75, share: 0.04, abs_hit: true, share_hit: false, triggered: false, high_vol: true, smoothing_k: 5 },
+        // Quiet and low baseline
+        R3: { today: 3, baseline_median: 1, ratio: 1.333, is_active: false, is_stable_input: false, threshold: 1.75, share: 0.0003, abs_hit: false, share_hit: false, triggered: false, high_vol: true, smoothing_k: 5 }
+    }
+};
+
+console.log('=== VERDICT ===');
+const lit = explainBundle(base, 'R2');
+check('Lit with level', lit.lit && lit.level === 'orange' && lit.verdict.id === 'lit');
+const blocked = explainBundle(base, 'R1');
+check('Held back by the trigger', !blocked.lit && blocked.verdict.id === 'blocked' && blocked.verdict.blockers.join() === 'trigger');
+const quiet = explainBundle(base, 'R3');
+check('Below threshold, gates listed as well', quiet.verdict.id === 'quiet' && quiet.verdict.blockers.join() === 'trigger,stable' && quiet.verdict.params.missBy === 0.42);
+check('No data', explainBundle(base, 'R4').verdict.id === 'nodata' && explainBundle(null, 'R1').steps.length === 0);
+
+console.log('\n=== STEPS ===');
+check('Share miss in events', stepOf(blocked, 'share').status === 'fail' && stepOf(blocked, 'share').params.share === 4 &&
+    stepOf(blocked, 'share').params.shareThreshold === 6 && stepOf(blocked, 'share').params.missing === 200);
+check('Absolute passed', stepOf(blocked, 'abs').status === 'pass');
+check('High volume discounts the absolute gate', stepOf(blocked, 'highvol').status === 'fail' && stepOf(lit, 'highvol').status === 'info');
+const ratioStep = stepOf(quiet, 'ratio');
+check('Ratio miss and events still needed', ratioStep.status === 'fail' && ratioStep.params.needed === 3 && ratioStep.params.level === 'yellow', JSON.stringify(ratioStep.params));
+check('Baseline stability', stepOf(quiet, 'stable').status === 'fail' && stepOf(quiet, 'stable').params.min === 3);
+
+console.log('\n=== CONTEXT ===');
+check('External pressure raises R1/R3 to orange', stepOf(blocked, 'external')?.params.domestic === 15 && stepOf(blocked, 'ratio').params.level === 'orange' && !stepOf(lit, 'external'));
+check('RAW jump gate', stepOf(blocked, 'raw_gate_suppressed')?.status === 'fail' && stepOf(blocked, 'raw_gate_suppressed').params.jumpThreshold === 1.3 &&
+    stepOf(lit, 'raw_fired') && !stepOf(quiet, 'raw_fired'));
+const acled = explainBundle({
+    ...base,
+    surge_r_by_type: {
+        R1: {
+            today: 12, baseline_median: 3, ratio: 2.125, is_active: true, source: 'acled',
+            sources: { gdelt: base.surge_r_by_type.R1, acled: { today: 12, baseline_median: 3, ratio: 2.125, is_active: true, fatalities: 4 } }
+        }
+    }
+}, 'R1');
+check('ACLED source drives R1; GDELT gates still traced', acled.lit && acled.source === 'acled' && stepOf(acled, 'acled').status === 'pass' && stepOf(acled, 'share').status === 'fail');
+
+console.log('\n=== LOCALIZATION ===');
+check('Template filling', fillTemplate('{r} at {ratio}x {unknown}', { r: 'R1', ratio: 2 }) === 'R1 at 2x {unknown}');
+const traces = [lit, blocked, quiet, acled];
+for (const lang of ['en', 'ja', 'es']) {
+    const te = translations[lang].explain;
+    const missing = [];
+    const unfilled = [];
+    for (const ex of traces) {
+        for (const step of ex.steps) {
+            const tpl = te.steps[step.status === 'info' ? step.id : `${step.id}_${step.status}`] || te.steps[step.id];
+            if (!tpl) missing.push(`${step.id}_${step.status}`);
+            else if (/\{\w+\}/.test(fillTemplate(tpl, step.params))) unfilled.push(step.id);
+        }
+        const verdict = fillTemplate(te.verdict[ex.verdict.id], { ...ex.verdict.params, gates: 'x' });
+        if (/\{\w+\}/.test(verdict)) unfilled.push(`verdict.${ex.verdict.id}`);
+    }
+    const rawKeys = ['raw_fired', 'raw_quiet', 'raw_gate_suppressed', 'raw_external_pressure_suppressed', 'raw_low_history', 'raw_low_median', 'raw_no_data'];
+    check(`${lang}: every step and verdict`, missing.length === 0 && unfilled.length === 0 && rawKeys.every(k => te.steps[k]) &&
+        te.verdict.nodata && te.gates.trigger && te.gates.stable && te.alsoFailing, [...missing, ...unfilled].join(' '));
+}
+check('Same keys in every language', ['ja', 'es'].every(l => JSON.stringify(Object.keys(translations[l].explain.steps)) === JSON.stringify(Object.keys(translations.en.explain.steps))));
+
+console.log(`\n${failures === 0 ? '✅ All explain checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,80 @@
+/**
+ * export_utils.mjs - CSV / SVG exports (src/utils/exportUtils.js)
+ *
+ *   1. CSV quoting and the ranked-list / weekly-history columns
+ *   2. Heatmap cells follow the SignalView rules (gated, thresholds, backfill)
+ *   3. Exported SVGs carry a title, date stamp and legend and are well-formed
+ *
+ * Usage: node tests/export_utils.mjs
+ */
+
+import {
+    toCsv, rankedListCsv, historyCsv, exportFileName, heatmapCell, heatmapSvg, frameSvg, mapLegend, mapSvg
+} from '../src/utils/exportUtils.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const parseRow = (line) => line.split(',');
+
+console.log('=== CSV ===');
+const quoted = toCsv([['name', r => r.name], ['types', r => r.types]], [{ name: 'Congo, "DR"', types: ['R1', 'R3'] }, { name: null, types: [] }]);
+check('Quotes commas and quotes, arrays joined with +', quoted === 'name,types\r\n"Congo, ""DR""",R1+R3\r\n,\r\n', JSON.stringify(quoted));
+
+const ranked = rankedListCsv([{
+    iso2: 'VE', name_en: 'Venezuela', alert_level: 'orange',
+    surge_r: { level: 'Red', max_ratio_active: 3.26512, active_types: ['R1', 'R3'] },
+    surge_r_by_type: { R1: { ratio: 3.26512 }, R3: { ratio: 1.9 } },
+    index: { level: 'Yellow', score: 4.04 }, surge: { rank: 3, score: 2.1 },
+    r_scores: { R1: '2.5', R2: 0, R3: 1.25, R4: 0 }
+}]).trim().split('\r\n');
+const header = parseRow(ranked[0]);
+const row = Object.fromEntries(parseRow(ranked[1]).map((v, i) => [header[i], v]));
+check('Ranked list header', header.slice(0, 7).join() === 'rank,iso2,name,level_surge_r,level_raw,level_index,level_surge');
+check('Levels per view mode', row.level_surge_r === 'red' && row.level_raw === 'orange' && row.level_index === 'yellow' && row.level_surge === 'red');
+check('Scores and SurgeR ratios', row.score_R1 === '2.5' && row.surge_r_ratio_R1 === '3.265' && row.surge_r_ratio_R2 === '' &&
+    row.surge_r_max_ratio_active === '3.265' && row.surge_r_active_types === 'R1+R3', JSON.stringify(row));
+
+const history = [
+    {
+        week: '2026-W01', overall_level: 'Orange', event_count: 900, counts: { R1: 300 }, ratios: { R1: 2.9 }, levels: { R1: 'Orange', R2: 'None' },
+        weekly_surge_r: { level: 'orange', max_ratio_active: 2.9, active_types: ['R1'], thresholds: { yellow: 1.75, orange: 2.75, red: 3.75 } },
+        weekly_surge_r_by_type: { R1: { is_active: true, ratio7: 2.9 }, R2: { is_active: false, ratio7: 3 } }
+    },
+    { week: '2026-W02', overall_level: 'NoData' }
+];
+const hist = historyCsv(history).trim().split('\r\n');
+const hHeader = parseRow(hist[0]);
+const w1 = Object.fromEntries(parseRow(hist[1]).map((v, i) => [hHeader[i], v]));
+check('History row per week', hist.length === 3 && w1.week === '2026-W01' && w1.count_R1 === '300' && w1.active_R1 === 'true' && w1.active_R2 === 'false' && w1.active_R3 === '');
+check('File names', exportFileName(['VE', 'history', '2026-W01_2026-W02'], 'csv') === 'wcr_VE_history_2026-W01_2026-W02.csv' &&
+    exportFileName(['map', 'surge_r', undefined], 'png') === 'wcr_map_surge_r.png');
+
+console.log('\n=== HEATMAP CELLS ===');
+check('Active ratio colored by thresholds', heatmapCell(history[0], 'R1') === 'orange');
+check('Gated type is grey', heatmapCell(history[0], 'R2') === 'gated');
+check('Bundle row from weekly SurgeR', heatmapCell(history[0], 'bundle') === 'orange' && heatmapCell(history[1], 'bundle') === 'nodata');
+check('Backfill entries use the stored level', heatmapCell({ levels: { R3: 'Red' } }, 'R3') === 'red' && heatmapCell({ levels: { R3: 'None' } }, 'R3') === 'none');
+check('Missing data', heatmapCell(history[1], 'R1') === 'nodata');
+
+console.log('\n=== SVG ===');
+const svg = heatmapSvg(history, { title: 'VE - SurgeR <weekly>', stamp: '2026-W01 to 2026-W02', paperMode: true });
+check('Title escaped, stamp present', svg.includes('VE - SurgeR &lt;weekly&gt;') && svg.includes('2026-W01 to 2026-W02'));
+check('One cell per row and week', (svg.match(/<rect x="\d+" y="\d+" width="\d+" height="22"/g) || []).length === 10);
+check('Legend with gated / no data', svg.includes('>Gated<') && svg.includes('>No data<'));
+check('Balanced root element', svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') && svg.endsWith('</svg>'));
+
+const framed = frameSvg({ width: 200, height: 100, content: '<g/>', title: 't', stamp: 's' });
+check('Frame adds header and legend space', /height="180"/.test(framed));
+check('Map legend follows view mode and theme', mapLegend('surge', 'dark')[0].label === 'Top 10' && mapLegend('raw', 'light')[3].color === '#e5e7eb');
+
+const overlay = { getAttribute: (k) => (k === 'viewBox' ? '-10 -10 220 120' : null), innerHTML: '<g><path d="M0 0L1 1" fill="#ee2c2c"/></g>' };
+const map = mapSvg(overlay, { width: 200, height: 100, title: 'Map', stamp: 'Data: 2026-01-10', viewMode: 'surge_r', theme: 'dark' });
+check('Map SVG keeps the country paths and viewBox', map.includes('viewBox="-10 -10 220 120"') && map.includes('fill="#ee2c2c"') && map.includes('Data: 2026-01-10'));
+
+console.log(`\n${failures === 0 ? '✅ All export checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,211 @@
+/**
+ * llm_providers.mjs - LLM provider adapters (scripts/llm/)
+ *
+ *   1. fake: rules in order, error rules, limited rules, fallback, call log, LLM_FAKE_FILE
+ *   2. Shared client: backoff on rate limits, fail-fast switch-off on "limit: 0";
+ *      provider from config/llm.json, LLM_PROVIDER overriding it
+ *   3. openai: chat completions request / reply against a local HTTP server
+ *   4. Response cache: hits skip the model, TTL, `only` mode for reproducible reruns
+ *   5. Ledger: calls, cache hits, tokens, latency and cost per stage
+ *   6. Callers (trend classification, Polymarket mapping) work with any provider
+ *
+ * Usage: node tests/llm_providers.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { getLlm, createLlmClient, stripCodeFences, resolveProviderName, LLM_PROVIDERS } from '../scripts/llm/index.mjs';
+import { createFakeProvider } from '../scripts/llm/fake.mjs';
+import { createOpenAiProvider } from '../scripts/llm/openai.mjs';
+import { createResponseCache, cacheKey } from '../scripts/llm/cache.mjs';
+import { createLedger } from '../scripts/llm/ledger.mjs';
+import { classifyTrendsGemini } from '../scripts/googletrends.mjs';
+import { mapPolymarketToCountry } from '../scripts/polymarket.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const noSleep = { sleep: async () => { } };
+
+console.log('=== FAKE ===');
+const fake = createFakeProvider({
+    rules: [
+        { match: 'flaky', error: '[429 Too Many Requests] Resource has been exhausted', times: 2 },
+        { match: /ISO2:$/, reply: (prompt) => (prompt.includes('Cameroon') ? 'CM' : 'null') },
+        { match: 'flaky', reply: 'ok after retries' }
+    ]
+});
+check('RegExp rule with reply function', await fake.generate('Question: Cameroon vote\n\nISO2:') === 'CM');
+check('Fallback when nothing matches', await fake.generate('anything else') === 'null');
+let err = null;
+try { await fake.generate('flaky'); } catch (e) { err = e.message; }
+check('Error rule', err?.includes('429'));
+check('Call log', fake.calls.length === 3 && fake.calls[1] === 'anything else');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-'));
+try {
+    const file = path.join(dir, 'fake.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ match: 'Analyze', reply: '{"headline":"x"}' }], fallback: '{}' }));
+    const fromFile = getLlm('fake', { file });
+    check('Rules from LLM_FAKE_FILE', await fromFile.generate('Analyze the news') === '{"headline":"x"}' && await fromFile.generate('?') === '{}');
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\n=== CLIENT ===');
+const delays = [];
+const retrying = createLlmClient(createFakeProvider({
+    rules: [{ match: 'flaky', error: '[429 Too Many Requests] Quota exceeded', times: 2 }, { match: 'flaky', reply: 'done' }]
+}), { sleep: async (ms) => { delays.push(ms); } });
+check('Retries rate limits with growing delays', await retrying.generate('flaky') === 'done' && delays.length === 2 && delays[1] > delays[0] && delays[0] >= 10000,
+    delays.map(d => Math.round(d)).join());
+
+const giveUp = createLlmClient(createFakeProvider({ rules: [{ match: '', error: 'HTTP 503 overloaded' }] }), { retries: 3, ...noSleep });
+err = null;
+try { await giveUp.generate('x'); } catch (e) { err = e.message; }
+check('Gives up after the last attempt', err === 'HTTP 503 overloaded');
+
+const other = createFakeProvider({ rules: [{ match: '', error: 'Unexpected token in JSON' }] });
+const noRetry = createLlmClient(other, noSleep);
+err = null;
+try { await noRetry.generate('x'); } catch (e) { err = e.message; }
+check('Other errors are not retried', err === 'Unexpected token in JSON' && other.calls.length === 1);
+
+const exhausted = createLlmClient(createFakeProvider({ rules: [{ match: '', error: '[429] Quota exceeded for metric, limit: 0' }] }), noSleep);
+const messages = [];
+for (let i = 0; i < 2; i++) {
+    try { await exhausted.generate('x'); } catch (e) { messages.push(e.message); }
+}
+check('Limit 0 switches the client off for the run', messages.join() === 'LLM_LIMIT_0,LLM_DISABLED' && exhausted.disabled);
+
+err = null;
+try { getLlm('bard'); } catch (e) { err = e.message; }
+check('Unknown provider rejected', err?.includes('Unknown LLM_PROVIDER "bard"') && err.includes('gemini, openai, fake'));
+const llmConfigDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+const llmConfig = path.join(llmConfigDir, 'llm.json');
+fs.writeFileSync(llmConfig, JSON.stringify({ provider: 'openai' }));
+check('Provider from the config file', resolveProviderName({ env: {}, configPath: llmConfig }) === 'openai');
+check('LLM_PROVIDER overrides the config file', resolveProviderName({ env: { LLM_PROVIDER: 'fake' }, configPath: llmConfig }) === 'fake');
+check('gemini without either', resolveProviderName({ env: {}, configPath: path.join(llmConfigDir, 'missing.json') }) === 'gemini');
+fs.writeFileSync(llmConfig, '{ not json');
+check('Unreadable config falls back to gemini', resolveProviderName({ env: {}, configPath: llmConfig }) === 'gemini');
+fs.rmSync(llmConfigDir, { recursive: true, force: true });
+check('Shipped config/llm.json names a known provider', resolveProviderName({ env: {} }) in LLM_PROVIDERS);
+check('Code fences stripped', stripCodeFences('```json\n{"a":1}\n```') === '{"a":1}');
+
+console.log('\n=== OPENAI-COMPATIBLE ===');
+const requests = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+        const prompt = requests.at(-1).body.messages[0].content;
+        if (prompt === 'busy') {
+            res.writeHead(429, { 'Content-Type': 'application/json' });
+            res.end('{"error":"rate limited"}');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: `echo: ${prompt}` } }] }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+    const local = createLlmClient(createOpenAiProvider({ baseUrl, model: 'llama-3.1-8b', apiKey: 'secret' }), { retries: 2, ...noSleep });
+    check('Reply text', await local.generate('hello') === 'echo: hello');
+    check('Request shape', requests[0].url === '/v1/chat/completions' && requests[0].auth === 'Bearer secret' &&
+        requests[0].body.model === 'llama-3.1-8b' && requests[0].body.messages[0].role === 'user', JSON.stringify(requests[0]));
+    err = null;
+    try { await local.generate('busy'); } catch (e) { err = e; }
+    check('HTTP 429 retried, then surfaced with its status', err?.status === 429 && requests.length === 3);
+} finally {
+    await new Promise(resolve => server.close(resolve));
+}
+
+console.log('\n=== CACHE ===');
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+try {
+    let clock = Date.parse('2026-01-10T00:00:00Z');
+    const now = () => clock;
+    const provider = createFakeProvider({ rules: [{ match: 'Ukraine', reply: 'UA' }] });
+    const cached = createLlmClient(provider, { cache: createResponseCache({ dir: cacheDir, mode: 'on', ttlHours: 24, now }), ...noSleep });
+    const first = await cached.generate('Question: Ukraine talks', { stage: 'polymarket_map' });
+    const second = await cached.generate('Question: Ukraine talks', { stage: 'polymarket_map' });
+    check('Second identical prompt answered from disk', first === 'UA' && second === 'UA' && provider.calls.length === 1);
+
+    const key = cacheKey('fake', 'fake', 'Question: Ukraine talks');
+    const stored = JSON.parse(fs.readFileSync(path.join(cacheDir, key.slice(0, 2), `${key}.json`), 'utf-8'));
+    check('Entry keyed by prompt hash, with provenance', stored.response === 'UA' && stored.stage === 'polymarket_map' && stored.created_at === '2026-01-10T00:00:00.000Z');
+    check('Provider and model are part of the key', cacheKey('gemini', 'gemini-2.0-flash', 'x') !== cacheKey('openai', 'local', 'x'));
+
+    clock += 25 * 3600000;
+    await cached.generate('Question: Ukraine talks');
+    check('Expired entries are refreshed', provider.calls.length === 2);
+
+    clock += 30 * 24 * 3600000;
+    const offline = createFakeProvider({ rules: [{ match: '', reply: 'LIVE' }] });
+    const replayed = createLlmClient(offline, { cache: createResponseCache({ dir: cacheDir, mode: 'only', ttlHours: 24, now }), ...noSleep });
+    err = null;
+    try { await replayed.generate('Never asked before'); } catch (e) { err = e.message; }
+    const fromCache = await createLlmClient(provider, { cache: createResponseCache({ dir: cacheDir, mode: 'only', now }), ...noSleep }).generate('Question: Ukraine talks');
+    check('`only` never calls the model and ignores the TTL', err === 'LLM_CACHE_MISS' && offline.calls.length === 0 && fromCache === 'UA');
+    check('`off` disables the cache', createResponseCache({ dir: cacheDir, mode: 'off' }) === null);
+
+    const failing = createLlmClient(createFakeProvider({ rules: [{ match: '', error: 'boom' }] }), { cache: createResponseCache({ dir: cacheDir, now }), ...noSleep });
+    try { await failing.generate('fails'); } catch { /* expected */ }
+    check('Failures are not cached', !fs.existsSync(path.join(cacheDir, cacheKey('fake', 'fake', 'fails').slice(0, 2), `${cacheKey('fake', 'fake', 'fails')}.json`)));
+} finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+console.log('\n=== LEDGER ===');
+const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-ledger-'));
+try {
+    const ledger = createLedger();
+    const stub = { name: 'gemini', model: 'gemini-2.0-flash', async generate(prompt, { onUsage }) { onUsage({ prompt_tokens: 1000, completion_tokens: 250 }); return prompt.toUpperCase(); } };
+    const billed = createLlmClient(stub, { ledger, cache: createResponseCache({ dir: ledgerDir, mode: 'on' }), ...noSleep });
+    await billed.generate('a', { stage: 'country_analysis' });
+    await billed.generate('b', { stage: 'country_analysis' });
+    await billed.generate('a', { stage: 'country_analysis' });
+    await billed.generate('c', { stage: 'briefing_ops' });
+    const sum = ledger.summary();
+    check('Totals', sum.calls === 4 && sum.cache_hits === 1 && sum.prompt_tokens === 3000 && sum.completion_tokens === 750 && sum.errors === 0, JSON.stringify(sum));
+    check('Per stage', sum.stages.country_analysis.calls === 3 && sum.stages.country_analysis.cache_hits === 1 && sum.stages.briefing_ops.prompt_tokens === 1000,
+        Object.keys(sum.stages).join());
+    check('Cost from list prices (cache hits are free)', sum.cost_usd === 0.0006 && sum.stages.briefing_ops.cost_usd === 0.0002, String(sum.cost_usd));
+    check('Local models cost nothing', (() => { const l = createLedger(); l.record({ model: 'local', prompt_tokens: 1e6 }); return l.summary().cost_usd === 0; })());
+
+    const errLedger = createLedger();
+    const broken = createLlmClient(createFakeProvider({ rules: [{ match: '', error: 'HTTP 500 boom' }] }), { ledger: errLedger, ...noSleep });
+    try { await broken.generate('x', { stage: 'transliteration' }); } catch { /* expected */ }
+    check('Errors recorded', errLedger.summary().errors === 1 && errLedger.entries[0].error === 'HTTP 500 boom');
+
+    const file = path.join(ledgerDir, 'logs/llm_ledger.jsonl');
+    ledger.appendTo(file, '2026-01-10T06:00:00.000Z');
+    const lines = fs.readFileSync(file, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    check('JSONL ledger, one line per call', lines.length === 4 && lines[2].cached && lines[0].run === '2026-01-10T06:00:00.000Z' && lines[0].stage === 'country_analysis');
+} finally {
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+}
+
+console.log('\n=== CALLERS ===');
+const pmClient = createLlmClient(createFakeProvider({ rules: [{ match: 'Cameroon', reply: 'CM\n' }] }), noSleep);
+check('Polymarket mapping', await mapPolymarketToCountry(pmClient, 'Will Cameroon hold a runoff?') === 'CM' &&
+    await mapPolymarketToCountry(pmClient, 'Will it rain?') === null);
+
+const gtClient = createLlmClient(createFakeProvider({
+    rules: [{ match: 'Classify these search trend titles', reply: '```json\n[{"title":"budget vote","is_political":true},{"title":"cup final","is_political":false}]\n```' }]
+}), noSleep);
+const classified = await classifyTrendsGemini(gtClient, [{ title: 'budget vote' }, { title: 'cup final' }]);
+check('Trend classification from fenced JSON', classified?.map(t => t.is_political).join() === 'true,false', JSON.stringify(classified));
+
+console.log(`\n${failures === 0 ? '✅ All LLM provider checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,81 @@
+/**
+ * locales.mjs - Translation catalogs and the shared loader (src/i18n.js)
+ *
+ *   1. Every shipped catalog is complete, with the same {params} as English
+ *   2. Missing keys fall back to English; checkCatalog reports them
+ *   3. Browser tag matching and right-to-left locales
+ *   4. Country names: data first, then runtime region names, then English
+ *   5. Catalog reads in source that English does not define
+ *
+ * Usage: node tests/locales.mjs
+ */
+
+import {
+    CATALOGS, LOCALES, DEFAULT_LOCALE, translations, languages, mergeCatalog, checkCatalog,
+    matchLocale, isRtl, countryName, countryNames, localizedField, catalogRefs, unknownRefs
+} from '../src/i18n.js';
+import { searchDocs } from '../src/utils/search.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== CATALOGS ===');
+check('English is the default', DEFAULT_LOCALE === 'en' && LOCALES[0] === 'en');
+check('fr, pt and ar shipped', ['fr', 'pt', 'ar'].every(code => LOCALES.includes(code)));
+for (const code of LOCALES) {
+    const { missing, extra, placeholders } = checkCatalog(CATALOGS[code]);
+    check(`${code}: complete`, missing.length === 0, missing.join(', '));
+    check(`${code}: no unknown keys`, extra.length === 0, extra.join(', '));
+    check(`${code}: same placeholders as en`, placeholders.length === 0, placeholders.join(', '));
+}
+check('language switcher lists every locale', languages.map(l => l.code).join() === LOCALES.join() && languages.every(l => l.label));
+
+console.log('\n=== FALLBACK ===');
+const partial = { meta: { label: 'XX' }, panel: { summary: 'RÉSUMÉ' }, search: { loading: 'Chargement de {count}' }, typo: 'x' };
+const merged = mergeCatalog(CATALOGS.en, partial);
+check('translated key wins', merged.panel.summary === 'RÉSUMÉ');
+check('sibling keys fall back to English', merged.panel.sources === CATALOGS.en.panel.sources && merged.title === CATALOGS.en.title);
+const report = checkCatalog(partial);
+check('missing keys reported', report.missing.includes('title') && report.missing.includes('panel.sources') && !report.missing.includes('panel.summary'));
+check('extra keys reported', report.extra.join() === 'typo');
+check('placeholder mismatch reported', report.placeholders.join() === 'search.loading');
+check('merged catalogs exposed per locale', translations.fr.panel.summary === CATALOGS.fr.panel.summary);
+
+console.log('\n=== LOCALE MATCHING ===');
+check('region tag', matchLocale('pt-BR') === 'pt' && matchLocale('fr_CA') === 'fr');
+check('case-insensitive', matchLocale('JA') === 'ja');
+check('unknown and empty -> en', matchLocale('de-DE') === 'en' && matchLocale(undefined) === 'en');
+check('Arabic is right-to-left', isRtl('ar') && languages.find(l => l.code === 'ar').dir === 'rtl');
+check('others are left-to-right', LOCALES.filter(isRtl).join() === 'ar');
+
+console.log('\n=== COUNTRY NAMES ===');
+const sudan = { name_en: 'Sudan', name_ja: 'スーダン', summary_en: 'Fighting', summary_fr: 'Combats' };
+check('name from the data', countryName(sudan, 'SD', 'ja') === 'スーダン');
+check('runtime region name for files without name_fr', countryName(sudan, 'SD', 'fr') === 'Soudan', countryName(sudan, 'SD', 'fr'));
+check('English name for unknown codes', countryName({ name_en: 'Kosovo-X' }, 'ZZZ', 'ar') === 'Kosovo-X');
+check('ISO2 when nothing else', countryName(null, 'SD', 'en') === 'SD');
+const names = countryNames('BR', 'Brazil');
+check('countryNames covers every locale', Object.keys(names).join() === LOCALES.map(c => `name_${c}`).join());
+check('countryNames localizes', names.name_en === 'Brazil' && names.name_pt === 'Brasil' && names.name_ja === 'ブラジル', JSON.stringify(names));
+check('localizedField falls back to English', localizedField(sudan, 'summary', 'fr') === 'Combats' && localizedField(sudan, 'summary', 'pt') === 'Fighting');
+
+const docs = searchDocs('2026-01-10', { countries: { SD: sudan } });
+check('search finds localized names', docs.some(d => d.field === 'name' && d.text === 'Soudan') && docs[0].names.ar === countryName(sudan, 'SD', 'ar'));
+
+console.log('\n=== SOURCE REFERENCES ===');
+const source = [
+    'const tr = t.regions;',
+    '<h2>{t.compare.title}</h2> {t?.export?.mapPng} {tr.members} {tr.typo}',
+    '{t.briefing.levels[l]} {t.title.length} {t.compare.nope} {dataset.compare.nope}'
+].join('\n');
+const refs = catalogRefs(source);
+check('direct, optional and alias reads found', ['compare.title', 'export.mapPng', 'regions.members', 'regions.typo'].every(r => refs.includes(r)), refs.join());
+check('other objects ignored', !refs.some(r => r.startsWith('dataset')) && !refs.includes('compare.nope.nope'));
+check('undefined keys reported', unknownRefs(refs).join() === 'regions.typo,compare.nope', unknownRefs(refs).join());
+
+console.log(`\n${failures === 0 ? '✅ All locale checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
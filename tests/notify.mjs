@@ -0,0 +1,184 @@
+/**
+ * notify.mjs - Escalation notifications (scripts/notify.mjs)
+ *
+ *   1. Rules select by country, tier, bundle and minimum level
+ *   2. Dedupe: a country staying at its level does not alert again; a further
+ *      escalation or a new bundle does; dropping below min_level re-arms the rule
+ *   3. Webhook payloads (Slack / Teams / json) posted to a local HTTP server
+ *   4. File sink, skipped channels, webhook timeout and runNotifications() state
+ *      per channel: a failed channel is retried alone, a skipped one never blocks
+ *
+ * Usage: node tests/notify.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+    validateNotificationConfig, loadNotificationConfig, evaluateRules, webhookPayload, deliver, settleState, runNotifications
+} from '../scripts/notify.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const country = (name, level, active = [], tiers = []) => ({ name_en: name, tiers, surge_r: { level, active_types: active } });
+const day = (date, countries) => ({ date, countries });
+
+const cfg = {
+    channels: { local: { type: 'file', path: 'x.jsonl' }, console: { type: 'stdout' } },
+    rules: [
+        { name: 'latam-orange', tiers: ['A'], min_level: 'orange', channels: ['local'] },
+        { name: 've-r3', countries: ['VE'], bundles: ['R3'], min_level: 'yellow', channels: ['console'] }
+    ]
+};
+
+console.log('=== CONFIG ===');
+check('Sample config is valid', validateNotificationConfig(loadNotificationConfig()).length === 0);
+const bad = validateNotificationConfig({ channels: { x: { type: 'fax' } }, rules: [{ name: 'r', min_level: 'green', bundles: ['R9'], channels: ['y'] }] });
+check('Bad channel type, level, bundle and channel name reported', bad.length === 4, JSON.stringify(bad));
+
+console.log('\n=== RULES / DEDUPE ===');
+const d1 = day('2026-01-08', {
+    VE: country('Venezuela', 'Orange', ['R1'], ['A']),
+    BR: country('Brazil', 'Yellow', ['R2'], ['A']),
+    SD: country('Sudan', 'Red', ['R1'])
+});
+const r1 = evaluateRules(d1, cfg);
+check('Tier rule fires for VE only (BR below orange, SD not tier A)',
+    r1.alerts.map(a => `${a.rule}:${a.iso2}`).join() === 'latam-orange:VE', JSON.stringify(r1.alerts.map(a => a.iso2)));
+check('Bundle rule waits for its bundle', !r1.alerts.some(a => a.rule === 've-r3') && r1.state['ve-r3|VE|console'].level === 'orange');
+check('First alert reason', r1.alerts[0].reasons.join() === 'reached orange+' && r1.alerts[0].previous_level === null);
+
+const d2 = day('2026-01-09', { VE: country('Venezuela', 'Orange', ['R1'], ['A']), BR: country('Brazil', 'Orange', ['R2'], ['A']) });
+const r2 = evaluateRules(d2, cfg, r1.state);
+check('Same level next day does not re-alert; new crossing does', r2.alerts.map(a => a.iso2).join() === 'BR');
+check('State keeps the first alert date', r2.state['latam-orange|VE|local'].since === '2026-01-08');
+
+const d3 = day('2026-01-10', { VE: country('Venezuela', 'Red', ['R1', 'R3'], ['A']), BR: country('Brazil', 'Yellow', [], ['A']) });
+const r3 = evaluateRules(d3, cfg, r2.state);
+const keys3 = r3.alerts.map(a => `${a.rule}:${a.iso2}:${a.reasons.join('/')}`);
+check('Escalation and new bundle alert', keys3.join() ===
+    'latam-orange:VE:escalated from orange/new bundle R3,ve-r3:VE:escalated from orange/new bundle R3', JSON.stringify(keys3));
+check('Dropping below min_level clears the state', !('latam-orange|BR|local' in r3.state));
+
+const r3b = evaluateRules(day('2026-01-10', { VE: country('Venezuela', 'Orange', ['R3'], ['A']) }), cfg, r2.state);
+check('New bundle at the same level alerts', r3b.alerts.map(a => `${a.rule}:${a.reasons.join('/')}`).join() ===
+    'latam-orange:new bundle R3,ve-r3:new bundle R3');
+
+const r4 = evaluateRules(day('2026-01-11', { VE: country('Venezuela', 'Red', ['R1', 'R3'], ['A']) }), cfg, r3.state);
+check('Sitting at Red does not re-alert', r4.alerts.length === 0);
+const r5 = evaluateRules(day('2026-01-12', { BR: country('Brazil', 'Orange', ['R2'], ['A']) }), cfg, r4.state);
+check('Re-crossing after a drop alerts again', r5.alerts.map(a => a.iso2).join() === 'BR');
+
+const legacy = evaluateRules(d2, cfg, { 'latam-orange|VE': { level: 'orange', bundles: ['R1'], since: '2026-01-08' } });
+check('Per-rule entries of older state files still dedupe', legacy.alerts.map(a => a.iso2).join() === 'BR' && legacy.state['latam-orange|VE|local'].since === '2026-01-08');
+
+const red = { level: 'red', bundles: ['R1'], since: '2026-01-01' };
+const partial = settleState(
+    { 'r|VE|a': { level: 'yellow', bundles: [], since: '2026-01-01' }, 'r|VE|b': { level: 'yellow', bundles: [], since: '2026-01-01' } },
+    { 'r|VE|a': red, 'r|VE|b': red, 'r|VE|c': red, 'r|BR|b': red },
+    [
+        { rule: 'r', iso2: 'VE', channels: ['a', 'b', 'c'] },
+        { rule: 'r', iso2: 'BR', channels: ['b'] }
+    ],
+    { a: { sent: 2 }, b: { error: 'HTTP 500' }, c: { skipped: 'no url' } }
+);
+check('Only the failed channel keeps its previous state', partial['r|VE|a'] === red && partial['r|VE|b'].level === 'yellow' &&
+    partial['r|VE|c'] === red && !('r|BR|b' in partial), JSON.stringify(partial));
+
+console.log('\n=== PAYLOADS ===');
+const alerts = r3.alerts;
+const slack = webhookPayload('slack', alerts, '2026-01-10');
+check('Slack payload is { text }', Object.keys(slack).join() === 'text' && slack.text.includes('Venezuela (VE) SurgeR RED [R1+R3]'));
+const teams = webhookPayload('teams', alerts, '2026-01-10');
+check('Teams payload is a MessageCard', teams['@type'] === 'MessageCard' && teams.title.includes('2 escalation alerts'));
+check('json payload carries the alerts', webhookPayload('json', alerts, '2026-01-10').alerts.length === 2);
+
+console.log('\n=== DELIVERY ===');
+const received = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        if (req.url === '/slow') return; // never answers
+        res.statusCode = req.url === '/fail' ? 500 : 200;
+        res.end('ok');
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+try {
+    const sinkPath = path.join(tmpDir, 'sink.jsonl');
+    const deliveryCfg = {
+        channels: {
+            slack: { type: 'webhook', format: 'slack', url: `${base}/slack` },
+            broken: { type: 'webhook', url: `${base}/fail` },
+            nourl: { type: 'webhook', url_env: 'NOTIFY_TEST_UNSET_URL' },
+            slow: { type: 'webhook', url: `${base}/slow`, timeout_ms: 200 },
+            mail: { type: 'smtp', host_env: 'NOTIFY_TEST_UNSET_HOST' },
+            local: { type: 'file', path: sinkPath }
+        }
+    };
+    const routed = alerts.map(a => ({ ...a, channels: ['slack', 'broken', 'nourl', 'mail', 'local', 'slow'] }));
+    const results = await deliver(routed, deliveryCfg, '2026-01-10');
+    check('Webhook posted once per channel', received.filter(r => r.url === '/slack').length === 1 &&
+        received[0].body.text.startsWith('World Country Risks: 2 escalation alerts'));
+    check('HTTP errors are reported, not thrown', results.broken.error === 'HTTP 500 Internal Server Error');
+    check('Channels without url / host are skipped', results.nourl.skipped === 'no url' && results.mail.skipped === 'no host/from/to');
+    check('Webhook gives up after timeout_ms', typeof results.slow.error === 'string' && /timeout|abort/i.test(results.slow.error), results.slow.error);
+    check('File sink appends one line per alert', results.local.sent === 2 &&
+        fs.readFileSync(sinkPath, 'utf-8').trim().split('\n').length === 2);
+
+    // Full stage: state file written, second run is quiet
+    const stageCfg = path.join(tmpDir, 'notifications.json');
+    const statePath = path.join(tmpDir, 'state.json');
+    fs.writeFileSync(stageCfg, JSON.stringify({ state_file: statePath, channels: { local: { type: 'file', path: sinkPath } }, rules: cfg.rules.slice(0, 1) }));
+    const dry = await runNotifications(d1, { configPath: stageCfg, dryRun: true });
+    check('Dry run does not write state', dry.alerts.length === 1 && !fs.existsSync(statePath));
+    const first = await runNotifications(d1, { configPath: stageCfg });
+    const second = await runNotifications(d2, { configPath: stageCfg });
+    check('Stage saves state and dedupes across runs', first.alerts.length === 1 && second.alerts.map(a => a.iso2).join() === 'BR' &&
+        Object.keys(JSON.parse(fs.readFileSync(statePath, 'utf-8'))).sort().join() === 'latam-orange|BR|local,latam-orange|VE|local');
+
+    // Per-channel state: slack delivers, hook fails, then hook comes back
+    const retryState = path.join(tmpDir, 'retry_state.json');
+    const stage = (channels) => {
+        fs.writeFileSync(stageCfg, JSON.stringify({
+            state_file: retryState, channels, rules: [{ ...cfg.rules[0], channels: Object.keys(channels) }]
+        }));
+        return runNotifications(d1, { configPath: stageCfg });
+    };
+    const slackPosts = () => received.filter(r => r.url === '/slack').length;
+    const slackBefore = slackPosts();
+    const slackCh = { type: 'webhook', format: 'slack', url: `${base}/slack` };
+    const failedRun = await stage({ slack: slackCh, hook: { type: 'webhook', url: `${base}/fail` } });
+    const retryRun = await stage({ slack: slackCh, hook: { type: 'webhook', url: `${base}/hook` } });
+    const quietRun = await stage({ slack: slackCh, hook: { type: 'webhook', url: `${base}/hook` } });
+    check('Delivered channel is not re-sent, the failed one is retried',
+        failedRun.results.hook.error && retryRun.alerts.map(a => `${a.iso2}:${a.channels.join('+')}`).join() === 'VE:hook' &&
+        retryRun.results.hook.sent === 1 && !retryRun.results.slack && slackPosts() === slackBefore + 1 && quietRun.alerts.length === 0,
+        JSON.stringify(retryRun.alerts.map(a => a.channels)));
+
+    // A channel without its env var is skipped and does not hold the alert back
+    fs.rmSync(retryState);
+    const localCh = { type: 'file', path: sinkPath };
+    const skippedRun = await stage({ local: localCh, mail: { type: 'smtp', host_env: 'NOTIFY_TEST_UNSET_HOST' } });
+    const nextRun = await stage({ local: localCh, mail: { type: 'smtp', host_env: 'NOTIFY_TEST_UNSET_HOST' } });
+    check('Skipped channel does not block settling', skippedRun.results.local.sent === 1 && skippedRun.results.mail.skipped &&
+        nextRun.alerts.length === 0, JSON.stringify(nextRun.alerts.map(a => a.channels)));
+} finally {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log(`\n${failures === 0 ? '✅ All notification checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,89 @@
+/**
+ * regions.mjs - Region / tier aggregates (scripts/regions.mjs, src/utils/regionUtils.js)
+ *
+ *   1. config/regions.json covers countries_all.json, one region per country
+ *   2. Group aggregates: lit counts per bundle, mean SurgeR, contagion
+ *   3. Weekly trend: new_lit against the previous week, tiers as TIER_x
+ *   4. Dashboard groups join today's aggregate with the trend
+ *
+ * Usage: node tests/regions.mjs
+ */
+
+import {
+    loadRegions, validateRegions, buildRegionIndex, regionOf, aggregateGroup, buildAggregates,
+    buildWeeklyTrend, dailyTierMembers, litSet
+} from '../scripts/regions.mjs';
+import { listGroups, trendMax } from '../src/utils/regionUtils.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== CONFIG ===');
+const cfg = loadRegions();
+const index = buildRegionIndex(cfg);
+check('Shipped config is valid', Object.keys(index).length > 200, `${Object.keys(index).length} countries`);
+check('Known placements', regionOf(index, 'VE') === 'LATAM' && regionOf(index, 'UA') === 'EUROPE' && regionOf(index, 'XX') === 'OTHER');
+
+const errors = validateRegions({
+    regions: { A: { label: 'A', countries: ['VE', 'CO'] }, B: { countries: ['CO', 'ZZ'] }, C: { label: 'C', countries: [] } }
+}, ['VE', 'CO', 'BR']);
+check('Duplicate reported', errors.includes('CO: in both A and B'), errors.join(' | '));
+check('Missing label / empty list reported', errors.includes('regions.B: needs a label') && errors.includes('regions.C: needs a non-empty "countries" list'));
+check('Unknown and unassigned codes reported', errors.includes('not in countries_all.json: ZZ') && errors.includes('no region for: BR'));
+check('OTHER is reserved', validateRegions({ regions: { OTHER: { label: 'x', countries: ['VE'] } } }, ['VE']).length === 1);
+
+console.log('\n=== AGGREGATES ===');
+const day = {
+    VE: { name_en: 'Venezuela', tiers: ['A'], surge_r: { level: 'Red', max_ratio_active: 4.0, active_types: ['R1', 'R3'] } },
+    CO: { name_en: 'Colombia', tiers: ['A', 'B'], surge_r: { level: 'Yellow', max_ratio_active: 2.0, active_types: ['R3'] } },
+    BR: { name_en: 'Brazil', tiers: ['A'], surge_r: { level: 'Green', max_ratio_active: 0, active_types: [] } },
+    XX: { name_en: 'Nowhere', surge_r: { level: 'Orange', max_ratio_active: 3.0, active_types: ['R2'] } }
+};
+const g = aggregateGroup(day, ['VE', 'CO', 'BR', 'PE'], new Set(['VE']));
+check('Members vs members with data', g.members === 4 && g.with_data === 3);
+check('Lit counts and levels', g.lit_countries === 2 && g.levels.red === 1 && g.levels.yellow === 1 && g.levels.orange === 0);
+check('Lit per bundle', g.lit_by_bundle.R1 === 1 && g.lit_by_bundle.R3 === 2 && g.lit_by_bundle.R2 === 0, JSON.stringify(g.lit_by_bundle));
+check('Mean / max SurgeR', g.mean_surge_r === 2 && g.max_surge_r === 4);
+check('Contagion', g.contagion.breadth === 0.667 && g.contagion.dominant_bundle === 'R3' && g.contagion.dominant_count === 2 &&
+    g.contagion.new_lit.join() === 'CO', JSON.stringify(g.contagion));
+check('Member rows sorted by ratio', g.countries.map(r => r.iso2).join() === 'VE,CO,BR' && g.countries[0].level === 'red');
+check('No previous period -> new_lit null', aggregateGroup(day, ['VE']).contagion.new_lit === null);
+check('Empty group', aggregateGroup(day, ['PE']).mean_surge_r === 0 && aggregateGroup(day, ['PE']).contagion.dominant_bundle === null);
+
+const all = buildAggregates(day, cfg, dailyTierMembers(day));
+check('Codes outside the config go to OTHER', all.regions.OTHER?.lit_countries === 1 && all.regions.LATAM.with_data === 3);
+check('Tiers from the daily tiers field', all.tiers.A.with_data === 3 && all.tiers.B.members === 1 && all.tiers.S.members === 0);
+check('litSet reads daily, weekly and snapshot levels', [...litSet({
+    A: { surge_r: { level: 'Red' } }, B: { weekly_surge_r: { level: 'yellow' } }, C: { surge_r: { level: 'green' } }
+})].join() === 'A,B');
+
+console.log('\n=== WEEKLY TREND ===');
+const week = (w, levels) => ({
+    week: w,
+    countries: Object.fromEntries(Object.entries(levels).map(([iso2, level]) => [iso2, {
+        weekly_surge_r: { level, max_ratio_active: level === 'green' ? 0 : 2, active_types: level === 'green' ? [] : ['R1'] }
+    }]))
+});
+const trend = buildWeeklyTrend([week('2026-W02', { VE: 'orange', CO: 'yellow' }), week('2026-W01', { VE: 'orange', CO: 'green' })],
+    cfg, { A: ['VE', 'CO'] });
+const latam = trend.groups.LATAM.history;
+check('Weeks sorted', trend.weeks.join() === '2026-W01,2026-W02');
+check('First week has no previous period', latam[0].new_lit === null && latam[0].lit_countries === 1);
+check('Newly lit counted against the previous week', latam[1].new_lit === 1 && latam[1].lit_countries === 2 && latam[1].breadth === 1);
+check('Tier groups keyed TIER_x', trend.groups.TIER_A?.kind === 'tier' && trend.groups.TIER_A.history.length === 2);
+
+console.log('\n=== DASHBOARD GROUPS ===');
+const groups = listGroups(all, trend);
+check('Regions before tiers', groups.findIndex(x => x.kind === 'tier') > groups.findIndex(x => x.id === 'OTHER'));
+check('Today joined with history', groups.find(x => x.id === 'LATAM').today.lit_countries === 2 &&
+    groups.find(x => x.id === 'TIER_A').history.length === 2);
+check('Trend-only groups kept', listGroups(null, trend).length === Object.keys(trend.groups).length &&
+    listGroups(null, trend)[0].today === null);
+check('Trend scale', trendMax(latam) === 2 && trendMax([]) === 1);
+
+console.log(`\n${failures === 0 ? '✅ All region checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,129 @@
+/**
+ * replay_roundtrip.mjs - Offline replay verification for generate_daily.js
+ *
+ * For every tests/fixtures/replay_* directory:
+ *   1. Two replays produce byte-identical output
+ *   2. Output matches expected_latest_v4.json when the fixture has one
+ *   3. Re-recording the inputs and replaying them reproduces the same bytes
+ *
+ * Usage: node tests/replay_roundtrip.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadReplayFixture, createFixtureRecorder, FIXTURE_INPUTS, EXPECTED_OUTPUT_FILE } from '../scripts/replay_fixture.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GENERATE_DAILY = path.resolve(__dirname, '../scripts/generate_daily.js');
+
+function runReplay(fixtureDir, outFile) {
+    const res = spawnSync(process.execPath, [GENERATE_DAILY, '--replay', fixtureDir, '--out', outFile], {
+        encoding: 'utf-8',
+        timeout: 120000
+    });
+    if (res.status !== 0) {
+        console.log(res.stdout?.split('\n').slice(-20).join('\n'));
+        console.log(res.stderr);
+        throw new Error(`generate_daily.js --replay exited with ${res.status}`);
+    }
+    return fs.readFileSync(outFile, 'utf-8');
+}
+
+function firstDiff(a, b) {
+    const linesA = a.split('\n');
+    const linesB = b.split('\n');
+    for (let i = 0; i < Math.max(linesA.length, linesB.length); i++) {
+        if (linesA[i] !== linesB[i]) return `line ${i + 1}:\n    - ${linesA[i]}\n    + ${linesB[i]}`;
+    }
+    return 'none';
+}
+
+// ============ TEST: Replay Fixture ============
+function testFixture(fixtureDir, tmpDir) {
+    const name = path.basename(fixtureDir);
+    console.log(`\nTesting: ${name}`);
+    let passed = true;
+
+    const outA = runReplay(fixtureDir, path.join(tmpDir, `${name}_a.json`));
+    const outB = runReplay(fixtureDir, path.join(tmpDir, `${name}_b.json`));
+    const deterministic = outA === outB;
+    console.log(`  Deterministic (2 runs): ${deterministic ? '✅' : '❌'}`);
+    if (!deterministic) {
+        console.log(`    First diff ${firstDiff(outA, outB)}`);
+        passed = false;
+    }
+
+    const expectedPath = path.join(fixtureDir, EXPECTED_OUTPUT_FILE);
+    if (fs.existsSync(expectedPath)) {
+        const expected = fs.readFileSync(expectedPath, 'utf-8');
+        const match = expected === outA;
+        console.log(`  Matches ${EXPECTED_OUTPUT_FILE}: ${match ? '✅' : '❌'}`);
+        if (!match) {
+            console.log(`    First diff ${firstDiff(expected, outA)}`);
+            passed = false;
+        }
+    } else {
+        console.log(`  [SKIP] No ${EXPECTED_OUTPUT_FILE} (synthetic fixture)`);
+    }
+
+    // Re-record through the recorder and replay the copy
+    const fixture = loadReplayFixture(fixtureDir);
+    const rerecordDir = path.join(tmpDir, `${name}_rerecorded`);
+    const recorder = createFixtureRecorder(rerecordDir, {
+        date: fixture.manifest.date,
+        generatedAt: fixture.manifest.generated_at,
+        scoringVersion: fixture.manifest.scoring_version
+    });
+    for (const input of Object.keys(FIXTURE_INPUTS)) {
+        const value = fixture.get(input, null);
+        if (value !== null) recorder.set(input, value);
+    }
+    recorder.save(JSON.parse(outA));
+
+    const outC = runReplay(rerecordDir, path.join(tmpDir, `${name}_c.json`));
+    const roundTrip = outC === outA && fs.readFileSync(path.join(rerecordDir, EXPECTED_OUTPUT_FILE), 'utf-8') === outA;
+    console.log(`  Record -> replay round trip: ${roundTrip ? '✅' : '❌'}`);
+    if (!roundTrip) {
+        console.log(`    First diff ${firstDiff(outA, outC)}`);
+        passed = false;
+    }
+
+    return passed;
+}
+
+// ============ MAIN ============
+function main() {
+    console.log('='.repeat(60));
+    console.log('TEST: Offline Replay (generate_daily.js --replay)');
+    console.log('='.repeat(60));
+
+    const fixturesDir = path.join(__dirname, 'fixtures');
+    const fixtureDirs = fs.readdirSync(fixturesDir)
+        .filter(f => f.startsWith('replay_') && fs.statSync(path.join(fixturesDir, f)).isDirectory())
+        .map(f => path.join(fixturesDir, f));
+
+    if (fixtureDirs.length === 0) {
+        console.log('[SKIP] No replay fixtures. Record one with: node scripts/generate_daily.js --record tests/fixtures/replay_<date>');
+        return;
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    let allPassed = true;
+    try {
+        for (const dir of fixtureDirs) {
+            if (!testFixture(dir, tmpDir)) allPassed = false;
+        }
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`RESULT: ${allPassed ? '✅ PASS' : '❌ FAIL'}`);
+    console.log('='.repeat(60));
+    process.exit(allPassed ? 0 : 1);
+}
+
+main();
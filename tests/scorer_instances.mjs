@@ -0,0 +1,78 @@
+/**
+ * scorer_instances.mjs - Independent scorers from createScorer() (scripts/scoring.mjs)
+ *
+ *   1. Two scorers with different histories give different vol-jump results
+ *   2. Two scorers with different configs give different levels for the same day
+ *   3. score(map, date) adds the day to that scorer's history only, also when detached
+ *   4. The history passed in is copied, and pruned to historyDays
+ *   5. The shipped config is read once, on first use
+ *
+ * Usage: node tests/scorer_instances.mjs
+ */
+
+import { createScorer, getShippedConfig, loadScoringConfig } from '../scripts/scoring.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const shippedConfig = getShippedConfig();
+const day = (n) => `2026-01-${String(n).padStart(2, '0')}`;
+const quiet = { event_count: 1000, avg_tone: -1, r1_security: 10, r2_living_count: 0, r3_governance: 0, r4_fiscal_count: 0 };
+
+// 14 quiet days for XX, then a volume jump
+const history = {};
+for (let d = 1; d <= 14; d++) history[day(d)] = { XX: { ...quiet } };
+const today = { XX: { ...quiet, event_count: 3000 } };
+
+console.log('=== HISTORY ===');
+const warm = createScorer({ history });
+const cold = createScorer();
+const warmResult = warm.score(today, day(15));
+const coldResult = cold.score(today, day(15));
+const warmVol = warmResult.results.XX.vol_jump_data;
+const coldVol = coldResult.results.XX.vol_jump_data;
+check('Warm scorer sees the jump', !warmVol.skipped && warmVol.jump >= 1.5 &&
+    warmResult.results.XX.signals.some(s => s.type === 'VOL'), JSON.stringify(warmVol));
+check('Cold scorer has no history', coldVol.skipped === 'low_history');
+
+check('score(map, date) adds the day to its own history', day(15) in warm.getHistory() &&
+    Object.keys(cold.getHistory()).join() === day(15));
+check('Caller history is not modified', !(day(15) in history) && Object.keys(history).length === 14);
+
+const detached = createScorer({ history });
+const { score } = detached;
+let detachedError = null;
+try { score(today, day(15)); } catch (e) { detachedError = e.message; }
+check('score works detached from the scorer', !detachedError && day(15) in detached.getHistory(), detachedError || '');
+
+const again = createScorer({ history });
+check('A new scorer starts from the same inputs', again.score(today).results.XX.vol_jump_data.jump === warmVol.jump);
+
+console.log('\n=== CONFIG ===');
+const strict = createScorer({
+    history,
+    config: { ...shippedConfig, vol_jump: { ...shippedConfig.vol_jump, threshold: 10 } }
+});
+const strictResult = strict.score(today);
+check('Config is per scorer', !strictResult.results.XX.signals.some(s => s.type === 'VOL') &&
+    warm.config === shippedConfig && strict.config.vol_jump.threshold === 10);
+check('Result reports the scorer config', strictResult.config.vol_jump_threshold === 10 &&
+    warmResult.config.vol_jump_threshold === shippedConfig.vol_jump.threshold);
+
+console.log('\n=== PRUNING ===');
+const short = createScorer({ history, historyDays: 7 });
+check('History pruned on create', Object.keys(short.getHistory()).length === 7 && day(8) in short.getHistory());
+short.addSnapshot(day(15), today);
+check('History pruned on add', Object.keys(short.getHistory()).length === 7 && !(day(8) in short.getHistory()));
+
+console.log('\n=== SHIPPED CONFIG ===');
+check('Read once and shared', getShippedConfig() === shippedConfig && createScorer().config === shippedConfig);
+const loaded = loadScoringConfig();
+check('loadScoringConfig returns a fresh copy', loaded !== shippedConfig && loaded.version === shippedConfig.version);
+
+console.log(`\n${failures === 0 ? '✅ All scorer checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -8,7 +8,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { scoreAllCountries, loadHistoricalData } from '../scripts/scoring.mjs';
+import { createScorer } from '../scripts/scoring.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -33,13 +33,11 @@ async function testFixedSnapshot() {
         console.log(`\nTesting: ${file}`);
         const snapshot = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf-8'));
 
-        // Load historical data if present in snapshot
-        if (snapshot.historical_data) {
-            loadHistoricalData(snapshot.historical_data);
-        }
+        // Fresh scorer per snapshot, with its historical data if present
+        const scorer = createScorer({ history: snapshot.historical_data });
 
         // Run scoring
-        const result = scoreAllCountries(snapshot.gdelt_data);
+        const result = scorer.score(snapshot.gdelt_data);
 
         // Compare distribution
         const distMatch = JSON.stringify(result.distribution) === JSON.stringify(snapshot.expected.distribution);
@@ -0,0 +1,102 @@
+/**
+ * scoring_overrides.mjs - Tier / region / country overrides on top of scoring.json
+ *
+ *   1. Layers apply global -> tier -> region -> country, objects merge per key
+ *   2. Countries without overrides get the global values (and applied = [])
+ *   3. summarizeThresholds records what was used
+ *   4. validateOverrides flags unknown tiers, keys and codes
+ *   5. scoreCountry reports effective_thresholds, with the shipped config or the one passed in
+ *
+ * Usage: node tests/scoring_overrides.mjs
+ */
+
+import { resolveCountryConfig, summarizeThresholds, validateOverrides, getCountryTiers } from '../scripts/scoring_overrides.mjs';
+import { scoreCountry, getShippedConfig } from '../scripts/scoring.mjs';
+
+const shippedConfig = getShippedConfig();
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const base = {
+    event_count_floor: 200,
+    r1_security: { absolute_threshold: 300, ratio_threshold: 0.06, use_jump_gate: true, jump_threshold: 1.4, min_median_floor: 150 },
+    r2_living: { absolute_threshold: 180, ratio_threshold: 0.035, use_jump_gate: false },
+    r3_governance: { absolute_threshold: 150, ratio_threshold: 0.045, use_jump_gate: true, jump_threshold: 1.4, min_median_floor: 80 },
+    r4_fiscal: { absolute_threshold: 200, ratio_threshold: 0.04, use_jump_gate: false },
+    surge_r: { smoothing_k: 5, thresholds: { yellow: 1.75, orange: 2.75, red: 3.75 } },
+    tier_overrides: {
+        A: { event_count_floor: 80, r1_security: { absolute_threshold: 120 } },
+        S: { surge_r: { thresholds: { yellow: 2.0 } } }
+    },
+    region_overrides: {
+        CARIBBEAN: { countries: ['JM', 'HT'], r1_security: { absolute_threshold: 60 } }
+    },
+    country_overrides: {
+        US: { r1_security: { absolute_threshold: 900, jump_threshold: 1.8 }, event_count_floor: 1000 },
+        HT: { r1_security: { ratio_threshold: 0.1 } }
+    }
+};
+
+console.log('=== TIERS ===');
+check('Tier membership from latam33 / sensor lists',
+    getCountryTiers('VE').join() === 'A' && getCountryTiers('US').join() === 'S' && getCountryTiers('FR').length === 0);
+
+console.log('\n=== RESOLUTION ===');
+const fr = resolveCountryConfig(base, 'FR');
+check('No overrides -> global values', fr.applied.length === 0 && fr.config.r1_security.absolute_threshold === 300 &&
+    fr.config.event_count_floor === 200);
+check('Override sections are not copied into the effective config', !('country_overrides' in fr.config));
+
+const ve = resolveCountryConfig(base, 'VE');
+check('Tier A applies to VE', ve.applied.join() === 'tier:A' && ve.config.event_count_floor === 80 &&
+    ve.config.r1_security.absolute_threshold === 120 && ve.config.r1_security.ratio_threshold === 0.06);
+
+const us = resolveCountryConfig(base, 'US');
+check('Tier S then country for US', us.applied.join() === 'tier:S,country:US', `(${us.applied.join()})`);
+check('Country beats global', us.config.r1_security.absolute_threshold === 900 && us.config.r1_security.jump_threshold === 1.8 &&
+    us.config.event_count_floor === 1000);
+check('Nested merge keeps sibling keys', us.config.surge_r.thresholds.yellow === 2.0 && us.config.surge_r.thresholds.red === 3.75 &&
+    us.config.surge_r.smoothing_k === 5);
+
+const ht = resolveCountryConfig(base, 'HT');
+check('Tier -> region -> country order for HT', ht.applied.join() === 'tier:A,region:CARIBBEAN,country:HT' &&
+    ht.config.r1_security.absolute_threshold === 60 && ht.config.r1_security.ratio_threshold === 0.1);
+check('Region member list is not part of the config', !('countries' in ht.config));
+check('Base config untouched', base.r1_security.absolute_threshold === 300 && base.surge_r.thresholds.yellow === 1.75);
+
+console.log('\n=== AUDIT SUMMARY ===');
+const summary = summarizeThresholds(us.config, us.applied);
+check('Summary carries layers and thresholds', summary.overrides.join() === 'tier:S,country:US' &&
+    summary.event_count_floor === 1000 && summary.R1.absolute_threshold === 900 && summary.R1.jump_threshold === 1.8 &&
+    summary.surge_r.yellow === 2.0);
+check('Jump fields only for gated bundles', !('jump_threshold' in summary.R2) && summary.R3.min_median_floor === 80);
+
+console.log('\n=== VALIDATION ===');
+check('Valid overrides -> no warnings', validateOverrides(base).length === 0);
+const warnings = validateOverrides({
+    ...base,
+    tier_overrides: { B: {} },
+    region_overrides: { EMPTY: { r1_security: {} } },
+    country_overrides: { usa: {}, GB: { r1_securty: {} } }
+});
+check('Flags unknown tier, empty region, bad code and unknown key', warnings.length === 4, JSON.stringify(warnings));
+
+console.log('\n=== scoreCountry ===');
+const scored = scoreCountry({ code: 'FR', event_count: 1000, avg_tone: -1, r1_security: 10, r2_living_count: 0, r3_governance: 0, r4_fiscal_count: 0 });
+const expectedApplied = resolveCountryConfig(shippedConfig, 'FR').applied;
+check('effective_thresholds in scoring output', scored.effective_thresholds?.overrides.join() === expectedApplied.join() &&
+    scored.effective_thresholds.R1.absolute_threshold === resolveCountryConfig(shippedConfig, 'FR').config.r1_security.absolute_threshold);
+const lowVol = scoreCountry({ code: 'FR', event_count: 5, avg_tone: 0, r1_security: 0 });
+check('low_volume results carry effective_thresholds too', lowVol.reason === 'low_volume' && !!lowVol.effective_thresholds);
+const noOverrides = { ...shippedConfig, country_overrides: {}, region_overrides: {}, tier_overrides: {} };
+const plain = scoreCountry({ code: 'FR', event_count: 1000, avg_tone: -1, r1_security: 10 }, { config: noOverrides });
+check('scoreCountry uses the config passed in', plain.effective_thresholds.overrides.length === 0 &&
+    plain.effective_thresholds.R1.absolute_threshold === shippedConfig.r1_security.absolute_threshold);
+
+console.log(`\n${failures === 0 ? '✅ All override checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
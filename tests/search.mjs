@@ -0,0 +1,78 @@
+/**
+ * search.mjs - Dashboard search (src/utils/search.js)
+ *
+ *   1. Names in en / ja / es, aliases and codes; case, accents and full-width forms ignored
+ *   2. Headline and briefing text, newest first, one row per country per text
+ *   3. Date range over stored daily files
+ *   4. Snippets keep the original text around the match
+ *
+ * Usage: node tests/search.mjs
+ */
+
+import fs from 'fs';
+import { searchDocs, runSearch, datesInRange, isSearchable, snippet, normalize } from '../src/utils/search.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const aliases = JSON.parse(fs.readFileSync(new URL('../config/country_aliases.json', import.meta.url), 'utf-8'));
+
+const day = (headline) => ({
+    countries: {
+        RU: {
+            name_en: 'Russia', name_ja: 'ロシア', name_es: 'Rusia',
+            sources: [{ title: headline, url: 'https://example.org/ru' }],
+            brief: { headline: 'Kremlin tightens media rules', what_happened: 'New restrictions announced.', sources: ['https://example.org/ru'] }
+        },
+        MX: {
+            name_en: 'Mexico', name_ja: 'メキシコ', name_es: 'México',
+            sources: [{ title: 'Protests in Ciudad de México over water', url: 'https://example.org/mx' }]
+        },
+        RS: { name_en: 'Serbia', name_ja: 'セルビア', name_es: 'Serbia', sources: [] },
+        TR: { name_en: 'Turkey', name_ja: 'トルコ', name_es: 'Turquía', brief: { headline: 'Lira slides', sources: [{ title: 'Ankara raises rates', url: 'https://example.org/tr' }] } }
+    }
+});
+
+const docs = [
+    ...searchDocs('2026-01-10', day('Protests in Moscow'), aliases),
+    ...searchDocs('2026-01-09', day('Protests in Moscow'), aliases),
+    ...searchDocs('2026-01-08', day('Strikes spread'), aliases)
+];
+const codes = (rows) => rows.map(r => `${r.kind}:${r.iso2}`).join();
+
+console.log('=== NAMES ===');
+check('English name, exact match first', runSearch(docs, 'serbia')[0]?.iso2 === 'RS');
+check('Japanese name', codes(runSearch(docs, 'ロシア')) === 'country:RU');
+check('Spanish name without the accent', codes(runSearch(docs, 'mexico')).startsWith('country:MX') && runSearch(docs, 'MÉXICO')[0]?.iso2 === 'MX');
+check('Full-width input', runSearch(docs, 'ＲＵＳＩＡ')[0]?.iso2 === 'RU', normalize('ＲＵＳＩＡ'));
+check('Alias from config', runSearch(docs, 'kremlin')[0]?.field === 'alias' && runSearch(docs, 'Türkiye')[0]?.iso2 === 'TR');
+check('One country row, newest date', runSearch(docs, 'russia').filter(r => r.kind === 'country').length === 1 && runSearch(docs, 'russia')[0].date === '2026-01-10');
+check('ISO2 code', runSearch(docs, 'rs')[0]?.iso2 === 'RS' && runSearch(docs, 'rs')[0]?.field === 'code');
+
+console.log('\n=== TEXT ===');
+const protests = runSearch(docs, 'protests moscow');
+check('All words in one field', codes(protests) === 'text:RU', codes(protests));
+check('Same headline on several days listed once, newest date', protests[0]?.date === '2026-01-10' && protests[0]?.url === 'https://example.org/ru');
+check('Older headlines still found', runSearch(docs, 'strikes')[0]?.date === '2026-01-08');
+check('Briefing text and brief article titles', runSearch(docs, 'media rules')[0]?.field === 'brief' && runSearch(docs, 'ankara raises')[0]?.field === 'headline');
+check('Country rows before text rows', codes(runSearch(docs, 'kremlin')) === 'country:RU,text:RU');
+check('Limit', runSearch(docs, 'protests', { limit: 1 }).length === 1);
+check('Short ASCII queries skipped, single kana allowed', !isSearchable('r') && isSearchable('ru') && isSearchable('ロ') && runSearch(docs, '  ').length === 0);
+
+console.log('\n=== DATE RANGE ===');
+const available = ['2026-01-10', '2026-01-09', '2026-01-04', '2026-01-03', '2025-12-12'];
+check('7 days', datesInRange(available, '2026-01-10', 7).join() === '2026-01-10,2026-01-09,2026-01-04', datesInRange(available, '2026-01-10', 7).join());
+check('Ends at the displayed date', datesInRange(available, '2026-01-04', 30).join() === '2026-01-04,2026-01-03,2025-12-12');
+check('Single day', datesInRange(available, '2026-01-09', 1).join() === '2026-01-09' && datesInRange(available, null, 7).length === 0);
+
+console.log('\n=== SNIPPET ===');
+const s = snippet('Protests in Ciudad de México over water', 'mexico', 10);
+check('Original text highlighted', s.match === 'México' && s.before === '…Ciudad de ' && s.after === ' over wate…', JSON.stringify(s));
+check('No match keeps the start', snippet('abc', 'zzz').after === 'abc');
+
+console.log(`\n${failures === 0 ? '✅ All search checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,145 @@
+/**
+ * structured_output.mjs - Schema-validated LLM output and briefing fact checks
+ *
+ *   1. validateSchema: types, required, enum, lengths, items, additionalProperties
+ *   2. generateStructured: invalid JSON / schema / check violations trigger one repair, then reject
+ *   3. Country matcher: names in three languages, longest match, word boundaries, "(XX)"
+ *   4. checkBriefing: countries outside the candidates, levels that do not match the facts
+ *   5. checkAnalysis: levels other than the given one
+ *   6. End to end: a hallucinated country is sent back and repaired
+ *
+ * Usage: node tests/structured_output.mjs
+ */
+
+import { createLlmClient } from '../scripts/llm/index.mjs';
+import { createFakeProvider } from '../scripts/llm/fake.mjs';
+import { validateSchema, generateStructured } from '../scripts/llm/structured.mjs';
+import { BRIEFING_SCHEMA, ANALYSIS_SCHEMA, createCountryMatcher, citedLevels, checkBriefing, checkAnalysis } from '../scripts/briefing_checks.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const noSleep = { sleep: async () => { } };
+
+console.log('=== SCHEMA ===');
+const good = { en: ['a'], ja: ['b'], es: ['c'] };
+check('valid briefing passes', validateSchema(BRIEFING_SCHEMA, good).length === 0);
+check('missing language reported', validateSchema(BRIEFING_SCHEMA, { en: ['a'], ja: ['b'] }).includes('$.es: missing'));
+check('wrong item type reported', validateSchema(BRIEFING_SCHEMA, { ...good, en: ['a', 3] }).includes('$.en[1]: expected string, got integer'));
+check('empty array reported', validateSchema(BRIEFING_SCHEMA, { ...good, ja: [] }).includes('$.ja: fewer than 1 items'));
+check('not an object reported', validateSchema(BRIEFING_SCHEMA, ['a'])[0] === '$: expected object, got array');
+check('enum enforced', validateSchema(ANALYSIS_SCHEMA, { headline: 'h', what_happened: 'w', confidence: 'very' })[0]?.startsWith('$.confidence: must be one of'));
+check('nullable type accepted', validateSchema(ANALYSIS_SCHEMA, { headline: 'h', what_happened: 'w', notes: null }).length === 0);
+check('maxLength / additionalProperties', validateSchema(
+    { type: 'object', properties: { a: { type: 'string', maxLength: 2 } }, additionalProperties: false },
+    { a: 'abc', b: 1 }
+).join('|') === '$.a: longer than 2 characters|$.b: not allowed');
+check('number accepts integers', validateSchema({ type: 'number' }, 3).length === 0);
+
+console.log('\n=== REPAIR ===');
+async function run(rules, options) {
+    const provider = createFakeProvider({ rules });
+    const llm = createLlmClient(provider, noSleep);
+    try {
+        const result = await generateStructured(llm, 'Write the briefing', { stage: 'briefing_ops', schema: BRIEFING_SCHEMA, ...options });
+        return { result, provider, llm };
+    } catch (err) {
+        return { err, provider, llm };
+    }
+}
+
+let r = await run([{ match: 'Write', reply: '```json\n' + JSON.stringify(good) + '\n```' }]);
+check('valid reply returned on the first attempt', r.result?.attempts === 1 && r.result.value.en[0] === 'a');
+
+r = await run([
+    { match: 'rejected', reply: JSON.stringify(good) },
+    { match: 'Write', reply: 'Sure! Here is the briefing: {en: ...' }
+]);
+check('invalid JSON repaired', r.result?.attempts === 2 && r.provider.calls.length === 2);
+check('repair prompt carries the reply and the violation', r.provider.calls[1].includes('Sure! Here is the briefing') && r.provider.calls[1].includes('not valid JSON'));
+check('repair call has its own ledger stage', r.llm.ledger.summary().stages.briefing_ops_repair?.calls === 1);
+
+r = await run([
+    { match: 'rejected', reply: JSON.stringify(good) },
+    { match: 'Write', reply: JSON.stringify({ en: ['a'] }) }
+]);
+check('schema violation repaired', r.result?.attempts === 2 && r.provider.calls[1].includes('$.ja: missing'));
+
+r = await run([{ match: 'Write', reply: JSON.stringify(good) }], { check: (v) => (v.en[0] === 'a' ? ['mentions Atlantis'] : []) });
+check('persistent violation rejected after one repair', r.err?.violations?.[0] === 'mentions Atlantis' && r.provider.calls.length === 2);
+
+r = await run([{ match: 'Write', reply: JSON.stringify({ en: ['a'] }) }], { repairs: 0 });
+check('repairs: 0 rejects without a second call', !!r.err && r.provider.calls.length === 1);
+
+r = await run([{ match: 'Write', error: 'HTTP 500 from server' }]);
+check('provider errors propagate without a repair', r.err?.message === 'HTTP 500 from server' && !r.err.violations && r.provider.calls.length === 1);
+
+console.log('\n=== MATCHER ===');
+const matcher = createCountryMatcher([
+    { iso2: 'SD', names: ['Sudan', 'スーダン', 'Sudán'] },
+    { iso2: 'SS', names: ['South Sudan', '南スーダン', 'Sudán del Sur'] },
+    { iso2: 'NE', names: ['Niger', 'ニジェール'] },
+    { iso2: 'NG', names: ['Nigeria', 'ナイジェリア'] },
+    { iso2: 'IN', names: ['India', 'インド'] },
+    { iso2: 'ID', names: ['Indonesia', 'インドネシア'] },
+    { iso2: 'IR', names: ['Iran', 'イラン', 'Irán'] },
+    { iso2: 'US', names: ['United States', 'US'] }
+]);
+const found = (text) => [...matcher.find(text)].sort().join(',');
+check('longest name wins', found('Clashes in South Sudan') === 'SS');
+check('both when both are named', found('Sudan and South Sudan') === 'SD,SS');
+check('word boundaries (Niger vs Nigeria)', found('Nigeria fuel prices') === 'NG');
+check('Japanese names, longest first', found('インドネシアで抗議') === 'ID');
+check('Spanish names', found('Protestas en Irán') === 'IR');
+check('ISO code in parentheses', found('Capsule (IR) red') === 'IR');
+check('two-letter names ignored in free text', found('US dollar') === '');
+check('unknown "(XX)" ignored', found('(ZZ) note') === '');
+
+console.log('\n=== BRIEFING CHECKS ===');
+const candidates = [
+    { iso2: 'SD', level: 'red', surge_level: 'orange', news_headlines: ['Sudan army says Iran drones intercepted'] },
+    { iso2: 'NG', level: 'yellow', surge_level: 'yellow', news_headlines: [] }
+];
+const ops = (en) => ({ en, ja: ['スーダン(SD) red: R1。'], es: ['Sudán: nivel rojo.'] });
+
+check('faithful briefing passes', checkBriefing(ops(['Sudan (SD) red: R1. 48h: clashes.', 'Nigeria: yellow alert on prices.']), candidates, matcher).length === 0);
+
+let v = checkBriefing(ops(['Sudan (SD) red: R1.', 'India: protests expected.']), candidates, matcher);
+check('country outside the candidates flagged', v.length === 1 && v[0] === 'mentions India (IN), which is not in the candidate list', JSON.stringify(v));
+
+v = checkBriefing(ops(['Sudan (SD) red: R1.', 'Iran: drones reported.']), candidates, matcher);
+check('headline country flagged in ops', v.some(x => x.includes('Iran (IR)')));
+v = checkBriefing(ops(['Sudan (SD) red: R1.', 'Iran: drones reported.']), candidates, matcher, { allowHeadlineCountries: true });
+check('headline country allowed in trending', v.length === 0, JSON.stringify(v));
+
+v = checkBriefing(ops(['Nigeria (NG) red: R2 prices.']), candidates, matcher);
+check('wrong level bound to ISO flagged', v.length === 1 && v[0] === 'cites level "red" but Nigeria (NG) is yellow', JSON.stringify(v));
+v = checkBriefing(ops(['Nigeria is on orange alert.']), candidates, matcher);
+check('wrong level in sentence flagged', v.length === 1 && v[0].includes('"orange"'));
+v = checkBriefing(ops(['Sudan: orange level surge.']), candidates, matcher);
+check('surge level accepted', v.length === 0, JSON.stringify(v));
+v = checkBriefing({ en: ['Sudan (SD) red.'], ja: ['ナイジェリア: レッド警戒。'], es: ['Nigeria: nivel rojo.'] }, candidates, matcher);
+check('Japanese and Spanish level words checked', v.length === 1 && v[0].includes('Nigeria (NG) is yellow'), JSON.stringify(v));
+v = checkBriefing(ops(['Sudan: shipping in the Red Sea disrupted.']), candidates, matcher);
+check('"Red Sea" is not a level', v.length === 0);
+check('citedLevels binds ISO', JSON.stringify(citedLevels('(SD) Red')) === '[{"iso2":"SD","level":"red"}]');
+
+console.log('\n=== ANALYSIS CHECKS ===');
+check('given level passes', checkAnalysis({ headline: 'Orange alert after protests', what_happened: 'x' }, 'orange').length === 0);
+check('other level flagged', checkAnalysis({ headline: 'Red alert: coup attempt', what_happened: 'x' }, 'orange')[0]?.includes('"red"'));
+check('plain colour words ignored', checkAnalysis({ headline: 'Green party wins', what_happened: 'Red Sea shipping' }, 'yellow').length === 0);
+
+console.log('\n=== END TO END (fake provider) ===');
+r = await run([
+    { match: 'rejected', reply: JSON.stringify(ops(['Sudan (SD) red: R1.'])) },
+    { match: 'Write', reply: JSON.stringify(ops(['Sudan (SD) red: R1.', 'India (IN) orange: R1.'])) }
+], { check: (value) => checkBriefing(value, candidates, matcher) });
+check('hallucinated country repaired', r.result?.attempts === 2 && r.result.value.en.length === 1);
+check('repair prompt names the violation', r.provider.calls[1].includes('mentions India (IN), which is not in the candidate list'));
+
+console.log(`\n${failures === 0 ? '✅ All structured output checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,78 @@
+/**
+ * surge_charts.mjs - CountryModal time-series charts (src/utils/surgeCharts.js)
+ *
+ *   1. Daily gate state / reason as recorded by the SurgeR engine
+ *   2. Daily series: counts from v4_history_30d.json, smoothed ratio, bands in count units
+ *   3. Weekly series: ratio7 up to the viewed week, gate reasons per week
+ *
+ * Usage: node tests/surge_charts.mjs
+ */
+
+import {
+    dailyGateState, smoothedRatio, countAtRatio, dailySeries, weeklySeries, chartMax
+} from '../src/utils/surgeCharts.js';
+import { computeSurgeR, toDailyTypeEntry, smoothedRatio as engineRatio } from '../scripts/surge_r.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const th = { yellow: 1.75, orange: 2.75, red: 3.75 };
+
+console.log('=== GATE STATE ===');
+check('Active colored by ratio', dailyGateState({ is_active: true, ratio: 3 }, th).level === 'orange');
+check('Active keeps the engine reason', dailyGateState({ is_active: true, ratio: 2, reason: 'dynamic_share_pass' }, th).reason === 'dynamic_share_pass');
+check('Gated shows the engine reason', JSON.stringify(dailyGateState({ is_active: false, ratio: 5, is_stable_input: false, triggered: false, abs_hit: true, high_vol: true, reason: 'highvol_abs_suppressed' }, th)) ===
+    '{"level":"gated","reason":"highvol_abs_suppressed"}');
+check('Files without a stored reason show none', dailyGateState({ is_active: false, is_stable_input: false, ratio: 5 }, th).reason === '');
+
+// The chart reads the same reason the engine computed for the daily file
+const engine = computeSurgeR({ R1: 40, R2: 0, R3: 2, R4: 0 }, { R1: 10, R2: 0, R3: 1, R4: 0 }, 100, {});
+const entries = Object.fromEntries(['R1', 'R2', 'R3'].map(t => [t, toDailyTypeEntry(engine.by_type[t], engine.settings)]));
+check('Engine reasons pass through', ['R1', 'R2', 'R3'].every(t => dailyGateState(entries[t], th).reason === engine.by_type[t].reason),
+    ['R1', 'R2', 'R3'].map(t => engine.by_type[t].reason).join());
+check('Chart ratio is the engine formula', smoothedRatio === engineRatio);
+
+console.log('\n=== DAILY ===');
+check('Bands invert the smoothed ratio', Math.abs(smoothedRatio(countAtRatio(2.75, 10, 5), 10, 5) - 2.75) < 1e-9 && countAtRatio(1.75, 0, 5) === 5.5);
+
+const history30d = {};
+for (let d = 1; d <= 31; d++) {
+    const date = `2026-01-${String(d).padStart(2, '0')}`;
+    history30d[date] = { VE: { r1_security: d, r3_governance: 2 * d } };
+}
+delete history30d['2026-01-20'].VE;
+const country = {
+    surge_r: { thresholds: th },
+    surge_r_by_type: { R1: { baseline_median: 10, smoothing_k: 5, is_active: true, ratio: 2.0 } }
+};
+const daily = dailySeries(history30d, 'VE', country, 'R1', '2026-01-25');
+check('Up to the viewed date, 30 days at most', daily.points.length === 25 && daily.points[24].key === '2026-01-25');
+check('Counts and smoothed ratio', daily.points[9].value === 10 && daily.points[9].ratio === 1);
+check('Missing country day is a gap', daily.points[19].value === null && daily.points[19].ratio === null);
+check('Gate only on the daily file date', daily.points[24].gate?.level === 'yellow' && daily.points[23].gate === null);
+check('Bands in counts', daily.bands.yellow === 1.75 * 15 - 5 && daily.bands.red === 3.75 * 15 - 5);
+const noBaseline = dailySeries(history30d, 'VE', country, 'R3', null, 30);
+check('No baseline: counts only, last 30 days', noBaseline.bands === null && noBaseline.points.length === 30 && noBaseline.points[0].ratio === null && noBaseline.points[29].value === 62);
+check('No history file', dailySeries(null, 'VE', country, 'R1', '2026-01-25').points.length === 0);
+
+console.log('\n=== WEEKLY ===');
+const history = [
+    { week: '2026-W03', weekly_surge_r_by_type: { R1: { ratio7: 4, is_active: true, reason: 'active' } } },
+    { week: '2026-W01', weekly_surge_r: { thresholds: { yellow: 2, orange: 3, red: 4 } }, weekly_surge_r_by_type: { R1: { ratio7: 2.5, is_active: false, reason: 'low-share', today7: 30, baseline7: 12 } } },
+    { week: '2026-W02', weekly_surge_r_by_type: { R1: { ratio7: 1.1, is_active: false, reason: 'below-threshold' } } }
+];
+const weekly = weeklySeries(history, 'R1', '2026-01-10');
+check('Sorted, cut at the week of the date', weekly.points.map(p => p.key).join() === '2026-W01,2026-W02', weekly.points.map(p => p.key).join());
+check('Thresholds from the weekly file', weekly.bands.yellow === 2 && weekly.thresholds.red === 4);
+check('Gated above yellow keeps its reason', weekly.points[0].gate.level === 'gated' && weekly.points[0].gate.reason === 'low-share' && weekly.points[0].today7 === 30);
+check('Below yellow is none', weekly.points[1].gate.level === 'none');
+check('Week key as date (weekly timeline frame)', weeklySeries(history, 'R1', '2026-W03').points[2].gate.level === 'red');
+check('Type missing in a week', weeklySeries(history, 'R2').points.every(p => p.value === null && p.gate === null));
+check('Axis covers values and the red band', chartMax([{ value: 2 }, { value: null }], { red: 4 }) === 4.6 && chartMax([{ value: 9 }], null) === 9);
+
+console.log(`\n${failures === 0 ? '✅ All surge chart checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,102 @@
+/**
+ * surge_r.mjs - Shared SurgeR engine (scripts/surge_r.mjs)
+ *
+ * tests/fixtures/surge_r_cases.json holds 7 days of counts per case; expected.*
+ * is what the inline daily / weekly-latest code produced before the engine.
+ *   1. Daily window (last day) matches the old generate_daily.js output, plus
+ *      the gate reason it now records
+ *   2. Weekly window (7-day sums) matches the old generate_weekly_latest.mjs output
+ *   3. Cases marked "agree" give the same active types and level in both windows
+ *   4. 5y history weeks and the refresh script agree with the weekly entries
+ *
+ * Uses the shipped config/scoring.json (global values, no overrides).
+ * Usage: node tests/surge_r.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    R_TYPES, computeSurgeR, smoothedRatio, intensityLevel,
+    toDailyTypeEntry, toWeeklyTypeEntry, buildHistoryWeek
+} from '../scripts/surge_r.mjs';
+import { resolveCountryConfig } from '../scripts/scoring_overrides.mjs';
+import { reevaluateGating } from '../scripts/maintenance/refresh_weekly_gating.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = path.resolve(__dirname, 'fixtures/surge_r_cases.json');
+const config = resolveCountryConfig(JSON.parse(fs.readFileSync(path.resolve(__dirname, '../config/scoring.json'), 'utf-8'))).config;
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const capitalize = (level) => level[0].toUpperCase() + level.slice(1);
+
+console.log('=== HELPERS ===');
+check('Smoothed ratio', smoothedRatio(20, 5, 5) === 25 / 10 && smoothedRatio(0, 0, 5) === 5 / 6 &&
+    smoothedRatio(70, 10, 5, 7) === 75 / 75);
+check('Intensity levels', intensityLevel(1.7) === 'None' && intensityLevel(1.75) === 'Yellow' &&
+    intensityLevel(3) === 'Orange' && intensityLevel(4) === 'Red');
+let threw = false;
+try { computeSurgeR({}, {}, 0, config, { window: 'monthly' }); } catch { threw = true; }
+check('Unknown window rejected', threw);
+
+const { cases } = JSON.parse(fs.readFileSync(FIXTURE, 'utf-8'));
+
+for (const c of cases) {
+    console.log(`\n=== ${c.name.toUpperCase()} ===`);
+    const last = c.days[c.days.length - 1];
+    const sums = Object.fromEntries(R_TYPES.map(t => [t, c.days.reduce((s, d) => s + d[t], 0)]));
+    const events7 = c.days.reduce((s, d) => s + d.event_count, 0);
+
+    // Daily
+    const daily = computeSurgeR(last, c.baseline, last.event_count, config,
+        { window: 'daily', externalPressureNoise: !!c.external_pressure_noise });
+    const dailyByType = Object.fromEntries(R_TYPES.map(t => [t, toDailyTypeEntry(daily.by_type[t], daily.settings)]));
+    // The old output had no gate reason; daily entries now carry the engine's
+    const legacyDaily = Object.fromEntries(R_TYPES.map(t => [t, { ...dailyByType[t], reason: undefined }]));
+    check('Daily by_type', same(legacyDaily, c.expected.daily.by_type));
+    check('Daily gate reasons', R_TYPES.every(t => dailyByType[t].reason === daily.by_type[t].reason));
+    check('Daily level / active types', capitalize(daily.level) === c.expected.daily.level &&
+        same(daily.active_types, c.expected.daily.active_types) &&
+        parseFloat(daily.max_ratio_active.toFixed(3)) === c.expected.daily.max_ratio_active,
+    `(${daily.level} ${daily.active_types.join('+') || '-'})`);
+
+    // Weekly
+    const weekly = computeSurgeR(sums, c.baseline, events7, config, { window: 'weekly' });
+    const weeklyByType = Object.fromEntries(R_TYPES.map(t => [t, toWeeklyTypeEntry(weekly.by_type[t])]));
+    check('Weekly by_type', same(weeklyByType, c.expected.weekly.by_type));
+    check('Weekly level / active types', weekly.level === c.expected.weekly.level &&
+        same(weekly.active_types, c.expected.weekly.active_types),
+    `(${weekly.level} ${weekly.active_types.join('+') || '-'})`);
+
+    if (c.agree) {
+        check('Daily and weekly agree', daily.level === weekly.level && same(daily.active_types, weekly.active_types));
+    }
+
+    // 5y history week
+    const hist = buildHistoryWeek('2026-W02', sums, events7, c.baseline, config);
+    check('History week matches weekly', same(hist.weekly_surge_r.active_types, weekly.active_types) &&
+        hist.weekly_surge_r.level === (weekly.level === 'green' ? 'none' : weekly.level) &&
+        R_TYPES.every(t => hist.weekly_surge_r_by_type[t].ratio7 === weeklyByType[t].ratio7 &&
+            hist.weekly_surge_r_by_type[t].reason === weeklyByType[t].reason &&
+            hist.levels[t] === weekly.by_type[t].intensity));
+
+    // Refresh of a stored weekly entry with stale gate fields
+    const stored = {
+        event_count: events7,
+        weekly_surge_r: { level: 'green', max_ratio_active: 0, active_types: [] },
+        weekly_surge_r_by_type: Object.fromEntries(R_TYPES.map(t => [t, { ...weeklyByType[t], is_active: false, reason: 'unknown' }]))
+    };
+    reevaluateGating(stored, config);
+    check('Refresh restores gate fields', same(stored.weekly_surge_r_by_type, weeklyByType) &&
+        same(stored.weekly_surge_r.active_types, weekly.active_types) && stored.weekly_surge_r.level === weekly.level);
+}
+
+console.log(`\n${failures === 0 ? '✅ All SurgeR checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
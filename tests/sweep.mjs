@@ -0,0 +1,84 @@
+/**
+ * sweep.mjs - Threshold sweep / backtest harness (scripts/sweep.mjs)
+ *
+ * tests/fixtures/sweep/:
+ *   history_30d.json  20 days: VE surges from 2026-01-03, SD alternates on/off, FR quiet, TV below the floor
+ *   weekly_5y/        16 weeks: VE R1 surge 2025-W52..2026-W02, SD alternates, FR quiet
+ *   labels.json       VE / SD events (hits), FR (miss), FR 2024 (outside the range)
+ *   grid.json         surge_r yellow 1.5 / 3.5 + a loose R1 ratio variant
+ *
+ * Usage: node tests/sweep.mjs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expandGrid, replayDaily, replayWeekly, loadWeeklyHistory, runSweep, renderSweepHtml } from '../scripts/sweep.mjs';
+import { createScorer, loadScoringConfig } from '../scripts/scoring.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, 'fixtures/sweep');
+const readJson = (f) => JSON.parse(fs.readFileSync(path.join(FIXTURES, f), 'utf-8'));
+const shippedConfig = loadScoringConfig();
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const history = readJson('history_30d.json');
+const weeklyHistory = loadWeeklyHistory(path.join(FIXTURES, 'weekly_5y'));
+const labels = readJson('labels.json').events;
+
+console.log('=== GRID ===');
+const variants = expandGrid(readJson('grid.json'), shippedConfig);
+check('Baseline + 2 grid points + 1 named variant', variants.map(v => v.name).join('|') ===
+    'baseline|surge_r.thresholds.yellow=1.5|surge_r.thresholds.yellow=3.5|loose-r1');
+check('Grid patch merges into the base config', variants[2].config.surge_r.thresholds.yellow === 3.5 &&
+    variants[2].config.surge_r.thresholds.red === shippedConfig.surge_r.thresholds.red &&
+    shippedConfig.surge_r.thresholds.yellow === 1.75);
+const product = expandGrid({ grid: { 'surge_r.thresholds.yellow': [1.5, 2], 'vol_jump.threshold': [1.5, 2, 2.5] } }, shippedConfig);
+check('Grid axes multiply', product.length === 1 + 6);
+let threw = '';
+try { expandGrid({ grid: { 'surge.thresholds.yellow': [1.5] } }, shippedConfig); } catch (e) { threw = e.message; }
+check('Unknown config key rejected', threw.includes('Unknown config key'), `(${threw})`);
+
+console.log('\n=== DAILY REPLAY ===');
+const daily = replayDaily(shippedConfig, history, { labels });
+check('All days replayed', daily.days === 20 && daily.range.join() === '2025-12-22,2026-01-10');
+check('VE lit on its 8 surge days', daily.lit_days_by_country.VE === 8, JSON.stringify(daily.lit_days_by_country));
+check('FR never lit, TV skipped', !daily.lit_days_by_country.FR && !daily.lit_days_by_country.TV && daily.distribution_avg.skipped === 1);
+check('SD alternation shows up as flip-flops', daily.flip_flops >= 18 && daily.flip_flop_rate > 0.8, `(${daily.flip_flops}/${daily.transitions})`);
+check('Label agreement (FR miss, 2024 event out of range)', daily.labels.events_evaluated === 3 && daily.labels.hits === 2 &&
+    daily.labels.missed.join() === 'FR@2025-12-30');
+const lastDay = daily.range[1];
+const live = createScorer({ config: shippedConfig, audit: false, history: Object.fromEntries(Object.entries(history).filter(([d]) => d < lastDay)) })
+    .score(history[lastDay], lastDay).distribution;
+check('Day N scored like a daily run (N joins the history first)', JSON.stringify(daily.per_day[daily.days - 1]) === JSON.stringify({ date: lastDay, ...live }));
+const warm = replayDaily(shippedConfig, history, { warmupDays: 10 });
+check('Warmup days are scored but not counted', warm.days === 10 && warm.range[0] === '2026-01-01');
+
+const loose = replayDaily(variants[3].config, history);
+check('Looser R1 ratio lights SD every day (no flip-flops)', loose.lit_days_by_country.SD === 20 && loose.flip_flops === 0);
+
+console.log('\n=== WEEKLY REPLAY ===');
+const weekly = replayWeekly(shippedConfig, weeklyHistory, { labels });
+check('All weeks replayed', weekly.weeks === 16 && weekly.range.join() === '2025-W41,2026-W04');
+check('VE lit for the 3 surge weeks', weekly.lit_weeks_by_country.VE === 3 && !weekly.lit_weeks_by_country.FR,
+    JSON.stringify(weekly.lit_weeks_by_country));
+check('Weekly label agreement', weekly.labels.hits === 2 && weekly.labels.recall === 0.667);
+const strict = replayWeekly(variants[2].config, weeklyHistory, { labels });
+check('Yellow 3.5 drops the VE weeks', !strict.lit_weeks_by_country.VE && strict.labels.missed.includes('VE@2026-01-03'));
+const last8 = replayWeekly(shippedConfig, weeklyHistory, { weeks: 8 });
+check('--weeks keeps the most recent weeks', last8.weeks === 8 && last8.range[0] === '2025-W49');
+
+console.log('\n=== REPORT ===');
+const report = runSweep({ variants, history, weeklyHistory, labels });
+check('One result per variant', report.variants.length === 4 && report.inputs.labelled_events === 4);
+const html = renderSweepHtml(report);
+check('HTML table lists every variant', variants.every(v => html.includes(`<th>${v.name}</th>`)) && html.includes('<th>VE</th>'));
+
+console.log(`\n${failures === 0 ? '✅ All sweep checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,77 @@
+/**
+ * timeline.mjs - Timeline scrubber frames (src/utils/timeline.js)
+ *
+ *   1. Frame cache shares in-flight loads, evicts old frames, retries failures
+ *   2. Frame keys are the last N steps up to the current date / week
+ *   3. Weekly summaries reshape into daily-like frames for the map
+ *
+ * Usage: node tests/timeline.mjs
+ */
+
+import { createFrameCache, timelineKeys, adaptWeeklyFrame } from '../src/utils/timeline.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+console.log('=== FRAME CACHE ===');
+const calls = [];
+let failOnce = true;
+const cache = createFrameCache(async key => {
+    calls.push(key);
+    if (key === 'bad' && failOnce) {
+        failOnce = false;
+        throw new Error('404');
+    }
+    return { date: key };
+}, { maxEntries: 3 });
+
+const [a1, a2] = await Promise.all([cache.get('d1'), cache.get('d1')]);
+check('Concurrent gets share one load', a1 === a2 && calls.length === 1);
+
+await cache.preload(['d2', 'd3', 'd4'], { concurrency: 2 });
+check('Preload loads every key', calls.join() === 'd1,d2,d3,d4', calls.join());
+check('Oldest frame evicted past maxEntries', !cache.has('d1') && cache.has('d4') && cache.size() === 3);
+
+await cache.get('d2');
+await cache.get('d5');
+check('Recently used frames are kept', cache.has('d2') && !cache.has('d3'));
+
+const bad = await cache.get('bad').catch(err => err.message);
+check('Failed load rejects and is not cached', bad === '404' && !cache.has('bad'));
+check('Later get retries', (await cache.get('bad')).date === 'bad');
+
+await cache.preload([]);
+check('Empty preload is a no-op', true);
+
+console.log('\n=== FRAME KEYS ===');
+const dates = ['2026-01-05', '2026-01-03', '2026-01-04', '2026-01-01', '2026-01-02'];
+check('Last N up to the current date, oldest first', timelineKeys(dates, '2026-01-04', 3).join() === '2026-01-02,2026-01-03,2026-01-04');
+check('No end key -> newest', timelineKeys(dates, null, 2).join() === '2026-01-04,2026-01-05');
+check('Range longer than the data', timelineKeys(dates, '2026-01-02', 30).length === 2);
+check('Missing end key snaps to the previous key', timelineKeys(['2026-W01', '2026-W03'], '2026-W02', 5).join() === '2026-W01');
+check('Nothing before the end key', timelineKeys(dates, '2025-12-01', 5).length === 0);
+
+console.log('\n=== WEEKLY FRAME ===');
+const frame = adaptWeeklyFrame({
+    week: '2026-W02',
+    countries: {
+        VE: {
+            name_en: 'Venezuela', event_count: 900, ratios: { R1: 2.4, R3: 1.1 },
+            weekly_surge_r: { level: 'orange', max_ratio_active: 2.4, active_types: ['R1'] }
+        },
+        CO: { name_en: 'Colombia', event_count: 300 }
+    }
+});
+check('Frame is labelled with the week', frame.date === '2026-W02' && frame.week === '2026-W02');
+check('SurgeR level capitalized as in daily files', frame.countries.VE.surge_r.level === 'Orange' &&
+    frame.countries.VE.surge_r.active_types.join() === 'R1');
+check('RAW view and SURGING scores filled', frame.countries.VE.alert_level === 'orange' && frame.countries.VE.r_scores.R1 === 2.4);
+check('Country without weekly SurgeR is green', frame.countries.CO.surge_r.level === 'Green' && frame.countries.CO.alert_level === 'green');
+check('Empty summary', Object.keys(adaptWeeklyFrame(null).countries).length === 0);
+
+console.log(`\n${failures === 0 ? '✅ All timeline checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
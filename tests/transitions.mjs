@@ -0,0 +1,100 @@
+/**
+ * transitions.mjs - Day-over-day level transitions (scripts/transitions.mjs)
+ *
+ *   1. Level changes per metric, with direction and triggering bundles
+ *   2. Countries missing on either day and unknown levels are skipped
+ *   3. Previous daily file lookup (manifest first, then the day before)
+ *   4. The JSONL log is append-only and does not log a date twice
+ *
+ * Usage: node tests/transitions.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    levelSnapshot, diffLevels, buildTransitionFeed, findPreviousDaily, appendTransitions, readTransitions
+} from '../scripts/transitions.mjs';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const country = (alert, surge, index, signals = [], active = []) => ({
+    alert_level: alert,
+    v4_scoring: { signals: signals.map(type => ({ type })) },
+    surge_r: { level: surge, active_types: active },
+    index: { level: index }
+});
+
+const yesterday = {
+    date: '2026-01-09',
+    countries: {
+        VE: country('yellow', 'Yellow', 'Yellow', ['R1'], ['R1']),
+        FR: country('orange', 'Green', 'Orange', ['R2', 'R3']),
+        SD: country('red', 'Red', 'Red', ['R1', 'R2', 'R3'], ['R1', 'R3']),
+        GONE: country('red', 'Red', 'Red')
+    }
+};
+const today = {
+    date: '2026-01-10',
+    countries: {
+        VE: country('red', 'Orange', 'Yellow', ['R1', 'R1', 'R3', 'VOL'], ['R1', 'R3']),
+        FR: country('yellow', 'Green', 'Orange', ['R2']),
+        SD: country('red', 'Red', undefined, ['R1', 'R2', 'R3'], ['R1', 'R3']),
+        NEW: country('red', 'Red', 'Red')
+    }
+};
+
+console.log('=== DIFF ===');
+const prevSnap = levelSnapshot(yesterday);
+const todaySnap = levelSnapshot(today);
+check('Snapshot normalizes levels and dedupes bundles', todaySnap.countries.VE.surge_r.level === 'orange' &&
+    todaySnap.countries.VE.alert_level.bundles.join() === 'R1,R3,VOL' && prevSnap.date === '2026-01-09');
+
+const transitions = diffLevels(prevSnap, todaySnap, '2026-01-10');
+const keys = transitions.map(t => `${t.iso2}.${t.metric}:${t.from}>${t.to}`);
+check('Only changed levels, sorted by country then metric',
+    keys.join() === 'FR.alert_level:orange>yellow,VE.alert_level:yellow>red,VE.surge_r:yellow>orange', JSON.stringify(keys));
+const ve = transitions.find(t => t.iso2 === 'VE' && t.metric === 'surge_r');
+check('Escalation carries dates and triggering bundles', ve.direction === 'escalation' && ve.date === '2026-01-10' &&
+    ve.prev_date === '2026-01-09' && ve.bundles.join() === 'R1,R3');
+check('De-escalation', transitions[0].direction === 'de-escalation' && transitions[0].bundles.join() === 'R2');
+check('No previous day -> no transitions', diffLevels(null, todaySnap, '2026-01-10').length === 0);
+
+const feed = buildTransitionFeed(transitions, '2026-01-09');
+check('Feed counts', feed.compared_to === '2026-01-09' && feed.escalations === 2 && feed.de_escalations === 1 && feed.items.length === 3);
+
+console.log('\n=== PREVIOUS DAILY FILE ===');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transitions-'));
+try {
+    check('Nothing to compare in an empty directory', findPreviousDaily(tmpDir, '2026-01-10') === null);
+    fs.writeFileSync(path.join(tmpDir, '2026-01-09.json'), JSON.stringify(yesterday));
+    check('Falls back to the day before', findPreviousDaily(tmpDir, '2026-01-10')?.date === '2026-01-09');
+    fs.writeFileSync(path.join(tmpDir, '2026-01-06.json'), '{}');
+    fs.writeFileSync(path.join(tmpDir, 'available_dates.json'), JSON.stringify(['2026-01-10', '2026-01-06', '2026-01-02']));
+    const gap = findPreviousDaily(tmpDir, '2026-01-08');
+    check('Uses the latest earlier date in available_dates.json', gap?.date === '2026-01-06' && gap.file.endsWith('2026-01-06.json'));
+
+    console.log('\n=== LOG ===');
+    const logPath = path.join(tmpDir, 'transitions_log.jsonl');
+    check('First append writes one line per transition', appendTransitions(logPath, '2026-01-10', transitions) === 3 &&
+        fs.readFileSync(logPath, 'utf-8').trim().split('\n').length === 3);
+    const before = fs.readFileSync(logPath, 'utf-8');
+    check('Same date is not logged twice', appendTransitions(logPath, '2026-01-10', transitions) === 0 &&
+        fs.readFileSync(logPath, 'utf-8') === before);
+    const next = diffLevels(todaySnap, levelSnapshot({ countries: { FR: country('red', 'Green', 'Orange', ['R2']) } }), '2026-01-11');
+    appendTransitions(logPath, '2026-01-11', next);
+    check('Later dates append after earlier lines', fs.readFileSync(logPath, 'utf-8').startsWith(before) &&
+        readTransitions(logPath).length === 4);
+    check('Filters', readTransitions(logPath, { since: '2026-01-11' }).length === 1 &&
+        readTransitions(logPath, { iso2: 'FR', direction: 'escalation' }).map(t => t.date).join() === '2026-01-11');
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log(`\n${failures === 0 ? '✅ All transition checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
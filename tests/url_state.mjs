@@ -0,0 +1,57 @@
+/**
+ * url_state.mjs - Dashboard deep links (src/utils/urlState.js)
+ *
+ *   1. Every field round-trips through the query string
+ *   2. Invalid values are dropped instead of breaking the view
+ *   3. Viewports are rounded so map jitter does not rewrite the URL
+ *   4. Signal references resolve against the day's AIR lists
+ *
+ * Usage: node tests/url_state.mjs
+ */
+
+import {
+    parseDashboardParams, buildDashboardParams, resolveSignal, roundViewport, sameViewport
+} from '../src/utils/urlState.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+console.log('=== ROUND TRIP ===');
+const state = { date: '2026-01-10', view: 'index', country: 'VE', signal: { type: 'pm', index: 3 }, map: { lat: 8.123, lng: -66.987, zoom: 4.2 } };
+const query = buildDashboardParams(state).toString();
+check('Query string', query === 'date=2026-01-10&view=index&country=VE&signal=pm%3A3&map=8.12%2C-66.99%2C4', query);
+check('Parse gives the state back (viewport rounded)', same(parseDashboardParams(new URLSearchParams(query)),
+    { ...state, map: { lat: 8.12, lng: -66.99, zoom: 4 } }));
+check('Empty state -> empty query', buildDashboardParams({ date: null, country: null }).toString() === '');
+check('Lower-case country accepted', parseDashboardParams(new URLSearchParams('country=ve')).country === 'VE');
+
+console.log('\n=== INVALID VALUES ===');
+const bad = parseDashboardParams(new URLSearchParams('date=2026-1-10&view=heatmap&country=VEN&signal=tw:1&map=95,0,3'));
+check('All invalid fields dropped', same(bad, { date: null, view: null, country: null, signal: null, map: null }), JSON.stringify(bad));
+check('Signal index must be a number', parseDashboardParams(new URLSearchParams('signal=gt:x')).signal === null);
+
+console.log('\n=== VIEWPORT ===');
+check('Rounded to 2 decimals and whole zoom', same(roundViewport({ lat: 10.126, lng: -20.004, zoom: 3.6 }), { lat: 10.13, lng: -20, zoom: 4 }));
+check('Jitter is the same viewport', sameViewport({ lat: 8.121, lng: -66.99, zoom: 4 }, { lat: 8.124, lng: -66.991, zoom: 4 }));
+check('Zoom change is not', !sameViewport({ lat: 8.12, lng: -66.99, zoom: 4 }, { lat: 8.12, lng: -66.99, zoom: 5 }));
+check('Null handling', sameViewport(null, null) && !sameViewport(null, { lat: 0, lng: 0, zoom: 2 }));
+
+console.log('\n=== SIGNALS ===');
+const day = {
+    google_trends: [{ term: 'protesta', iso2: 'VE' }],
+    polymarket: [{ title: 'a' }, { title: 'b', iso2: 'FR' }],
+    air: { sns_top10: [{ iso2: 'KE', political_terms: ['finance bill'] }] }
+};
+check('gt / pm / xt resolve', resolveSignal(day, { type: 'gt', index: 0 }).term === 'protesta' &&
+    same(resolveSignal(day, { type: 'pm', index: 1 }), { type: 'pm', index: 1, title: 'b', iso2: 'FR' }) &&
+    resolveSignal(day, { type: 'xt', index: 0 }).iso2 === 'KE');
+check('Index past the list -> null', resolveSignal(day, { type: 'pm', index: 5 }) === null && resolveSignal(null, { type: 'gt', index: 0 }) === null);
+
+console.log(`\n${failures === 0 ? '✅ All URL state checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
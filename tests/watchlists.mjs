@@ -0,0 +1,96 @@
+/**
+ * watchlists.mjs - Watchlists (src/utils/watchlists.js)
+ *
+ *   1. Stored state is normalized and survives a save / load round trip
+ *   2. Lists can be created, edited and removed
+ *   3. Export / import as JSON, with bad files rejected
+ *   4. Strip rows: level per view mode, 7-day change, change since last visit
+ *
+ * Usage: node tests/watchlists.mjs
+ */
+
+import {
+    normalizeWatchlists, loadWatchlists, saveWatchlists, activeCodes, addList, removeList, toggleCountry,
+    exportWatchlists, importWatchlists, levelOf, levelDelta, buildStripRows, buildSeenSnapshot,
+    loadSeen, saveSeen, dateDaysBefore
+} from '../src/utils/watchlists.js';
+import { LOCALES, translations } from '../src/i18n.js';
+
+let failures = 0;
+
+function check(label, ok, detail = '') {
+    console.log(`${ok ? '✅' : '❌'} ${label}${detail ? ` ${detail}` : ''}`);
+    if (!ok) failures++;
+}
+
+const memoryStorage = () => {
+    const data = new Map();
+    return { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)) };
+};
+
+console.log('=== STORAGE ===');
+const norm = normalizeWatchlists({ lists: { ' Desk ': ['ve', 'CO', 'CO', 'VEN', 7] }, active: 'Gone', filter: true, extra: 1 });
+check('Codes cleaned, names trimmed', JSON.stringify(norm.lists) === '{"Desk":["VE","CO"]}');
+check('Unknown active list dropped, filter needs a list', norm.active === null && norm.filter === false);
+
+const storage = memoryStorage();
+check('Empty storage', JSON.stringify(loadWatchlists(storage)) === '{"lists":{},"active":null,"filter":false}');
+storage.setItem('rw_watchlists', '{broken');
+check('Corrupt storage ignored', activeCodes(loadWatchlists(storage)) === null);
+
+console.log('\n=== EDITING ===');
+let state = addList(loadWatchlists(null), 'LATAM desk');
+state = toggleCountry(toggleCountry(state, 'LATAM desk', 'VE'), 'LATAM desk', 'CO');
+check('New list becomes active', state.active === 'LATAM desk' && activeCodes(state).join() === 'VE,CO');
+check('Toggle removes a pinned country', activeCodes(toggleCountry(state, 'LATAM desk', 'VE')).join() === 'CO');
+check('Duplicate / blank names ignored', addList(state, 'LATAM desk') === state && addList(state, '  ') === state);
+state = { ...state, filter: true };
+saveWatchlists(storage, state);
+check('Save / load round trip', JSON.stringify(loadWatchlists(storage)) === JSON.stringify(state));
+const removed = removeList(state, 'LATAM desk');
+check('Removing the active list clears filter', removed.active === null && removed.filter === false && !removed.lists['LATAM desk']);
+
+console.log('\n=== IMPORT / EXPORT ===');
+const exported = exportWatchlists(state);
+check('Export has version and lists', JSON.parse(exported).version === 1 && JSON.parse(exported).lists['LATAM desk'].length === 2);
+const merged = importWatchlists(addList(loadWatchlists(null), 'Other'), exported);
+check('Import merges lists', merged.error === null && merged.imported.join() === 'LATAM desk' && Object.keys(merged.state.lists).join() === 'Other,LATAM desk');
+check('Active list kept on import', merged.state.active === 'Other');
+check('Not JSON', importWatchlists(state, 'nope').error === 'not_json');
+check('Wrong shape', importWatchlists(state, '{"lists":["VE"]}').error === 'bad_shape' && importWatchlists(state, '{}').state === state);
+check('No lists', importWatchlists(state, '{"lists":{}}').error === 'empty');
+check('Every import error has a message in every locale', LOCALES.every(code => ['not_json', 'bad_shape', 'empty']
+    .every(err => translations[code].watchlist.importErrors[err])));
+
+console.log('\n=== LEVELS ===');
+const today = {
+    countries: {
+        VE: { name_en: 'Venezuela', alert_level: 'orange', surge_r: { level: 'Red' }, index: { level: 'Yellow' }, surge: { rank: 15 } },
+        CO: { name_en: 'Colombia', alert_level: 'green', surge_r: { level: 'Green' }, surge: { rank: 80 } }
+    }
+};
+const weekAgo = { countries: { VE: { surge_r: { level: 'Yellow' } }, CO: { surge_r: { level: 'Orange' } } } };
+check('Level per view mode', levelOf(today.countries.VE, 'surge_r') === 'red' && levelOf(today.countries.VE, 'raw') === 'orange' &&
+    levelOf(today.countries.VE, 'index') === 'yellow' && levelOf(today.countries.VE, 'surge') === 'orange');
+check('TRENDING outside top 40 is green; missing country is null', levelOf(today.countries.CO, 'surge') === 'green' && levelOf(undefined, 'raw') === null);
+check('Delta', levelDelta('red', 'yellow') === 2 && levelDelta('green', 'orange') === -2 && levelDelta('red', null) === null);
+
+const seen = buildSeenSnapshot(['VE', 'CO', 'BR'], { countries: { VE: { surge_r: { level: 'Orange' } }, CO: { surge_r: { level: 'Green' } } } }, '2026-01-03');
+check('Snapshot per view mode, missing countries skipped', seen.levels.surge_r.VE === 'orange' && !('BR' in seen.levels.raw) && seen.date === '2026-01-03');
+saveSeen(storage, seen);
+check('Snapshot round trip', JSON.stringify(loadSeen(storage)) === JSON.stringify(seen));
+
+const rows = buildStripRows(['VE', 'CO', 'BR'], today, weekAgo, seen, 'surge_r');
+check('7-day change', rows[0].weekDelta === 2 && rows[1].weekDelta === -2 && rows[2].weekDelta === null);
+check('Changed since last visit', rows[0].changedSinceSeen && rows[0].seenLevel === 'orange' && !rows[1].changedSinceSeen);
+check('Country without data', rows[2].level === null && rows[2].name === 'BR' && !rows[2].changedSinceSeen);
+check('No previous visit', buildStripRows(['VE'], today, null, null, 'raw')[0].changedSinceSeen === false);
+
+console.log('\n=== 7-DAY DATE ===');
+const dates = ['2026-01-10', '2026-01-04', '2026-01-02', '2026-01-03'];
+check('Exact date', dateDaysBefore(dates, '2026-01-10') === '2026-01-03');
+check('Closest earlier date', dateDaysBefore(['2026-01-10', '2026-01-02', '2026-01-01'], '2026-01-10') === '2026-01-02');
+check('Nothing old enough', dateDaysBefore(dates, '2026-01-04') === null && dateDaysBefore(dates, null) === null);
+
+console.log(`\n${failures === 0 ? '✅ All watchlist checks passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);